@@ -0,0 +1,69 @@
+/**
+ * Chain audit entries written before the audit log was hash-chained
+ *
+ * Usage: npm run db:chain-audit
+ *
+ * Run once right after `npm run db:push` adds the chain columns. Intakes with
+ * unchained entries are re-chained in createdAt order - including any entries
+ * already chained since the upgrade, so their hashes change. Intakes whose
+ * entries are all chained are skipped, so re-running is safe.
+ */
+
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import { hashAuditEntry } from '../src/services/auditService.js';
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+
+async function backfillAll() {
+  const unchained = await prisma.auditLog.findMany({
+    where: { sequence: null },
+    distinct: ['intakeId'],
+    select: { intakeId: true },
+  });
+
+  let chained = 0;
+  let failed = 0;
+
+  for (const { intakeId } of unchained) {
+    try {
+      const entries = await prisma.auditLog.findMany({
+        where: { intakeId },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      });
+
+      await prisma.$transaction(async (tx) => {
+        // Clear first so renumbering can't collide with the (intakeId, sequence) index
+        await tx.auditLog.updateMany({ where: { intakeId }, data: { sequence: null } });
+
+        let prevHash = null;
+        for (const [index, entry] of entries.entries()) {
+          const chainedEntry = { ...entry, sequence: index + 1, prevHash };
+          const hash = hashAuditEntry(chainedEntry);
+
+          await tx.auditLog.update({
+            where: { id: entry.id },
+            data: { sequence: chainedEntry.sequence, prevHash, hash },
+          });
+          prevHash = hash;
+        }
+      }, { timeout: 30000 });
+
+      chained++;
+    } catch (error) {
+      failed++;
+      console.error(`Failed ${intakeId}:`, error.message);
+    }
+  }
+
+  console.log(`Done. Chained ${chained} intakes, ${failed} failed.`);
+}
+
+backfillAll()
+  .catch((error) => {
+    console.error('Backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,92 @@
+/**
+ * Encrypt sensitive intake fields at rest, or re-wrap them after a key rotation
+ *
+ * Usage: npm run db:encrypt-fields
+ *
+ * Encrypts any SENSITIVE_FIELDS still stored in plaintext and re-wraps values
+ * whose data key uses an older FIELD_ENCRYPTION_KEYS entry - on intakes, their
+ * additional defendants and additional co-signers. Safe to re-run -
+ * records that are already up to date are skipped. Once it reports nothing
+ * left to update, retired keys can be removed from FIELD_ENCRYPTION_KEYS.
+ */
+
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import { encryptSensitiveFields, mapAdditionalDefendants } from '../src/utils/fieldEncryption.js';
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+const BATCH_SIZE = 100;
+
+async function encryptAll() {
+  if (!process.env.FIELD_ENCRYPTION_KEYS) {
+    throw new Error('FIELD_ENCRYPTION_KEYS is not set');
+  }
+
+  let cursor = null;
+  let updated = 0;
+  let failed = 0;
+
+  for (;;) {
+    const batch = await prisma.intake.findMany({
+      select: { id: true, linkCode: true, defendantData: true, indemnitorData: true, additionalDefendants: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    if (batch.length === 0) break;
+    cursor = batch[batch.length - 1].id;
+
+    for (const intake of batch) {
+      try {
+        const { defendantData, indemnitorData } = encryptSensitiveFields(intake);
+        const additionalDefendants = mapAdditionalDefendants(intake.additionalDefendants, encryptSensitiveFields);
+
+        // encryptSensitiveFields returns the same objects when nothing changed
+        const additionalChanged = (additionalDefendants || []).some((d, i) => d !== intake.additionalDefendants[i]);
+        if (defendantData === intake.defendantData && indemnitorData === intake.indemnitorData && !additionalChanged) continue;
+
+        await prisma.intake.update({
+          where: { id: intake.id },
+          data: { defendantData, indemnitorData, additionalDefendants: additionalDefendants ?? undefined },
+        });
+        updated++;
+      } catch (error) {
+        failed++;
+        console.error(`Failed ${intake.linkCode}:`, error.message);
+      }
+    }
+  }
+
+  // Additional co-signers keep their own indemnitorData
+  const parties = await prisma.intakeParty.findMany({
+    select: { id: true, linkCode: true, indemnitorData: true },
+  });
+
+  for (const party of parties) {
+    try {
+      const { indemnitorData } = encryptSensitiveFields(party);
+      if (indemnitorData === party.indemnitorData) continue;
+
+      await prisma.intakeParty.update({
+        where: { id: party.id },
+        data: { indemnitorData },
+      });
+      updated++;
+    } catch (error) {
+      failed++;
+      console.error(`Failed ${party.linkCode}:`, error.message);
+    }
+  }
+
+  console.log(`Done. Updated ${updated} intakes / co-signers, ${failed} failed.`);
+}
+
+encryptAll()
+  .catch((error) => {
+    console.error('Encryption failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
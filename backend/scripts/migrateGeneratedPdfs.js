@@ -0,0 +1,73 @@
+/**
+ * One-off migration: move base64 PDFs out of Intake.generatedPdfs into the document store
+ *
+ * Usage: npm run db:migrate-pdfs
+ *
+ * Safe to re-run - intakes whose generatedPdfs is already null (or only holds
+ * a generation error) are skipped.
+ */
+
+import dotenv from 'dotenv';
+import { PrismaClient, Prisma } from '@prisma/client';
+import { storeIntakePdfs } from '../src/services/documentService.js';
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+const BATCH_SIZE = 50;
+
+async function migrate() {
+  let cursor = null;
+  let migrated = 0;
+  let failed = 0;
+
+  for (;;) {
+    // Select ids first so only one intake's PDFs are held in memory at a time
+    // (paged by id, not a Prisma cursor - migrated rows drop out of the filter,
+    // cursor row included)
+    const batch = await prisma.intake.findMany({
+      where: {
+        generatedPdfs: { not: Prisma.DbNull },
+        ...(cursor && { id: { gt: cursor } }),
+      },
+      select: { id: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+    });
+
+    if (batch.length === 0) break;
+    cursor = batch[batch.length - 1].id;
+
+    for (const { id } of batch) {
+      const intake = await prisma.intake.findUnique({
+        where: { id },
+        select: { id: true, linkCode: true, generatedPdfs: true },
+      });
+
+      const pdfs = intake?.generatedPdfs;
+      if (!pdfs || pdfs.error) continue;
+
+      try {
+        const documents = await storeIntakePdfs(intake.id, pdfs);
+        await prisma.intake.update({
+          where: { id: intake.id },
+          data: { generatedPdfs: Prisma.DbNull },
+        });
+        migrated++;
+        console.log(`Migrated ${intake.linkCode}: ${documents.length} PDFs`);
+      } catch (error) {
+        failed++;
+        console.error(`Failed ${intake.linkCode}:`, error.message);
+      }
+    }
+  }
+
+  console.log(`Done. Migrated ${migrated} intakes, ${failed} failed.`);
+}
+
+migrate()
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -12,7 +12,13 @@ import companyRoutes from './routes/company.js';
 import adminRoutes from './routes/admin.js';
 import formsRoutes from './routes/forms.js';
 import agentRoutes from './routes/agent.js';
+import messagingRoutes from './routes/messaging.js';
 import { errorHandler } from './utils/errorHandler.js';
+import { startJobWorker } from './services/jobQueue.js';
+import { startSyncScheduler } from './services/syncScheduler.js';
+import { startReminderScheduler } from './services/reminderService.js';
+import { startExpiryScheduler } from './services/expiryService.js';
+import './services/jobHandlers.js';
 
 dotenv.config();
 
@@ -35,7 +41,9 @@ app.use(cors({
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
-  message: { error: 'Too many requests, please try again later.' }
+  message: { error: 'Too many requests, please try again later.' },
+  // Twilio callbacks come from a small pool of IPs and are signature-verified
+  skip: (req) => req.path.startsWith('/messaging/twilio/')
 });
 app.use('/api/', limiter);
 
@@ -61,6 +69,7 @@ app.use('/api/company', companyRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/forms', formsRoutes);
 app.use('/api/agent', agentRoutes);
+app.use('/api/messaging', messagingRoutes);
 
 // Serve static frontend files in production
 if (process.env.NODE_ENV === 'production') {
@@ -87,6 +96,15 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📝 API available at http://localhost:${PORT}/api`);
+  
+  // Background jobs (PDFs, emails, Bailbooks push) - disable on API-only replicas
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    startJobWorker();
+  }
+  
+  startSyncScheduler();
+  startReminderScheduler();
+  startExpiryScheduler();
 });
 
 export default app;
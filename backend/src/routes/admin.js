@@ -1,8 +1,17 @@
 import express from 'express';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient, Prisma } from '@prisma/client';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import { deleteIntakeDocuments, verifyPdfFile } from '../services/documentService.js';
+import { retryJob } from '../services/jobQueue.js';
+import { syncCompanyFromBailbooks } from '../services/bailbooksSyncService.js';
+import { WEBHOOK_EVENTS, generateWebhookSecret, sendTestEvent } from '../services/webhookService.js';
+import { validateReminderRules, DEFAULT_REMINDER_RULES } from '../services/reminderService.js';
+import { maskSensitiveFields } from '../utils/fieldEncryption.js';
+import { VERIFICATION_MODES } from '../services/otpService.js';
+import { recordAudit, buildAuditExport } from '../services/auditService.js';
+import { generateAuditTrailPdf } from '../services/pdfService.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -288,7 +297,8 @@ router.get('/companies/:id', authenticateAdmin, async (req, res, next) => {
         ? company.apiKey.substring(0, 8) + '...' + company.apiKey.substring(company.apiKey.length - 4)
         : null,
       apiKey: undefined,
-      recentIntakes
+      defaultReminderRules: DEFAULT_REMINDER_RULES,
+      recentIntakes: recentIntakes.map(maskSensitiveFields)
     });
     
   } catch (error) {
@@ -420,6 +430,10 @@ router.put('/companies/:id', authenticateAdmin, async (req, res, next) => {
       bailbooksCompanyId,
       wizardType,
       requiredFields,
+      remindersEnabled,
+      reminderRules,
+      maxRemindersPerIntake,
+      identityVerification,
       isActive
     } = req.body;
     
@@ -453,6 +467,21 @@ router.put('/companies/:id', authenticateAdmin, async (req, res, next) => {
       }
     }
     
+    if (reminderRules) {
+      const rulesError = validateReminderRules(reminderRules);
+      if (rulesError) {
+        return res.status(400).json({ error: rulesError });
+      }
+    }
+    
+    if (maxRemindersPerIntake !== undefined && !(Number.isInteger(maxRemindersPerIntake) && maxRemindersPerIntake >= 0)) {
+      return res.status(400).json({ error: 'Max reminders per intake must be a whole number' });
+    }
+    
+    if (identityVerification !== undefined && !VERIFICATION_MODES.includes(identityVerification)) {
+      return res.status(400).json({ error: `Identity verification must be one of: ${VERIFICATION_MODES.join(', ')}` });
+    }
+    
     // If bailbooksCompanyId is changing, check it's not already linked
     if (bailbooksCompanyId && bailbooksCompanyId !== existing.bailbooksCompanyId) {
       const existingBailbooks = await prisma.company.findUnique({
@@ -482,6 +511,11 @@ router.put('/companies/:id', authenticateAdmin, async (req, res, next) => {
         bailbooksCompanyId: bailbooksCompanyId ? parseInt(bailbooksCompanyId) : null,
         wizardType,
         requiredFields,
+        remindersEnabled,
+        // null = use the default cadence
+        reminderRules: reminderRules === null ? Prisma.DbNull : reminderRules,
+        maxRemindersPerIntake,
+        identityVerification,
         isActive
       }
     });
@@ -603,6 +637,371 @@ router.delete('/companies/:id/api-key', authenticateAdmin, async (req, res, next
   }
 });
 
+// ============================================================================
+// AGENT ACCOUNTS
+// ============================================================================
+
+/**
+ * Agent fields safe to return to the admin UI (never the password hash)
+ */
+const agentSelect = {
+  id: true,
+  companyId: true,
+  name: true,
+  email: true,
+  phone: true,
+  isActive: true,
+  canRevealSensitiveData: true,
+  lastLoginAt: true,
+  createdAt: true,
+  _count: { select: { intakes: true } }
+};
+
+/**
+ * GET /api/admin/companies/:id/agents
+ * List agent logins for a company
+ */
+router.get('/companies/:id/agents', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const agents = await prisma.agent.findMany({
+      where: { companyId: id },
+      select: agentSelect,
+      orderBy: { name: 'asc' }
+    });
+    
+    res.json(agents);
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/companies/:id/agents
+ * Create an agent login for a company
+ */
+router.post('/companies/:id/agents', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, email, phone, password } = req.body;
+    
+    if (!name || !email || !password) {
+      return res.status(400).json({ error: 'Name, email, and password required' });
+    }
+    
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+    
+    const company = await prisma.company.findUnique({
+      where: { id }
+    });
+    
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    
+    const existing = await prisma.agent.findUnique({
+      where: { email: email.toLowerCase() }
+    });
+    
+    if (existing) {
+      return res.status(409).json({ error: 'An agent with this email already exists' });
+    }
+    
+    const agent = await prisma.agent.create({
+      data: {
+        companyId: id,
+        name,
+        email: email.toLowerCase(),
+        phone,
+        passwordHash: await bcrypt.hash(password, 12)
+      },
+      select: agentSelect
+    });
+    
+    res.status(201).json(agent);
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/agents/:agentId
+ * Update an agent (name, phone, active flag, reveal permission, or reset password)
+ */
+router.put('/agents/:agentId', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { agentId } = req.params;
+    const { name, phone, isActive, canRevealSensitiveData, password } = req.body;
+    
+    if (password && password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+    
+    const agent = await prisma.agent.update({
+      where: { id: agentId },
+      data: {
+        name,
+        phone,
+        isActive,
+        canRevealSensitiveData,
+        ...(password && {
+          passwordHash: await bcrypt.hash(password, 12),
+          // Force existing sessions to log in again with the new password
+          lastLogoutAt: new Date()
+        })
+      },
+      select: agentSelect
+    });
+    
+    res.json(agent);
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+/**
+ * Webhook endpoint for the admin UI - the signing secret is only shown in full on create
+ */
+function serializeWebhookEndpoint(endpoint, { showSecret = false } = {}) {
+  const { secret, ...fields } = endpoint;
+  return {
+    ...fields,
+    secret: showSecret ? secret : undefined,
+    secretMasked: `whsec_••••${secret.slice(-4)}`
+  };
+}
+
+/**
+ * Validate webhook URL + events from the request body
+ * Returns an error message or null
+ */
+function validateWebhookInput({ url, events }) {
+  if (url !== undefined) {
+    try {
+      const parsed = new URL(url);
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return 'Webhook URL must use http or https';
+      }
+    } catch {
+      return 'Webhook URL is not valid';
+    }
+  }
+  
+  if (events !== undefined) {
+    if (!Array.isArray(events)) {
+      return 'events must be an array';
+    }
+    const unknown = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length > 0) {
+      return `Unknown webhook events: ${unknown.join(', ')}`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * GET /api/admin/companies/:id/webhooks
+ * List a company's webhook endpoints with their most recent deliveries
+ */
+router.get('/companies/:id/webhooks', authenticateAdmin, async (req, res, next) => {
+  try {
+    const endpoints = await prisma.webhookEndpoint.findMany({
+      where: { companyId: req.params.id },
+      include: {
+        deliveries: {
+          orderBy: { createdAt: 'desc' },
+          take: 5,
+          select: {
+            id: true,
+            event: true,
+            status: true,
+            attempts: true,
+            responseStatus: true,
+            error: true,
+            createdAt: true,
+            deliveredAt: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+    
+    res.json({
+      endpoints: endpoints.map(endpoint => serializeWebhookEndpoint(endpoint)),
+      availableEvents: WEBHOOK_EVENTS
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/companies/:id/webhooks
+ * Add a webhook endpoint (events: [] subscribes to everything)
+ */
+router.post('/companies/:id/webhooks', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { url, description, events = [] } = req.body;
+    
+    if (!url) {
+      return res.status(400).json({ error: 'url is required' });
+    }
+    
+    const validationError = validateWebhookInput({ url, events });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const company = await prisma.company.findUnique({ where: { id } });
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    
+    const endpoint = await prisma.webhookEndpoint.create({
+      data: {
+        companyId: id,
+        url,
+        description,
+        events,
+        secret: generateWebhookSecret()
+      }
+    });
+    
+    res.status(201).json({
+      ...serializeWebhookEndpoint(endpoint, { showSecret: true }),
+      message: 'Save this signing secret - it will not be shown again'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/webhooks/:webhookId
+ * Update a webhook endpoint (url, description, events, isActive, rotateSecret)
+ */
+router.put('/webhooks/:webhookId', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { url, description, events, isActive, rotateSecret } = req.body;
+    
+    const validationError = validateWebhookInput({ url, events });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const endpoint = await prisma.webhookEndpoint.update({
+      where: { id: req.params.webhookId },
+      data: {
+        url,
+        description,
+        events,
+        isActive,
+        ...(rotateSecret && { secret: generateWebhookSecret() })
+      }
+    });
+    
+    res.json(serializeWebhookEndpoint(endpoint, { showSecret: !!rotateSecret }));
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/webhooks/:webhookId
+ * Remove a webhook endpoint and its delivery log
+ */
+router.delete('/webhooks/:webhookId', authenticateAdmin, async (req, res, next) => {
+  try {
+    await prisma.webhookEndpoint.delete({
+      where: { id: req.params.webhookId }
+    });
+    
+    res.json({ message: 'Webhook endpoint deleted' });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/:webhookId/test
+ * Send a "webhook.test" event now and return the endpoint's response
+ */
+router.post('/webhooks/:webhookId/test', authenticateAdmin, async (req, res, next) => {
+  try {
+    const endpoint = await prisma.webhookEndpoint.findUnique({
+      where: { id: req.params.webhookId }
+    });
+    
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
+    
+    const delivery = await sendTestEvent(endpoint);
+    
+    res.json({
+      success: delivery.status === 'SUCCEEDED',
+      delivery
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/:webhookId/deliveries
+ * Delivery log for one endpoint, newest first
+ * Query: status (PENDING|SUCCEEDED|FAILED), limit, offset
+ */
+router.get('/webhooks/:webhookId/deliveries', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+    
+    const where = {
+      endpointId: req.params.webhookId,
+      ...(status && { status })
+    };
+    
+    const [deliveries, total] = await Promise.all([
+      prisma.webhookDelivery.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: Math.min(parseInt(limit), 200),
+        skip: parseInt(offset)
+      }),
+      prisma.webhookDelivery.count({ where })
+    ]);
+    
+    res.json({
+      deliveries,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ============================================================================
 // SLUG AVAILABILITY CHECK
 // ============================================================================
@@ -686,6 +1085,12 @@ router.get('/stats', authenticateAdmin, async (req, res, next) => {
       _count: true
     });
     
+    // Company landing pages - visits are counted per day, not stored as intakes
+    const landingPages = await prisma.landingPageStat.aggregate({
+      where: { day: { gte: new Date(sevenDaysAgo.toISOString().slice(0, 10)) } },
+      _sum: { views: true, starts: true }
+    });
+    
     res.json({
       companies: {
         total: totalCompanies,
@@ -699,7 +1104,11 @@ router.get('/stats', authenticateAdmin, async (req, res, next) => {
           ? ((completedIntakes / totalIntakes) * 100).toFixed(1) 
           : 0
       },
-      recentActivity: recentIntakes
+      recentActivity: recentIntakes,
+      landingPages: {
+        views7Days: landingPages._sum.views || 0,
+        starts7Days: landingPages._sum.starts || 0
+      }
     });
     
   } catch (error) {
@@ -707,15 +1116,274 @@ router.get('/stats', authenticateAdmin, async (req, res, next) => {
   }
 });
 
-import { saveCompanyTemplates, getCompanyTemplateInfo, deleteCompanyTemplates, clearTemplateCache } from '../services/formTemplateLoader.js';
+// ============================================================================
+// BAILBOOKS SYNC
+// ============================================================================
+
+/**
+ * GET /api/admin/sync-runs
+ * Bailbooks sync history, newest first
+ * Query: companyId, status (RUNNING|SUCCEEDED|FAILED), limit, offset
+ */
+router.get('/sync-runs', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { companyId, status, limit = 50, offset = 0 } = req.query;
+    
+    const where = {
+      ...(companyId && { companyId }),
+      ...(status && { status })
+    };
+    
+    const [syncRuns, total] = await Promise.all([
+      prisma.syncRun.findMany({
+        where,
+        include: {
+          company: {
+            select: { id: true, name: true, slug: true }
+          }
+        },
+        orderBy: { startedAt: 'desc' },
+        take: Math.min(parseInt(limit), 200),
+        skip: parseInt(offset)
+      }),
+      prisma.syncRun.count({ where })
+    ]);
+    
+    res.json({
+      syncRuns,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/companies/:id/sync
+ * Run a Bailbooks sync for one company now
+ */
+router.post('/companies/:id/sync', authenticateAdmin, async (req, res, next) => {
+  try {
+    const result = await syncCompanyFromBailbooks(req.params.id, {
+      trigger: 'manual',
+      triggeredBy: req.admin.email
+    });
+    
+    res.json(result);
+    
+  } catch (error) {
+    // Bailbooks failures are recorded on the SyncRun - report them as a bad gateway
+    if (error.syncRunId) {
+      return res.status(502).json({ error: error.message, syncRunId: error.syncRunId });
+    }
+    next(error);
+  }
+});
+
+// ============================================================================
+// BACKGROUND JOBS
+// ============================================================================
+
+/**
+ * GET /api/admin/jobs
+ * List background jobs (defaults to DEAD jobs that need attention)
+ * Query: status (PENDING|RUNNING|COMPLETED|DEAD|all), type, intakeId, limit, offset
+ */
+router.get('/jobs', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { status = 'DEAD', type, intakeId, limit = 50, offset = 0 } = req.query;
+    
+    const where = {
+      ...(status !== 'all' && { status }),
+      ...(type && { type }),
+      ...(intakeId && { intakeId })
+    };
+    
+    const [jobs, total, statusCounts] = await Promise.all([
+      prisma.job.findMany({
+        where,
+        orderBy: { updatedAt: 'desc' },
+        take: Math.min(parseInt(limit), 200),
+        skip: parseInt(offset)
+      }),
+      prisma.job.count({ where }),
+      prisma.job.groupBy({
+        by: ['status'],
+        _count: true
+      })
+    ]);
+    
+    res.json({
+      jobs,
+      statusCounts: Object.fromEntries(statusCounts.map(s => [s.status, s._count])),
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:jobId/retry
+ * Requeue a failed job with a fresh set of attempts
+ */
+router.post('/jobs/:jobId/retry', authenticateAdmin, async (req, res, next) => {
+  try {
+    const job = await retryJob(req.params.jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json({ success: true, job });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// AUDIT TRAIL
+// ============================================================================
+
+/**
+ * GET /api/admin/intakes/:intakeId/audit
+ * Export an intake's audit trail with chain verification (?format=pdf for a printable copy)
+ * Works for cleared intakes too - their audit trail is kept
+ */
+router.get('/intakes/:intakeId/audit', authenticateAdmin, async (req, res, next) => {
+  try {
+    const auditExport = await buildAuditExport(req.params.intakeId);
+    
+    if (auditExport.entries.length === 0 && !auditExport.status) {
+      return res.status(404).json({ error: 'Intake not found' });
+    }
+    
+    const filename = `audit_${auditExport.linkCode || auditExport.intakeId}`;
+    
+    if (req.query.format === 'pdf') {
+      const pdf = await generateAuditTrailPdf(auditExport);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.send(Buffer.from(pdf, 'base64'));
+    }
+    
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.json(auditExport);
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/intakes/:intakeId/audit/verify
+ * Check an intake's audit chain for edits and gaps
+ */
+router.get('/intakes/:intakeId/audit/verify', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { intakeId, linkCode, verification } = await buildAuditExport(req.params.intakeId);
+    
+    if (verification.entryCount === 0) {
+      return res.status(404).json({ error: 'No audit entries for this intake' });
+    }
+    
+    res.json({ intakeId, linkCode, ...verification });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================================
+// DOCUMENT VERIFICATION
+// ============================================================================
+
+/**
+ * POST /api/admin/pdf/verify
+ * Upload a PDF (raw body, Content-Type: application/pdf) to check it against
+ * the sealed documents we issued - "authentic", "modified" or "unknown"
+ */
+router.post('/pdf/verify', authenticateAdmin, express.raw({ type: 'application/pdf', limit: '25mb' }), async (req, res, next) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Upload the PDF as the request body with Content-Type: application/pdf' });
+    }
+    
+    const { status, sha256, document } = await verifyPdfFile(req.body);
+    
+    res.json({
+      status,
+      sha256,
+      document: document && {
+        intakeId: document.intakeId,
+        linkCode: document.intake.linkCode,
+        formType: document.name,
+        sealId: document.sealId,
+        sealedAt: document.sealedAt,
+        issuedSha256: document.checksum,
+        issuedSize: document.size
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+import { saveCompanyTemplates, getCompanyTemplateInfo, deleteCompanyTemplates, clearTemplateCache, TEMPLATE_FORM_TYPES } from '../services/formTemplateLoader.js';
+import { listTemplatePlaceholders, findUnknownPlaceholders, renderTemplatePreview, sanitizeTemplateHtml } from '../services/templateDesignerService.js';
+import { parseTemplateFile, loadDefaultTemplate } from '../services/templateImportService.js';
+import { SUPPORTED_LANGUAGES, normalizeLanguage } from '../utils/i18n.js';
 
 // ============================================================================
 // CLEAR TEST DATA
 // ============================================================================
 
+const archivedIntakeSelect = {
+  id: true,
+  linkCode: true,
+  status: true,
+  company: { select: { name: true } }
+};
+
+/**
+ * Close out the audit trail of intakes about to be deleted
+ * The entries stay (the log is append-only); the final entry keeps enough to
+ * identify the intake in an export after it's gone.
+ */
+async function archiveAuditTrails(intakes, reason, req) {
+  for (const intake of intakes) {
+    await recordAudit({
+      intakeId: intake.id,
+      action: 'intake_archived',
+      details: {
+        reason,
+        adminId: req.admin.id,
+        linkCode: intake.linkCode,
+        status: intake.status,
+        companyName: intake.company?.name
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  }
+}
+
 /**
  * DELETE /api/admin/clear-test-data
- * Delete all non-completed intakes (test data cleanup)
+ * Delete the empty intakes left by company page visits - from before a visit stopped
+ * creating one (client-initiated, never saved, not started through the bot check)
  */
 router.delete('/clear-test-data', authenticateAdmin, async (req, res, next) => {
   try {
@@ -724,21 +1392,25 @@ router.delete('/clear-test-data', authenticateAdmin, async (req, res, next) => {
       return res.status(403).json({ error: 'Only superadmin can clear test data' });
     }
     
-    // Delete all intakes that are not COMPLETED
-    const deleted = await prisma.intake.deleteMany({
+    const testIntakes = await prisma.intake.findMany({
       where: {
-        status: {
-          not: 'COMPLETED'
-        }
-      }
+        source: 'CLIENT',
+        status: 'PENDING',
+        startChallenge: null
+      },
+      select: archivedIntakeSelect
     });
+    const testIntakeIds = testIntakes.map(intake => intake.id);
     
-    // Also delete audit logs for deleted intakes
-    await prisma.auditLog.deleteMany({
+    // Audit trails are kept - they just record that the intake was cleared
+    await archiveAuditTrails(testIntakes, 'clear-test-data', req);
+    
+    // Remove stored documents (Document rows cascade with the intake)
+    await deleteIntakeDocuments(testIntakeIds);
+    
+    const deleted = await prisma.intake.deleteMany({
       where: {
-        action: {
-          in: ['created', 'viewed', 'started']
-        }
+        id: { in: testIntakeIds }
       }
     });
     
@@ -763,8 +1435,13 @@ router.delete('/clear-all-data', authenticateAdmin, async (req, res, next) => {
       return res.status(403).json({ error: 'Only superadmin can clear all data' });
     }
     
-    // Delete all audit logs first (foreign key constraint)
-    await prisma.auditLog.deleteMany({});
+    const allIntakes = await prisma.intake.findMany({ select: archivedIntakeSelect });
+    
+    // Audit trails are kept - they just record that the intake was cleared
+    await archiveAuditTrails(allIntakes, 'clear-all-data', req);
+    
+    // Remove stored documents (Document rows cascade with the intake)
+    await deleteIntakeDocuments(allIntakes.map(intake => intake.id));
     
     // Delete all intakes
     const deleted = await prisma.intake.deleteMany({});
@@ -783,8 +1460,48 @@ router.delete('/clear-all-data', authenticateAdmin, async (req, res, next) => {
 // FORM TEMPLATE MANAGEMENT
 // ============================================================================
 
+const isTemplateFormType = (formType) => TEMPLATE_FORM_TYPES.some(type => type.formType === formType);
+
+// Template routes work on the English forms unless ?language= picks a translation
+const templateLanguage = (req) => normalizeLanguage(req.query.language);
+
+/**
+ * GET /api/admin/templates/fields
+ * Form types, languages and every {{placeholder}} a template can use (for the template editor)
+ */
+router.get('/templates/fields', authenticateAdmin, async (req, res, next) => {
+  try {
+    res.json({
+      formTypes: TEMPLATE_FORM_TYPES,
+      languages: Object.entries(SUPPORTED_LANGUAGES).map(([code, { name }]) => ({ code, name })),
+      placeholders: listTemplatePlaceholders()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/templates/defaults/:formType
+ * The built-in template for a form type, converted to placeholders, to start a custom one from
+ */
+router.get('/templates/defaults/:formType', authenticateAdmin, async (req, res, next) => {
+  try {
+    const result = await loadDefaultTemplate(req.params.formType);
+    
+    if (!result?.template) {
+      return res.status(404).json({ error: 'Unknown form type' });
+    }
+    
+    res.json(result);
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
- * GET /api/admin/companies/:id/templates
+ * GET /api/admin/companies/:id/templates?language=en
  * Get form templates for a company
  */
 router.get('/companies/:id/templates', authenticateAdmin, async (req, res, next) => {
@@ -799,7 +1516,7 @@ router.get('/companies/:id/templates', authenticateAdmin, async (req, res, next)
       return res.status(404).json({ error: 'Company not found' });
     }
     
-    const templates = await getCompanyTemplateInfo(id);
+    const templates = await getCompanyTemplateInfo(id, templateLanguage(req));
     res.json(templates);
     
   } catch (error) {
@@ -808,7 +1525,7 @@ router.get('/companies/:id/templates', authenticateAdmin, async (req, res, next)
 });
 
 /**
- * GET /api/admin/companies/:id/templates/:formType
+ * GET /api/admin/companies/:id/templates/:formType?language=en
  * Get a specific form template with full HTML
  */
 router.get('/companies/:id/templates/:formType', authenticateAdmin, async (req, res, next) => {
@@ -817,9 +1534,10 @@ router.get('/companies/:id/templates/:formType', authenticateAdmin, async (req,
     
     const template = await prisma.formTemplate.findUnique({
       where: {
-        companyId_formType: {
+        companyId_formType_language: {
           companyId: id,
-          formType
+          formType,
+          language: templateLanguage(req)
         }
       }
     });
@@ -838,7 +1556,7 @@ router.get('/companies/:id/templates/:formType', authenticateAdmin, async (req,
 /**
  * POST /api/admin/companies/:id/templates
  * Save form templates for a company
- * Body: { templates: [{ formType, name, htmlTemplate, requiredSignatures }] }
+ * Body: { templates: [{ formType, language?, name, htmlTemplate, requiredSignatures }] }
  */
 router.post('/companies/:id/templates', authenticateAdmin, async (req, res, next) => {
   try {
@@ -857,7 +1575,15 @@ router.post('/companies/:id/templates', authenticateAdmin, async (req, res, next
       return res.status(404).json({ error: 'Company not found' });
     }
     
-    const results = await saveCompanyTemplates(id, templates);
+    const invalid = templates.find(template => !isTemplateFormType(template?.formType) || typeof template.htmlTemplate !== 'string');
+    if (invalid) {
+      return res.status(400).json({ error: `Invalid template: ${invalid?.formType || 'missing formType'}` });
+    }
+    
+    const results = await saveCompanyTemplates(id, templates.map(template => ({
+      ...template,
+      htmlTemplate: sanitizeTemplateHtml(template.htmlTemplate)
+    })));
     
     res.json({
       message: `Saved ${results.length} template(s)`,
@@ -870,19 +1596,31 @@ router.post('/companies/:id/templates', authenticateAdmin, async (req, res, next
 });
 
 /**
- * PUT /api/admin/companies/:id/templates/:formType
+ * PUT /api/admin/companies/:id/templates/:formType?language=en
  * Update a specific form template
  */
 router.put('/companies/:id/templates/:formType', authenticateAdmin, async (req, res, next) => {
   try {
     const { id, formType } = req.params;
-    const { name, htmlTemplate, requiredSignatures, isActive } = req.body;
+    const { name, requiredSignatures, isActive } = req.body;
+    
+    if (!isTemplateFormType(formType)) {
+      return res.status(400).json({ error: 'Unknown form type' });
+    }
+    
+    if (typeof req.body.htmlTemplate !== 'string' || !req.body.htmlTemplate.trim()) {
+      return res.status(400).json({ error: 'Template HTML required' });
+    }
+    
+    const htmlTemplate = sanitizeTemplateHtml(req.body.htmlTemplate);
+    const language = templateLanguage(req);
     
     const result = await prisma.formTemplate.upsert({
       where: {
-        companyId_formType: {
+        companyId_formType_language: {
           companyId: id,
-          formType
+          formType,
+          language
         }
       },
       update: {
@@ -894,7 +1632,8 @@ router.put('/companies/:id/templates/:formType', authenticateAdmin, async (req,
       create: {
         companyId: id,
         formType,
-        name,
+        language,
+        name: name || TEMPLATE_FORM_TYPES.find(type => type.formType === formType).name,
         htmlTemplate,
         requiredSignatures,
         isActive: isActive ?? true
@@ -904,7 +1643,36 @@ router.put('/companies/:id/templates/:formType', authenticateAdmin, async (req,
     // Clear cache
     clearTemplateCache(id);
     
-    res.json(result);
+    res.json({ ...result, unknownPlaceholders: findUnknownPlaceholders(htmlTemplate) });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/companies/:id/templates/:formType/preview
+ * Render unsaved template HTML with sample intake data
+ * Body: { htmlTemplate }
+ */
+router.post('/companies/:id/templates/:formType/preview', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { htmlTemplate } = req.body;
+    
+    if (typeof htmlTemplate !== 'string') {
+      return res.status(400).json({ error: 'Template HTML required' });
+    }
+    
+    const company = await prisma.company.findUnique({
+      where: { id }
+    });
+    
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    
+    res.json(renderTemplatePreview(htmlTemplate, company));
     
   } catch (error) {
     next(error);
@@ -912,8 +1680,8 @@ router.put('/companies/:id/templates/:formType', authenticateAdmin, async (req,
 });
 
 /**
- * DELETE /api/admin/companies/:id/templates/:formType
- * Delete a specific form template (reverts to default)
+ * DELETE /api/admin/companies/:id/templates/:formType?language=en
+ * Delete a specific form template (reverts to default, or drops the translation)
  */
 router.delete('/companies/:id/templates/:formType', authenticateAdmin, async (req, res, next) => {
   try {
@@ -921,9 +1689,10 @@ router.delete('/companies/:id/templates/:formType', authenticateAdmin, async (re
     
     await prisma.formTemplate.delete({
       where: {
-        companyId_formType: {
+        companyId_formType_language: {
           companyId: id,
-          formType
+          formType,
+          language: templateLanguage(req)
         }
       }
     });
@@ -943,25 +1712,47 @@ router.delete('/companies/:id/templates/:formType', authenticateAdmin, async (re
 
 /**
  * POST /api/admin/companies/:id/templates/import
- * Import form templates from a JavaScript file content
- * This allows uploading generated template files from the skill
+ * Import form templates from an uploaded file - a template module (.js),
+ * JSON ({ templates: [...] }) or a single .html form
+ * Body: { templateCode, fileName, formType (for .html), language, dryRun }
+ * The file is parsed, never executed (see templateImportService).
  */
 router.post('/companies/:id/templates/import', authenticateAdmin, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { templateCode } = req.body;
+    const { templateCode, fileName, formType, language, dryRun } = req.body;
     
     if (!templateCode) {
       return res.status(400).json({ error: 'Template code required' });
     }
     
-    // For security, we don't eval the code
-    // Instead, we expect pre-parsed template objects
-    // The admin UI should parse the JS and extract the HTML templates
+    const company = await prisma.company.findUnique({
+      where: { id }
+    });
+    
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    
+    const parsed = parseTemplateFile({ content: templateCode, fileName: String(fileName || ''), formType });
     
-    return res.status(501).json({ 
-      error: 'Direct code import not yet implemented. Please use the individual template endpoints.',
-      hint: 'Parse the JS file client-side and POST each template to /api/admin/companies/:id/templates/:formType'
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error, warnings: parsed.warnings || [] });
+    }
+    
+    if (dryRun) {
+      return res.json({ templates: parsed.templates, warnings: parsed.warnings });
+    }
+    
+    const results = await saveCompanyTemplates(id, parsed.templates.map(template => ({
+      ...template,
+      language: normalizeLanguage(language)
+    })));
+    
+    res.json({
+      message: `Imported ${results.length} template(s)`,
+      templates: results,
+      warnings: parsed.warnings
     });
     
   } catch (error) {
@@ -1,12 +1,45 @@
 /**
  * Agent API Routes
- * Handles agent-initiated e-sign requests from Bailbooks
+ * Handles agent-initiated e-sign requests from Bailbooks (API key)
+ * and from logged-in agents (JWT)
  */
 
 import { Router } from 'express';
 import { PrismaClient } from '@prisma/client';
 import { nanoid } from 'nanoid';
-import { sendESignRequest } from '../services/messagingService.js';
+import bcrypt from 'bcryptjs';
+import { sendESignRequest, isSmsOptedOut } from '../services/messagingService.js';
+import { authenticateAgent, signAgentToken } from '../utils/agentAuth.js';
+import { emitIntakeEvent } from '../services/webhookService.js';
+import {
+  encryptSensitiveFields,
+  decryptSensitiveFields,
+  maskSensitiveFields,
+  mapAdditionalDefendants,
+  getSensitiveFieldPaths,
+} from '../utils/fieldEncryption.js';
+import { recordAudit, buildAuditExport } from '../services/auditService.js';
+import { normalizeLanguage, getSignerLanguage } from '../utils/i18n.js';
+import { generateAuditTrailPdf } from '../services/pdfService.js';
+import {
+  createParties,
+  buildAdditionalDefendants,
+  partyAuditDetails,
+  MAX_CO_SIGNERS,
+  MAX_DEFENDANTS,
+} from '../services/partyService.js';
+import {
+  buildPaymentPlan,
+  createInstallments,
+  getPaymentSummary,
+  recordOfflinePayment,
+  summarizeInstallments,
+  toCents,
+} from '../services/paymentService.js';
+import { getIntakeCollateral } from '../services/collateralService.js';
+import { listDraftRevisions } from '../services/draftService.js';
+import { findIntakeDocument, openDocumentStream } from '../services/documentService.js';
+import { listIdDocuments, toIdDocument } from '../services/identityDocumentService.js';
 
 const router = Router();
 const prisma = new PrismaClient();
@@ -23,12 +56,7 @@ async function validateApiKey(req, res, next) {
   
   try {
     const company = await prisma.company.findUnique({
-      where: { apiKey },
-      include: {
-        syncedAgents: { where: { isActive: true }, orderBy: { name: 'asc' } },
-        syncedFacilities: { where: { isActive: true }, orderBy: { name: 'asc' } },
-        syncedCourts: { where: { isActive: true }, orderBy: { name: 'asc' } },
-      }
+      where: { apiKey }
     });
     
     if (!company) {
@@ -54,13 +82,132 @@ async function validateApiKey(req, res, next) {
   }
 }
 
+/**
+ * Middleware to accept either an agent JWT (Authorization: Bearer) or a company API key.
+ * Either way, req.company is the company the request is scoped to.
+ */
+function authenticateAgentOrApiKey(req, res, next) {
+  if (req.headers.authorization?.startsWith('Bearer ')) {
+    return authenticateAgent(req, res, next);
+  }
+  return validateApiKey(req, res, next);
+}
+
+// ============================================================================
+// AUTH ROUTES
+// ============================================================================
+
+/**
+ * POST /api/agent/login
+ * Agent login
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password required' });
+    }
+    
+    const agent = await prisma.agent.findUnique({
+      where: { email: email.toLowerCase() },
+      include: { company: true }
+    });
+    
+    if (!agent || !agent.isActive || !agent.passwordHash || !agent.company.isActive) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    const validPassword = await bcrypt.compare(password, agent.passwordHash);
+    
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    await prisma.agent.update({
+      where: { id: agent.id },
+      data: {
+        lastLoginAt: new Date(),
+        lastLoginIp: req.ip
+      }
+    });
+    
+    res.json({
+      token: signAgentToken(agent),
+      agent: {
+        id: agent.id,
+        email: agent.email,
+        name: agent.name,
+        company: {
+          id: agent.company.id,
+          name: agent.company.name,
+          slug: agent.company.slug,
+        }
+      }
+    });
+    
+  } catch (error) {
+    console.error('Agent login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+/**
+ * POST /api/agent/logout
+ * Invalidate all tokens issued to this agent so far
+ */
+router.post('/logout', authenticateAgent, async (req, res) => {
+  try {
+    await prisma.agent.update({
+      where: { id: req.agent.id },
+      data: { lastLogoutAt: new Date() }
+    });
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Agent logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+/**
+ * GET /api/agent/me
+ * Get current agent info
+ */
+router.get('/me', authenticateAgent, async (req, res) => {
+  res.json({
+    id: req.agent.id,
+    email: req.agent.email,
+    name: req.agent.name,
+    phone: req.agent.phone,
+    canRevealSensitiveData: req.agent.canRevealSensitiveData,
+    company: {
+      id: req.company.id,
+      name: req.company.name,
+      slug: req.company.slug,
+    }
+  });
+});
+
+// ============================================================================
+// E-SIGN REQUEST ROUTES
+// ============================================================================
+
 /**
  * GET /api/agent/init
  * Initialize agent wizard - returns company info and dropdown options
  */
-router.get('/init', validateApiKey, async (req, res) => {
+router.get('/init', authenticateAgentOrApiKey, async (req, res) => {
   try {
-    const { company } = req;
+    const company = await prisma.company.findUnique({
+      where: { id: req.company.id },
+      include: {
+        syncedAgents: { where: { isActive: true }, orderBy: { name: 'asc' } },
+        syncedFacilities: { where: { isActive: true }, orderBy: { name: 'asc' } },
+        syncedCourts: { where: { isActive: true }, orderBy: { name: 'asc' } },
+      }
+    });
     
     res.json({
       company: {
@@ -70,6 +217,8 @@ router.get('/init', validateApiKey, async (req, res) => {
         logo: company.logo,
         primaryColor: company.primaryColor,
       },
+      // Logged-in agent (null when authenticated by API key)
+      currentAgent: req.agent ? { id: req.agent.id, name: req.agent.name } : null,
       agents: company.syncedAgents.map(a => ({ 
         id: a.id, 
         bailbooksId: a.bailbooksAgentId,
@@ -97,7 +246,7 @@ router.get('/init', validateApiKey, async (req, res) => {
  * POST /api/agent/create-request
  * Create a new e-sign request and send to co-signer
  */
-router.post('/create-request', validateApiKey, async (req, res) => {
+router.post('/create-request', authenticateAgentOrApiKey, async (req, res) => {
   try {
     const { company } = req;
     const {
@@ -105,6 +254,9 @@ router.post('/create-request', validateApiKey, async (req, res) => {
       defendant,
       // Co-signer info
       coSigner,
+      // More defendants / co-signers on the same bond(s) (optional) - each co-signer gets their own link
+      additionalDefendants = [],
+      additionalCoSigners = [],
       // Bond info (shared fields)
       bondDate,
       postingFacility,
@@ -112,6 +264,10 @@ router.post('/create-request', validateApiKey, async (req, res) => {
       agentId, // Bailbooks agent ID (optional)
       // Array of bonds
       bonds,
+      // Premium payment plan (optional): { downPayment, installmentCount, frequency, firstDueDate, totalPremium? }
+      paymentPlan,
+      // Language of the co-signers' wizard, texts and translated documents ("en", "es") - defaults to English
+      preferredLanguage,
     } = req.body;
     
     // Force SMS delivery (email not yet configured)
@@ -136,10 +292,48 @@ router.post('/create-request', validateApiKey, async (req, res) => {
       return res.status(400).json({ error: 'Co-signer cell phone must be 10 digits' });
     }
     
+    if (await isSmsOptedOut(phoneDigits)) {
+      return res.status(409).json({ error: 'This phone number has opted out of text messages (replied STOP)' });
+    }
+    
     if (!bonds || bonds.length === 0) {
       return res.status(400).json({ error: 'At least one bond is required' });
     }
     
+    if (additionalDefendants.length + 1 > MAX_DEFENDANTS) {
+      return res.status(400).json({ error: `At most ${MAX_DEFENDANTS} defendants per request` });
+    }
+    
+    if (additionalDefendants.some(d => !d?.firstName || !d?.lastName)) {
+      return res.status(400).json({ error: 'Every defendant needs a name' });
+    }
+    
+    if (additionalCoSigners.length + 1 > MAX_CO_SIGNERS) {
+      return res.status(400).json({ error: `At most ${MAX_CO_SIGNERS} co-signers per request` });
+    }
+    
+    for (const [index, other] of additionalCoSigners.entries()) {
+      const label = `Co-signer ${index + 2}`;
+      
+      if (!other?.firstName || !other?.lastName) {
+        return res.status(400).json({ error: `${label} name is required` });
+      }
+      
+      const digits = (other.cellPhone || '').replace(/\D/g, '');
+      if (digits.length !== 10) {
+        return res.status(400).json({ error: `${label} cell phone must be 10 digits` });
+      }
+      
+      if (await isSmsOptedOut(digits)) {
+        return res.status(409).json({ error: `${label}'s phone number has opted out of text messages (replied STOP)` });
+      }
+    }
+    
+    const plan = paymentPlan ? buildPaymentPlan(paymentPlan, bonds) : null;
+    if (plan?.error) {
+      return res.status(400).json({ error: plan.error });
+    }
+    
     // Generate unique link code
     const linkCode = nanoid(8).toUpperCase();
     
@@ -148,34 +342,39 @@ router.post('/create-request', validateApiKey, async (req, res) => {
       data: {
         linkCode,
         companyId: company.id,
+        agentId: req.agent?.id,
         status: 'PENDING',
         source: 'AGENT',
         
-        // Store defendant basic info (agent-provided)
-        defendantData: {
-          firstName: defendant.firstName,
-          lastName: defendant.lastName,
-          dob: defendant.dob,
-          phone: defendant.phone,
-          // These will be filled by co-signer later
-          _agentProvided: true,
-        },
+        ...encryptSensitiveFields({
+          // Store defendant basic info (agent-provided)
+          defendantData: {
+            firstName: defendant.firstName,
+            lastName: defendant.lastName,
+            dob: defendant.dob,
+            phone: defendant.phone,
+            // These will be filled by co-signer later
+            _agentProvided: true,
+          },
+          
+          // Store co-signer basic info (agent-provided)
+          indemnitorData: {
+            firstName: coSigner.firstName,
+            lastName: coSigner.lastName,
+            email: coSigner.email,
+            cellPhone: coSigner.cellPhone,
+            // These will be filled by co-signer later
+            _agentProvided: true,
+          },
+        }),
         
-        // Store co-signer basic info (agent-provided)
-        indemnitorData: {
-          firstName: coSigner.firstName,
-          lastName: coSigner.lastName,
-          email: coSigner.email,
-          cellPhone: coSigner.cellPhone,
-          // These will be filled by co-signer later
-          _agentProvided: true,
-        },
+        additionalDefendants: buildAdditionalDefendants(additionalDefendants),
         
         // Store shared bond info
         sharedBondData: {
           bondDate,
           postingFacility,
-          agentName,
+          agentName: agentName || req.agent?.name,
           agentId,
         },
         
@@ -189,15 +388,23 @@ router.post('/create-request', validateApiKey, async (req, res) => {
           caseNumber: bond.caseNumber,
         })),
         
+        // The co-signer accepts (and signs) the plan as part of the wizard
+        paymentPlan: plan?.plan,
+        
         // Delivery tracking
         deliveryMethod,
         requestSentTo: deliveryMethod === 'email' ? coSigner.email : coSigner.cellPhone,
+        preferredLanguage: normalizeLanguage(preferredLanguage),
         
         // Set expiration (30 days from now)
         expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
       },
     });
     
+    if (plan) {
+      await createInstallments(intake.id, plan.plan);
+    }
+    
     // Build the intake URL
     const baseUrl = process.env.BASE_URL || 'https://www.bondprospects.com';
     const intakeUrl = `${baseUrl}/${company.slug}/${linkCode}`;
@@ -214,6 +421,8 @@ router.post('/create-request', validateApiKey, async (req, res) => {
       defendantName,
       companyName: company.name,
       intakeUrl,
+      intakeId: intake.id,
+      language: intake.preferredLanguage,
     });
     
     // Update intake with send status
@@ -224,22 +433,65 @@ router.post('/create-request', validateApiKey, async (req, res) => {
       },
     });
     
-    // Log the action
-    await prisma.auditLog.create({
-      data: {
+    // Every additional co-signer gets their own link
+    const parties = [];
+    for (const party of await createParties(intake.id, additionalCoSigners)) {
+      const partyCoSigner = additionalCoSigners[party.position - 2];
+      const partyUrl = `${baseUrl}/${company.slug}/${party.linkCode}`;
+      
+      const partySend = await sendESignRequest({
+        deliveryMethod,
+        recipientEmail: partyCoSigner.email,
+        recipientPhone: partyCoSigner.cellPhone,
+        recipientName: `${partyCoSigner.firstName} ${partyCoSigner.lastName}`,
+        defendantName,
+        companyName: company.name,
+        intakeUrl: partyUrl,
         intakeId: intake.id,
-        action: 'agent_request_created',
-        details: {
-          deliveryMethod,
-          sendSuccess: sendResult.success,
-          sendError: sendResult.error,
-          bondCount: bonds.length,
+        language: intake.preferredLanguage,
+      });
+      
+      await prisma.intakeParty.update({
+        where: { id: party.id },
+        data: {
+          requestSentAt: partySend.success ? new Date() : null,
+          requestSentTo: partyCoSigner.cellPhone,
         },
-        ipAddress: req.ip,
-        userAgent: req.get('user-agent'),
+      });
+      
+      parties.push({
+        position: party.position,
+        linkCode: party.linkCode,
+        url: partyUrl,
+        delivery: {
+          method: deliveryMethod,
+          sentTo: partyCoSigner.cellPhone,
+          success: partySend.success,
+          error: partySend.error,
+        },
+      });
+    }
+    
+    // Log the action
+    await recordAudit({
+      intakeId: intake.id,
+      action: 'agent_request_created',
+      details: {
+        deliveryMethod,
+        sendSuccess: sendResult.success,
+        sendError: sendResult.error,
+        bondCount: bonds.length,
+        defendantCount: additionalDefendants.length + 1,
+        coSignerCount: additionalCoSigners.length + 1,
+        paymentPlan: plan?.plan,
+        partySends: parties.map(p => ({ party: p.position, sendSuccess: p.delivery.success, sendError: p.delivery.error })),
       },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
     });
     
+    await emitIntakeEvent('intake.created', intake);
+    
     // Log API usage
     await prisma.apiLog.create({
       data: {
@@ -264,6 +516,8 @@ router.post('/create-request', validateApiKey, async (req, res) => {
         success: sendResult.success,
         error: sendResult.error,
       },
+      // Additional co-signers' links (empty for a single co-signer)
+      parties,
     });
     
   } catch (error) {
@@ -275,22 +529,24 @@ router.post('/create-request', validateApiKey, async (req, res) => {
 /**
  * GET /api/agent/requests
  * List recent e-sign requests for this company
+ * (or, for a logged-in agent, the intakes that agent created)
  */
-router.get('/requests', validateApiKey, async (req, res) => {
+router.get('/requests', authenticateAgentOrApiKey, async (req, res) => {
   try {
     const { company } = req;
     const { status, limit = 50, offset = 0 } = req.query;
     
-    const where = {
-      companyId: company.id,
-      source: 'AGENT',
-    };
+    const baseWhere = req.agent
+      ? { companyId: company.id, agentId: req.agent.id }
+      : { companyId: company.id, source: 'AGENT' };
+    
+    const where = { ...baseWhere };
     
     if (status) {
       where.status = status;
     }
     
-    const [requests, total] = await Promise.all([
+    const [requests, total, statusGroups] = await Promise.all([
       prisma.intake.findMany({
         where,
         orderBy: { createdAt: 'desc' },
@@ -310,11 +566,21 @@ router.get('/requests', validateApiKey, async (req, res) => {
           requestOpenedAt: true,
           submittedAt: true,
           createdAt: true,
+          additionalDefendants: true,
+          parties: { select: { status: true } },
+          installments: { select: { sequence: true, amountCents: true, paidCents: true, dueDate: true } },
         },
       }),
       prisma.intake.count({ where }),
+      prisma.intake.groupBy({
+        by: ['status'],
+        where: baseWhere,
+        _count: true,
+      }),
     ]);
     
+    const statusCounts = Object.fromEntries(statusGroups.map(g => [g.status, g._count]));
+    
     res.json({
       requests: requests.map(r => ({
         id: r.id,
@@ -328,8 +594,14 @@ router.get('/requests', validateApiKey, async (req, res) => {
           firstName: r.indemnitorData?.firstName,
           lastName: r.indemnitorData?.lastName,
         },
+        defendantCount: (r.additionalDefendants?.length || 0) + 1,
+        coSignerCount: r.parties.length + 1,
+        // Additional co-signers still to sign (the primary's progress is `status`)
+        coSignersPending: r.parties.filter(p => p.status !== 'COMPLETED').length,
         bondCount: r.bondsData?.length || 0,
         totalBondAmount: r.bondsData?.reduce((sum, b) => sum + (parseFloat(b.amount) || 0), 0) || 0,
+        // Premium balance (null without a payment plan)
+        payments: r.installments.length ? summarizeInstallments(r.installments) : null,
         deliveryMethod: r.deliveryMethod,
         requestSentAt: r.requestSentAt,
         requestOpenedAt: r.requestOpenedAt,
@@ -341,6 +613,7 @@ router.get('/requests', validateApiKey, async (req, res) => {
         limit: parseInt(limit),
         offset: parseInt(offset),
       },
+      statusCounts,
     });
     
   } catch (error) {
@@ -353,7 +626,7 @@ router.get('/requests', validateApiKey, async (req, res) => {
  * GET /api/agent/request/:linkCode
  * Get details of a specific request
  */
-router.get('/request/:linkCode', validateApiKey, async (req, res) => {
+router.get('/request/:linkCode', authenticateAgentOrApiKey, async (req, res) => {
   try {
     const { company } = req;
     const { linkCode } = req.params;
@@ -363,19 +636,63 @@ router.get('/request/:linkCode', validateApiKey, async (req, res) => {
         linkCode,
         companyId: company.id,
       },
+      include: {
+        parties: { orderBy: { position: 'asc' } },
+        messages: {
+          orderBy: { createdAt: 'desc' },
+          take: 20,
+          select: {
+            direction: true,
+            to: true,
+            from: true,
+            body: true,
+            status: true,
+            errorCode: true,
+            errorMessage: true,
+            createdAt: true,
+            updatedAt: true,
+          },
+        },
+      },
     });
     
     if (!intake) {
       return res.status(404).json({ error: 'Request not found' });
     }
     
+    const coSignerPhone = intake.indemnitorData?.cellPhone;
+    
+    // SSN / license / DOB are masked - use POST .../reveal to see them
+    const { defendantData, indemnitorData } = maskSensitiveFields(intake);
+    
+    const baseUrl = process.env.BASE_URL || 'https://www.bondprospects.com';
+    
     res.json({
       id: intake.id,
       linkCode: intake.linkCode,
       status: intake.status,
       source: intake.source,
-      defendant: intake.defendantData,
-      coSigner: intake.indemnitorData,
+      defendant: defendantData,
+      additionalDefendants: mapAdditionalDefendants(intake.additionalDefendants, maskSensitiveFields) || [],
+      coSigner: indemnitorData,
+      signedAt: intake.signedAt,
+      // Additional co-signers, each with their own link
+      parties: intake.parties.map(party => ({
+        position: party.position,
+        linkCode: party.linkCode,
+        url: `${baseUrl}/${company.slug}/${party.linkCode}`,
+        status: party.status,
+        coSigner: maskSensitiveFields(party).indemnitorData,
+        references: party.referencesData,
+        signatures: party.signatures ? Object.keys(party.signatures) : [],
+        requestSentAt: party.requestSentAt,
+        requestSentTo: party.requestSentTo,
+        requestOpenedAt: party.requestOpenedAt,
+        preferredLanguage: getSignerLanguage(intake, party),
+        currentStep: party.currentStep,
+        sectionProgress: party.sectionProgress || {},
+        signedAt: party.signedAt,
+      })),
       bonds: intake.bondsData,
       sharedBondData: intake.sharedBondData,
       references: intake.referencesData,
@@ -384,9 +701,27 @@ router.get('/request/:linkCode', validateApiKey, async (req, res) => {
       requestSentAt: intake.requestSentAt,
       requestSentTo: intake.requestSentTo,
       requestOpenedAt: intake.requestOpenedAt,
+      preferredLanguage: intake.preferredLanguage,
+      // Where the primary co-signer is in the wizard (history: .../revisions)
+      currentStep: intake.currentStep,
+      sectionProgress: intake.sectionProgress || {},
+      lastSavedAt: intake.draftSavedAt,
       submittedAt: intake.submittedAt,
       createdAt: intake.createdAt,
       expiresAt: intake.expiresAt,
+      // SMS delivery status and co-signer replies
+      messages: intake.messages,
+      smsOptedOut: coSignerPhone ? await isSmsOptedOut(coSignerPhone) : false,
+      // Payment plan, installments and payments (null without a plan)
+      payments: await getPaymentSummary(intake.id),
+      // Every co-signer's pledged collateral (`party` is the co-signer's position);
+      // uploads download from .../collateral/:name
+      collateral: getIntakeCollateral(intake),
+      // Photos of the co-signers' / defendant's ID (`party` is the co-signer who uploaded it)
+      idDocuments: (await listIdDocuments(intake.id)).map(document => ({
+        ...toIdDocument(document),
+        url: `${baseUrl}/api/agent/request/${intake.linkCode}/id/${document.name}`,
+      })),
     });
     
   } catch (error) {
@@ -395,15 +730,322 @@ router.get('/request/:linkCode', validateApiKey, async (req, res) => {
   }
 });
 
+/**
+ * Stream one of a request's uploaded files (collateral photos, ID photos)
+ */
+async function sendIntakeUpload(req, res, kind) {
+  const { company } = req;
+  const { linkCode, name } = req.params;
+  
+  const intake = await prisma.intake.findFirst({
+    where: {
+      linkCode,
+      companyId: company.id,
+    },
+    select: { id: true },
+  });
+  
+  if (!intake) {
+    return res.status(404).json({ error: 'Request not found' });
+  }
+  
+  const document = await findIntakeDocument(intake.id, kind, name);
+  
+  if (!document) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  
+  const stream = await openDocumentStream(document);
+  const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
+  
+  res.setHeader('Content-Type', document.contentType);
+  res.setHeader('Content-Disposition', `${disposition}; filename="${name}"`);
+  res.setHeader('Content-Length', document.size);
+  stream.on('error', (error) => {
+    console.error('Upload download error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
+
+/**
+ * GET /api/agent/request/:linkCode/collateral/:name
+ * Download a collateral photo / document a co-signer uploaded
+ */
+router.get('/request/:linkCode/collateral/:name', authenticateAgentOrApiKey, async (req, res) => {
+  try {
+    await sendIntakeUpload(req, res, 'collateral');
+  } catch (error) {
+    console.error('Collateral download error:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
+/**
+ * GET /api/agent/request/:linkCode/id/:name
+ * Download a photo of a co-signer's or the defendant's ID (e.g. "p1-indemnitor-front")
+ */
+router.get('/request/:linkCode/id/:name', authenticateAgentOrApiKey, async (req, res) => {
+  try {
+    await sendIntakeUpload(req, res, 'id');
+  } catch (error) {
+    console.error('ID photo download error:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
+/**
+ * POST /api/agent/request/:linkCode/reveal
+ * Unmasked SSN / license / DOB values for an intake
+ * Requires an agent login with the reveal permission; every reveal is audit-logged.
+ * Body: { reason }
+ */
+router.post('/request/:linkCode/reveal', authenticateAgentOrApiKey, async (req, res) => {
+  try {
+    const { company, agent } = req;
+    const { linkCode } = req.params;
+    const { reason } = req.body;
+    
+    if (!agent?.canRevealSensitiveData) {
+      return res.status(403).json({ error: 'You do not have permission to view sensitive data' });
+    }
+    
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required to view sensitive data' });
+    }
+    
+    const intake = await prisma.intake.findFirst({
+      where: {
+        linkCode,
+        companyId: company.id,
+      },
+      include: { parties: { orderBy: { position: 'asc' } } },
+    });
+    
+    if (!intake) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    
+    // Only the sensitive paths, e.g. { defendantData: { ssn, dob }, indemnitorData: { ... } }
+    const pickSensitiveFields = (record) => {
+      const decrypted = decryptSensitiveFields(record);
+      const fields = {};
+      for (const path of getSensitiveFieldPaths()) {
+        const [column, field] = path.split('.');
+        const value = decrypted[column]?.[field];
+        if (value !== undefined && value !== null && value !== '') {
+          fields[column] = { ...fields[column], [field]: value };
+        }
+      }
+      return fields;
+    };
+    
+    const fields = pickSensitiveFields(intake);
+    
+    await recordAudit({
+      intakeId: intake.id,
+      action: 'sensitive_data_revealed',
+      details: {
+        agentId: agent.id,
+        agentEmail: agent.email,
+        fields: getSensitiveFieldPaths(),
+        reason: reason.trim(),
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+    
+    res.json({
+      defendant: fields.defendantData || {},
+      coSigner: fields.indemnitorData || {},
+      additionalDefendants: (intake.additionalDefendants || [])
+        .map(defendantData => pickSensitiveFields({ defendantData }).defendantData || {}),
+      parties: intake.parties.map(party => ({
+        position: party.position,
+        coSigner: pickSensitiveFields(party).indemnitorData || {},
+      })),
+    });
+    
+  } catch (error) {
+    console.error('Reveal sensitive data error:', error);
+    res.status(500).json({ error: 'Failed to reveal sensitive data' });
+  }
+});
+
+/**
+ * GET /api/agent/request/:linkCode/audit
+ * Export the request's audit trail with chain verification (?format=pdf for a printable copy)
+ */
+router.get('/request/:linkCode/audit', authenticateAgentOrApiKey, async (req, res) => {
+  try {
+    const { company } = req;
+    const { linkCode } = req.params;
+    
+    const intake = await prisma.intake.findFirst({
+      where: {
+        linkCode,
+        companyId: company.id,
+      },
+      select: { id: true },
+    });
+    
+    if (!intake) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    
+    const auditExport = await buildAuditExport(intake.id);
+    
+    if (req.query.format === 'pdf') {
+      const pdf = await generateAuditTrailPdf(auditExport);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="audit_${linkCode}.pdf"`);
+      return res.send(Buffer.from(pdf, 'base64'));
+    }
+    
+    res.setHeader('Content-Disposition', `attachment; filename="audit_${linkCode}.json"`);
+    res.json(auditExport);
+    
+  } catch (error) {
+    console.error('Audit export error:', error);
+    res.status(500).json({ error: 'Failed to export audit trail' });
+  }
+});
+
+/**
+ * GET /api/agent/request/:linkCode/revisions
+ * Draft history - each autosave's changed fields (sensitive values masked), the step
+ * the co-signer was on, and when / from where (?position=2 for one co-signer)
+ */
+router.get('/request/:linkCode/revisions', authenticateAgentOrApiKey, async (req, res) => {
+  try {
+    const { company } = req;
+    const { linkCode } = req.params;
+    
+    const intake = await prisma.intake.findFirst({
+      where: {
+        linkCode,
+        companyId: company.id,
+      },
+      select: { id: true },
+    });
+    
+    if (!intake) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    
+    const position = parseInt(req.query.position, 10) || undefined;
+    
+    res.json({
+      linkCode,
+      revisions: await listDraftRevisions(intake.id, { position }),
+    });
+    
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+});
+
+/**
+ * GET /api/agent/request/:linkCode/payments
+ * Payment plan, installment schedule, payment history (including failed card
+ * attempts) and the balance for a request
+ */
+router.get('/request/:linkCode/payments', authenticateAgentOrApiKey, async (req, res) => {
+  try {
+    const { company } = req;
+    const { linkCode } = req.params;
+    
+    const intake = await prisma.intake.findFirst({
+      where: {
+        linkCode,
+        companyId: company.id,
+      },
+      select: { id: true, linkCode: true, status: true, defendantData: true, indemnitorData: true },
+    });
+    
+    if (!intake) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    
+    res.json({
+      linkCode: intake.linkCode,
+      status: intake.status,
+      defendant: {
+        firstName: intake.defendantData?.firstName,
+        lastName: intake.defendantData?.lastName,
+      },
+      coSigner: {
+        firstName: intake.indemnitorData?.firstName,
+        lastName: intake.indemnitorData?.lastName,
+      },
+      paymentPlan: await getPaymentSummary(intake.id),
+    });
+    
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ error: 'Failed to fetch payments' });
+  }
+});
+
+/**
+ * POST /api/agent/request/:linkCode/payments
+ * Record a premium payment taken in person
+ * Body: { amount, method: "cash" | "check" | "money_order", note? } - amount in dollars
+ */
+router.post('/request/:linkCode/payments', authenticateAgentOrApiKey, async (req, res) => {
+  try {
+    const { company, agent } = req;
+    const { linkCode } = req.params;
+    const { amount, method, note } = req.body;
+    
+    const intake = await prisma.intake.findFirst({
+      where: {
+        linkCode,
+        companyId: company.id,
+      },
+    });
+    
+    if (!intake) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    
+    const result = await recordOfflinePayment({
+      intake,
+      agent,
+      amountCents: toCents(amount),
+      method,
+      note: note?.trim(),
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+    
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    res.status(201).json({
+      success: true,
+      receiptNumber: result.payment.receiptNumber,
+      paymentPlan: await getPaymentSummary(intake.id),
+    });
+    
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.status(500).json({ error: 'Failed to record payment' });
+  }
+});
+
 /**
  * POST /api/agent/resend/:linkCode
  * Resend the e-sign request to co-signer
+ * Body: { deliveryMethod?, party? } - party is an additional co-signer's position (2, 3, ...)
  */
-router.post('/resend/:linkCode', validateApiKey, async (req, res) => {
+router.post('/resend/:linkCode', authenticateAgentOrApiKey, async (req, res) => {
   try {
     const { company } = req;
     const { linkCode } = req.params;
-    const { deliveryMethod } = req.body; // Optional: override original delivery method
+    const { deliveryMethod, party: position } = req.body; // Optional: override original delivery method
     
     const intake = await prisma.intake.findFirst({
       where: {
@@ -411,6 +1053,7 @@ router.post('/resend/:linkCode', validateApiKey, async (req, res) => {
         companyId: company.id,
         source: 'AGENT',
       },
+      include: { parties: true },
     });
     
     if (!intake) {
@@ -421,12 +1064,26 @@ router.post('/resend/:linkCode', validateApiKey, async (req, res) => {
       return res.status(400).json({ error: 'Request already completed' });
     }
     
+    const party = position ? intake.parties.find(p => p.position === Number(position)) : null;
+    
+    if (position && !party) {
+      return res.status(404).json({ error: 'Co-signer not found' });
+    }
+    
+    if ((party || intake).signedAt) {
+      return res.status(400).json({ error: 'This co-signer has already signed' });
+    }
+    
     const method = deliveryMethod || intake.deliveryMethod;
-    const coSigner = intake.indemnitorData;
+    const coSigner = (party || intake).indemnitorData;
     const defendant = intake.defendantData;
     
+    if (method === 'sms' && coSigner.cellPhone && await isSmsOptedOut(coSigner.cellPhone)) {
+      return res.status(409).json({ error: 'This phone number has opted out of text messages (replied STOP)' });
+    }
+    
     const baseUrl = process.env.BASE_URL || 'https://www.bondprospects.com';
-    const intakeUrl = `${baseUrl}/${company.slug}/${linkCode}`;
+    const intakeUrl = `${baseUrl}/${company.slug}/${party?.linkCode || linkCode}`;
     
     const sendResult = await sendESignRequest({
       deliveryMethod: method,
@@ -436,21 +1093,22 @@ router.post('/resend/:linkCode', validateApiKey, async (req, res) => {
       defendantName: `${defendant.firstName} ${defendant.lastName}`,
       companyName: company.name,
       intakeUrl,
+      intakeId: intake.id,
+      language: getSignerLanguage(intake, party),
     });
     
     // Log the resend
-    await prisma.auditLog.create({
-      data: {
-        intakeId: intake.id,
-        action: 'agent_request_resent',
-        details: {
-          deliveryMethod: method,
-          sendSuccess: sendResult.success,
-          sendError: sendResult.error,
-        },
-        ipAddress: req.ip,
-        userAgent: req.get('user-agent'),
+    await recordAudit({
+      intakeId: intake.id,
+      action: 'agent_request_resent',
+      details: {
+        ...partyAuditDetails(party),
+        deliveryMethod: method,
+        sendSuccess: sendResult.success,
+        sendError: sendResult.error,
       },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
     });
     
     res.json({
@@ -465,11 +1123,153 @@ router.post('/resend/:linkCode', validateApiKey, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/agent/request/:linkCode/extend
+ * Extend an open or expired e-sign request, optionally reissuing it under a new link code
+ * Body: { expiresInDays = 30, reissue = false, notify = true }
+ * Reissuing retires the old link; notify sends every co-signer who hasn't signed yet
+ * their link again (the primary's new one when reissued) - `deliveries` has one result each.
+ */
+router.post('/request/:linkCode/extend', authenticateAgentOrApiKey, async (req, res) => {
+  try {
+    const { company } = req;
+    const { linkCode } = req.params;
+    const { expiresInDays = 30, reissue = false, notify = true } = req.body;
+
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 90) {
+      return res.status(400).json({ error: 'expiresInDays must be between 1 and 90' });
+    }
+
+    const intake = await prisma.intake.findFirst({
+      where: {
+        linkCode,
+        companyId: company.id,
+        source: 'AGENT',
+      },
+      include: { parties: { orderBy: { position: 'asc' } } },
+    });
+
+    if (!intake) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    if (intake.status === 'COMPLETED' || intake.status === 'CANCELLED') {
+      return res.status(400).json({ error: `Cannot extend a ${intake.status.toLowerCase()} request` });
+    }
+
+    // Put an expired request back where it was before it expired
+    let status = intake.status;
+    if (status === 'EXPIRED') {
+      const expiredLog = await prisma.auditLog.findFirst({
+        where: { intakeId: intake.id, action: 'expired' },
+        orderBy: { createdAt: 'desc' },
+      });
+      status = expiredLog?.details?.previousStatus || 'PENDING';
+    }
+
+    const newLinkCode = reissue ? nanoid(8).toUpperCase() : intake.linkCode;
+
+    const extended = await prisma.intake.update({
+      where: { id: intake.id },
+      data: {
+        linkCode: newLinkCode,
+        status,
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+      },
+    });
+
+    const baseUrl = process.env.BASE_URL || 'https://www.bondprospects.com';
+    const intakeUrl = `${baseUrl}/${company.slug}/${newLinkCode}`;
+
+    const defendant = intake.defendantData;
+    const deliveries = [];
+
+    // Only those still to sign - the primary may be done with just additional co-signers left
+    const signers = [
+      ...(intake.signedAt ? [] : [null]),
+      ...intake.parties.filter(party => !party.signedAt),
+    ];
+
+    for (const party of notify ? signers : []) {
+      const coSigner = (party || intake).indemnitorData;
+      let sendResult;
+
+      if (intake.deliveryMethod === 'sms' && await isSmsOptedOut(coSigner.cellPhone)) {
+        sendResult = { success: false, error: 'This phone number has opted out of text messages (replied STOP)' };
+      } else {
+        sendResult = await sendESignRequest({
+          deliveryMethod: intake.deliveryMethod,
+          recipientEmail: coSigner.email,
+          recipientPhone: coSigner.cellPhone,
+          recipientName: `${coSigner.firstName} ${coSigner.lastName}`,
+          defendantName: `${defendant.firstName} ${defendant.lastName}`,
+          companyName: company.name,
+          intakeUrl: party ? `${baseUrl}/${company.slug}/${party.linkCode}` : intakeUrl,
+          intakeId: intake.id,
+          language: getSignerLanguage(intake, party),
+        });
+      }
+
+      if (sendResult.success) {
+        if (party) {
+          await prisma.intakeParty.update({
+            where: { id: party.id },
+            data: { requestSentAt: new Date() },
+          });
+        } else {
+          await prisma.intake.update({
+            where: { id: intake.id },
+            data: { requestSentAt: new Date() },
+          });
+        }
+      }
+
+      deliveries.push({
+        position: party?.position || 1,
+        sentTo: intake.deliveryMethod === 'email' ? coSigner.email : coSigner.cellPhone,
+        success: sendResult.success,
+        error: sendResult.error,
+      });
+    }
+
+    const failed = deliveries.filter(delivery => !delivery.success);
+
+    await recordAudit({
+      intakeId: intake.id,
+      action: reissue ? 'link_reissued' : 'link_extended',
+      details: {
+        previousLinkCode: reissue ? intake.linkCode : undefined,
+        previousStatus: intake.status,
+        previousExpiresAt: intake.expiresAt,
+        expiresAt: extended.expiresAt,
+        deliveries: deliveries.map(({ position, success, error }) => ({ position, success, error })),
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+
+    res.json({
+      success: true,
+      linkCode: newLinkCode,
+      intakeUrl,
+      status: extended.status,
+      expiresAt: extended.expiresAt,
+      deliveries,
+      sendSuccess: notify ? failed.length === 0 : undefined,
+      sendError: failed[0]?.error,
+    });
+
+  } catch (error) {
+    console.error('Extend request error:', error);
+    res.status(500).json({ error: 'Failed to extend request' });
+  }
+});
+
 /**
  * DELETE /api/agent/request/:linkCode
  * Cancel an e-sign request
  */
-router.delete('/request/:linkCode', validateApiKey, async (req, res) => {
+router.delete('/request/:linkCode', authenticateAgentOrApiKey, async (req, res) => {
   try {
     const { company } = req;
     const { linkCode } = req.params;
@@ -490,21 +1290,21 @@ router.delete('/request/:linkCode', validateApiKey, async (req, res) => {
       return res.status(400).json({ error: 'Cannot cancel completed request' });
     }
     
-    await prisma.intake.update({
+    const cancelled = await prisma.intake.update({
       where: { id: intake.id },
       data: { status: 'CANCELLED' },
     });
     
-    await prisma.auditLog.create({
-      data: {
-        intakeId: intake.id,
-        action: 'agent_request_cancelled',
-        details: {},
-        ipAddress: req.ip,
-        userAgent: req.get('user-agent'),
-      },
+    await recordAudit({
+      intakeId: intake.id,
+      action: 'agent_request_cancelled',
+      details: {},
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
     });
     
+    await emitIntakeEvent('intake.cancelled', cancelled);
+    
     res.json({ success: true });
     
   } catch (error) {
@@ -1,73 +1,165 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { nanoid } from 'nanoid';
+import { emitIntakeEvent } from '../services/webhookService.js';
+import { recordAudit } from '../services/auditService.js';
+import { normalizeLanguage } from '../utils/i18n.js';
+import { createStartChallenge, verifyStartChallenge } from '../services/startChallengeService.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+/**
+ * Count a landing page view / application start for today (see LandingPageStat)
+ * Counting is best effort - it never fails the request
+ */
+async function countLandingPage(companyId, counter) {
+  const day = new Date(new Date().toISOString().slice(0, 10));
+  
+  try {
+    await prisma.landingPageStat.upsert({
+      where: { companyId_day: { companyId, day } },
+      create: { companyId, day, [counter]: 1 },
+      update: { [counter]: { increment: 1 } }
+    });
+  } catch (error) {
+    console.error('Failed to count landing page stat:', error);
+  }
+}
+
+/**
+ * The company page's settings, by slug (case-insensitive) - null if there's no such company
+ */
+function findCompanyBySlug(slug) {
+  return prisma.company.findFirst({
+    where: {
+      slug: {
+        equals: slug.toLowerCase(),
+        mode: 'insensitive'
+      }
+    },
+    select: {
+      id: true,
+      slug: true,
+      name: true,
+      address: true,
+      city: true,
+      state: true,
+      zip: true,
+      phone: true,
+      email: true,
+      logo: true,
+      primaryColor: true,
+      wizardType: true,
+      requiredFields: true
+    }
+  });
+}
+
 /**
  * GET /api/company/:slug
- * Get company by slug and auto-create an intake session
+ * Get company by slug - the wizard's settings only, no intake is created
+ * (see POST /api/company/:slug/intakes)
+ * Query: ?landing=1 - counts a view of the company's landing page
  */
 router.get('/:slug', async (req, res, next) => {
   try {
-    const { slug } = req.params;
+    const company = await findCompanyBySlug(req.params.slug);
     
-    // Find company by slug (case-insensitive)
-    const company = await prisma.company.findFirst({
-      where: {
-        slug: {
-          equals: slug.toLowerCase(),
-          mode: 'insensitive'
-        }
-      },
-      select: {
-        id: true,
-        slug: true,
-        name: true,
-        address: true,
-        city: true,
-        state: true,
-        zip: true,
-        phone: true,
-        email: true,
-        logo: true,
-        primaryColor: true,
-        wizardType: true,
-        requiredFields: true
-      }
-    });
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    
+    if (req.query.landing) {
+      await countLandingPage(company.id, 'views');
+    }
+    
+    res.json({ company });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/company/:slug/start-challenge
+ * A bot-check challenge to solve before starting an application (see startChallengeService)
+ */
+router.get('/:slug/start-challenge', async (req, res, next) => {
+  try {
+    const company = await findCompanyBySlug(req.params.slug);
+    
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    
+    res.json(createStartChallenge(company));
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/company/:slug/intakes
+ * Start an application from the company page - called on the visitor's first save
+ * Body: { challenge, solution, website, language }
+ * (`website` is a field people never see - bots that fill it in are turned away)
+ */
+router.post('/:slug/intakes', async (req, res, next) => {
+  try {
+    const { challenge, solution, website, language } = req.body;
+    
+    const company = await findCompanyBySlug(req.params.slug);
     
     if (!company) {
       return res.status(404).json({ error: 'Company not found' });
     }
     
-    // Auto-create a new intake session for this visitor
+    if (website) {
+      return res.status(400).json({ error: 'Unable to start the application' });
+    }
+    
+    const check = verifyStartChallenge(company, { token: challenge, solution });
+    if (!check.success) {
+      return res.status(400).json({ error: check.error, challengeFailed: true });
+    }
+    
     const linkCode = nanoid(8);
     const expiresAt = new Date();
     expiresAt.setDate(expiresAt.getDate() + 7); // 7 day expiration
     
-    const intake = await prisma.intake.create({
-      data: {
-        linkCode,
-        companyId: company.id,
-        expiresAt
+    let intake;
+    try {
+      intake = await prisma.intake.create({
+        data: {
+          linkCode,
+          companyId: company.id,
+          expiresAt,
+          startChallenge: check.nonce,
+          preferredLanguage: normalizeLanguage(language)
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(400).json({ error: 'Challenge already used', challengeFailed: true });
       }
-    });
+      throw error;
+    }
     
-    // Log the visit
-    await prisma.auditLog.create({
-      data: {
-        intakeId: intake.id,
-        action: 'created_via_slug',
-        details: { slug, userAgent: req.get('user-agent') },
-        ipAddress: req.ip,
-        userAgent: req.get('user-agent')
-      }
+    await recordAudit({
+      intakeId: intake.id,
+      action: 'created_via_slug',
+      details: { slug: company.slug, userAgent: req.get('user-agent') },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
     });
     
-    res.json({
-      company,
+    await countLandingPage(company.id, 'starts');
+    
+    await emitIntakeEvent('intake.created', intake);
+    
+    res.status(201).json({
       intake: {
         id: intake.id,
         linkCode: intake.linkCode,
@@ -8,15 +8,31 @@ import {
   generateImmigrationBondAgreement,
   generateAllForms
 } from '../services/formTemplates.js';
-import { getCompanyTemplates, getCompanyTemplateInfo } from '../services/formTemplateLoader.js';
+import { getCompanyTemplates, getCompanyTemplateInfo, getTranslatedTemplates } from '../services/formTemplateLoader.js';
+import { maskSensitiveFields } from '../utils/fieldEncryption.js';
+import { getBonds } from '../utils/bonds.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const GENERATOR_NAMES = {
+  'pre-application': 'generatePreApplication',
+  'reference-form': 'generateReferenceForm',
+  'immigration-waiver': 'generateImmigrationWaiver',
+  'indemnitor-application': 'generateIndemnitorApplication',
+  'immigration-bond-agreement': 'generateImmigrationBondAgreement'
+};
+
 /**
  * Get the correct template generator for a company
+ * With a language, the company's translation of the form if it has one
  */
-async function getTemplateGenerator(companyId, formType) {
+async function getTemplateGenerator(companyId, formType, language = null) {
+  if (language) {
+    const translated = (await getTranslatedTemplates(companyId, language))[GENERATOR_NAMES[formType]];
+    if (translated) return translated;
+  }
+  
   const templates = await getCompanyTemplates(companyId);
   
   const generatorMap = {
@@ -45,8 +61,9 @@ router.get('/templates/:companyId', async (req, res, next) => {
 });
 
 /**
- * GET /api/forms/preview/:intakeId/:formType
+ * GET /api/forms/preview/:intakeId/:formType?language=es
  * Preview a form as HTML (for viewing and printing)
+ * ?language= shows the company's translation of the form, if it has one
  */
 router.get('/preview/:intakeId/:formType', async (req, res, next) => {
   try {
@@ -62,12 +79,17 @@ router.get('/preview/:intakeId/:formType', async (req, res, next) => {
       return res.status(404).json({ error: 'Intake not found' });
     }
     
+    // Previews are plain HTML responses - SSN / license / DOB stay masked
+    const { defendantData, indemnitorData } = maskSensitiveFields(intake);
+    const bonds = getBonds(intake);
+    
     // Build form data from intake
     const formData = {
-      defendant: intake.defendantData || {},
-      indemnitor: intake.indemnitorData || {},
+      defendant: defendantData || {},
+      indemnitor: indemnitorData || {},
       references: intake.referencesData || [],
-      bond: intake.bondData || {},
+      bond: intake.bondData || bonds[0] || {},
+      bonds,
       company: {
         name: intake.company?.name || 'Bail Bond Company',
         address: intake.company?.address || '',
@@ -83,7 +105,7 @@ router.get('/preview/:intakeId/:formType', async (req, res, next) => {
     const signatures = intake.signatures || {};
     
     // Get the correct template generator for this company
-    const generator = await getTemplateGenerator(intake.companyId, formType);
+    const generator = await getTemplateGenerator(intake.companyId, formType, req.query.language);
     
     if (!generator) {
       return res.status(400).json({ error: 'Invalid form type' });
@@ -102,6 +124,7 @@ router.get('/preview/:intakeId/:formType', async (req, res, next) => {
 /**
  * GET /api/forms/print/:intakeId
  * Get all forms combined as a single printable HTML page
+ * Each form is followed by its translation in the co-signer's language, where the company supplies one
  */
 router.get('/print/:intakeId', async (req, res, next) => {
   try {
@@ -117,12 +140,17 @@ router.get('/print/:intakeId', async (req, res, next) => {
       return res.status(404).json({ error: 'Intake not found' });
     }
     
+    // Previews are plain HTML responses - SSN / license / DOB stay masked
+    const { defendantData, indemnitorData } = maskSensitiveFields(intake);
+    const bonds = getBonds(intake);
+    
     // Build form data from intake
     const formData = {
-      defendant: intake.defendantData || {},
-      indemnitor: intake.indemnitorData || {},
+      defendant: defendantData || {},
+      indemnitor: indemnitorData || {},
       references: intake.referencesData || [],
-      bond: intake.bondData || {},
+      bond: intake.bondData || bonds[0] || {},
+      bonds,
       company: {
         name: intake.company?.name || 'Bail Bond Company',
         address: intake.company?.address || '',
@@ -139,9 +167,10 @@ router.get('/print/:intakeId', async (req, res, next) => {
     
     // Get company-specific templates
     const templates = await getCompanyTemplates(intake.companyId);
+    const translations = await getTranslatedTemplates(intake.companyId, intake.preferredLanguage);
     
     // Generate combined printable HTML
-    const html = generateCombinedForms(formData, signatures, templates);
+    const html = generateCombinedForms(formData, signatures, templates, translations);
     
     res.setHeader('Content-Type', 'text/html');
     res.send(html);
@@ -195,8 +224,9 @@ router.post('/generate', async (req, res, next) => {
 
 /**
  * Generate all forms combined into a single printable HTML document
+ * `translations` (from getTranslatedTemplates) adds a translated copy after each English form
  */
-function generateCombinedForms(data, signatures, templates = null) {
+function generateCombinedForms(data, signatures, templates = null, translations = {}) {
   // Use provided templates or default
   const genPreApp = templates?.generatePreApplication || generatePreApplication;
   const genRef = templates?.generateReferenceForm || generateReferenceForm;
@@ -216,6 +246,14 @@ function generateCombinedForms(data, signatures, templates = null) {
     return match ? match[1] : '';
   };
   
+  // The English form, then its translation (if any)
+  const withTranslation = (html, generatorName) => {
+    const translate = translations[generatorName];
+    return translate
+      ? `${extractBody(html)}\n    ${extractBody(translate(data, signatures))}`
+      : extractBody(html);
+  };
+  
   const primaryColor = data.company?.primaryColor || '#f7941d';
   
   const combinedStyles = `
@@ -278,11 +316,11 @@ function generateCombinedForms(data, signatures, templates = null) {
   </div>
   
   <div class="content-wrapper">
-    ${extractBody(preApp)}
-    ${extractBody(refForm)}
-    ${extractBody(waiver)}
-    ${extractBody(indemnitor)}
-    ${extractBody(bondAgreement)}
+    ${withTranslation(preApp, 'generatePreApplication')}
+    ${withTranslation(refForm, 'generateReferenceForm')}
+    ${withTranslation(waiver, 'generateImmigrationWaiver')}
+    ${withTranslation(indemnitor, 'generateIndemnitorApplication')}
+    ${withTranslation(bondAgreement, 'generateImmigrationBondAgreement')}
   </div>
   
   <script>
@@ -1,87 +1,274 @@
 import express from 'express';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient, Prisma } from '@prisma/client';
 import { nanoid } from 'nanoid';
 import { validateIntakeData } from '../utils/validation.js';
-import { generateAllPdfs } from '../services/pdfService.js';
-import { sendCompletionEmail } from '../services/emailService.js';
+import { listIntakeDocuments, findIntakeDocument, openDocumentStream, deleteDocument } from '../services/documentService.js';
+import { enqueueSubmissionJobs } from '../services/jobHandlers.js';
+import { emitIntakeEvent } from '../services/webhookService.js';
+import { expireIntake } from '../services/expiryService.js';
+import { protectSensitiveFields, maskSensitiveFields, mapAdditionalDefendants } from '../utils/fieldEncryption.js';
+import { authenticateAgent } from '../utils/agentAuth.js';
+import { signIntakeAccessToken, hasIntakeAccess } from '../utils/intakeAuth.js';
+import { buildSignatureEvidence, hasESignConsent } from '../services/signatureEvidenceService.js';
+import {
+  getVerificationChannels,
+  getMaskedDestinations,
+  sendIntakeOtp,
+  verifyIntakeOtp,
+} from '../services/otpService.js';
+import { recordAudit } from '../services/auditService.js';
+import { sendIntakeResumeLink } from '../services/resumeLinkService.js';
+import {
+  DRAFT_SECTIONS,
+  PARTY_DRAFT_SECTIONS,
+  validateDraftChanges,
+  applyDraftChanges,
+  sanitizeStepId,
+  sanitizeSectionProgress,
+  recordDraftRevision,
+} from '../services/draftService.js';
+import { findByLinkCode, allPartiesSigned, partyAuditDetails } from '../services/partyService.js';
+import { getSignerLanguage, isSupportedLanguage } from '../utils/i18n.js';
+import { getPdfDisplayName, parsePdfDocumentName } from '../services/pdfService.js';
+import { getPaymentSummary, collectCardPayment } from '../services/paymentService.js';
+import { getPaymentProvider } from '../services/paymentProviderService.js';
+import {
+  COLLATERAL_UPLOAD_TYPES,
+  MAX_COLLATERAL_UPLOAD_BYTES,
+  storeCollateralUpload,
+  listCollateralUploads,
+  parseCollateralDocumentName,
+  toCollateralDocument,
+  sanitizeCollateral,
+  validateCollateral,
+  getCollateralTotal,
+  pruneCollateralUploads,
+} from '../services/collateralService.js';
+import {
+  MAX_ID_IMAGE_BYTES,
+  canUploadId,
+  idDocumentName,
+  storeIdImage,
+  listIdDocuments,
+  toIdDocument,
+} from '../services/identityDocumentService.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Statuses co-signers can still fill in and sign
+const OPEN_STATUSES = ['PENDING', 'IN_PROGRESS'];
+
+/**
+ * Does the co-signer still have to verify their identity before seeing / changing this intake?
+ */
+function isVerificationPending(req, intake, company, party) {
+  return getVerificationChannels(intake, company, party).length > 0 && !hasIntakeAccess(req, intake, party);
+}
+
+/**
+ * When this link's co-signer signed (null if they haven't yet)
+ */
+function getSignedAt(intake, party) {
+  if (party) return party.signedAt;
+  return intake.signedAt || (intake.status === 'COMPLETED' ? intake.submittedAt : null);
+}
+
+/**
+ * Why this link's intake can no longer be opened or changed - cancelled by the agent,
+ * completed, or expired (marked expired here if the sweep hasn't got to it yet).
+ * Returns { status, error }, or null while the intake is open.
+ */
+async function getClosedIntakeError(req, intake) {
+  if (intake.status === 'CANCELLED') {
+    return { status: 410, error: 'This request was cancelled' };
+  }
+  
+  if (intake.status === 'COMPLETED') {
+    return { status: 409, error: 'Form already submitted' };
+  }
+  
+  if (intake.status === 'EXPIRED' || new Date() > intake.expiresAt) {
+    await expireIntake(intake, {
+      trigger: 'access',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+    return { status: 410, error: 'This form link has expired' };
+  }
+  
+  return null;
+}
+
+/**
+ * Was the server copy saved after the draft being saved was loaded (from another device)?
+ */
+function isStaleDraft(savedAt, baseSavedAt) {
+  if (!savedAt) return false;
+  return !baseSavedAt || savedAt > new Date(baseSavedAt);
+}
+
+/**
+ * Complete the intake once every co-signer has signed - that kicks off the
+ * PDFs, agent emails and Bailbooks push. Returns the completed intake, or null
+ * while someone still has to sign.
+ */
+async function completeIntakeIfAllSigned(intakeId, req) {
+  const intake = await prisma.intake.findUnique({
+    where: { id: intakeId },
+    include: { parties: true }
+  });
+  
+  if (!allPartiesSigned(intake)) return null;
+  
+  // Two co-signers finishing at the same moment must only complete it once
+  const { count } = await prisma.intake.updateMany({
+    where: { id: intakeId, status: { in: OPEN_STATUSES } },
+    data: {
+      status: 'COMPLETED',
+      submittedAt: new Date(),
+      generatedPdfs: Prisma.DbNull
+    }
+  });
+  
+  if (count === 0) return null;
+  
+  await recordAudit({
+    intakeId,
+    action: 'submitted',
+    details: { coSignerCount: intake.parties.length + 1 },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  
+  // PDFs, agent emails and the Bailbooks push run as retryable background jobs
+  await enqueueSubmissionJobs(intakeId);
+  
+  const completed = await prisma.intake.findUnique({ where: { id: intakeId } });
+  await emitIntakeEvent('intake.submitted', completed);
+  
+  return completed;
+}
+
 /**
  * GET /api/intake/:linkCode
  * Retrieve intake form data by link code (for customer to fill out)
+ * Additional co-signers' link codes return the intake with their own section
  */
 router.get('/:linkCode', async (req, res, next) => {
   try {
     const { linkCode } = req.params;
     
-    const intake = await prisma.intake.findUnique({
-      where: { linkCode },
-      include: {
-        company: {
-          select: {
-            id: true,
-            name: true,
-            slug: true,
-            address: true,
-            city: true,
-            state: true,
-            zip: true,
-            phone: true,
-            logo: true
-          }
+    const found = await findByLinkCode(linkCode, {
+      company: {
+        select: {
+          id: true,
+          name: true,
+          slug: true,
+          address: true,
+          city: true,
+          state: true,
+          zip: true,
+          phone: true,
+          logo: true,
+          identityVerification: true
         }
+      },
+      parties: {
+        select: { position: true }
+      },
+      installments: {
+        select: { sequence: true, amountCents: true, dueDate: true },
+        orderBy: { sequence: 'asc' }
       }
     });
     
-    if (!intake) {
+    if (!found) {
       return res.status(404).json({ error: 'Intake form not found' });
     }
     
-    // Check if expired
-    if (new Date() > intake.expiresAt) {
-      await prisma.intake.update({
-        where: { id: intake.id },
-        data: { status: 'EXPIRED' }
-      });
-      return res.status(410).json({ error: 'This form link has expired' });
-    }
+    const { intake, party } = found;
     
-    // Check if already completed
-    if (intake.status === 'COMPLETED') {
+    // Check if already completed (or this co-signer already signed their part)
+    const signedAt = getSignedAt(intake, party);
+    if (signedAt) {
       return res.status(409).json({ 
         error: 'This form has already been submitted',
-        submittedAt: intake.submittedAt
+        submittedAt: signedAt
+      });
+    }
+    
+    // Cancelled by the agent, or expired (the sweep may not have caught it yet)
+    const closed = await getClosedIntakeError(req, intake);
+    if (closed) {
+      return res.status(closed.status).json({ error: closed.error });
+    }
+    
+    // No prefilled data until the co-signer enters the passcode we send them
+    if (isVerificationPending(req, intake, intake.company, party)) {
+      return res.status(401).json({
+        error: 'Please verify your identity to continue',
+        verificationRequired: true,
+        channels: getVerificationChannels(intake, intake.company, party),
+        destinations: getMaskedDestinations(party || intake),
+        preferredLanguage: getSignerLanguage(intake, party),
+        company: {
+          name: intake.company.name,
+          logo: intake.company.logo,
+        },
       });
     }
     
     // Log view
-    await prisma.auditLog.create({
-      data: {
-        intakeId: intake.id,
-        action: 'viewed',
-        ipAddress: req.ip,
-        userAgent: req.get('user-agent')
-      }
+    await recordAudit({
+      intakeId: intake.id,
+      action: 'viewed',
+      details: partyAuditDetails(party),
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
     });
     
+    // SSNs, license numbers and DOBs are only ever returned masked
+    const { defendantData } = maskSensitiveFields(intake);
+    const { indemnitorData } = maskSensitiveFields(party || intake);
+    
     // Return intake data (excluding sensitive internal fields)
     res.json({
       id: intake.id,
-      linkCode: intake.linkCode,
-      status: intake.status,
+      linkCode,
+      status: party ? party.status : intake.status,
       source: intake.source,
       company: {
         ...intake.company,
         slug: intake.company?.slug,
       },
-      defendantData: intake.defendantData,
-      indemnitorData: intake.indemnitorData,
-      referencesData: intake.referencesData,
+      defendantData,
+      additionalDefendants: mapAdditionalDefendants(intake.additionalDefendants, maskSensitiveFields) || [],
+      indemnitorData,
+      referencesData: (party || intake).referencesData,
+      // This co-signer's own collateral (uploads are under /collateral)
+      collateralData: (party || intake).collateralData || [],
+      // ID photos this co-signer has uploaded (under /id/:subject/:side)
+      idDocuments: (await listIdDocuments(intake.id, party?.position || 1)).map(toIdDocument),
       bondData: intake.bondData,
       bondsData: intake.bondsData,
       sharedBondData: intake.sharedBondData,
+      // Which co-signer this link is for - additional co-signers only fill in their own section
+      coSigner: {
+        position: party?.position || 1,
+        total: intake.parties.length + 1
+      },
+      // The premium payment plan every co-signer accepts and signs
+      paymentPlan: intake.paymentPlan
+        ? { ...intake.paymentPlan, installments: intake.installments }
+        : null,
+      // Language the agent picked (or this co-signer switched to) - see PUT /language
+      preferredLanguage: getSignerLanguage(intake, party),
+      // Last autosave - the wizard compares its offline draft against it
+      savedAt: (party || intake).draftSavedAt,
+      // Where the co-signer left off (on whichever device) - see PATCH /draft
+      currentStep: (party || intake).currentStep,
+      sectionProgress: (party || intake).sectionProgress || {},
       expiresAt: intake.expiresAt
     });
     
@@ -98,28 +285,41 @@ router.post('/:linkCode/opened', async (req, res, next) => {
   try {
     const { linkCode } = req.params;
     
-    const intake = await prisma.intake.findUnique({
-      where: { linkCode }
-    });
+    const found = await findByLinkCode(linkCode);
     
-    if (!intake) {
+    if (!found) {
       return res.status(404).json({ error: 'Intake form not found' });
     }
     
+    const { intake, party } = found;
+    
+    const closed = await getClosedIntakeError(req, intake);
+    if (closed) {
+      return res.status(closed.status).json({ error: closed.error });
+    }
+    
     // Only update if not already opened
-    if (!intake.requestOpenedAt) {
-      await prisma.intake.update({
-        where: { id: intake.id },
-        data: { requestOpenedAt: new Date() }
-      });
+    if (!(party || intake).requestOpenedAt) {
+      if (party) {
+        await prisma.intakeParty.update({
+          where: { id: party.id },
+          data: { requestOpenedAt: new Date() }
+        });
+      } else {
+        const opened = await prisma.intake.update({
+          where: { id: intake.id },
+          data: { requestOpenedAt: new Date() }
+        });
+        
+        await emitIntakeEvent('intake.opened', opened);
+      }
       
-      await prisma.auditLog.create({
-        data: {
-          intakeId: intake.id,
-          action: 'request_opened',
-          ipAddress: req.ip,
-          userAgent: req.get('user-agent')
-        }
+      await recordAudit({
+        intakeId: intake.id,
+        action: 'request_opened',
+        details: partyAuditDetails(party),
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
       });
     }
     
@@ -130,24 +330,311 @@ router.post('/:linkCode/opened', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/intake/:linkCode/otp/send
+ * Send the co-signer a one-time passcode
+ * Body: { channel: "sms" | "email" } (defaults to the first channel the company allows)
+ */
+router.post('/:linkCode/otp/send', async (req, res, next) => {
+  try {
+    const { linkCode } = req.params;
+    
+    const found = await findByLinkCode(linkCode, { company: true });
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Intake form not found' });
+    }
+    
+    const { intake, party } = found;
+    const channels = getVerificationChannels(intake, intake.company, party);
+    const channel = req.body.channel || channels[0];
+    
+    if (!channels.includes(channel)) {
+      return res.status(400).json({ error: 'Verification is not available for this form' });
+    }
+    
+    const result = await sendIntakeOtp(intake, intake.company, channel, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      party
+    });
+    
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error, lockedUntil: result.lockedUntil });
+    }
+    
+    res.json({ success: true, channel, sentTo: getMaskedDestinations(party || intake)[channel] });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/intake/:linkCode/otp/verify
+ * Check the passcode - returns an access token to send as X-Intake-Token
+ */
+router.post('/:linkCode/otp/verify', async (req, res, next) => {
+  try {
+    const { linkCode } = req.params;
+    
+    const found = await findByLinkCode(linkCode);
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Intake form not found' });
+    }
+    
+    const { intake, party } = found;
+    
+    const result = await verifyIntakeOtp(intake, req.body.code, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      party
+    });
+    
+    if (!result.success) {
+      return res.status(result.status).json({
+        error: result.error,
+        attemptsRemaining: result.attemptsRemaining,
+        lockedUntil: result.lockedUntil
+      });
+    }
+    
+    res.json({ success: true, token: signIntakeAccessToken(intake, party) });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/intake/:linkCode/language
+ * Remember the language the co-signer switched the wizard to - their texts,
+ * emails and translated documents use it from then on
+ * Body: { language: "en" | "es" }
+ */
+router.put('/:linkCode/language', async (req, res, next) => {
+  try {
+    const { linkCode } = req.params;
+    const { language } = req.body;
+    
+    if (!isSupportedLanguage(language)) {
+      return res.status(400).json({ error: 'Unsupported language' });
+    }
+    
+    const found = await findByLinkCode(linkCode, { company: true });
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Intake form not found' });
+    }
+    
+    const { intake, party } = found;
+    
+    if (isVerificationPending(req, intake, intake.company, party)) {
+      return res.status(401).json({ error: 'Please verify your identity to continue', verificationRequired: true });
+    }
+    
+    if (getSignedAt(intake, party)) {
+      return res.status(409).json({ error: 'Form already submitted' });
+    }
+    
+    const previous = getSignerLanguage(intake, party);
+    
+    if (language !== previous) {
+      if (party) {
+        await prisma.intakeParty.update({
+          where: { id: party.id },
+          data: { preferredLanguage: language }
+        });
+      } else {
+        await prisma.intake.update({
+          where: { id: intake.id },
+          data: { preferredLanguage: language }
+        });
+      }
+      
+      await recordAudit({
+        intakeId: intake.id,
+        action: 'language_changed',
+        details: { from: previous, to: language, ...partyAuditDetails(party) },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    }
+    
+    res.json({ success: true, preferredLanguage: language });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Merge an autosave into this link's draft (Intake, or IntakeParty for an additional
+ * co-signer) and keep it as a revision - shared by PATCH /draft and POST /save.
+ * `baseSavedAt` (the savedAt the wizard's copy started from, null for none) turns on
+ * the conflict check for drafts saved offline - a newer save from another device
+ * gets a 409 with `conflict: true` instead of being overwritten.
+ * `ignoreOtherSections` drops changes this link can't make instead of refusing them.
+ */
+async function saveDraft(req, res, { changes, currentStep, progress, baseSavedAt }, { ignoreOtherSections = false } = {}) {
+  const { linkCode } = req.params;
+  
+  const found = await findByLinkCode(linkCode, { company: true });
+  
+  if (!found) {
+    return res.status(404).json({ error: 'Intake form not found' });
+  }
+  
+  const { intake, party } = found;
+  const record = party || intake;
+  
+  if (isVerificationPending(req, intake, intake.company, party)) {
+    return res.status(401).json({ error: 'Please verify your identity to continue', verificationRequired: true });
+  }
+  
+  if (getSignedAt(intake, party)) {
+    return res.status(409).json({ error: 'Form already submitted' });
+  }
+  
+  const closed = await getClosedIntakeError(req, intake);
+  if (closed) {
+    return res.status(closed.status).json({ error: closed.error });
+  }
+  
+  if (baseSavedAt !== undefined && isStaleDraft(record.draftSavedAt, baseSavedAt)) {
+    return res.status(409).json({
+      error: 'This form was changed on another device',
+      conflict: true,
+      savedAt: record.draftSavedAt
+    });
+  }
+  
+  const sections = party ? PARTY_DRAFT_SECTIONS : DRAFT_SECTIONS;
+  if (ignoreOtherSections) {
+    changes = Object.fromEntries(Object.entries(changes).filter(([path]) => sections.includes(path.split('.')[0])));
+  }
+  
+  const invalid = validateDraftChanges(changes, sections);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  
+  const merged = applyDraftChanges(record, changes);
+  if (merged.collateralData !== undefined) {
+    merged.collateralData = sanitizeCollateral(merged.collateralData, await listCollateralUploads(intake.id, party?.position || 1));
+  }
+  
+  const data = {
+    ...protectSensitiveFields(merged, record),
+    status: 'IN_PROGRESS',
+    draftSavedAt: new Date()
+  };
+  if (currentStep !== undefined) {
+    data.currentStep = sanitizeStepId(currentStep);
+  }
+  if (progress !== undefined) {
+    data.sectionProgress = { ...record.sectionProgress, ...sanitizeSectionProgress(progress) };
+  }
+  
+  // Only while the intake is still open - an agent may have cancelled it since it was read
+  const { count } = party
+    ? await prisma.intakeParty.updateMany({
+      where: { id: party.id, intake: { status: { in: OPEN_STATUSES } } },
+      data
+    })
+    : await prisma.intake.updateMany({
+      where: { id: intake.id, status: { in: OPEN_STATUSES } },
+      data
+    });
+  
+  if (count === 0) {
+    return res.status(409).json({ error: 'This form can no longer be changed' });
+  }
+  
+  const updated = party
+    ? await prisma.intakeParty.findUnique({ where: { id: party.id } })
+    : await prisma.intake.findUnique({ where: { id: intake.id } });
+  
+  const revision = await recordDraftRevision({
+    intakeId: intake.id,
+    position: party?.position || 1,
+    changes,
+    currentStep: updated.currentStep,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  
+  if (!party) {
+    await emitIntakeEvent('intake.saved', updated);
+  }
+  
+  res.json({
+    success: true,
+    savedAt: updated.draftSavedAt,
+    version: revision.version
+  });
+}
+
+/**
+ * PATCH /api/intake/:linkCode/draft
+ * Auto-save only what changed: { changes: { "indemnitorData.city": "Austin", ... },
+ * currentStep, progress: { indemnitor: 80, ... }, baseSavedAt }
+ * Additional co-signers can only change their own indemnitor section, references and collateral
+ */
+router.patch('/:linkCode/draft', async (req, res, next) => {
+  try {
+    const { changes = {}, currentStep, progress, baseSavedAt } = req.body;
+    await saveDraft(req, res, { changes, currentStep, progress, baseSavedAt });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/intake/:linkCode/save
- * Save progress (auto-save as user fills out form)
+ * Save progress as whole sections (defendantData, indemnitorData, ...) - kept for older
+ * clients, the wizard uses PATCH /draft. Sections this link can't change are ignored.
  */
 router.post('/:linkCode/save', async (req, res, next) => {
+  try {
+    const { currentStep, progress, baseSavedAt } = req.body;
+    
+    const changes = Object.fromEntries(DRAFT_SECTIONS
+      .filter(section => section === 'collateralData' ? Array.isArray(req.body[section]) : req.body[section])
+      .map(section => [section, req.body[section]]));
+    
+    await saveDraft(req, res, { changes, currentStep, progress, baseSavedAt }, { ignoreOtherSections: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/intake/:linkCode/resume-link
+ * "Send me a link to finish later" - texts / emails a client-initiated intake's link
+ * to the phone / email saved on it (save the Basic Info step first)
+ * Body: { channel: "sms" | "email" }
+ */
+router.post('/:linkCode/resume-link', async (req, res, next) => {
   try {
     const { linkCode } = req.params;
-    const { defendantData, indemnitorData, referencesData, bondData } = req.body;
+    const { channel } = req.body;
     
-    const intake = await prisma.intake.findUnique({
-      where: { linkCode }
-    });
+    const found = await findByLinkCode(linkCode, { company: true });
     
-    if (!intake) {
+    if (!found) {
       return res.status(404).json({ error: 'Intake form not found' });
     }
     
-    if (intake.status === 'COMPLETED') {
+    const { intake, party } = found;
+    
+    // Agent requests (and their co-signers) already got their link from the agent
+    if (party || intake.source !== 'CLIENT') {
+      return res.status(400).json({ error: 'Your agent already sent you a link to this form' });
+    }
+    
+    if (getSignedAt(intake, party)) {
       return res.status(409).json({ error: 'Form already submitted' });
     }
     
@@ -155,23 +642,21 @@ router.post('/:linkCode/save', async (req, res, next) => {
       return res.status(410).json({ error: 'Form link expired' });
     }
     
-    // Update intake with partial data
-    const updated = await prisma.intake.update({
-      where: { id: intake.id },
-      data: {
-        status: 'IN_PROGRESS',
-        defendantData: defendantData || intake.defendantData,
-        indemnitorData: indemnitorData || intake.indemnitorData,
-        referencesData: referencesData || intake.referencesData,
-        bondData: bondData || intake.bondData
-      }
-    });
+    if (!['sms', 'email'].includes(channel)) {
+      return res.status(400).json({ error: 'channel must be "sms" or "email"' });
+    }
     
-    res.json({ 
-      success: true, 
-      savedAt: updated.updatedAt 
+    const result = await sendIntakeResumeLink(intake, intake.company, channel, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
     });
     
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    res.json({ success: true, channel, sentTo: result.to });
+    
   } catch (error) {
     next(error);
   }
@@ -180,6 +665,7 @@ router.post('/:linkCode/save', async (req, res, next) => {
 /**
  * POST /api/intake/:linkCode/submit
  * Final submission with signatures
+ * Each co-signer submits from their own link; the intake completes once the last one has signed
  */
 router.post('/:linkCode/submit', async (req, res, next) => {
   try {
@@ -189,7 +675,11 @@ router.post('/:linkCode/submit', async (req, res, next) => {
       indemnitorData, 
       referencesData, 
       bondData,
-      signatures 
+      signatures,
+      signatureEvidence,
+      esignConsent,
+      paymentPlanAcceptance,
+      collateralData
     } = req.body;
     
     console.log('=== SUBMISSION DEBUG ===');
@@ -213,9 +703,31 @@ router.post('/:linkCode/submit', async (req, res, next) => {
       console.log('All required signatures present');
     }
     
-    // Validate all required data
+    const found = await findByLinkCode(linkCode, { company: true });
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Intake form not found' });
+    }
+    
+    const { intake, party } = found;
+    
+    // Before anything that would tell an unverified caller what the request contains
+    if (isVerificationPending(req, intake, intake.company, party)) {
+      return res.status(401).json({ error: 'Please verify your identity to continue', verificationRequired: true });
+    }
+    
+    if (getSignedAt(intake, party)) {
+      return res.status(409).json({ error: 'Form already submitted' });
+    }
+    
+    const closed = await getClosedIntakeError(req, intake);
+    if (closed) {
+      return res.status(closed.status).json({ error: closed.error });
+    }
+    
+    // Validate all required data (additional co-signers don't fill in the defendant)
     const validation = validateIntakeData({
-      defendantData,
+      defendantData: party ? intake.defendantData : defendantData,
       indemnitorData,
       referencesData,
       signatures
@@ -229,108 +741,596 @@ router.post('/:linkCode/submit', async (req, res, next) => {
       });
     }
     
-    const intake = await prisma.intake.findUnique({
-      where: { linkCode },
-      include: { company: true }
+    // Electronic signatures only count if the signer agreed to sign electronically (ESIGN Act / UETA)
+    if (!hasESignConsent(esignConsent)) {
+      return res.status(400).json({ error: 'You must consent to using electronic records and signatures' });
+    }
+    
+    // Requests with a payment plan add the Payment Plan Agreement to what's signed
+    if (intake.paymentPlan) {
+      const planSignature = signatures?.paymentPlan_coSigner;
+      if (typeof planSignature !== 'string' || !planSignature.startsWith('data:image')) {
+        return res.status(400).json({ error: 'Please sign the Payment Plan Agreement' });
+      }
+      if (paymentPlanAcceptance?.accepted !== true) {
+        return res.status(400).json({ error: 'You must accept the payment plan' });
+      }
+    }
+    
+    // Pledged collateral adds the Collateral Receipt to what's signed
+    const position = party?.position || 1;
+    const collateral = sanitizeCollateral(collateralData, await listCollateralUploads(intake.id, position));
+    const collateralError = validateCollateral(collateral);
+    if (collateralError) {
+      return res.status(400).json({ error: collateralError });
+    }
+    if (collateral.length > 0) {
+      const receiptSignature = signatures?.collateralReceipt_coSigner;
+      if (typeof receiptSignature !== 'string' || !receiptSignature.startsWith('data:image')) {
+        return res.status(400).json({ error: 'Please sign the Collateral Receipt' });
+      }
+    }
+    
+    const signedAt = new Date();
+    
+    const evidence = await buildSignatureEvidence({
+      intake,
+      party,
+      indemnitorData,
+      signatures,
+      clientEvidence: signatureEvidence,
+      esignConsent,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      receivedAt: signedAt,
     });
     
-    if (!intake) {
+    // Signing only counts while the intake is open - an agent may have cancelled it
+    // since it was read, and a cancelled intake must never go on to complete
+    let signed;
+    if (party) {
+      const sensitive = protectSensitiveFields({ indemnitorData }, party);
+      
+      signed = await prisma.intakeParty.updateMany({
+        where: { id: party.id, signedAt: null, intake: { status: { in: OPEN_STATUSES } } },
+        data: {
+          status: 'COMPLETED',
+          indemnitorData: sensitive.indemnitorData,
+          referencesData,
+          collateralData: collateral,
+          signatures,
+          signedAt,
+          signerIp: req.ip,
+          signerUserAgent: req.get('user-agent'),
+          signatureEvidence: evidence
+        }
+      });
+    } else {
+      const sensitive = protectSensitiveFields({ defendantData, indemnitorData }, intake);
+      
+      signed = await prisma.intake.updateMany({
+        where: { id: intake.id, signedAt: null, status: { in: OPEN_STATUSES } },
+        data: {
+          status: 'IN_PROGRESS',
+          defendantData: sensitive.defendantData,
+          indemnitorData: sensitive.indemnitorData,
+          referencesData,
+          bondData,
+          collateralData: collateral,
+          signatures,
+          signedAt,
+          submitterIp: req.ip,
+          submitterUserAgent: req.get('user-agent'),
+          signatureEvidence: evidence
+        }
+      });
+    }
+    
+    if (signed.count === 0) {
+      return res.status(409).json({ error: 'This form can no longer be signed' });
+    }
+    
+    // Log this co-signer's signing
+    await recordAudit({
+      intakeId: intake.id,
+      action: 'signed',
+      details: {
+        ...partyAuditDetails(party),
+        esignConsentAt: evidence.consent.acceptedAt,
+        disclosureVersion: evidence.consent.disclosureVersion,
+        signatureCount: evidence.signatures.length,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    
+    if (intake.paymentPlan) {
+      await recordAudit({
+        intakeId: intake.id,
+        action: 'payment_plan_accepted',
+        details: {
+          ...partyAuditDetails(party),
+          totalCents: intake.paymentPlan.totalCents,
+          downPaymentCents: intake.paymentPlan.downPaymentCents,
+          installmentCount: intake.paymentPlan.installmentCount,
+          acceptedAt: paymentPlanAcceptance.acceptedAt || signedAt.toISOString(),
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    }
+    
+    if (collateral.length > 0) {
+      await recordAudit({
+        intakeId: intake.id,
+        action: 'collateral_pledged',
+        details: {
+          ...partyAuditDetails(party),
+          itemCount: collateral.length,
+          types: collateral.map(item => item.type),
+          totalValue: getCollateralTotal(collateral),
+          documentCount: collateral.reduce((count, item) => count + item.documents.length, 0),
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    }
+    
+    // Photos the co-signer uploaded and then removed from their items
+    await pruneCollateralUploads(intake.id, position, collateral);
+    
+    const completed = await completeIntakeIfAllSigned(intake.id, req);
+    
+    res.json({
+      success: true,
+      submittedAt: signedAt,
+      completed: Boolean(completed),
+      message: completed
+        ? 'Your forms have been submitted successfully. The bail bond agent will contact you shortly.'
+        : 'Your forms have been signed. They will be processed once the other co-signers have signed.'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/intake/:linkCode/collateral
+ * Upload a photo or document for a collateral item - the raw file is the body
+ * Headers: Content-Type (JPEG, PNG, WebP, HEIC or PDF), X-File-Name (URI-encoded)
+ * Returns the upload to attach to the item; it's saved with the item on the next save / submit
+ */
+router.post('/:linkCode/collateral', express.raw({
+  type: Object.keys(COLLATERAL_UPLOAD_TYPES),
+  limit: MAX_COLLATERAL_UPLOAD_BYTES
+}), async (req, res, next) => {
+  try {
+    const { linkCode } = req.params;
+    
+    const found = await findByLinkCode(linkCode, { company: true });
+    
+    if (!found) {
       return res.status(404).json({ error: 'Intake form not found' });
     }
     
-    if (intake.status === 'COMPLETED') {
+    const { intake, party } = found;
+    
+    if (isVerificationPending(req, intake, intake.company, party)) {
+      return res.status(401).json({ error: 'Please verify your identity to continue', verificationRequired: true });
+    }
+    
+    if (getSignedAt(intake, party)) {
       return res.status(409).json({ error: 'Form already submitted' });
     }
     
-    if (new Date() > intake.expiresAt) {
-      return res.status(410).json({ error: 'Form link expired' });
+    const closed = await getClosedIntakeError(req, intake);
+    if (closed) {
+      return res.status(closed.status).json({ error: closed.error });
     }
     
-    // Generate PDFs - wrap in try/catch so submission succeeds even if PDF fails
-    let generatedPdfs = {};
+    let fileName = req.get('x-file-name') || '';
     try {
-      console.log('Generating PDFs for intake:', intake.id);
-      generatedPdfs = await generateAllPdfs({
-        company: intake.company,
-        defendantData,
-        indemnitorData,
-        referencesData,
-        bondData,
-        signatures
-      });
-      console.log('PDFs generated successfully:', Object.keys(generatedPdfs));
-    } catch (pdfError) {
-      console.error('PDF generation failed (non-blocking):', pdfError);
-      // Continue with submission even if PDF generation fails
-      generatedPdfs = { error: pdfError.message };
+      fileName = decodeURIComponent(fileName);
+    } catch {
+      // Not encoded - keep it as sent
     }
     
-    // Update intake as completed
-    const completed = await prisma.intake.update({
-      where: { id: intake.id },
-      data: {
-        status: 'COMPLETED',
-        defendantData,
-        indemnitorData,
-        referencesData,
-        bondData,
-        signatures,
-        generatedPdfs,
-        submittedAt: new Date(),
-        submitterIp: req.ip,
-        submitterUserAgent: req.get('user-agent')
-      }
+    const result = await storeCollateralUpload({
+      intakeId: intake.id,
+      position: party?.position || 1,
+      buffer: req.body,
+      contentType: (req.get('content-type') || '').split(';')[0].trim().toLowerCase(),
+      fileName
     });
     
-    // Log submission
-    await prisma.auditLog.create({
-      data: {
-        intakeId: intake.id,
-        action: 'submitted',
-        details: { pdfCount: Object.keys(generatedPdfs).length },
-        ipAddress: req.ip,
-        userAgent: req.get('user-agent')
-      }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    await recordAudit({
+      intakeId: intake.id,
+      action: 'collateral_uploaded',
+      details: {
+        ...partyAuditDetails(party),
+        name: result.document.name,
+        contentType: result.document.contentType,
+        size: result.document.size,
+        sha256: result.document.checksum,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
     });
     
-    // Send email to agent
-    const agentEmail = intake.company.email;
-    if (agentEmail) {
-      try {
-        await sendCompletionEmail({
-          to: agentEmail,
-          company: intake.company,
-          defendantName: `${defendantData.firstName} ${defendantData.lastName}`,
-          indemnitorName: `${indemnitorData.firstName} ${indemnitorData.lastName}`,
-          pdfs: generatedPdfs
-        });
-        
-        await prisma.intake.update({
-          where: { id: intake.id },
-          data: {
-            emailSentAt: new Date(),
-            emailSentTo: agentEmail
-          }
-        });
-        
-        await prisma.auditLog.create({
-          data: {
-            intakeId: intake.id,
-            action: 'email_sent',
-            details: { to: agentEmail }
-          }
-        });
-      } catch (emailError) {
-        console.error('Failed to send email:', emailError);
-        // Don't fail the submission if email fails
-      }
+    res.status(201).json({ document: toCollateralDocument(result.document) });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/intake/:linkCode/collateral/:name
+ * View one of this co-signer's collateral uploads
+ */
+router.get('/:linkCode/collateral/:name', async (req, res, next) => {
+  try {
+    const { linkCode, name } = req.params;
+    
+    const found = await findByLinkCode(linkCode, { company: true });
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Intake form not found' });
+    }
+    
+    const { intake, party } = found;
+    
+    if (isVerificationPending(req, intake, intake.company, party)) {
+      return res.status(401).json({ error: 'Please verify your identity to continue', verificationRequired: true });
+    }
+    
+    // A co-signer's link only sees their own uploads
+    const document = parseCollateralDocumentName(name) === (party?.position || 1)
+      ? await findIntakeDocument(intake.id, 'collateral', name)
+      : null;
+    
+    if (!document) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    const stream = await openDocumentStream(document);
+    
+    res.setHeader('Content-Type', document.contentType);
+    res.setHeader('Content-Disposition', `inline; filename="${name}"`);
+    res.setHeader('Content-Length', document.size);
+    stream.on('error', next);
+    stream.pipe(res);
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/intake/:linkCode/collateral/:name
+ * Remove a collateral upload (only before signing)
+ */
+router.delete('/:linkCode/collateral/:name', async (req, res, next) => {
+  try {
+    const { linkCode, name } = req.params;
+    
+    const found = await findByLinkCode(linkCode, { company: true });
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Intake form not found' });
+    }
+    
+    const { intake, party } = found;
+    
+    if (isVerificationPending(req, intake, intake.company, party)) {
+      return res.status(401).json({ error: 'Please verify your identity to continue', verificationRequired: true });
+    }
+    
+    if (getSignedAt(intake, party)) {
+      return res.status(409).json({ error: 'Form already submitted' });
+    }
+    
+    const document = parseCollateralDocumentName(name) === (party?.position || 1)
+      ? await findIntakeDocument(intake.id, 'collateral', name)
+      : null;
+    
+    if (!document) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    await deleteDocument(document);
+    
+    await recordAudit({
+      intakeId: intake.id,
+      action: 'collateral_upload_deleted',
+      details: { ...partyAuditDetails(party), name },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/intake/:linkCode/id/:subject/:side
+ * Upload a photo of the front or back of an ID - the raw JPEG / PNG is the body
+ * subject: "indemnitor" (this co-signer) or "defendant" (primary co-signer only); side: "front" | "back"
+ * Replaces any earlier photo of the same side
+ */
+router.put('/:linkCode/id/:subject/:side', express.raw({
+  type: ['image/*', 'application/octet-stream'],
+  limit: MAX_ID_IMAGE_BYTES
+}), async (req, res, next) => {
+  try {
+    const { linkCode, subject, side } = req.params;
+    
+    const found = await findByLinkCode(linkCode, { company: true });
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Intake form not found' });
+    }
+    
+    const { intake, party } = found;
+    
+    if (!canUploadId(party, subject, side)) {
+      return res.status(400).json({ error: 'Invalid ID photo' });
+    }
+    
+    if (isVerificationPending(req, intake, intake.company, party)) {
+      return res.status(401).json({ error: 'Please verify your identity to continue', verificationRequired: true });
+    }
+    
+    if (getSignedAt(intake, party)) {
+      return res.status(409).json({ error: 'Form already submitted' });
+    }
+    
+    const closed = await getClosedIntakeError(req, intake);
+    if (closed) {
+      return res.status(closed.status).json({ error: closed.error });
+    }
+    
+    const result = await storeIdImage({
+      intakeId: intake.id,
+      position: party?.position || 1,
+      subject,
+      side,
+      buffer: req.body
+    });
+    
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    await recordAudit({
+      intakeId: intake.id,
+      action: 'id_uploaded',
+      details: {
+        ...partyAuditDetails(party),
+        subject,
+        side,
+        width: result.image.width,
+        height: result.image.height,
+        sha256: result.document.checksum,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.json({ document: toIdDocument(result.document) });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/intake/:linkCode/id/:subject/:side
+ * View an ID photo this co-signer uploaded
+ */
+router.get('/:linkCode/id/:subject/:side', async (req, res, next) => {
+  try {
+    const { linkCode, subject, side } = req.params;
+    
+    const found = await findByLinkCode(linkCode, { company: true });
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Intake form not found' });
+    }
+    
+    const { intake, party } = found;
+    
+    if (isVerificationPending(req, intake, intake.company, party)) {
+      return res.status(401).json({ error: 'Please verify your identity to continue', verificationRequired: true });
+    }
+    
+    const document = canUploadId(party, subject, side)
+      ? await findIntakeDocument(intake.id, 'id', idDocumentName(party?.position || 1, subject, side))
+      : null;
+    
+    if (!document) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    
+    const stream = await openDocumentStream(document);
+    
+    res.setHeader('Content-Type', document.contentType);
+    res.setHeader('Content-Disposition', 'inline');
+    res.setHeader('Content-Length', document.size);
+    res.setHeader('Cache-Control', 'no-store');
+    stream.on('error', next);
+    stream.pipe(res);
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/intake/:linkCode/id/:subject/:side
+ * Remove an ID photo (only before signing)
+ */
+router.delete('/:linkCode/id/:subject/:side', async (req, res, next) => {
+  try {
+    const { linkCode, subject, side } = req.params;
+    
+    const found = await findByLinkCode(linkCode, { company: true });
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Intake form not found' });
+    }
+    
+    const { intake, party } = found;
+    
+    if (isVerificationPending(req, intake, intake.company, party)) {
+      return res.status(401).json({ error: 'Please verify your identity to continue', verificationRequired: true });
+    }
+    
+    if (getSignedAt(intake, party)) {
+      return res.status(409).json({ error: 'Form already submitted' });
+    }
+    
+    const document = canUploadId(party, subject, side)
+      ? await findIntakeDocument(intake.id, 'id', idDocumentName(party?.position || 1, subject, side))
+      : null;
+    
+    if (!document) {
+      return res.status(404).json({ error: 'Photo not found' });
     }
     
+    await deleteDocument(document);
+    
+    await recordAudit({
+      intakeId: intake.id,
+      action: 'id_deleted',
+      details: { ...partyAuditDetails(party), subject, side },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/intake/:linkCode/payments
+ * The co-signer's view of the payment plan: schedule, balance, what's due now
+ * and their payment history - plus what the browser needs to take a card payment
+ */
+router.get('/:linkCode/payments', async (req, res, next) => {
+  try {
+    const { linkCode } = req.params;
+    
+    const found = await findByLinkCode(linkCode, { company: true });
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Intake form not found' });
+    }
+    
+    const { intake, party } = found;
+    
+    if (!getSignedAt(intake, party)) {
+      return res.status(400).json({ error: 'Form not yet submitted' });
+    }
+    
+    if (isVerificationPending(req, intake, intake.company, party)) {
+      return res.status(401).json({
+        error: 'Please verify your identity to continue',
+        verificationRequired: true,
+        channels: getVerificationChannels(intake, intake.company, party),
+        destinations: getMaskedDestinations(party || intake),
+        preferredLanguage: getSignerLanguage(intake, party),
+        company: {
+          name: intake.company.name,
+          logo: intake.company.logo,
+        },
+      });
+    }
+    
+    const summary = await getPaymentSummary(intake.id);
+    
+    if (!summary) {
+      return res.json({ paymentPlan: null });
+    }
+    
+    // Failed attempts and agent notes stay on the agent's side
+    const { payments, ...rest } = summary;
+    
     res.json({
+      paymentPlan: {
+        ...rest,
+        payments: payments
+          .filter(payment => payment.status === 'SUCCEEDED')
+          .map(({ note, failureReason, ...payment }) => payment),
+      },
+      provider: getPaymentProvider()?.clientConfig() || null,
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/intake/:linkCode/payments
+ * Pay toward the premium by card
+ * Body: { paymentToken, amountCents? } - amountCents defaults to what's due now
+ */
+router.post('/:linkCode/payments', async (req, res, next) => {
+  try {
+    const { linkCode } = req.params;
+    const { paymentToken } = req.body;
+    
+    const found = await findByLinkCode(linkCode, { company: true });
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Intake form not found' });
+    }
+    
+    const { intake, party } = found;
+    
+    // The plan has to be accepted (signed) before we take money against it
+    if (!getSignedAt(intake, party)) {
+      return res.status(400).json({ error: 'Please sign your documents before making a payment' });
+    }
+    
+    if (isVerificationPending(req, intake, intake.company, party)) {
+      return res.status(401).json({ error: 'Please verify your identity to continue', verificationRequired: true });
+    }
+    
+    let { amountCents } = req.body;
+    if (amountCents === undefined) {
+      amountCents = (await getPaymentSummary(intake.id))?.dueNowCents || 0;
+    }
+    
+    const result = await collectCardPayment({
+      intake,
+      party,
+      amountCents,
+      paymentToken,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+    
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    res.status(201).json({
       success: true,
-      submittedAt: completed.submittedAt,
-      pdfKeys: Object.keys(generatedPdfs),
-      message: 'Your forms have been submitted successfully. The bail bond agent will contact you shortly.'
+      receiptNumber: result.payment.receiptNumber,
+      amountCents: result.payment.amountCents,
     });
     
   } catch (error) {
@@ -340,65 +1340,82 @@ router.post('/:linkCode/submit', async (req, res, next) => {
 
 /**
  * GET /api/intake/:linkCode/pdfs
- * Retrieve generated PDFs for a completed submission
+ * List this co-signer's generated PDFs (metadata + download URLs)
+ * While other co-signers still have to sign, returns awaitingCoSigners instead
+ * The download URLs need the access token too (?access=) when the company requires verification
  */
 router.get('/:linkCode/pdfs', async (req, res, next) => {
   try {
     const { linkCode } = req.params;
-    console.log('Fetching PDFs for linkCode:', linkCode);
-    
-    const intake = await prisma.intake.findUnique({
-      where: { linkCode },
-      select: {
-        status: true,
-        generatedPdfs: true,
-        defendantData: true,
-        company: {
-          select: { name: true }
-        }
+    
+    const found = await findByLinkCode(linkCode, {
+      company: true,
+      parties: {
+        select: { status: true }
       }
     });
     
-    console.log('Intake found:', !!intake, 'Status:', intake?.status);
-    console.log('generatedPdfs type:', typeof intake?.generatedPdfs);
-    console.log('generatedPdfs keys:', intake?.generatedPdfs ? Object.keys(intake.generatedPdfs) : 'null');
-    
-    if (!intake) {
+    if (!found) {
       return res.status(404).json({ error: 'Intake form not found' });
     }
     
-    if (intake.status !== 'COMPLETED') {
+    const { intake, party } = found;
+    
+    if (!getSignedAt(intake, party)) {
       return res.status(400).json({ error: 'Form not yet submitted' });
     }
     
-    // Return PDF metadata and data
-    const pdfs = intake.generatedPdfs || {};
+    if (isVerificationPending(req, intake, intake.company, party)) {
+      return res.status(401).json({
+        error: 'Please verify your identity to continue',
+        verificationRequired: true,
+        channels: getVerificationChannels(intake, intake.company, party),
+        destinations: getMaskedDestinations(party || intake),
+        preferredLanguage: getSignerLanguage(intake, party),
+        company: {
+          name: intake.company.name,
+          logo: intake.company.logo,
+        },
+      });
+    }
+    
+    const defendantName = `${intake.defendantData?.firstName || ''} ${intake.defendantData?.lastName || ''}`.trim();
+    
+    if (intake.status !== 'COMPLETED') {
+      return res.json({
+        defendantName,
+        companyName: intake.company?.name,
+        pdfs: [],
+        awaitingCoSigners: (intake.signedAt ? 0 : 1) + intake.parties.filter(p => p.status !== 'COMPLETED').length
+      });
+    }
     
     // Check if there was an error during PDF generation
-    if (pdfs.error) {
+    if (intake.generatedPdfs?.error) {
       return res.json({
-        defendantName: `${intake.defendantData?.firstName || ''} ${intake.defendantData?.lastName || ''}`.trim(),
+        defendantName,
         companyName: intake.company?.name,
         pdfs: [],
         error: 'PDF generation failed. Please contact the bail bond agent for your documents.'
       });
     }
     
-    const pdfList = Object.entries(pdfs)
-      .filter(([key]) => key !== 'error') // Filter out error key if present
-      .map(([key, base64]) => ({
-      key,
-      name: getPdfDisplayName(key),
-      size: Math.round((base64.length * 3) / 4 / 1024), // Approximate KB
-      data: base64
-    }));
-    
-    console.log('Returning', pdfList.length, 'PDFs');
+    // Each co-signer gets their own copies (one per defendant)
+    const position = party?.position || 1;
+    const documents = (await listIntakeDocuments(intake.id, 'pdf'))
+      .filter(doc => parsePdfDocumentName(doc.name).party === position);
     
     res.json({
-      defendantName: `${intake.defendantData?.firstName || ''} ${intake.defendantData?.lastName || ''}`.trim(),
+      defendantName,
       companyName: intake.company?.name,
-      pdfs: pdfList
+      pending: documents.length === 0, // PDFs are still being generated in the background
+      pdfs: documents.map(doc => ({
+        key: doc.name,
+        name: getPdfDisplayName(doc.name),
+        size: Math.round(doc.size / 1024), // KB
+        checksum: doc.checksum,
+        url: `/api/intake/${linkCode}/pdf/${doc.name}`
+      }))
     });
     
   } catch (error) {
@@ -408,85 +1425,62 @@ router.get('/:linkCode/pdfs', async (req, res, next) => {
 
 /**
  * GET /api/intake/:linkCode/pdf/:pdfKey
- * Download a specific PDF
+ * Download a specific PDF (?inline=true to view in the browser, ?access= the verification token)
  */
 router.get('/:linkCode/pdf/:pdfKey', async (req, res, next) => {
   try {
     const { linkCode, pdfKey } = req.params;
     
-    const intake = await prisma.intake.findUnique({
-      where: { linkCode },
-      select: {
-        status: true,
-        generatedPdfs: true,
-        defendantData: true
-      }
-    });
+    const found = await findByLinkCode(linkCode, { company: true });
     
-    if (!intake) {
+    if (!found) {
       return res.status(404).json({ error: 'Intake form not found' });
     }
     
+    const { intake, party } = found;
+    
     if (intake.status !== 'COMPLETED') {
       return res.status(400).json({ error: 'Form not yet submitted' });
     }
     
-    const pdfs = intake.generatedPdfs || {};
-    const pdfBase64 = pdfs[pdfKey];
+    if (isVerificationPending(req, intake, intake.company, party)) {
+      return res.status(401).json({ error: 'Please verify your identity to continue', verificationRequired: true });
+    }
+    
+    // A co-signer's link only downloads their own copies
+    const document = parsePdfDocumentName(pdfKey).party === (party?.position || 1)
+      ? await findIntakeDocument(intake.id, 'pdf', pdfKey)
+      : null;
     
-    if (!pdfBase64) {
+    if (!document) {
       return res.status(404).json({ error: 'PDF not found' });
     }
     
-    // Convert base64 to buffer
-    const pdfBuffer = Buffer.from(pdfBase64, 'base64');
+    const stream = await openDocumentStream(document);
     const defendantName = `${intake.defendantData?.lastName || 'Unknown'}`;
-    const filename = `${defendantName}_${getPdfDisplayName(pdfKey).replace(/\s+/g, '_')}.pdf`;
+    const filename = `${defendantName}_${getPdfDisplayName(pdfKey).replace(/[^\w-]+/g, '_')}.pdf`;
+    const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
     
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Length', pdfBuffer.length);
-    res.send(pdfBuffer);
+    res.setHeader('Content-Type', document.contentType);
+    res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"`);
+    res.setHeader('Content-Length', document.size);
+    stream.on('error', next);
+    stream.pipe(res);
     
   } catch (error) {
     next(error);
   }
 });
 
-/**
- * Helper to get display name for PDF key
- */
-function getPdfDisplayName(key) {
-  const names = {
-    preApplication: 'Pre-Application',
-    indemnitorApp: 'Indemnitor Application',
-    bondAgreement: 'Immigration Bond Agreement',
-    immigrationWaiver: 'Immigration Waiver',
-    referenceForm: 'Reference Form'
-  };
-  return names[key] || key;
-}
-
 /**
  * POST /api/intake/create
- * Create a new intake link (called by agent - future auth required)
+ * Create a new intake link (called by a logged-in agent)
+ * The intake belongs to the agent's company - any companyId in the body is ignored
  */
-router.post('/create', async (req, res, next) => {
+router.post('/create', authenticateAgent, async (req, res, next) => {
   try {
-    const { companyId, agentId, expiresInDays = 7 } = req.body;
-    
-    if (!companyId) {
-      return res.status(400).json({ error: 'companyId is required' });
-    }
-    
-    // Verify company exists
-    const company = await prisma.company.findUnique({
-      where: { id: companyId }
-    });
-    
-    if (!company) {
-      return res.status(404).json({ error: 'Company not found' });
-    }
+    const { expiresInDays = 7 } = req.body;
+    const { agent, company } = req;
     
     // Generate unique link code
     const linkCode = nanoid(8); // e.g., "x7k9m2Pq"
@@ -499,21 +1493,23 @@ router.post('/create', async (req, res, next) => {
     const intake = await prisma.intake.create({
       data: {
         linkCode,
-        companyId,
-        agentId,
+        companyId: company.id,
+        agentId: agent.id,
         expiresAt
       }
     });
     
     // Log creation
-    await prisma.auditLog.create({
-      data: {
-        intakeId: intake.id,
-        action: 'created',
-        details: { expiresAt, createdBy: agentId }
-      }
+    await recordAudit({
+      intakeId: intake.id,
+      action: 'created',
+      details: { expiresAt, createdBy: agent.id },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
     });
     
+    await emitIntakeEvent('intake.created', intake);
+    
     const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
     const formUrl = `${baseUrl}/i/${linkCode}`;
     
@@ -0,0 +1,192 @@
+/**
+ * Messaging Webhooks
+ * Twilio calls these for SMS delivery status updates and inbound replies.
+ * Configure the Twilio number's "A message comes in" webhook as
+ * POST {BASE_URL}/api/messaging/twilio/inbound - status callbacks are set per message.
+ */
+
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import {
+  normalizePhone,
+  validateTwilioSignature,
+  sendReplyNotification,
+} from '../services/messagingService.js';
+import { recordAudit } from '../services/auditService.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Carrier-standard keywords (matched against the whole reply, case-insensitive)
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const OPT_IN_KEYWORDS = ['START', 'YES', 'UNSTOP'];
+
+// Twilio can report statuses out of order - never move a message backwards
+const STATUS_RANK = {
+  accepted: 0,
+  queued: 1,
+  sending: 2,
+  sent: 3,
+  delivered: 4,
+  undelivered: 4,
+  failed: 4,
+};
+
+/**
+ * Middleware: reject requests that aren't signed by Twilio
+ * The signature covers the public URL Twilio called, so behind a proxy set
+ * TWILIO_WEBHOOK_BASE_URL (defaults to BASE_URL) to the externally visible origin.
+ */
+function verifyTwilioSignature(req, res, next) {
+  const baseUrl = process.env.TWILIO_WEBHOOK_BASE_URL
+    || process.env.BASE_URL
+    || `${req.protocol}://${req.get('host')}`;
+  const url = `${baseUrl}${req.originalUrl}`;
+
+  if (!validateTwilioSignature(url, req.body, req.get('X-Twilio-Signature'))) {
+    console.warn('Rejected Twilio webhook with invalid signature:', req.originalUrl);
+    return res.status(403).json({ error: 'Invalid Twilio signature' });
+  }
+
+  next();
+}
+
+/**
+ * POST /api/messaging/twilio/status
+ * Delivery status callback for an outbound SMS
+ */
+router.post('/twilio/status', verifyTwilioSignature, async (req, res, next) => {
+  try {
+    const { MessageSid, MessageStatus, ErrorCode, ErrorMessage, To, From } = req.body;
+
+    // The callback can beat sendSMS recording the message - leave a placeholder
+    // it fills in rather than dropping the status
+    const message = await prisma.message.upsert({
+      where: { twilioSid: MessageSid },
+      update: {},
+      create: {
+        direction: 'OUTBOUND',
+        to: To,
+        from: From,
+        body: '',
+        twilioSid: MessageSid,
+        status: 'accepted',
+      },
+    });
+
+    if ((STATUS_RANK[MessageStatus] ?? 0) < (STATUS_RANK[message.status] ?? 0)) {
+      return res.status(204).end();
+    }
+
+    await prisma.message.update({
+      where: { id: message.id },
+      data: {
+        status: MessageStatus,
+        errorCode: ErrorCode || null,
+        errorMessage: ErrorMessage || null,
+      },
+    });
+
+    if (message.intakeId && (MessageStatus === 'failed' || MessageStatus === 'undelivered')) {
+      await recordAudit({
+        intakeId: message.intakeId,
+        action: 'sms_delivery_failed',
+        details: { to: message.to, status: MessageStatus, errorCode: ErrorCode },
+      });
+    }
+
+    res.status(204).end();
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/messaging/twilio/inbound
+ * A co-signer replied to one of our texts
+ * STOP-style replies opt the number out, START-style replies opt it back in,
+ * anything else is forwarded to the agent who sent the request.
+ */
+router.post('/twilio/inbound', verifyTwilioSignature, async (req, res, next) => {
+  try {
+    const { MessageSid, From, To, Body = '' } = req.body;
+    const from = normalizePhone(From);
+    const keyword = Body.trim().toUpperCase();
+
+    // Link the reply to the latest intake we texted this number about
+    const lastOutbound = await prisma.message.findFirst({
+      where: { to: from, direction: 'OUTBOUND', intakeId: { not: null } },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        intake: {
+          include: { company: true, agent: true },
+        },
+      },
+    });
+    const intake = lastOutbound?.intake;
+
+    try {
+      await prisma.message.create({
+        data: {
+          intakeId: intake?.id,
+          direction: 'INBOUND',
+          to: To,
+          from,
+          body: Body,
+          twilioSid: MessageSid,
+          status: 'received',
+        },
+      });
+    } catch (error) {
+      // Twilio re-delivered a reply we already handled - acknowledge it so the retries stop
+      if (error.code === 'P2002') {
+        return res.type('text/xml').send('<Response></Response>');
+      }
+      throw error;
+    }
+
+    let action = 'sms_reply_received';
+
+    if (OPT_OUT_KEYWORDS.includes(keyword)) {
+      action = 'sms_opt_out';
+      await prisma.smsOptOut.upsert({
+        where: { phone: from },
+        update: {},
+        create: { phone: from, keyword },
+      });
+    } else if (OPT_IN_KEYWORDS.includes(keyword)) {
+      action = 'sms_opt_in';
+      await prisma.smsOptOut.deleteMany({ where: { phone: from } });
+    } else if (intake) {
+      const coSigner = intake.indemnitorData;
+      const result = await sendReplyNotification({
+        agentEmail: intake.agent?.email || intake.company.email,
+        companyName: intake.company.name,
+        fromName: coSigner ? `${coSigner.firstName} ${coSigner.lastName}` : null,
+        fromPhone: from,
+        body: Body,
+        linkCode: intake.linkCode,
+      });
+      if (!result.success) {
+        console.error('Failed to forward SMS reply:', result.error);
+      }
+    }
+
+    if (intake) {
+      await recordAudit({
+        intakeId: intake.id,
+        action,
+        details: { from, body: Body },
+      });
+    }
+
+    // Empty TwiML - Twilio sends the carrier-required STOP/START confirmations itself
+    res.type('text/xml').send('<Response></Response>');
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,87 +1,157 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
+import { listIntakeDocuments, findIntakeDocument, openDocumentStream } from '../services/documentService.js';
+import { parsePdfDocumentName } from '../services/pdfService.js';
+import { findByLinkCode } from '../services/partyService.js';
+import { getVerificationChannels } from '../services/otpService.js';
+import { hasIntakeAccess } from '../utils/intakeAuth.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
 /**
- * GET /api/pdf/:linkCode/:formType
- * Download a specific generated PDF
- * formTypes: preApplication, indemnitorApp, bondAgreement, immigrationWaiver, referenceForm
+ * Does the co-signer still have to verify their identity before downloading? (?access= the token)
  */
-router.get('/:linkCode/:formType', async (req, res, next) => {
+function isVerificationPending(req, intake, party) {
+  return getVerificationChannels(intake, intake.company, party).length > 0 && !hasIntakeAccess(req, intake, party);
+}
+
+/**
+ * GET /api/pdf/:linkCode/all
+ * Download all PDFs as a zip (future enhancement)
+ * For now, returns list of available PDFs - a co-signer's link only lists their own copies
+ * (Registered before /:linkCode/:formType so "all" isn't treated as a form type)
+ */
+router.get('/:linkCode/all', async (req, res, next) => {
   try {
-    const { linkCode, formType } = req.params;
-    
-    const intake = await prisma.intake.findUnique({
-      where: { linkCode }
-    });
-    
-    if (!intake) {
+    const { linkCode } = req.params;
+
+    const found = await findByLinkCode(linkCode, { company: true });
+
+    if (!found) {
       return res.status(404).json({ error: 'Intake not found' });
     }
-    
+
+    const { intake, party } = found;
+
     if (intake.status !== 'COMPLETED') {
       return res.status(400).json({ error: 'Form not yet submitted' });
     }
-    
-    const pdfs = intake.generatedPdfs;
-    if (!pdfs || !pdfs[formType]) {
-      return res.status(404).json({ error: 'PDF not found' });
+
+    if (isVerificationPending(req, intake, party)) {
+      return res.status(401).json({ error: 'Please verify your identity to continue', verificationRequired: true });
     }
-    
-    // PDFs are stored as base64
-    const pdfBase64 = pdfs[formType];
-    const pdfBuffer = Buffer.from(pdfBase64, 'base64');
-    
-    // Generate filename
-    const defendantName = intake.defendantData?.lastName || 'Defendant';
-    const filename = `${defendantName}_${formType}.pdf`;
-    
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Length', pdfBuffer.length);
-    
-    res.send(pdfBuffer);
-    
+
+    const position = party?.position || 1;
+    const documents = (await listIntakeDocuments(intake.id, 'pdf'))
+      .filter(doc => parsePdfDocumentName(doc.name).party === position);
+    const availablePdfs = documents.map(doc => ({
+      formType: doc.name,
+      size: doc.size,
+      checksum: doc.checksum,
+      downloadUrl: `/api/pdf/${linkCode}/${doc.name}`
+    }));
+
+    res.json({
+      linkCode,
+      submittedAt: intake.submittedAt,
+      pdfs: availablePdfs
+    });
+
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * GET /api/pdf/:linkCode/all
- * Download all PDFs as a zip (future enhancement)
- * For now, returns list of available PDFs
+ * GET /api/pdf/:linkCode/:formType/verify
+ * Report the seal of an issued PDF. Pass ?sha256=<hex of your copy> to check
+ * whether a file matches what was issued (anything else means it was altered).
  */
-router.get('/:linkCode/all', async (req, res, next) => {
+router.get('/:linkCode/:formType/verify', async (req, res, next) => {
   try {
-    const { linkCode } = req.params;
-    
+    const { linkCode, formType } = req.params;
+    const sha256 = req.query.sha256?.toLowerCase();
+
+    if (sha256 !== undefined && !/^[a-f0-9]{64}$/.test(sha256)) {
+      return res.status(400).json({ error: 'sha256 must be a 64-character hex SHA-256 hash' });
+    }
+
     const intake = await prisma.intake.findUnique({
-      where: { linkCode }
+      where: { linkCode },
+      select: { id: true, status: true }
     });
-    
-    if (!intake) {
+
+    if (!intake || intake.status !== 'COMPLETED') {
       return res.status(404).json({ error: 'Intake not found' });
     }
-    
-    if (intake.status !== 'COMPLETED') {
-      return res.status(400).json({ error: 'Form not yet submitted' });
+
+    const document = await findIntakeDocument(intake.id, 'pdf', formType);
+    if (!document) {
+      return res.status(404).json({ error: 'PDF not found' });
     }
-    
-    const pdfs = intake.generatedPdfs || {};
-    const availablePdfs = Object.keys(pdfs).map(formType => ({
-      formType,
-      downloadUrl: `/api/pdf/${linkCode}/${formType}`
-    }));
-    
+
     res.json({
       linkCode,
-      submittedAt: intake.submittedAt,
-      pdfs: availablePdfs
+      formType,
+      sealed: Boolean(document.sealId),
+      sealId: document.sealId,
+      sealedAt: document.sealedAt,
+      sha256: document.checksum,
+      size: document.size,
+      ...(sha256 !== undefined && { matches: sha256 === document.checksum })
     });
-    
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/pdf/:linkCode/:formType
+ * Download a specific generated PDF - a co-signer's link only downloads their own copies
+ * formTypes: preApplication, indemnitorApp, bondAgreement, immigrationWaiver, referenceForm
+ */
+router.get('/:linkCode/:formType', async (req, res, next) => {
+  try {
+    const { linkCode, formType } = req.params;
+
+    const found = await findByLinkCode(linkCode, { company: true });
+
+    if (!found) {
+      return res.status(404).json({ error: 'Intake not found' });
+    }
+
+    const { intake, party } = found;
+
+    if (intake.status !== 'COMPLETED') {
+      return res.status(400).json({ error: 'Form not yet submitted' });
+    }
+
+    if (isVerificationPending(req, intake, party)) {
+      return res.status(401).json({ error: 'Please verify your identity to continue', verificationRequired: true });
+    }
+
+    const document = parsePdfDocumentName(formType).party === (party?.position || 1)
+      ? await findIntakeDocument(intake.id, 'pdf', formType)
+      : null;
+    if (!document) {
+      return res.status(404).json({ error: 'PDF not found' });
+    }
+
+    const stream = await openDocumentStream(document);
+
+    // Generate filename
+    const defendantName = intake.defendantData?.lastName || 'Defendant';
+    const filename = `${defendantName}_${formType}.pdf`;
+
+    res.setHeader('Content-Type', document.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', document.size);
+
+    stream.on('error', next);
+    stream.pipe(res);
+
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,175 @@
+/**
+ * Audit Service - append-only, hash-chained audit trail per intake
+ *
+ * Every entry gets the next `sequence` number for its intake, the hash of the
+ * entry before it (`prevHash`) and its own SHA-256 `hash` over all of its
+ * fields. Editing an entry breaks its hash; deleting one leaves a gap in the
+ * sequence. Audit entries are never updated or deleted - clearing intakes
+ * appends an "intake_archived" entry instead.
+ *
+ * The unique (intakeId, sequence) index keeps concurrent writers from forking
+ * the chain: the loser of a race just retries on top of the winner's entry.
+ */
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const MAX_APPEND_ATTEMPTS = 5;
+
+/**
+ * Append an entry to an intake's audit trail
+ * Takes the same fields as prisma.auditLog.create's `data`
+ */
+export async function recordAudit({ intakeId, action, details, ipAddress, userAgent }) {
+  // Round-trip through JSON so the hash covers exactly what the database stores (Dates -> strings etc.)
+  const storedDetails = details === undefined || details === null ? null : JSON.parse(JSON.stringify(details));
+
+  for (let attempt = 1; ; attempt++) {
+    const last = await prisma.auditLog.findFirst({
+      where: { intakeId, sequence: { not: null } },
+      orderBy: { sequence: 'desc' },
+      select: { sequence: true, hash: true },
+    });
+
+    const entry = {
+      intakeId,
+      sequence: (last?.sequence || 0) + 1,
+      action,
+      details: storedDetails,
+      ipAddress: ipAddress || null,
+      userAgent: userAgent || null,
+      createdAt: new Date(),
+      prevHash: last?.hash || null,
+    };
+
+    try {
+      return await prisma.auditLog.create({
+        data: {
+          ...entry,
+          details: storedDetails ?? undefined,
+          hash: hashAuditEntry(entry),
+        },
+      });
+    } catch (error) {
+      // Someone else appended this sequence number first - chain onto theirs
+      if (error.code === 'P2002' && attempt < MAX_APPEND_ATTEMPTS) continue;
+      throw error;
+    }
+  }
+}
+
+/**
+ * SHA-256 over an entry's fields (keys sorted, so jsonb key reordering doesn't matter)
+ */
+export function hashAuditEntry(entry) {
+  return crypto.createHash('sha256').update(canonicalJson({
+    intakeId: entry.intakeId,
+    sequence: entry.sequence,
+    action: entry.action,
+    details: entry.details ?? null,
+    ipAddress: entry.ipAddress ?? null,
+    userAgent: entry.userAgent ?? null,
+    createdAt: new Date(entry.createdAt).toISOString(),
+    prevHash: entry.prevHash ?? null,
+  })).digest('hex');
+}
+
+/**
+ * An intake's audit entries, oldest first (entries from before chaining last)
+ */
+export async function getAuditTrail(intakeId) {
+  return prisma.auditLog.findMany({
+    where: { intakeId },
+    orderBy: [{ sequence: 'asc' }, { createdAt: 'asc' }],
+  });
+}
+
+/**
+ * Walk an intake's chain and report anything that doesn't add up
+ * Problems: "hash_mismatch" (entry edited), "broken_link" (prevHash doesn't
+ * match the entry before it), "gap" (entries missing), "unchained" (written
+ * before chaining and never backfilled).
+ * `headHash` is the hash of the latest entry - keep it from an export to
+ * detect entries later removed from the end of the chain.
+ */
+export function verifyAuditChain(entries) {
+  const issues = [];
+  let previous = null;
+
+  for (const entry of entries) {
+    if (entry.sequence === null || !entry.hash) {
+      issues.push({ id: entry.id, action: entry.action, problem: 'unchained' });
+      continue;
+    }
+
+    const expectedSequence = (previous?.sequence || 0) + 1;
+
+    if (entry.sequence !== expectedSequence) {
+      issues.push({
+        sequence: entry.sequence,
+        problem: 'gap',
+        missing: { from: expectedSequence, to: entry.sequence - 1 },
+      });
+    } else if (entry.prevHash !== (previous?.hash || null)) {
+      issues.push({ id: entry.id, sequence: entry.sequence, problem: 'broken_link' });
+    }
+
+    if (hashAuditEntry(entry) !== entry.hash) {
+      issues.push({ id: entry.id, sequence: entry.sequence, action: entry.action, problem: 'hash_mismatch' });
+    }
+
+    previous = entry;
+  }
+
+  return {
+    valid: issues.length === 0,
+    entryCount: entries.length,
+    headHash: previous?.hash || null,
+    issues,
+  };
+}
+
+/**
+ * Everything needed for an audit trail export (JSON or PDF)
+ */
+export async function buildAuditExport(intakeId) {
+  const entries = await getAuditTrail(intakeId);
+  const intake = await prisma.intake.findUnique({
+    where: { id: intakeId },
+    select: { linkCode: true, status: true, company: { select: { name: true } } },
+  });
+
+  // Cleared intakes only live on in their audit trail
+  const archived = [...entries].reverse().find(entry => entry.action === 'intake_archived');
+
+  return {
+    intakeId,
+    linkCode: intake?.linkCode || archived?.details?.linkCode || null,
+    companyName: intake?.company?.name || archived?.details?.companyName || null,
+    status: intake?.status || (archived ? 'ARCHIVED' : null),
+    exportedAt: new Date().toISOString(),
+    verification: verifyAuditChain(entries),
+    entries: entries.map(entry => ({
+      sequence: entry.sequence,
+      action: entry.action,
+      details: entry.details,
+      ipAddress: entry.ipAddress,
+      userAgent: entry.userAgent,
+      createdAt: entry.createdAt,
+      prevHash: entry.prevHash,
+      hash: entry.hash,
+    })),
+  };
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
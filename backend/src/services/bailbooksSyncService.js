@@ -1,10 +1,15 @@
 /**
  * Bailbooks Sync Service
  * Pulls agents, facilities, and courts from Bailbooks API
- * Called nightly or on-demand when agent opens the wizard
+ * Run on a schedule by syncScheduler.js or on-demand from the admin
+ * Every company sync is recorded as a SyncRun
  */
 
 import { PrismaClient } from '@prisma/client';
+import { AppError } from '../utils/errorHandler.js';
+import { decryptSensitiveFields } from '../utils/fieldEncryption.js';
+import { recordAudit } from './auditService.js';
+import { getIntakeCollateral } from './collateralService.js';
 
 const prisma = new PrismaClient();
 
@@ -14,21 +19,27 @@ const BAILBOOKS_API_URL = process.env.BAILBOOKS_API_URL || 'https://app.bailbook
 /**
  * Sync data from Bailbooks for a specific company
  * @param {string} companyId - BondProspects company ID
+ * @param {Object} options - { trigger: "scheduled" | "manual", triggeredBy }
  * @returns {Object} Sync results
  */
-export async function syncCompanyFromBailbooks(companyId) {
+export async function syncCompanyFromBailbooks(companyId, { trigger = 'manual', triggeredBy } = {}) {
   const company = await prisma.company.findUnique({
     where: { id: companyId },
   });
 
   if (!company || !company.bailbooksCompanyId) {
-    throw new Error('Company not found or not linked to Bailbooks');
+    throw new AppError('Company not found or not linked to Bailbooks', 400);
   }
 
   if (!company.apiKey) {
-    throw new Error('Company does not have an API key configured');
+    throw new AppError('Company does not have an API key configured', 400);
   }
 
+  const syncRun = await prisma.syncRun.create({
+    data: { companyId, trigger, triggeredBy },
+  });
+  const startedAt = Date.now();
+
   try {
     // Call Bailbooks sync endpoint
     const response = await fetch(
@@ -46,139 +57,163 @@ export async function syncCompanyFromBailbooks(companyId) {
     }
 
     const data = await response.json();
+    const counts = {};
 
-    // Sync agents
-    if (data.agents && data.agents.length > 0) {
-      await syncAgents(companyId, data.agents);
+    // Each list is a full reconciliation - an empty list deactivates everything,
+    // but a list missing from the response is left alone
+    if (Array.isArray(data.agents)) {
+      counts.agents = await syncAgents(companyId, data.agents);
     }
 
-    // Sync facilities
-    if (data.facilities && data.facilities.length > 0) {
-      await syncFacilities(companyId, data.facilities);
+    if (Array.isArray(data.facilities)) {
+      counts.facilities = await syncFacilities(companyId, data.facilities);
     }
 
-    // Sync courts
-    if (data.courts && data.courts.length > 0) {
-      await syncCourts(companyId, data.courts);
+    if (Array.isArray(data.courts)) {
+      counts.courts = await syncCourts(companyId, data.courts);
     }
 
     // Update last synced timestamp
+    const syncedAt = new Date();
     await prisma.company.update({
       where: { id: companyId },
-      data: { lastSyncedAt: new Date() },
+      data: { lastSyncedAt: syncedAt },
+    });
+
+    await prisma.syncRun.update({
+      where: { id: syncRun.id },
+      data: {
+        status: 'SUCCEEDED',
+        counts,
+        finishedAt: syncedAt,
+        durationMs: Date.now() - startedAt,
+      },
     });
 
     return {
       success: true,
+      syncRunId: syncRun.id,
       agentCount: data.agents?.length || 0,
       facilityCount: data.facilities?.length || 0,
       courtCount: data.courts?.length || 0,
-      syncedAt: new Date(),
+      counts,
+      syncedAt,
     };
 
   } catch (error) {
     console.error('Bailbooks sync error:', error);
+
+    await prisma.syncRun.update({
+      where: { id: syncRun.id },
+      data: {
+        status: 'FAILED',
+        error: error.message,
+        finishedAt: new Date(),
+        durationMs: Date.now() - startedAt,
+      },
+    });
+
+    error.syncRunId = syncRun.id;
     throw error;
   }
 }
 
 /**
- * Sync agents from Bailbooks
+ * Reconcile one synced table against the list Bailbooks returned
+ * - new rows are created
+ * - changed or returning (previously inactive) rows are updated
+ * - active rows missing from the list are marked isActive: false
+ * @param {Object} delegate - Prisma model (prisma.syncedAgent, ...)
+ * @param {string} idField - Bailbooks id column (bailbooksAgentId, ...)
+ * @param {Map} incoming - Bailbooks id -> { name, isActive, ... }
+ * @param {Object} createDefaults - values for new rows only, where Bailbooks left a field out
+ * @returns {Object} { received, added, updated, deactivated }
  */
-async function syncAgents(companyId, agents) {
-  for (const agent of agents) {
-    await prisma.syncedAgent.upsert({
-      where: {
-        companyId_bailbooksAgentId: {
-          companyId,
-          bailbooksAgentId: agent.agentId,
-        },
-      },
-      update: {
-        name: agent.name,
-        isActive: agent.active !== false,
-        updatedAt: new Date(),
-      },
-      create: {
-        companyId,
-        bailbooksAgentId: agent.agentId,
-        name: agent.name,
-        isActive: agent.active !== false,
-      },
+async function reconcileSyncedRows(delegate, companyId, idField, incoming, createDefaults = {}) {
+  const existing = await delegate.findMany({ where: { companyId } });
+  const existingById = new Map(existing.map(row => [row[idField], row]));
+  const counts = { received: incoming.size, added: 0, updated: 0, deactivated: 0 };
+
+  for (const [bailbooksId, data] of incoming) {
+    const row = existingById.get(bailbooksId);
+
+    if (!row) {
+      await delegate.create({
+        data: { companyId, [idField]: bailbooksId, ...createDefaults, ...data },
+      });
+      counts.added++;
+      continue;
+    }
+
+    const changed = Object.keys(data).some(key => row[key] !== data[key]);
+    if (changed) {
+      await delegate.update({ where: { id: row.id }, data });
+      if (row.isActive && !data.isActive) {
+        counts.deactivated++;
+      } else {
+        counts.updated++;
+      }
+    }
+  }
+
+  const missingIds = existing
+    .filter(row => row.isActive && !incoming.has(row[idField]))
+    .map(row => row.id);
+
+  if (missingIds.length > 0) {
+    const deactivated = await delegate.updateMany({
+      where: { id: { in: missingIds } },
+      data: { isActive: false },
     });
+    counts.deactivated += deactivated.count;
   }
 
-  // Mark agents not in the list as inactive
-  const activeIds = agents.map(a => a.agentId);
-  await prisma.syncedAgent.updateMany({
-    where: {
-      companyId,
-      bailbooksAgentId: { notIn: activeIds },
-    },
-    data: { isActive: false },
-  });
+  return counts;
+}
+
+/**
+ * Sync agents from Bailbooks
+ */
+async function syncAgents(companyId, agents) {
+  const incoming = new Map(agents.map(agent => [agent.agentId, {
+    name: agent.name,
+    isActive: agent.active !== false,
+  }]));
+
+  return reconcileSyncedRows(prisma.syncedAgent, companyId, 'bailbooksAgentId', incoming);
 }
 
 /**
  * Sync facilities from Bailbooks
  */
 async function syncFacilities(companyId, facilities) {
-  for (const facility of facilities) {
-    await prisma.syncedFacility.upsert({
-      where: {
-        companyId_bailbooksFacilityId: {
-          companyId,
-          bailbooksFacilityId: facility.facilityId,
-        },
-      },
-      update: {
-        name: facility.name || facility.facilityName,
-        isActive: true,
-        updatedAt: new Date(),
-      },
-      create: {
-        companyId,
-        bailbooksFacilityId: facility.facilityId,
-        name: facility.name || facility.facilityName,
-        facilityType: facility.facilityType || 'jail',
-        isActive: true,
-      },
-    });
-  }
+  const incoming = new Map(facilities.map(facility => [facility.facilityId, {
+    name: facility.name || facility.facilityName,
+    // Left alone when Bailbooks doesn't say - an admin may have corrected it
+    ...(facility.facilityType && { facilityType: facility.facilityType }),
+    isActive: true,
+  }]));
+
+  return reconcileSyncedRows(prisma.syncedFacility, companyId, 'bailbooksFacilityId', incoming, { facilityType: 'jail' });
 }
 
 /**
  * Sync courts from Bailbooks
  */
 async function syncCourts(companyId, courts) {
-  for (const court of courts) {
-    await prisma.syncedCourt.upsert({
-      where: {
-        companyId_bailbooksCourtId: {
-          companyId,
-          bailbooksCourtId: court.courtId,
-        },
-      },
-      update: {
-        name: court.name || court.courtName,
-        isActive: true,
-        updatedAt: new Date(),
-      },
-      create: {
-        companyId,
-        bailbooksCourtId: court.courtId,
-        name: court.name || court.courtName,
-        isActive: true,
-      },
-    });
-  }
+  const incoming = new Map(courts.map(court => [court.courtId, {
+    name: court.name || court.courtName,
+    isActive: true,
+  }]));
+
+  return reconcileSyncedRows(prisma.syncedCourt, companyId, 'bailbooksCourtId', incoming);
 }
 
 /**
  * Sync all companies that have Bailbooks integration
- * Called by nightly cron job
+ * Called by the sync scheduler (BAILBOOKS_SYNC_CRON)
  */
-export async function syncAllCompanies() {
+export async function syncAllCompanies({ trigger = 'scheduled' } = {}) {
   const companies = await prisma.company.findMany({
     where: {
       bailbooksCompanyId: { not: null },
@@ -191,12 +226,13 @@ export async function syncAllCompanies() {
 
   for (const company of companies) {
     try {
-      const result = await syncCompanyFromBailbooks(company.id);
+      const result = await syncCompanyFromBailbooks(company.id, { trigger });
       results.push({ companyId: company.id, ...result });
     } catch (error) {
       results.push({
         companyId: company.id,
         success: false,
+        syncRunId: error.syncRunId,
         error: error.message,
       });
     }
@@ -207,12 +243,17 @@ export async function syncAllCompanies() {
 
 /**
  * Send completed submission to Bailbooks
- * Called when co-signer completes the e-sign forms
+ * Runs as a "bailbooks_push" job after the co-signer completes the e-sign forms;
+ * throws on failure so the job is retried
  */
 export async function sendSubmissionToBailbooks(intakeId) {
   const intake = await prisma.intake.findUnique({
     where: { id: intakeId },
-    include: { company: true },
+    include: {
+      company: true,
+      parties: true,
+      documents: { where: { kind: { in: ['pdf', 'collateral'] } } },
+    },
   });
 
   if (!intake) {
@@ -225,23 +266,41 @@ export async function sendSubmissionToBailbooks(intakeId) {
   }
 
   try {
+    // Bailbooks is the system of record and needs the real SSN / license / DOB
+    const { defendantData, indemnitorData } = decryptSensitiveFields(intake);
+    const pdfDocuments = intake.documents.filter(doc => doc.kind === 'pdf');
+    const uploads = new Map(
+      intake.documents.filter(doc => doc.kind === 'collateral').map(doc => [doc.name, doc])
+    );
+
     const payload = {
       intakeId: intake.id,
       linkCode: intake.linkCode,
       companyId: intake.company.bailbooksCompanyId,
       submittedAt: intake.submittedAt,
-      defendant: intake.defendantData,
-      indemnitor: intake.indemnitorData,
+      defendant: defendantData,
+      indemnitor: indemnitorData,
       references: intake.referencesData,
       bonds: intake.bondsData || [intake.bondData],
       signatures: intake.signatures ? Object.keys(intake.signatures) : [],
-      pdfs: {
-        preApplication: `${process.env.BASE_URL}/api/intake/${intake.linkCode}/pdf/preApplication`,
-        indemnitorApp: `${process.env.BASE_URL}/api/intake/${intake.linkCode}/pdf/indemnitorApp`,
-        bondAgreement: `${process.env.BASE_URL}/api/intake/${intake.linkCode}/pdf/bondAgreement`,
-        immigrationWaiver: `${process.env.BASE_URL}/api/intake/${intake.linkCode}/pdf/immigrationWaiver`,
-        referenceForm: `${process.env.BASE_URL}/api/intake/${intake.linkCode}/pdf/referenceForm`,
-      },
+      // Only documents that were actually stored, each with its SHA-256 checksum
+      pdfs: Object.fromEntries(
+        pdfDocuments.map(doc => [doc.name, `${process.env.BASE_URL}/api/intake/${intake.linkCode}/pdf/${doc.name}`])
+      ),
+      pdfChecksums: Object.fromEntries(
+        pdfDocuments.map(doc => [doc.name, doc.checksum])
+      ),
+      // Every co-signer's pledged collateral; photos / documents download with the company API key
+      collateral: getIntakeCollateral(intake).map(item => ({
+        ...item,
+        documents: item.documents
+          .filter(file => uploads.has(file.name))
+          .map(file => ({
+            ...file,
+            checksum: uploads.get(file.name).checksum,
+            url: `${process.env.BASE_URL}/api/agent/request/${intake.linkCode}/collateral/${file.name}`,
+          })),
+      })),
     };
 
     const response = await fetch(
@@ -282,15 +341,13 @@ export async function sendSubmissionToBailbooks(intakeId) {
   } catch (error) {
     console.error('Bailbooks submission error:', error);
     
-    // Log the failure but don't throw - submission already completed
-    await prisma.auditLog.create({
-      data: {
-        intakeId,
-        action: 'bailbooks_sync_failed',
-        details: { error: error.message },
-      },
+    // Log the failure and rethrow so the job queue retries with backoff
+    await recordAudit({
+      intakeId,
+      action: 'bailbooks_sync_failed',
+      details: { error: error.message },
     });
 
-    return { success: false, error: error.message };
+    throw error;
   }
 }
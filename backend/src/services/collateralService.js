@@ -0,0 +1,186 @@
+/**
+ * Collateral Service - property a co-signer pledges to secure the bond
+ *
+ * Each co-signer keeps their own list in collateralData (on the Intake for the
+ * primary, on their IntakeParty otherwise):
+ *   [{ id, type, description, estimatedValue, vin, year, make, model,
+ *      parcelNumber, propertyAddress, documents: [{ name, fileName, contentType, size }] }]
+ *
+ * VINs and parcel numbers are stored as entered - nothing is looked up. Photos
+ * and documents go through the storage backend as Documents of kind "collateral",
+ * named "p<position>-<id>.<ext>" so each co-signer only ever sees their own.
+ */
+
+import { nanoid } from 'nanoid';
+import { storeDocument, listIntakeDocuments, deleteDocument } from './documentService.js';
+import { parseAmount } from '../utils/bonds.js';
+
+export const COLLATERAL_TYPES = {
+  vehicle: 'Vehicle',
+  real_property: 'Real Property',
+  jewelry: 'Jewelry',
+  cash: 'Cash',
+  other: 'Other',
+};
+
+// Per co-signer
+export const MAX_COLLATERAL_ITEMS = 10;
+export const MAX_COLLATERAL_UPLOADS = 20;
+export const MAX_COLLATERAL_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+// Accepted upload types -> stored file extension
+export const COLLATERAL_UPLOAD_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'application/pdf': 'pdf',
+};
+
+const TEXT_FIELDS = {
+  description: 500,
+  vin: 17,
+  year: 4,
+  make: 50,
+  model: 50,
+  parcelNumber: 50,
+  propertyAddress: 200,
+};
+
+/**
+ * Which co-signer an upload belongs to: "p2-abc.jpg" -> 2
+ */
+export function parseCollateralDocumentName(name) {
+  const match = /^p(\d+)-/.exec(name);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * A co-signer's uploads, oldest first
+ */
+export async function listCollateralUploads(intakeId, position) {
+  return (await listIntakeDocuments(intakeId, 'collateral'))
+    .filter(doc => parseCollateralDocumentName(doc.name) === position);
+}
+
+/**
+ * Store a photo / document for one co-signer's collateral
+ * Returns { document } or { error, status }
+ */
+export async function storeCollateralUpload({ intakeId, position, buffer, contentType, fileName }) {
+  const extension = COLLATERAL_UPLOAD_TYPES[contentType];
+  if (!extension) {
+    return { error: 'Please upload a photo (JPEG, PNG, WebP or HEIC) or a PDF', status: 415 };
+  }
+
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return { error: 'The file is empty', status: 400 };
+  }
+
+  const uploads = await listCollateralUploads(intakeId, position);
+  if (uploads.length >= MAX_COLLATERAL_UPLOADS) {
+    return { error: `You can upload up to ${MAX_COLLATERAL_UPLOADS} files`, status: 400 };
+  }
+
+  const document = await storeDocument({
+    intakeId,
+    kind: 'collateral',
+    name: `p${position}-${nanoid(12)}.${extension}`,
+    contentType,
+    buffer,
+    fileName: String(fileName || '').slice(0, 200) || null,
+  });
+
+  return { document };
+}
+
+/**
+ * Upload metadata as kept on a collateral item (and returned to the browser)
+ */
+export function toCollateralDocument(document) {
+  return {
+    name: document.name,
+    fileName: document.fileName || document.name,
+    contentType: document.contentType,
+    size: document.size,
+  };
+}
+
+/**
+ * Clean up collateral items from the browser
+ * Unknown fields are dropped, and only this co-signer's own uploads can be attached.
+ * Items may still be incomplete (auto-save) - see validateCollateral for submission.
+ */
+export function sanitizeCollateral(items, uploads) {
+  if (!Array.isArray(items)) return [];
+
+  const uploadsByName = new Map(uploads.map(doc => [doc.name, doc]));
+
+  return items.slice(0, MAX_COLLATERAL_ITEMS).map(item => {
+    const clean = {
+      id: typeof item?.id === 'string' && item.id ? item.id.slice(0, 32) : nanoid(10),
+      type: COLLATERAL_TYPES[item?.type] ? item.type : 'other',
+      estimatedValue: parseAmount(item?.estimatedValue),
+    };
+
+    for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+      const value = typeof item?.[field] === 'string' ? item[field].trim() : '';
+      if (value) clean[field] = value.slice(0, maxLength);
+    }
+    if (clean.vin) clean.vin = clean.vin.toUpperCase();
+
+    clean.documents = (Array.isArray(item?.documents) ? item.documents : [])
+      .map(doc => uploadsByName.get(doc?.name))
+      .filter(Boolean)
+      .map(toCollateralDocument);
+
+    return clean;
+  });
+}
+
+/**
+ * Can these (sanitized) items be signed for? Returns an error message, or null
+ */
+export function validateCollateral(items) {
+  for (const [index, item] of items.entries()) {
+    const label = `Collateral item ${index + 1}`;
+    if (!item.description) return `${label}: please describe the item`;
+    if (!(item.estimatedValue > 0)) return `${label}: please enter an estimated value`;
+    if (item.vin && !/^[A-HJ-NPR-Z0-9]{17}$/.test(item.vin)) return `${label}: a VIN is 17 letters and numbers`;
+  }
+  return null;
+}
+
+/**
+ * Total estimated value of a co-signer's collateral (dollars)
+ */
+export function getCollateralTotal(items) {
+  return (items || []).reduce((total, item) => total + parseAmount(item.estimatedValue), 0);
+}
+
+/**
+ * Remove a co-signer's uploads that are no longer attached to any item
+ * (called when they sign, so removed photos don't linger in storage)
+ */
+export async function pruneCollateralUploads(intakeId, position, items) {
+  const attached = new Set(items.flatMap(item => item.documents.map(doc => doc.name)));
+  const orphaned = (await listCollateralUploads(intakeId, position)).filter(doc => !attached.has(doc.name));
+
+  for (const document of orphaned) {
+    await deleteDocument(document);
+  }
+  return orphaned.length;
+}
+
+/**
+ * Every co-signer's collateral on an intake, primary first (`parties` must be included)
+ * Each item gets the co-signer's position as `party`
+ */
+export function getIntakeCollateral(intake) {
+  const parties = [...(intake.parties || [])].sort((a, b) => a.position - b.position);
+
+  return [
+    ...(intake.collateralData || []).map(item => ({ party: 1, ...item })),
+    ...parties.flatMap(party => (party.collateralData || []).map(item => ({ party: party.position, ...item }))),
+  ];
+}
@@ -0,0 +1,174 @@
+/**
+ * Document Service - metadata + storage for generated PDFs and uploads
+ *
+ * The Document table records where each object lives (driver + key) along with
+ * its size and SHA-256 checksum; the bytes themselves live in the storage backend.
+ */
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { getStorageDriver } from './storageService.js';
+import { readPdfSeal } from './pdfService.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Store a document for an intake, replacing any existing document with the same kind + name
+ */
+export async function storeDocument({ intakeId, kind, name, contentType, buffer, fileName = null, sealId = null, sealedAt = null }) {
+  const driver = getStorageDriver();
+  const storageKey = `intakes/${intakeId}/${kind}/${name}`;
+  const checksum = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  await driver.put(storageKey, buffer, contentType);
+
+  return prisma.document.upsert({
+    where: { intakeId_kind_name: { intakeId, kind, name } },
+    create: {
+      intakeId,
+      kind,
+      name,
+      storageDriver: driver.name,
+      storageKey,
+      contentType,
+      fileName,
+      size: buffer.length,
+      checksum,
+      sealId,
+      sealedAt,
+    },
+    update: {
+      storageDriver: driver.name,
+      storageKey,
+      contentType,
+      fileName,
+      size: buffer.length,
+      checksum,
+      sealId,
+      sealedAt,
+    },
+  });
+}
+
+/**
+ * Store sealed PDFs - { name: { base64, sealId } } from pdfService.sealPdf()
+ * Returns the stored Document rows
+ */
+export async function storeIntakePdfs(intakeId, pdfs, sealedAt = new Date()) {
+  const documents = [];
+
+  for (const [name, pdf] of Object.entries(pdfs)) {
+    if (!pdf?.base64) continue;
+
+    documents.push(await storeDocument({
+      intakeId,
+      kind: 'pdf',
+      name,
+      contentType: 'application/pdf',
+      buffer: Buffer.from(pdf.base64, 'base64'),
+      sealId: pdf.sealId,
+      sealedAt,
+    }));
+  }
+
+  return documents;
+}
+
+/**
+ * Check a PDF against what we issued
+ * - "authentic": byte-for-byte the sealed document we stored
+ * - "modified": carries one of our seals but the bytes have changed
+ * - "unknown": not a document we issued (or its seal was stripped)
+ * Returns { status, sha256, document } - document is the issued (or claimed) one
+ */
+export async function verifyPdfFile(buffer) {
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  const issued = await prisma.document.findFirst({
+    where: { checksum: sha256, kind: 'pdf' },
+    include: { intake: { select: { linkCode: true } } },
+  });
+  if (issued) {
+    return { status: 'authentic', sha256, document: issued };
+  }
+
+  const seal = await readPdfSeal(buffer);
+  const claimed = seal && await prisma.document.findFirst({
+    where: { sealId: seal.sealId, kind: 'pdf' },
+    include: { intake: { select: { linkCode: true } } },
+  });
+  if (claimed) {
+    return { status: 'modified', sha256, document: claimed };
+  }
+
+  return { status: 'unknown', sha256, document: null };
+}
+
+/**
+ * List an intake's documents, optionally of one kind
+ */
+export async function listIntakeDocuments(intakeId, kind) {
+  return prisma.document.findMany({
+    where: { intakeId, ...(kind && { kind }) },
+    orderBy: { createdAt: 'asc' },
+  });
+}
+
+/**
+ * Find a single document by intake, kind and name
+ */
+export async function findIntakeDocument(intakeId, kind, name) {
+  return prisma.document.findUnique({
+    where: { intakeId_kind_name: { intakeId, kind, name } },
+  });
+}
+
+/**
+ * Open a read stream for a stored document
+ * Reads from the driver the document was written with, so switching
+ * STORAGE_DRIVER does not orphan older objects.
+ */
+export async function openDocumentStream(document) {
+  return getStorageDriver(document.storageDriver).getStream(document.storageKey);
+}
+
+/**
+ * Read a stored document fully into memory (for email attachments, merging, etc.)
+ */
+export async function readDocument(document) {
+  const stream = await openDocumentStream(document);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Delete a single document - its stored object and its row
+ */
+export async function deleteDocument(document) {
+  await getStorageDriver(document.storageDriver).delete(document.storageKey);
+  await prisma.document.delete({ where: { id: document.id } });
+}
+
+/**
+ * Delete stored objects for the given intakes
+ * Document rows are removed by the Intake cascade; call this before deleting intakes.
+ */
+export async function deleteIntakeDocuments(intakeIds) {
+  const documents = await prisma.document.findMany({
+    where: { intakeId: { in: intakeIds } },
+    select: { storageDriver: true, storageKey: true },
+  });
+
+  for (const document of documents) {
+    try {
+      await getStorageDriver(document.storageDriver).delete(document.storageKey);
+    } catch (error) {
+      console.error(`Failed to delete stored document ${document.storageKey}:`, error.message);
+    }
+  }
+
+  return documents.length;
+}
@@ -0,0 +1,199 @@
+/**
+ * Draft Service - field-level autosave for the co-signer wizard
+ *
+ * The wizard sends only what changed, keyed by field path:
+ *   { "defendantData.city": "Austin", "referencesData.1.phone": "(555) 555-0100" }
+ * Each path is merged into the stored JSON, so two devices editing different
+ * fields don't overwrite each other. A path can also name a whole section
+ * ("bondData") - collateral is only ever saved whole, as it's cleaned up as a
+ * list (see collateralService.sanitizeCollateral).
+ *
+ * Every save is kept as an IntakeRevision: the changes (sensitive values masked),
+ * the step the co-signer was on, and who / when / from where.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { maskSensitiveFields } from '../utils/fieldEncryption.js';
+
+const prisma = new PrismaClient();
+
+// What each link may change - additional co-signers only have their own section
+export const DRAFT_SECTIONS = ['defendantData', 'indemnitorData', 'referencesData', 'bondData', 'collateralData'];
+export const PARTY_DRAFT_SECTIONS = ['indemnitorData', 'referencesData', 'collateralData'];
+
+const WHOLE_SECTIONS = ['collateralData'];
+
+export const MAX_DRAFT_CHANGES = 200;
+
+// section.field, section.index.field - deeper values are saved as a whole
+const MAX_PATH_DEPTH = 3;
+const MAX_ARRAY_INDEX = 20;
+const FIELD_NAME = /^[A-Za-z][A-Za-z0-9]{0,49}$/;
+const ARRAY_INDEX = /^\d{1,2}$/;
+const STEP_ID = /^[A-Za-z]{1,30}$/;
+const MAX_PROGRESS_SECTIONS = 12;
+
+const MAX_APPEND_ATTEMPTS = 5;
+
+/**
+ * Can these changes be saved from this link? Returns an error message, or null
+ */
+export function validateDraftChanges(changes, sections) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return 'changes must be an object of field paths';
+  }
+
+  const paths = Object.keys(changes);
+  if (paths.length > MAX_DRAFT_CHANGES) {
+    return `At most ${MAX_DRAFT_CHANGES} fields can be saved at once`;
+  }
+
+  for (const path of paths) {
+    const [section, ...rest] = path.split('.');
+
+    if (!sections.includes(section)) return `${path}: can't be changed from this link`;
+    if (rest.length > 0 && WHOLE_SECTIONS.includes(section)) return `${path}: ${section} is saved as a whole`;
+    if (rest.length >= MAX_PATH_DEPTH) return `${path}: too deep`;
+
+    for (const segment of rest) {
+      const isIndex = ARRAY_INDEX.test(segment);
+      if (!isIndex && !FIELD_NAME.test(segment)) return `${path}: invalid field name`;
+      if (isIndex && Number(segment) >= MAX_ARRAY_INDEX) return `${path}: too many entries`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The sections touched by `changes`, with the changes merged into what's stored
+ * on `record` (an Intake or IntakeParty). Sections not mentioned aren't returned.
+ */
+export function applyDraftChanges(record, changes) {
+  const merged = {};
+
+  for (const [path, value] of Object.entries(changes)) {
+    const [section, ...rest] = path.split('.');
+
+    if (rest.length === 0) {
+      merged[section] = value;
+      continue;
+    }
+
+    if (!(section in merged)) {
+      merged[section] = structuredClone(record[section] ?? (ARRAY_INDEX.test(rest[0]) ? [] : {}));
+    }
+    merged[section] = setPath(merged[section], rest, value);
+  }
+
+  return merged;
+}
+
+/**
+ * Set `value` at `keys` inside `target` (mutating it), creating objects / arrays
+ * along the way. Returns the target - a fresh container if it wasn't one.
+ */
+function setPath(target, [key, ...rest], value) {
+  const isIndex = ARRAY_INDEX.test(key);
+  let container = target;
+
+  if (isIndex && !Array.isArray(container)) container = [];
+  if (!isIndex && (!container || typeof container !== 'object' || Array.isArray(container))) container = {};
+
+  if (isIndex) {
+    // Fill any gap so references stay a plain list ([{}, {}, { phone }])
+    while (container.length < Number(key)) container.push({});
+  }
+
+  container[key] = rest.length === 0 ? value : setPath(container[key], rest, value);
+  return container;
+}
+
+/**
+ * A step id from the wizard ("references"), or null
+ */
+export function sanitizeStepId(step) {
+  return typeof step === 'string' && STEP_ID.test(step) ? step : null;
+}
+
+/**
+ * Per-section completion from the wizard: { indemnitor: 80, ... } as whole
+ * percentages - anything else is dropped
+ */
+export function sanitizeSectionProgress(progress) {
+  if (!progress || typeof progress !== 'object' || Array.isArray(progress)) return {};
+
+  return Object.fromEntries(Object.entries(progress)
+    .filter(([section, percent]) => FIELD_NAME.test(section) && Number.isFinite(percent))
+    .slice(0, MAX_PROGRESS_SECTIONS)
+    .map(([section, percent]) => [section, Math.round(Math.min(Math.max(percent, 0), 100))]));
+}
+
+/**
+ * The changes as they're kept in the revision history - SSNs, license numbers
+ * and DOBs only ever masked
+ */
+function maskDraftChanges(changes) {
+  return Object.fromEntries(Object.entries(changes).map(([path, value]) => {
+    const keys = path.split('.');
+    const masked = maskSensitiveFields(nest(keys, value));
+    return [path, keys.reduce((current, key) => current?.[key], masked)];
+  }));
+}
+
+function nest([key, ...rest], value) {
+  return { [key]: rest.length === 0 ? value : nest(rest, value) };
+}
+
+/**
+ * Keep a save in the draft's history - the next version number for this
+ * co-signer (retried if another save took it first)
+ */
+export async function recordDraftRevision({ intakeId, position, changes, currentStep, ipAddress, userAgent }) {
+  const maskedChanges = maskDraftChanges(changes);
+
+  for (let attempt = 1; ; attempt++) {
+    const last = await prisma.intakeRevision.findFirst({
+      where: { intakeId, position },
+      orderBy: { version: 'desc' },
+      select: { version: true },
+    });
+
+    try {
+      return await prisma.intakeRevision.create({
+        data: {
+          intakeId,
+          position,
+          version: (last?.version || 0) + 1,
+          changes: maskedChanges,
+          currentStep: currentStep || null,
+          ipAddress: ipAddress || null,
+          userAgent: userAgent || null,
+        },
+      });
+    } catch (error) {
+      if (error.code === 'P2002' && attempt < MAX_APPEND_ATTEMPTS) continue;
+      throw error;
+    }
+  }
+}
+
+/**
+ * An intake's draft history, newest first
+ */
+export async function listDraftRevisions(intakeId, { position, limit = 100 } = {}) {
+  return prisma.intakeRevision.findMany({
+    where: { intakeId, ...(position ? { position } : {}) },
+    orderBy: [{ createdAt: 'desc' }, { version: 'desc' }],
+    take: limit,
+    select: {
+      position: true,
+      version: true,
+      changes: true,
+      currentStep: true,
+      ipAddress: true,
+      userAgent: true,
+      createdAt: true,
+    },
+  });
+}
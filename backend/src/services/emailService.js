@@ -1,4 +1,5 @@
 import { Resend } from 'resend';
+import { getPdfDisplayName } from './pdfService.js';
 
 // Only initialize Resend if API key is present
 const resend = process.env.RESEND_API_KEY 
@@ -17,18 +18,10 @@ export async function sendCompletionEmail({ to, company, defendantName, indemnit
   // Convert PDFs to attachments
   const attachments = [];
   
-  const pdfNames = {
-    preApplication: 'Pre-Application',
-    indemnitorApp: 'Indemnitor Application',
-    bondAgreement: 'Bond Agreement',
-    immigrationWaiver: 'Immigration Waiver',
-    referenceForm: 'Reference Form'
-  };
-  
   for (const [key, base64Data] of Object.entries(pdfs)) {
     if (base64Data) {
       attachments.push({
-        filename: `${defendantName.replace(/\s+/g, '_')}_${pdfNames[key] || key}.pdf`,
+        filename: `${defendantName.replace(/\s+/g, '_')}_${getPdfDisplayName(key)}.pdf`,
         content: base64Data // Resend accepts base64
       });
     }
@@ -0,0 +1,113 @@
+/**
+ * Expiry Service - moves intakes past their expiresAt to EXPIRED
+ *
+ * A periodic sweep expires stale PENDING / IN_PROGRESS intakes so status
+ * filters and stats stay accurate even if nobody opens the link again.
+ * The intake routes also expire on access, so a link is never usable late.
+ *
+ * EXPIRY_SWEEP_CRON sets how often the sweep runs (default every 5 minutes).
+ * Running it on several replicas is safe - each intake is only expired once.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { scheduleCronTask } from './scheduler.js';
+import { enqueueJob } from './jobQueue.js';
+import { emitIntakeEvent } from './webhookService.js';
+import { recordAudit } from './auditService.js';
+
+const prisma = new PrismaClient();
+
+const DEFAULT_EXPIRY_SWEEP_CRON = '*/5 * * * *';
+
+const OPEN_STATUSES = ['PENDING', 'IN_PROGRESS'];
+
+let stopTask = null;
+
+/**
+ * Start the scheduled expiry sweep
+ */
+export function startExpiryScheduler({ cron = process.env.EXPIRY_SWEEP_CRON || DEFAULT_EXPIRY_SWEEP_CRON } = {}) {
+  if (cron === 'off') {
+    console.log('Expiry sweep disabled');
+    return;
+  }
+
+  stopTask = scheduleCronTask('Expiry sweep', cron, async () => {
+    const expired = await expireStaleIntakes();
+    if (expired > 0) {
+      console.log(`Expiry sweep expired ${expired} intake(s)`);
+    }
+  });
+}
+
+/**
+ * Stop the scheduler
+ */
+export function stopExpiryScheduler() {
+  if (stopTask) {
+    stopTask();
+    stopTask = null;
+  }
+}
+
+/**
+ * Expire every open intake past its expiresAt
+ * Returns how many were expired
+ */
+export async function expireStaleIntakes(now = new Date()) {
+  const stale = await prisma.intake.findMany({
+    where: {
+      status: { in: OPEN_STATUSES },
+      expiresAt: { lte: now },
+    },
+  });
+
+  let expired = 0;
+  for (const intake of stale) {
+    try {
+      if (await expireIntake(intake, { trigger: 'sweep' })) {
+        expired++;
+      }
+    } catch (error) {
+      console.error(`Failed to expire intake ${intake.id}:`, error);
+    }
+  }
+
+  return expired;
+}
+
+/**
+ * Mark one open intake EXPIRED, audit it and notify the agent (or the company, for a
+ * client-initiated intake that was started)
+ * Returns false if it was no longer open (already expired, submitted or cancelled)
+ */
+export async function expireIntake(intake, { trigger, ipAddress, userAgent } = {}) {
+  // Conditional update so concurrent sweeps / requests only expire it once
+  const { count } = await prisma.intake.updateMany({
+    where: { id: intake.id, status: { in: OPEN_STATUSES } },
+    data: { status: 'EXPIRED' },
+  });
+
+  if (count === 0) return false;
+
+  await recordAudit({
+    intakeId: intake.id,
+    action: 'expired',
+    details: {
+      trigger,
+      previousStatus: intake.status,
+      expiresAt: intake.expiresAt,
+    },
+    ipAddress,
+    userAgent,
+  });
+
+  await emitIntakeEvent('intake.expired', { ...intake, status: 'EXPIRED' });
+  
+  // Nobody to tell about a company-page visit that was never filled in
+  if (intake.agentId || intake.source === 'AGENT' || intake.status !== 'PENDING') {
+    await enqueueJob('send_expiry_notification', { intakeId: intake.id }, { intakeId: intake.id });
+  }
+
+  return true;
+}
@@ -6,9 +6,14 @@
  * 1. Database (FormTemplate model) - preferred for production
  * 2. File system (formTemplates_{slug}.js) - for development/migration
  * 3. Default templates - fallback if no custom templates exist
+ *
+ * A company can also store translations of its forms (FormTemplate.language
+ * other than "en"). Those never replace the English forms - they are added
+ * after them for co-signers who chose that language (see getTranslatedTemplates).
  */
 
 import { PrismaClient } from '@prisma/client';
+import { DEFAULT_LANGUAGE, normalizeLanguage } from '../utils/i18n.js';
 
 const prisma = new PrismaClient();
 
@@ -18,6 +23,18 @@ import * as defaultTemplates from './formTemplates.js';
 // Cache for loaded templates
 const templateCache = new Map();
 
+// Form types a company can override with its own template
+export const TEMPLATE_FORM_TYPES = [
+  { formType: 'preApplication', name: 'Pre-Application' },
+  { formType: 'referenceForm', name: 'Reference Form' },
+  { formType: 'immigrationWaiver', name: 'Immigration Waiver' },
+  { formType: 'indemnitorApplication', name: 'Indemnitor Application' },
+  { formType: 'immigrationBondAgreement', name: 'Immigration Bond Agreement' }
+];
+
+// Reference placeholders go from {{reference0.x}} to {{reference4.x}}
+export const MAX_TEMPLATE_REFERENCES = 5;
+
 /**
  * Get form templates for a company
  * @param {string} companyId - Company ID
@@ -32,7 +49,7 @@ export async function getCompanyTemplates(companyId) {
   try {
     // Try to load from database
     const dbTemplates = await prisma.formTemplate.findMany({
-      where: { companyId, isActive: true }
+      where: { companyId, language: DEFAULT_LANGUAGE, isActive: true }
     });
     
     if (dbTemplates.length > 0) {
@@ -51,6 +68,41 @@ export async function getCompanyTemplates(companyId) {
   }
 }
 
+/**
+ * Get a company's translated form templates for a language
+ * Only the forms the company supplied a translation for - there are no default translations
+ * @returns {Object} Template generators keyed like getCompanyTemplates (may be empty)
+ */
+export async function getTranslatedTemplates(companyId, language) {
+  language = normalizeLanguage(language);
+  if (language === DEFAULT_LANGUAGE) return {};
+  
+  const cacheKey = `${companyId}:${language}`;
+  if (templateCache.has(cacheKey)) {
+    return templateCache.get(cacheKey);
+  }
+  
+  try {
+    const dbTemplates = await prisma.formTemplate.findMany({
+      where: { companyId, language, isActive: true }
+    });
+    
+    const templates = {};
+    for (const template of dbTemplates) {
+      templates[`generate${capitalize(template.formType)}`] = (data, signatures) => {
+        return renderTemplate(template.htmlTemplate, data, signatures);
+      };
+    }
+    
+    templateCache.set(cacheKey, templates);
+    return templates;
+    
+  } catch (error) {
+    console.error('Error loading translated templates for company:', companyId, language, error);
+    return {};
+  }
+}
+
 /**
  * Build template functions from database records
  */
@@ -64,9 +116,7 @@ function buildTemplatesFromDb(dbTemplates) {
   }
   
   // Fill in any missing form types with defaults
-  const formTypes = ['preApplication', 'referenceForm', 'immigrationWaiver', 'indemnitorApplication', 'immigrationBondAgreement'];
-  
-  for (const formType of formTypes) {
+  for (const { formType } of TEMPLATE_FORM_TYPES) {
     const funcName = `generate${capitalize(formType)}`;
     if (!templates[funcName] && defaultTemplates[funcName]) {
       templates[funcName] = defaultTemplates[funcName];
@@ -80,7 +130,7 @@ function buildTemplatesFromDb(dbTemplates) {
  * Render a template with data
  * Replaces {{variable}} placeholders with actual values
  */
-function renderTemplate(htmlTemplate, data, signatures) {
+export function renderTemplate(htmlTemplate, data, signatures = {}) {
   const { defendant = {}, indemnitor = {}, references = [], bond = {}, company = {} } = data;
   
   let html = htmlTemplate;
@@ -115,9 +165,9 @@ function renderTemplate(htmlTemplate, data, signatures) {
   });
   
   // Replace reference placeholders (special handling for arrays)
-  for (let i = 0; i < 5; i++) {
+  for (let i = 0; i < MAX_TEMPLATE_REFERENCES; i++) {
     const ref = references[i] || {};
-    html = html.replace(new RegExp(`\\{\\{reference${i}\\.(\w+)\\}\\}`, 'g'), (match, key) => {
+    html = html.replace(new RegExp(`\\{\\{reference${i}\\.(\\w+)\\}\\}`, 'g'), (match, key) => {
       return escapeHtml(ref[key] || '');
     });
   }
@@ -134,9 +184,10 @@ export async function saveCompanyTemplates(companyId, templates) {
   for (const template of templates) {
     const result = await prisma.formTemplate.upsert({
       where: {
-        companyId_formType: {
+        companyId_formType_language: {
           companyId,
-          formType: template.formType
+          formType: template.formType,
+          language: normalizeLanguage(template.language)
         }
       },
       update: {
@@ -148,6 +199,7 @@ export async function saveCompanyTemplates(companyId, templates) {
       create: {
         companyId,
         formType: template.formType,
+        language: normalizeLanguage(template.language),
         name: template.name,
         htmlTemplate: template.htmlTemplate,
         requiredSignatures: template.requiredSignatures,
@@ -158,7 +210,7 @@ export async function saveCompanyTemplates(companyId, templates) {
   }
   
   // Clear cache for this company
-  templateCache.delete(companyId);
+  clearTemplateCache(companyId);
   
   return results;
 }
@@ -166,12 +218,14 @@ export async function saveCompanyTemplates(companyId, templates) {
 /**
  * Get form template info for a company (without full HTML)
  */
-export async function getCompanyTemplateInfo(companyId) {
+export async function getCompanyTemplateInfo(companyId, language = DEFAULT_LANGUAGE) {
+  language = normalizeLanguage(language);
   const templates = await prisma.formTemplate.findMany({
-    where: { companyId },
+    where: { companyId, language },
     select: {
       id: true,
       formType: true,
+      language: true,
       name: true,
       requiredSignatures: true,
       isActive: true,
@@ -180,15 +234,9 @@ export async function getCompanyTemplateInfo(companyId) {
     }
   });
   
-  // If no custom templates, return info about defaults
-  if (templates.length === 0) {
-    return [
-      { formType: 'preApplication', name: 'Pre-Application', isDefault: true },
-      { formType: 'referenceForm', name: 'Reference Form', isDefault: true },
-      { formType: 'immigrationWaiver', name: 'Immigration Waiver', isDefault: true },
-      { formType: 'indemnitorApplication', name: 'Indemnitor Application', isDefault: true },
-      { formType: 'immigrationBondAgreement', name: 'Immigration Bond Agreement', isDefault: true }
-    ];
+  // If no custom templates, return info about defaults (translations have none)
+  if (templates.length === 0 && language === DEFAULT_LANGUAGE) {
+    return TEMPLATE_FORM_TYPES.map(type => ({ ...type, isDefault: true }));
   }
   
   return templates;
@@ -207,7 +255,7 @@ export async function deleteCompanyTemplates(companyId, formTypes = null) {
   await prisma.formTemplate.deleteMany({ where });
   
   // Clear cache
-  templateCache.delete(companyId);
+  clearTemplateCache(companyId);
 }
 
 /**
@@ -215,7 +263,12 @@ export async function deleteCompanyTemplates(companyId, formTypes = null) {
  */
 export function clearTemplateCache(companyId = null) {
   if (companyId) {
-    templateCache.delete(companyId);
+    // Translations are cached as "companyId:language"
+    for (const key of [...templateCache.keys()]) {
+      if (key === companyId || key.startsWith(`${companyId}:`)) {
+        templateCache.delete(key);
+      }
+    }
   } else {
     templateCache.clear();
   }
@@ -244,6 +297,8 @@ function formatDate(date) {
 
 export default {
   getCompanyTemplates,
+  getTranslatedTemplates,
+  renderTemplate,
   saveCompanyTemplates,
   getCompanyTemplateInfo,
   deleteCompanyTemplates,
@@ -2,8 +2,14 @@
  * Form Templates Service
  * Generates HTML forms that look like the original bail bond documents
  * For: A Better Bail Bonds (pilot company)
+ *
+ * Every generator takes { defendant, indemnitor, references, bond, bonds, company }.
+ * `bonds` lists each bond on a multi-bond request (see utils/bonds.js getBonds);
+ * when it's missing the single `bond` is used.
  */
 
+import { getBondTotals, parseAmount } from '../utils/bonds.js';
+
 // Company info for A Better Bail Bonds
 const COMPANY_INFO = {
   name: 'A Better Bail Bond',
@@ -22,6 +28,7 @@ const COMPANY_INFO = {
 function formatDate(date) {
   if (!date) return '';
   const d = new Date(date);
+  if (isNaN(d.getTime())) return String(date); // e.g. a masked DOB
   return `${(d.getMonth() + 1).toString().padStart(2, '0')}/${d.getDate().toString().padStart(2, '0')}/${d.getFullYear()}`;
 }
 
@@ -37,6 +44,63 @@ function formatPhone(phone) {
   return phone;
 }
 
+/**
+ * Format a dollar amount as 5,000.00 (blank if there isn't one)
+ */
+function formatAmount(amount) {
+  if (amount === undefined || amount === null || amount === '') return '';
+  return parseAmount(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * The bonds a form covers - `data.bonds`, or the single `bond` for older callers
+ */
+function getFormBonds({ bonds, bond = {} }) {
+  if (Array.isArray(bonds) && bonds.length > 0) return bonds;
+  return Object.keys(bond).length > 0 ? [bond] : [];
+}
+
+/**
+ * Schedule of bonds table - one row per bond with its premium, then the totals
+ */
+function bondScheduleTable(bonds) {
+  const totals = getBondTotals(bonds);
+  const cell = 'border: 1px solid #000; padding: 4px 6px; text-align: left;';
+  const amountCell = 'border: 1px solid #000; padding: 4px 6px; text-align: right;';
+
+  return `
+    <table style="width: 100%; border-collapse: collapse; font-size: 10px;">
+      <thead>
+        <tr style="background: #f0f0f0;">
+          <th style="${cell}">#</th>
+          <th style="${cell}">Case Number</th>
+          <th style="${cell}">Court</th>
+          <th style="${cell}">Charges</th>
+          <th style="${amountCell}">Bond Amount $</th>
+          <th style="${amountCell}">Premium $</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${bonds.map((bond, i) => `
+        <tr>
+          <td style="${cell}">${bond.bondNumber || i + 1}</td>
+          <td style="${cell}">${bond.caseNumber || ''}</td>
+          <td style="${cell}">${bond.returnCourt || bond.courtName || ''}</td>
+          <td style="${cell}">${bond.charges || ''}</td>
+          <td style="${amountCell}">${formatAmount(bond.amount)}</td>
+          <td style="${amountCell}">${formatAmount(bond.premium)}</td>
+        </tr>
+        `).join('')}
+        <tr style="font-weight: bold;">
+          <td style="${cell}" colspan="4">TOTAL (${bonds.length} bonds)</td>
+          <td style="${amountCell}">${formatAmount(totals.amount)}</td>
+          <td style="${amountCell}">${formatAmount(totals.premium)}</td>
+        </tr>
+      </tbody>
+    </table>
+  `;
+}
+
 /**
  * Common CSS styles for all forms
  */
@@ -670,6 +734,10 @@ export function generatePreApplication(data, signatures = {}) {
  */
 export function generateReferenceForm(data, signatures = {}) {
   const { defendant = {}, indemnitor = {}, references = [], bond = {}, company = COMPANY_INFO } = data;
+  const bonds = getFormBonds(data);
+  const bondAmount = bonds.length > 1
+    ? `${formatAmount(getBondTotals(bonds).amount)} (${bonds.length} bonds)`
+    : bonds[0]?.amount || '';
   
   // Ensure we have 5 reference slots
   const refs = [...references];
@@ -711,7 +779,7 @@ export function generateReferenceForm(data, signatures = {}) {
       </div>
       <div class="form-field small">
         <span class="field-label">Bond Amt</span>
-        <div class="field-value">$${bond.amount || ''}</div>
+        <div class="field-value">$${bondAmount}</div>
       </div>
     </div>
     
@@ -1399,6 +1467,8 @@ export function generateIndemnitorApplication(data, signatures = {}) {
  */
 export function generateImmigrationBondAgreement(data, signatures = {}) {
   const { defendant = {}, indemnitor = {}, bond = {}, company = COMPANY_INFO } = data;
+  const bonds = getFormBonds(data);
+  const totals = getBondTotals(bonds);
   
   return `
 <!DOCTYPE html>
@@ -1470,11 +1540,11 @@ export function generateImmigrationBondAgreement(data, signatures = {}) {
         </div>
         <div class="form-field">
           <span class="field-label">Total Bond Amount $</span>
-          <div class="field-value boxed">${bond.amount || ''}</div>
+          <div class="field-value boxed">${bonds.length ? formatAmount(totals.amount) : ''}</div>
         </div>
         <div class="form-field">
           <span class="field-label">Total Premium $</span>
-          <div class="field-value boxed">${bond.premium || ''}</div>
+          <div class="field-value boxed">${bonds.length ? formatAmount(totals.premium) : ''}</div>
         </div>
       </div>
       <div class="form-row">
@@ -1489,6 +1559,13 @@ export function generateImmigrationBondAgreement(data, signatures = {}) {
       </div>
     </div>
     
+    ${bonds.length > 1 ? `
+    <p style="font-size: 10px; margin-top: 10px;">
+      <strong>This Agreement covers ${bonds.length} Bonds</strong>, each listed on the attached Schedule of Bonds. The totals above
+      are the sum of all Bonds on the Schedule.
+    </p>
+    ` : ''}
+    
     <p style="font-size: 10px; margin: 15px 0;">
       the undersigned, jointly and severally ("Indemnitor"), agrees to all terms and conditions found on following pages (front
       and back).
@@ -1661,6 +1738,29 @@ export function generateImmigrationBondAgreement(data, signatures = {}) {
       <span>Page 2 of 2</span>
     </div>
   </div>
+  
+  ${bonds.length > 1 ? `
+  <!-- SCHEDULE OF BONDS -->
+  <div class="page">
+    <div class="form-title" style="text-align: center; margin-bottom: 10px;">SCHEDULE OF BONDS</div>
+    <p style="margin-bottom: 15px;">
+      Attached to and made part of the Immigration Bond Agreement for Alien
+      <strong>${defendant.firstName || ''} ${defendant.lastName || ''}</strong>
+      ${defendant.alienNumber ? `(A# ${defendant.alienNumber})` : ''},
+      Indemnitor <strong>${indemnitor.firstName || ''} ${indemnitor.lastName || ''}</strong>.
+    </p>
+    
+    <div class="section">
+      <div class="section-title">Bonds Covered by this Agreement</div>
+      ${bondScheduleTable(bonds)}
+    </div>
+    
+    <div class="footer">
+      <span>Form# ACC.0400 (10/21)</span>
+      <span>Schedule of Bonds</span>
+    </div>
+  </div>
+  ` : ''}
 </body>
 </html>
 `;
@@ -0,0 +1,122 @@
+/**
+ * Identity Document Service - photos of the front / back of a photo ID
+ *
+ * Each co-signer can upload their own ID, and the primary co-signer the
+ * defendant's. Images are Documents of kind "id" named
+ * "p<position>-<subject>-<side>" (e.g. "p1-indemnitor-front"), so uploading
+ * again replaces the earlier photo. They're validated from the file itself,
+ * stored without EXIF / text metadata, and attached to the indemnitor
+ * application PDF.
+ */
+
+import { storeDocument, listIntakeDocuments, readDocument } from './documentService.js';
+import { inspectImage, stripImageMetadata } from '../utils/images.js';
+
+export const ID_SUBJECTS = ['indemnitor', 'defendant'];
+export const ID_SIDES = ['front', 'back'];
+
+export const MAX_ID_IMAGE_BYTES = 8 * 1024 * 1024;
+// Smaller than this and the license number / photo can't be read
+const MIN_ID_IMAGE_EDGE = 400;
+const MAX_ID_IMAGE_EDGE = 8000;
+
+/**
+ * Stored document name for one side of an ID
+ */
+export function idDocumentName(position, subject, side) {
+  return `p${position}-${subject}-${side}`;
+}
+
+/**
+ * Reverse of idDocumentName: "p2-indemnitor-back" -> { party: 2, subject: 'indemnitor', side: 'back' }
+ */
+export function parseIdDocumentName(name) {
+  const match = /^p(\d+)-(\w+)-(\w+)$/.exec(name);
+  if (!match) return null;
+  return { party: Number(match[1]), subject: match[2], side: match[3] };
+}
+
+/**
+ * Which IDs a co-signer's link can upload - only the primary co-signer fills in the defendant
+ */
+export function canUploadId(party, subject, side) {
+  if (!ID_SUBJECTS.includes(subject) || !ID_SIDES.includes(side)) return false;
+  return subject === 'indemnitor' || !party;
+}
+
+/**
+ * Validate, clean and store one side of an ID
+ * Returns { document, image } or { error, status }
+ */
+export async function storeIdImage({ intakeId, position, subject, side, buffer }) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return { error: 'The photo is empty', status: 400 };
+  }
+
+  const image = inspectImage(buffer);
+  if (!image) {
+    return { error: 'Please upload a JPEG or PNG photo of the ID', status: 415 };
+  }
+
+  const shortEdge = Math.min(image.width, image.height);
+  const longEdge = Math.max(image.width, image.height);
+  if (shortEdge < MIN_ID_IMAGE_EDGE) {
+    return { error: 'This photo is too small to read. Please take a closer photo of the ID.', status: 422 };
+  }
+  if (longEdge > MAX_ID_IMAGE_EDGE) {
+    return { error: 'This photo is too large. Please upload a smaller image.', status: 422 };
+  }
+
+  const document = await storeDocument({
+    intakeId,
+    kind: 'id',
+    name: idDocumentName(position, subject, side),
+    contentType: image.contentType,
+    buffer: stripImageMetadata(buffer),
+  });
+
+  return { document, image };
+}
+
+/**
+ * An intake's ID photos, optionally only those one co-signer uploaded
+ */
+export async function listIdDocuments(intakeId, position) {
+  return (await listIntakeDocuments(intakeId, 'id'))
+    .filter(doc => parseIdDocumentName(doc.name) && (!position || parseIdDocumentName(doc.name).party === position));
+}
+
+/**
+ * ID photo metadata for the browser / agent
+ */
+export function toIdDocument(document) {
+  const { party, subject, side } = parseIdDocumentName(document.name);
+  return {
+    name: document.name,
+    party,
+    subject,
+    side,
+    contentType: document.contentType,
+    size: document.size,
+    uploadedAt: document.updatedAt,
+  };
+}
+
+/**
+ * The image bytes for a PDF: { indemnitor: { front, back }, defendant: { front, back } }
+ * where each side is { buffer, contentType } (missing sides are left out)
+ * `position` picks the co-signer; the defendant's ID is the one the primary co-signer uploaded.
+ */
+export async function loadIdImages(intakeId, position, { includeDefendant = true } = {}) {
+  const images = { indemnitor: {}, defendant: {} };
+
+  for (const document of await listIdDocuments(intakeId)) {
+    const { party, subject, side } = parseIdDocumentName(document.name);
+    const wanted = subject === 'indemnitor' ? party === position : includeDefendant && party === 1;
+    if (!wanted || !images[subject]) continue;
+
+    images[subject][side] = { buffer: await readDocument(document), contentType: document.contentType };
+  }
+
+  return images;
+}
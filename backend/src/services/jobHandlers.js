@@ -0,0 +1,385 @@
+/**
+ * Job Handlers - work that runs on the background job queue
+ *
+ * Submission pipeline (enqueued by POST /api/intake/:linkCode/submit once
+ * every co-signer has signed):
+ *   generate_pdfs -> send_completion_email
+ *                 -> send_completion_notification
+ *                 -> bailbooks_push
+ *
+ * Payments (paymentService): send_payment_receipt
+ */
+
+import { PrismaClient, Prisma } from '@prisma/client';
+import { registerJobHandler, enqueueJob } from './jobQueue.js';
+import { generateAllPdfs, generateCertificateOfCompletion, sealPdf, pdfDocumentName, SIGNED_DOCUMENTS } from './pdfService.js';
+import { getTranslatedTemplates } from './formTemplateLoader.js';
+import { storeDocument, storeIntakePdfs, listIntakeDocuments, readDocument } from './documentService.js';
+import { attachDocumentHashes } from './signatureEvidenceService.js';
+import { sendCompletionEmail } from './emailService.js';
+import { sendCompletionNotification, sendExpiryNotification, sendPaymentReceipt, sendSMS } from './messagingService.js';
+import { sendSubmissionToBailbooks } from './bailbooksSyncService.js';
+import { deliverWebhook, markWebhookDeliveryFailed } from './webhookService.js';
+import { decryptSensitiveFields, mapAdditionalDefendants } from '../utils/fieldEncryption.js';
+import { getDefendants, getSigners } from './partyService.js';
+import { recordAudit } from './auditService.js';
+import { loadIdImages } from './identityDocumentService.js';
+import { formatCents, summarizeInstallments } from './paymentService.js';
+import { getSignerLanguage } from '../utils/i18n.js';
+import { getBonds } from '../utils/bonds.js';
+
+const prisma = new PrismaClient();
+
+// messagingService returns this (rather than throwing) when Mailgun/Twilio are not set up
+const NOT_CONFIGURED_ERRORS = ['Email not configured', 'SMS not configured'];
+
+/**
+ * Queue the post-submission pipeline for an intake
+ */
+export async function enqueueSubmissionJobs(intakeId) {
+  return enqueueJob('generate_pdfs', { intakeId });
+}
+
+/**
+ * Queue the jobs that follow PDF generation (whether or not it succeeded)
+ * Only once per intake - a generate_pdfs job that went DEAD has already queued them,
+ * and an admin retrying it mustn't send a second email or push a second bond
+ */
+async function enqueueCompletionJobs(intakeId) {
+  const intake = await prisma.intake.findUnique({
+    where: { id: intakeId },
+    include: { company: true, agent: true },
+  });
+
+  if (intake.company.email) {
+    await enqueueJobOnce('send_completion_email', intakeId);
+  }
+  if (intake.agent?.email) {
+    await enqueueJobOnce('send_completion_notification', intakeId);
+  }
+  if (intake.company.bailbooksCompanyId) {
+    await enqueueJobOnce('bailbooks_push', intakeId);
+  }
+}
+
+async function enqueueJobOnce(type, intakeId) {
+  const existing = await prisma.job.findFirst({ where: { type, intakeId }, select: { id: true } });
+  if (!existing) {
+    await enqueueJob(type, { intakeId });
+  }
+}
+
+/**
+ * "First Last" from a defendant / co-signer section, or null if neither was filled in
+ */
+function formatPersonName(data) {
+  return [data?.firstName, data?.lastName].filter(Boolean).join(' ') || null;
+}
+
+/**
+ * Treat a { success: false } messaging result as a retryable failure
+ */
+function assertSent(result) {
+  if (!result.success && !NOT_CONFIGURED_ERRORS.includes(result.error)) {
+    throw new Error(result.error || 'Message not sent');
+  }
+  return result;
+}
+
+// ============================================================================
+// PDF GENERATION
+// ============================================================================
+
+/**
+ * Render translated templates (from getTranslatedTemplates) for one copy of the forms,
+ * keyed by pdfKey for generateAllPdfs
+ */
+function renderTranslations(templates, formData, signatures) {
+  const translations = {};
+
+  for (const [docKey, { pdfKey }] of Object.entries(SIGNED_DOCUMENTS)) {
+    const generate = templates[`generate${docKey.charAt(0).toUpperCase()}${docKey.slice(1)}`];
+    if (generate) {
+      translations[pdfKey] = generate(formData, signatures);
+    }
+  }
+
+  return translations;
+}
+
+registerJobHandler('generate_pdfs', async ({ intakeId }) => {
+  const intake = await prisma.intake.findUnique({
+    where: { id: intakeId },
+    include: { company: true, parties: true, installments: { orderBy: { sequence: 'asc' } } },
+  });
+
+  if (!intake) {
+    throw new Error(`Intake ${intakeId} not found`);
+  }
+
+  // The only place sensitive fields are decrypted - the forms need the real values
+  const defendants = getDefendants({
+    defendantData: decryptSensitiveFields(intake).defendantData,
+    additionalDefendants: mapAdditionalDefendants(intake.additionalDefendants, decryptSensitiveFields),
+  });
+  const signers = getSigners(intake);
+  const paymentPlan = intake.paymentPlan && { ...intake.paymentPlan, installments: intake.installments };
+  const bonds = getBonds(intake);
+
+  // Every co-signer signs their own copy of every form, for each defendant.
+  // Each document is sealed before storing, so the stored checksum is of the final file.
+  const sealedAt = new Date();
+  const sealed = {};
+  for (const signer of signers) {
+    const { indemnitorData } = decryptSensitiveFields({ indemnitorData: signer.indemnitorData });
+    const idImages = await loadIdImages(intakeId, signer.position);
+    const translatedTemplates = await getTranslatedTemplates(intake.companyId, getSignerLanguage(intake, signer.party));
+
+    for (const [index, defendantData] of defendants.entries()) {
+      const pdfs = await generateAllPdfs({
+        company: intake.company,
+        defendantData,
+        indemnitorData,
+        referencesData: signer.referencesData,
+        bondData: intake.bondData,
+        bondsData: intake.bondsData,
+        sharedBondData: intake.sharedBondData,
+        // The premium and the collateral cover the whole request - one payment plan
+        // agreement and one collateral receipt per co-signer
+        paymentPlan: index === 0 ? paymentPlan : null,
+        collateral: index === 0 ? signer.collateralData : null,
+        // The defendant's ID only goes with the first defendant's copies
+        idImages: index === 0 ? idImages : { indemnitor: idImages.indemnitor },
+        signatures: signer.signatures,
+        // The company's translations of the forms in this co-signer's language, if it has any
+        translations: renderTranslations(translatedTemplates, {
+          defendant: defendantData,
+          indemnitor: indemnitorData,
+          references: signer.referencesData || [],
+          bond: intake.bondData || bonds[0] || {},
+          bonds,
+          company: intake.company,
+        }, signer.signatures || {}),
+      });
+
+      for (const [pdfKey, base64] of Object.entries(pdfs)) {
+        if (!base64) continue;
+        const name = pdfDocumentName(pdfKey, { defendant: index + 1, party: signer.position });
+        sealed[name] = await sealPdf(base64, { intakeId, linkCode: intake.linkCode, name, sealedAt });
+      }
+    }
+  }
+
+  const documents = await storeIntakePdfs(intakeId, sealed, sealedAt);
+
+  // One certificate per co-signer - submissions from before signature evidence was captured get none
+  let signatureEvidence;
+  for (const signer of signers) {
+    if (!signer.signatureEvidence) continue;
+
+    const evidence = attachDocumentHashes(signer.signatureEvidence, documents);
+    const name = pdfDocumentName('certificate', { party: signer.position });
+
+    const certificate = await sealPdf(
+      await generateCertificateOfCompletion({ company: intake.company, intake, evidence }),
+      { intakeId, linkCode: intake.linkCode, name, sealedAt }
+    );
+
+    documents.push(await storeDocument({
+      intakeId,
+      kind: 'pdf',
+      name,
+      contentType: 'application/pdf',
+      buffer: Buffer.from(certificate.base64, 'base64'),
+      sealId: certificate.sealId,
+      sealedAt,
+    }));
+
+    if (signer.party) {
+      await prisma.intakeParty.update({
+        where: { id: signer.party.id },
+        data: { signatureEvidence: evidence },
+      });
+    } else {
+      signatureEvidence = evidence;
+    }
+  }
+
+  await prisma.intake.update({
+    where: { id: intakeId },
+    data: { generatedPdfs: Prisma.DbNull, signatureEvidence },
+  });
+
+  await recordAudit({
+    intakeId,
+    action: 'pdf_generated',
+    details: {
+      pdfCount: documents.length,
+      sha256: Object.fromEntries(documents.map(doc => [doc.name, doc.checksum])),
+    },
+  });
+
+  await enqueueCompletionJobs(intakeId);
+}, {
+  // Out of retries: record the error for the confirmation page and still notify
+  // the agent - the submission itself is complete
+  onDead: async ({ intakeId }, error) => {
+    await prisma.intake.update({
+      where: { id: intakeId },
+      data: { generatedPdfs: { error: error.message } },
+    });
+    await enqueueCompletionJobs(intakeId);
+  },
+});
+
+// ============================================================================
+// EMAIL / SMS
+// ============================================================================
+
+registerJobHandler('send_completion_email', async ({ intakeId }) => {
+  const intake = await prisma.intake.findUnique({
+    where: { id: intakeId },
+    include: { company: true },
+  });
+
+  const agentEmail = intake.company.email;
+  if (!agentEmail) return;
+
+  const pdfs = {};
+  for (const doc of await listIntakeDocuments(intakeId, 'pdf')) {
+    pdfs[doc.name] = (await readDocument(doc)).toString('base64');
+  }
+
+  const result = await sendCompletionEmail({
+    to: agentEmail,
+    company: intake.company,
+    defendantName: `${intake.defendantData?.firstName} ${intake.defendantData?.lastName}`,
+    indemnitorName: `${intake.indemnitorData?.firstName} ${intake.indemnitorData?.lastName}`,
+    pdfs,
+  });
+
+  if (!result.success) return; // Resend not configured
+
+  await prisma.intake.update({
+    where: { id: intakeId },
+    data: {
+      emailSentAt: new Date(),
+      emailSentTo: agentEmail,
+    },
+  });
+
+  await recordAudit({
+    intakeId,
+    action: 'email_sent',
+    details: { to: agentEmail },
+  });
+});
+
+registerJobHandler('send_completion_notification', async ({ intakeId }) => {
+  const intake = await prisma.intake.findUnique({
+    where: { id: intakeId },
+    include: { company: true, agent: true },
+  });
+
+  if (!intake.agent?.email) return;
+
+  assertSent(await sendCompletionNotification({
+    agentEmail: intake.agent.email,
+    companyName: intake.company.name,
+    defendantName: `${intake.defendantData?.firstName} ${intake.defendantData?.lastName}`,
+    coSignerName: `${intake.indemnitorData?.firstName} ${intake.indemnitorData?.lastName}`,
+    intakeId,
+  }));
+});
+
+registerJobHandler('send_expiry_notification', async ({ intakeId }) => {
+  const intake = await prisma.intake.findUnique({
+    where: { id: intakeId },
+    include: { company: true, agent: true },
+  });
+
+  // Deleted since it expired (e.g. cleared test data)
+  if (!intake) return;
+
+  // Client-initiated intakes have no agent - tell the company instead
+  const agentEmail = intake.agent?.email || intake.company.email;
+  if (!agentEmail) return;
+
+  assertSent(await sendExpiryNotification({
+    agentEmail,
+    companyName: intake.company.name,
+    defendantName: formatPersonName(intake.defendantData) || 'Unknown defendant',
+    coSignerName: formatPersonName(intake.indemnitorData) || 'Not provided',
+    linkCode: intake.linkCode,
+    expiresAt: intake.expiresAt,
+  }));
+});
+
+registerJobHandler('send_sms', async ({ to, body }) => {
+  assertSent(await sendSMS({ to, body }));
+});
+
+registerJobHandler('send_payment_receipt', async ({ paymentId }) => {
+  const payment = await prisma.payment.findUnique({
+    where: { id: paymentId },
+    include: { intake: { include: { company: true, parties: true, installments: true } } },
+  });
+
+  if (!payment || payment.receiptSentAt) return;
+
+  const { intake } = payment;
+  // Payments an agent records are credited to the primary co-signer
+  const payerSigner = getSigners(intake).find(signer => signer.position === payment.party);
+  const payer = payerSigner?.indemnitorData || {};
+  const to = payer.email || payer.cellPhone;
+  if (!to) return;
+
+  const result = assertSent(await sendPaymentReceipt({
+    email: payer.email,
+    phone: payer.cellPhone,
+    companyName: intake.company.name,
+    payerName: `${payer.firstName || ''} ${payer.lastName || ''}`.trim(),
+    defendantName: `${intake.defendantData?.firstName} ${intake.defendantData?.lastName}`,
+    receiptNumber: payment.receiptNumber,
+    amount: formatCents(payment.amountCents),
+    method: payment.method === 'money_order' ? 'money order' : payment.method,
+    paidAt: payment.createdAt,
+    balance: formatCents(summarizeInstallments(intake.installments).balanceCents),
+    intakeId: intake.id,
+    language: getSignerLanguage(intake, payerSigner?.party),
+  }));
+
+  if (!result.success) return; // email / SMS not configured
+
+  await prisma.payment.update({
+    where: { id: paymentId },
+    data: { receiptSentAt: new Date(), receiptSentTo: to },
+  });
+
+  await recordAudit({
+    intakeId: intake.id,
+    action: 'payment_receipt_sent',
+    details: { receiptNumber: payment.receiptNumber, to },
+  });
+});
+
+// ============================================================================
+// BAILBOOKS
+// ============================================================================
+
+registerJobHandler('bailbooks_push', async ({ intakeId }) => {
+  await sendSubmissionToBailbooks(intakeId);
+});
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+registerJobHandler('webhook_delivery', async ({ deliveryId }) => {
+  await deliverWebhook(deliveryId);
+}, {
+  maxAttempts: 8,
+  onDead: async ({ deliveryId }) => {
+    await markWebhookDeliveryFailed(deliveryId);
+  },
+});
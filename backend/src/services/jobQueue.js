@@ -0,0 +1,241 @@
+/**
+ * Job Queue - Postgres-backed background jobs
+ *
+ * Jobs live in the Job table. A worker loop claims due jobs with
+ * FOR UPDATE SKIP LOCKED, runs the registered handler, and on failure
+ * reschedules with exponential backoff until maxAttempts, after which the
+ * job is marked DEAD and waits for an admin retry.
+ */
+
+import os from 'os';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 30 * 1000;        // 30s, 1m, 2m, 4m, ...
+const BACKOFF_MAX_MS = 60 * 60 * 1000;    // capped at 1 hour
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;   // RUNNING longer than this = worker died
+
+const handlers = new Map();
+
+let pollTimer = null;
+let running = false;
+let draining = false;
+
+/**
+ * Register the handler for a job type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (payload, job) => result
+ * @param {Object} options - { maxAttempts, onDead: async (payload, error, job) => void }
+ */
+export function registerJobHandler(type, handler, options = {}) {
+  handlers.set(type, { handler, ...options });
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Registered job type
+ * @param {Object} payload - JSON payload passed to the handler
+ * @param {Object} options - { intakeId, runAt, maxAttempts }
+ */
+export async function enqueueJob(type, payload = {}, { intakeId, runAt, maxAttempts } = {}) {
+  const job = await prisma.job.create({
+    data: {
+      type,
+      payload,
+      intakeId: intakeId || payload.intakeId || null,
+      runAt: runAt || new Date(),
+      maxAttempts: maxAttempts || handlers.get(type)?.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    },
+  });
+
+  // Pick it up right away instead of waiting for the next poll
+  if (running) {
+    setImmediate(drainQueue);
+  }
+
+  return job;
+}
+
+/**
+ * Put a DEAD (or waiting) job back on the queue with a fresh set of attempts
+ */
+export async function retryJob(jobId) {
+  const job = await prisma.job.findUnique({ where: { id: jobId } });
+
+  if (!job) {
+    return null;
+  }
+
+  if (job.status === 'RUNNING' || job.status === 'COMPLETED') {
+    const error = new Error(`Cannot retry a ${job.status.toLowerCase()} job`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const updated = await prisma.job.update({
+    where: { id: jobId },
+    data: {
+      status: 'PENDING',
+      attempts: 0,
+      runAt: new Date(),
+      lockedAt: null,
+      lockedBy: null,
+    },
+  });
+
+  if (running) {
+    setImmediate(drainQueue);
+  }
+
+  return updated;
+}
+
+/**
+ * Backoff delay before the next attempt (attempts = attempts made so far)
+ */
+export function getBackoffDelay(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+/**
+ * Start polling for jobs
+ */
+export function startJobWorker({ pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000 } = {}) {
+  if (running) return;
+  running = true;
+
+  const poll = async () => {
+    await drainQueue();
+    if (running) {
+      pollTimer = setTimeout(poll, pollIntervalMs);
+    }
+  };
+
+  console.log(`Job worker ${WORKER_ID} started (poll every ${pollIntervalMs}ms)`);
+  poll();
+}
+
+/**
+ * Stop polling (jobs already running are allowed to finish)
+ */
+export function stopJobWorker() {
+  running = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Run due jobs one at a time until none are left
+ */
+async function drainQueue() {
+  if (draining) return;
+  draining = true;
+
+  try {
+    await releaseStaleLocks();
+
+    let job;
+    while (running && (job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('Job worker error:', error);
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Atomically claim the next due job
+ */
+async function claimNextJob() {
+  const [job] = await prisma.$queryRaw`
+    UPDATE "Job"
+    SET status = 'RUNNING',
+        attempts = attempts + 1,
+        "lockedAt" = NOW(),
+        "lockedBy" = ${WORKER_ID},
+        "updatedAt" = NOW()
+    WHERE id = (
+      SELECT id FROM "Job"
+      WHERE status = 'PENDING' AND "runAt" <= NOW()
+      ORDER BY "runAt"
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+
+  return job || null;
+}
+
+/**
+ * Requeue jobs whose worker died mid-run
+ */
+async function releaseStaleLocks() {
+  await prisma.job.updateMany({
+    where: {
+      status: 'RUNNING',
+      lockedAt: { lt: new Date(Date.now() - LOCK_TIMEOUT_MS) },
+    },
+    data: {
+      status: 'PENDING',
+      lockedAt: null,
+      lockedBy: null,
+      lastError: 'Worker lock timed out',
+    },
+  });
+}
+
+/**
+ * Run a claimed job and record the outcome
+ */
+async function runJob(job) {
+  const registration = handlers.get(job.type);
+
+  try {
+    if (!registration) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+
+    await registration.handler(job.payload, job);
+
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: 'COMPLETED',
+        completedAt: new Date(),
+        lockedAt: null,
+        lockedBy: null,
+      },
+    });
+
+  } catch (error) {
+    const isDead = job.attempts >= job.maxAttempts;
+    console.error(`Job ${job.type} ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: isDead ? 'DEAD' : 'PENDING',
+        runAt: isDead ? job.runAt : new Date(Date.now() + getBackoffDelay(job.attempts)),
+        lastError: error.message,
+        lockedAt: null,
+        lockedBy: null,
+      },
+    });
+
+    if (isDead && registration?.onDead) {
+      try {
+        await registration.onDead(job.payload, error, job);
+      } catch (onDeadError) {
+        console.error(`Job ${job.type} ${job.id} onDead hook failed:`, onDeadError);
+      }
+    }
+  }
+}
@@ -1,7 +1,16 @@
 /**
  * Messaging Service - Email (Mailgun) and SMS (Twilio)
+ * Outbound SMS are recorded in the Message table; Twilio reports delivery
+ * status and replies to /api/messaging/twilio/* (see routes/messaging.js)
  */
 
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { normalizeLanguage, getLocale } from '../utils/i18n.js';
+import { recordAudit } from './auditService.js';
+
+const prisma = new PrismaClient();
+
 // Mailgun setup
 const MAILGUN_API_KEY = process.env.MAILGUN_API_KEY;
 const MAILGUN_DOMAIN = process.env.MAILGUN_DOMAIN || 'mail.bondprospects.com';
@@ -54,28 +63,52 @@ export async function sendEmail({ to, subject, text, html }) {
   }
 }
 
+/**
+ * Format a phone number as E.164 (assumes US for 10-digit numbers)
+ */
+export function normalizePhone(phone) {
+  const digits = phone.replace(/\D/g, '');
+  if (digits.length === 10) {
+    return '+1' + digits;
+  }
+  return '+' + digits;
+}
+
+/**
+ * Has this number replied STOP?
+ */
+export async function isSmsOptedOut(phone) {
+  const optOut = await prisma.smsOptOut.findUnique({
+    where: { phone: normalizePhone(phone) },
+  });
+  return !!optOut;
+}
+
 /**
  * Send SMS via Twilio
+ * Pass intakeId to link the Message record (and its delivery status) to an intake
  */
-export async function sendSMS({ to, body }) {
+export async function sendSMS({ to, body, intakeId }) {
   if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_PHONE_NUMBER) {
     console.warn('Twilio not configured, skipping SMS');
     return { success: false, error: 'SMS not configured' };
   }
 
   try {
-    // Format phone number (ensure it starts with +1 for US)
-    let formattedPhone = to.replace(/\D/g, '');
-    if (formattedPhone.length === 10) {
-      formattedPhone = '+1' + formattedPhone;
-    } else if (!formattedPhone.startsWith('+')) {
-      formattedPhone = '+' + formattedPhone;
+    const formattedPhone = normalizePhone(to);
+
+    if (await isSmsOptedOut(formattedPhone)) {
+      console.warn(`SMS to ${formattedPhone} blocked - recipient opted out`);
+      return { success: false, error: 'Recipient has opted out of text messages', optedOut: true };
     }
 
     const formData = new URLSearchParams();
     formData.append('To', formattedPhone);
     formData.append('From', TWILIO_PHONE_NUMBER);
     formData.append('Body', body);
+    if (process.env.BASE_URL) {
+      formData.append('StatusCallback', `${process.env.BASE_URL}/api/messaging/twilio/status`);
+    }
 
     const response = await fetch(
       `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`,
@@ -92,11 +125,54 @@ export async function sendSMS({ to, body }) {
     if (!response.ok) {
       const error = await response.json();
       console.error('Twilio error:', error);
+      await prisma.message.create({
+        data: {
+          intakeId,
+          direction: 'OUTBOUND',
+          to: formattedPhone,
+          from: TWILIO_PHONE_NUMBER,
+          body,
+          status: 'failed',
+          errorCode: error.code ? String(error.code) : null,
+          errorMessage: error.message,
+        },
+      });
       return { success: false, error: error.message || 'SMS failed' };
     }
 
     const result = await response.json();
     console.log('SMS sent:', result.sid);
+
+    // A status callback may already have left a placeholder for this sid - fill it
+    // in, keeping whatever status it reported
+    const message = await prisma.message.upsert({
+      where: { twilioSid: result.sid },
+      update: {
+        intakeId,
+        to: formattedPhone,
+        from: TWILIO_PHONE_NUMBER,
+        body,
+      },
+      create: {
+        intakeId,
+        direction: 'OUTBOUND',
+        to: formattedPhone,
+        from: TWILIO_PHONE_NUMBER,
+        body,
+        twilioSid: result.sid,
+        status: result.status || 'queued',
+      },
+    });
+
+    // The failure callback couldn't audit a placeholder with no intake yet
+    if (intakeId && (message.status === 'failed' || message.status === 'undelivered')) {
+      await recordAudit({
+        intakeId,
+        action: 'sms_delivery_failed',
+        details: { to: formattedPhone, status: message.status, errorCode: message.errorCode },
+      });
+    }
+
     return { success: true, messageId: result.sid };
 
   } catch (error) {
@@ -106,43 +182,286 @@ export async function sendSMS({ to, body }) {
 }
 
 /**
- * Send E-Sign Request to co-signer
+ * Verify the X-Twilio-Signature header of a Twilio webhook
+ * Signature = base64(HMAC-SHA1(auth token, url + each POST param name+value sorted by name))
  */
-export async function sendESignRequest({ 
-  deliveryMethod, // 'email' or 'sms'
-  recipientEmail,
-  recipientPhone,
-  recipientName,
-  defendantName,
-  companyName,
-  intakeUrl,
-}) {
-  const linkText = `${recipientName}, please click on the link below to fill out information about yourself for the bond(s) for ${defendantName}.\n\n${intakeUrl}`;
+export function validateTwilioSignature(url, params, signature) {
+  if (!TWILIO_AUTH_TOKEN || !signature) {
+    return false;
+  }
 
-  if (deliveryMethod === 'email') {
-    const html = `
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + params[key], url);
+
+  const expected = crypto.createHmac('sha1', TWILIO_AUTH_TOKEN).update(data, 'utf8').digest('base64');
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(signature);
+  return expectedBuffer.length === signatureBuffer.length
+    && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+// ============================================
+// CO-SIGNER MESSAGE COPY
+// Everything a co-signer receives goes out in their preferred language
+// (Intake / IntakeParty preferredLanguage). Agent-facing notifications stay English.
+// ============================================
+
+const CO_SIGNER_COPY = {
+  en: {
+    esignText: ({ recipientName, defendantName }) =>
+      `${recipientName}, please click on the link below to fill out information about yourself for the bond(s) for ${defendantName}.`,
+    esignSubject: ({ defendantName }) => `E-Sign Request: Bond forms for ${defendantName}`,
+    esignHeading: ({ companyName }) => `E-Sign Request from ${companyName}`,
+    esignBody: ({ defendantName }) =>
+      `Please click the link below to fill out the required information for the bond(s) for <strong>${defendantName}</strong>.`,
+    esignFooter: ({ companyName }) => `This link was sent by ${companyName}. If you have questions, please contact them directly.`,
+    hello: (name) => `Hello ${name},`,
+    button: 'Complete E-Sign Forms',
+    copyLink: 'Or copy and paste this link into your browser:',
+    reminderFinalText: ({ companyName, defendantName, expiresText }) =>
+      `Final notice from ${companyName}: your bond forms for ${defendantName} expire ${expiresText}.`,
+    reminderText: ({ companyName, defendantName }) =>
+      `Reminder from ${companyName}: your bond forms for ${defendantName} are not finished yet.`,
+    reminderLabel: (isFinal) => (isFinal ? 'Final Notice' : 'Reminder'),
+    reminderSubject: ({ isFinal, defendantName }) => `${isFinal ? 'Final notice' : 'Reminder'}: Bond forms for ${defendantName}`,
+    reminderBody: ({ defendantName, expiresText }) =>
+      `The forms for the bond(s) for <strong>${defendantName}</strong> have not been completed yet.
+        This link expires <strong>${expiresText}</strong>.`,
+    reminderFooter: ({ companyName }) => `This reminder was sent by ${companyName}. If you have questions, please contact them directly.`,
+    receiptHeading: 'Payment Received',
+    receiptBody: ({ companyName, defendantName }) =>
+      `Thank you - ${companyName} received your bail bond premium payment for <strong>${defendantName}</strong>.`,
+    receiptLabels: { receipt: 'Receipt #:', amount: 'Amount:', method: 'Method:', date: 'Date:', balance: 'Remaining Balance:' },
+    receiptKeep: ({ companyName }) => `Keep this email for your records. Questions about your payment plan? Contact ${companyName}.`,
+    receiptFooter: ({ companyName }) => `This receipt was sent by BondProspects on behalf of ${companyName}.`,
+    receiptSubject: ({ receiptNumber, companyName }) => `Payment Receipt ${receiptNumber} - ${companyName}`,
+    receiptText: ({ companyName, amount, method, paidOn, defendantName, receiptNumber, balance }) =>
+      `${companyName} received your payment of ${amount} (${method}) on ${paidOn} for ${defendantName}. Receipt #${receiptNumber}. Remaining balance: ${balance}.`,
+    receiptSms: ({ companyName, amount, paidOn, receiptNumber, balance }) =>
+      `${companyName}: Payment of ${amount} received on ${paidOn}. Receipt #${receiptNumber}. Remaining balance: ${balance}.`,
+    resumeText: ({ companyName, expiresText }) =>
+      `Here is your link to finish your ${companyName} bail bond application. It works until ${expiresText}.`,
+    resumeSubject: ({ companyName }) => `Finish your ${companyName} bail bond application`,
+    resumeHeading: ({ companyName }) => `Finish your application with ${companyName}`,
+    resumeBody: ({ expiresText }) =>
+      `You asked for a link to finish your bail bond application later, on any device. Your answers so far are saved.
+        This link works until <strong>${expiresText}</strong>.`,
+    resumeButton: 'Continue my application',
+    resumeFooter: ({ companyName }) =>
+      `This link was requested from ${companyName}'s application form. If it wasn't you, you can ignore this email.`,
+  },
+  es: {
+    esignText: ({ recipientName, defendantName }) =>
+      `${recipientName}, haga clic en el enlace de abajo para completar su información para la(s) fianza(s) de ${defendantName}.`,
+    esignSubject: ({ defendantName }) => `Solicitud de firma electrónica: formularios de fianza para ${defendantName}`,
+    esignHeading: ({ companyName }) => `Solicitud de firma electrónica de ${companyName}`,
+    esignBody: ({ defendantName }) =>
+      `Haga clic en el enlace de abajo para completar la información requerida para la(s) fianza(s) de <strong>${defendantName}</strong>.`,
+    esignFooter: ({ companyName }) => `Este enlace fue enviado por ${companyName}. Si tiene preguntas, comuníquese directamente con ellos.`,
+    hello: (name) => `Hola ${name}:`,
+    button: 'Completar formularios',
+    copyLink: 'O copie y pegue este enlace en su navegador:',
+    reminderFinalText: ({ companyName, defendantName, expiresText }) =>
+      `Último aviso de ${companyName}: sus formularios de fianza para ${defendantName} vencen el ${expiresText}.`,
+    reminderText: ({ companyName, defendantName }) =>
+      `Recordatorio de ${companyName}: sus formularios de fianza para ${defendantName} aún no están terminados.`,
+    reminderLabel: (isFinal) => (isFinal ? 'Último aviso' : 'Recordatorio'),
+    reminderSubject: ({ isFinal, defendantName }) => `${isFinal ? 'Último aviso' : 'Recordatorio'}: formularios de fianza para ${defendantName}`,
+    reminderBody: ({ defendantName, expiresText }) =>
+      `Los formularios para la(s) fianza(s) de <strong>${defendantName}</strong> aún no se han completado.
+        Este enlace vence el <strong>${expiresText}</strong>.`,
+    reminderFooter: ({ companyName }) => `Este recordatorio fue enviado por ${companyName}. Si tiene preguntas, comuníquese directamente con ellos.`,
+    receiptHeading: 'Pago recibido',
+    receiptBody: ({ companyName, defendantName }) =>
+      `Gracias: ${companyName} recibió su pago de prima de fianza para <strong>${defendantName}</strong>.`,
+    receiptLabels: { receipt: 'Recibo #:', amount: 'Monto:', method: 'Método:', date: 'Fecha:', balance: 'Saldo pendiente:' },
+    receiptKeep: ({ companyName }) => `Guarde este correo para sus registros. ¿Preguntas sobre su plan de pagos? Comuníquese con ${companyName}.`,
+    receiptFooter: ({ companyName }) => `Este recibo fue enviado por BondProspects en nombre de ${companyName}.`,
+    receiptSubject: ({ receiptNumber, companyName }) => `Recibo de pago ${receiptNumber} - ${companyName}`,
+    receiptText: ({ companyName, amount, method, paidOn, defendantName, receiptNumber, balance }) =>
+      `${companyName} recibió su pago de ${amount} (${method}) el ${paidOn} para ${defendantName}. Recibo #${receiptNumber}. Saldo pendiente: ${balance}.`,
+    receiptSms: ({ companyName, amount, paidOn, receiptNumber, balance }) =>
+      `${companyName}: Pago de ${amount} recibido el ${paidOn}. Recibo #${receiptNumber}. Saldo pendiente: ${balance}.`,
+    resumeText: ({ companyName, expiresText }) =>
+      `Este es su enlace para terminar su solicitud de fianza con ${companyName}. Funciona hasta el ${expiresText}.`,
+    resumeSubject: ({ companyName }) => `Termine su solicitud de fianza con ${companyName}`,
+    resumeHeading: ({ companyName }) => `Termine su solicitud con ${companyName}`,
+    resumeBody: ({ expiresText }) =>
+      `Usted pidió un enlace para terminar su solicitud de fianza más tarde, en cualquier dispositivo. Sus respuestas hasta ahora están guardadas.
+        Este enlace funciona hasta el <strong>${expiresText}</strong>.`,
+    resumeButton: 'Continuar mi solicitud',
+    resumeFooter: ({ companyName }) =>
+      `Este enlace se pidió desde el formulario de solicitud de ${companyName}. Si no fue usted, puede ignorar este correo.`,
+  },
+};
+
+function getCoSignerCopy(language) {
+  return CO_SIGNER_COPY[normalizeLanguage(language)] || CO_SIGNER_COPY.en;
+}
+
+/**
+ * Email layout shared by the e-sign request, reminder and resume link
+ * (no greeting without a recipientName)
+ */
+function buildLinkEmailHtml(copy, { heading, recipientName, body, intakeUrl, footer, button = copy.button }) {
+  return `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #333;">E-Sign Request from ${companyName}</h2>
-        <p>Hello ${recipientName},</p>
-        <p>Please click the link below to fill out the required information for the bond(s) for <strong>${defendantName}</strong>.</p>
+        <h2 style="color: #333;">${heading}</h2>
+        ${recipientName ? `<p>${copy.hello(recipientName)}</p>` : ''}
+        <p>${body}</p>
         <p style="margin: 30px 0;">
           <a href="${intakeUrl}" 
              style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
-            Complete E-Sign Forms
+            ${button}
           </a>
         </p>
-        <p>Or copy and paste this link into your browser:</p>
+        <p>${copy.copyLink}</p>
         <p style="color: #666; word-break: break-all;">${intakeUrl}</p>
         <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;" />
         <p style="color: #888; font-size: 12px;">
-          This link was sent by ${companyName}. If you have questions, please contact them directly.
+          ${footer}
         </p>
       </div>
     `;
+}
+
+/**
+ * Send E-Sign Request to co-signer
+ */
+export async function sendESignRequest({ 
+  deliveryMethod, // 'email' or 'sms'
+  recipientEmail,
+  recipientPhone,
+  recipientName,
+  defendantName,
+  companyName,
+  intakeUrl,
+  intakeId,
+  language = 'en',
+}) {
+  const copy = getCoSignerCopy(language);
+  const linkText = `${copy.esignText({ recipientName, defendantName })}\n\n${intakeUrl}`;
+
+  if (deliveryMethod === 'email') {
+    const html = buildLinkEmailHtml(copy, {
+      heading: copy.esignHeading({ companyName }),
+      recipientName,
+      body: copy.esignBody({ defendantName }),
+      intakeUrl,
+      footer: copy.esignFooter({ companyName }),
+    });
+
+    return await sendEmail({
+      to: recipientEmail,
+      subject: copy.esignSubject({ defendantName }),
+      text: linkText,
+      html,
+    });
+
+  } else if (deliveryMethod === 'sms') {
+    return await sendSMS({
+      to: recipientPhone,
+      body: linkText,
+      intakeId,
+    });
+  }
+
+  return { success: false, error: 'Invalid delivery method' };
+}
+
+/**
+ * Send a reminder for an unfinished E-Sign request
+ * isFinal = last notice before the link expires
+ */
+export async function sendESignReminder({
+  deliveryMethod, // 'email' or 'sms'
+  recipientEmail,
+  recipientPhone,
+  recipientName,
+  defendantName,
+  companyName,
+  intakeUrl,
+  intakeId,
+  expiresAt,
+  isFinal = false,
+  language = 'en',
+}) {
+  const copy = getCoSignerCopy(language);
+  const expiresText = new Date(expiresAt).toLocaleString(getLocale(language), {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+  const intro = isFinal
+    ? copy.reminderFinalText({ companyName, defendantName, expiresText })
+    : copy.reminderText({ companyName, defendantName });
+  const linkText = `${recipientName}, ${intro}\n\n${intakeUrl}`;
+
+  if (deliveryMethod === 'email') {
+    const html = buildLinkEmailHtml(copy, {
+      heading: `${copy.reminderLabel(isFinal)}: ${copy.esignHeading({ companyName })}`,
+      recipientName,
+      body: copy.reminderBody({ defendantName, expiresText }),
+      intakeUrl,
+      footer: copy.reminderFooter({ companyName }),
+    });
+
+    return await sendEmail({
+      to: recipientEmail,
+      subject: copy.reminderSubject({ isFinal, defendantName }),
+      text: linkText,
+      html,
+    });
+
+  } else if (deliveryMethod === 'sms') {
+    return await sendSMS({
+      to: recipientPhone,
+      body: linkText,
+      intakeId,
+    });
+  }
+
+  return { success: false, error: 'Invalid delivery method' };
+}
+
+/**
+ * Send a visitor the link to finish a client-initiated application later
+ * Only the company name and link go out - nothing the visitor typed is echoed back
+ */
+export async function sendResumeLink({
+  deliveryMethod, // 'email' or 'sms'
+  recipientEmail,
+  recipientPhone,
+  companyName,
+  intakeUrl,
+  intakeId,
+  expiresAt,
+  language = 'en',
+}) {
+  const copy = getCoSignerCopy(language);
+  const expiresText = new Date(expiresAt).toLocaleString(getLocale(language), {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+  const linkText = `${copy.resumeText({ companyName, expiresText })}\n\n${intakeUrl}`;
+
+  if (deliveryMethod === 'email') {
+    const html = buildLinkEmailHtml(copy, {
+      heading: copy.resumeHeading({ companyName }),
+      body: copy.resumeBody({ expiresText }),
+      intakeUrl,
+      footer: copy.resumeFooter({ companyName }),
+      button: copy.resumeButton,
+    });
 
     return await sendEmail({
       to: recipientEmail,
-      subject: `E-Sign Request: Bond forms for ${defendantName}`,
+      subject: copy.resumeSubject({ companyName }),
       text: linkText,
       html,
     });
@@ -151,6 +470,7 @@ export async function sendESignRequest({
     return await sendSMS({
       to: recipientPhone,
       body: linkText,
+      intakeId,
     });
   }
 
@@ -204,3 +524,175 @@ export async function sendCompletionNotification({
     html,
   });
 }
+
+/**
+ * Tell the agent a request expired before it was submitted
+ */
+export async function sendExpiryNotification({
+  agentEmail,
+  companyName,
+  defendantName,
+  coSignerName,
+  linkCode,
+  expiresAt,
+}) {
+  if (!agentEmail) {
+    return { success: false, error: 'No agent email provided' };
+  }
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #6b7280;">E-Sign Request Expired</h2>
+      <p>The e-sign request for <strong>${defendantName}</strong> expired before it was submitted.</p>
+      <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #eee; color: #666;">Defendant:</td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee;"><strong>${defendantName}</strong></td>
+        </tr>
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #eee; color: #666;">Co-Signer:</td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee;"><strong>${coSignerName}</strong></td>
+        </tr>
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #eee; color: #666;">Link Code:</td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee;"><strong>${linkCode}</strong></td>
+        </tr>
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #eee; color: #666;">Expired:</td>
+          <td style="padding: 8px; border-bottom: 1px solid #eee;">${new Date(expiresAt).toLocaleString()}</td>
+        </tr>
+      </table>
+      <p>You can reissue the link from your BondProspects dashboard.</p>
+      <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;" />
+      <p style="color: #888; font-size: 12px;">
+        This notification was sent by BondProspects for ${companyName}.
+      </p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: agentEmail,
+    subject: `E-Sign Expired: ${defendantName}`,
+    text: `E-Sign request for ${defendantName} expired before it was submitted. Co-signer: ${coSignerName}. Link code: ${linkCode}`,
+    html,
+  });
+}
+
+/**
+ * Forward a co-signer's text reply to the agent
+ */
+export async function sendReplyNotification({
+  agentEmail,
+  companyName,
+  fromName,
+  fromPhone,
+  body,
+  linkCode,
+}) {
+  if (!agentEmail) {
+    return { success: false, error: 'No agent email provided' };
+  }
+
+  const sender = fromName ? `${fromName} (${fromPhone})` : fromPhone;
+  // The reply is untrusted text - escape it before putting it in HTML
+  const safeBody = body.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">Text Reply Received</h2>
+      <p><strong>${sender}</strong> replied to an e-sign request text:</p>
+      <blockquote style="border-left: 4px solid #2563eb; margin: 20px 0; padding: 10px 20px; background: #f8fafc;">
+        ${safeBody}
+      </blockquote>
+      ${linkCode ? `<p style="color: #666;">Reference: ${linkCode}</p>` : ''}
+      <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;" />
+      <p style="color: #888; font-size: 12px;">
+        This notification was sent by BondProspects for ${companyName}.
+      </p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: agentEmail,
+    subject: `Text reply from ${fromName || fromPhone}`,
+    text: `${sender} replied: ${body}`,
+    html,
+  });
+}
+
+/**
+ * Send the payer a receipt for a premium payment - by email if we have one, otherwise by text
+ */
+export async function sendPaymentReceipt({
+  email,
+  phone,
+  companyName,
+  payerName,
+  defendantName,
+  receiptNumber,
+  amount,
+  method,
+  paidAt,
+  balance,
+  intakeId,
+  language = 'en',
+}) {
+  const copy = getCoSignerCopy(language);
+  const labels = copy.receiptLabels;
+  const paidOn = new Date(paidAt).toLocaleDateString(getLocale(language));
+  const values = { companyName, amount, method, paidOn, defendantName, receiptNumber, balance };
+
+  if (email) {
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #22c55e;">${copy.receiptHeading}</h2>
+        <p>${copy.hello(payerName)}</p>
+        <p>${copy.receiptBody(values)}</p>
+        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #eee; color: #666;">${labels.receipt}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;"><strong>${receiptNumber}</strong></td>
+          </tr>
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #eee; color: #666;">${labels.amount}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;"><strong>${amount}</strong></td>
+          </tr>
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #eee; color: #666;">${labels.method}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${method}</td>
+          </tr>
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #eee; color: #666;">${labels.date}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${paidOn}</td>
+          </tr>
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #eee; color: #666;">${labels.balance}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;"><strong>${balance}</strong></td>
+          </tr>
+        </table>
+        <p>${copy.receiptKeep(values)}</p>
+        <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;" />
+        <p style="color: #888; font-size: 12px;">
+          ${copy.receiptFooter(values)}
+        </p>
+      </div>
+    `;
+
+    return await sendEmail({
+      to: email,
+      subject: copy.receiptSubject(values),
+      text: copy.receiptText(values),
+      html,
+    });
+  }
+
+  if (phone) {
+    return await sendSMS({
+      to: phone,
+      body: copy.receiptSms(values),
+      intakeId,
+    });
+  }
+
+  return { success: false, error: 'No email or phone for receipt' };
+}
@@ -0,0 +1,250 @@
+/**
+ * OTP Service - one-time passcodes that confirm a co-signer's identity
+ *
+ * Companies can require the co-signer on an agent-initiated request to enter a
+ * code sent to the phone / email the agent entered before the link shows any
+ * prefilled data. Codes are stored hashed, expire after 10 minutes, and too
+ * many wrong guesses lock the link for 30 minutes.
+ *
+ * Additional co-signers (IntakeParty) verify the same way against their own
+ * contact details - pass `party` and the code state is kept on the party.
+ */
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { sendSMS, sendEmail } from './messagingService.js';
+import { recordAudit } from './auditService.js';
+import { partyAuditDetails } from './partyService.js';
+import { getSignerLanguage } from '../utils/i18n.js';
+
+const prisma = new PrismaClient();
+
+export const VERIFICATION_MODES = ['off', 'sms', 'email', 'sms_or_email'];
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const LOCKOUT_MS = 30 * 60 * 1000;
+
+// Code messages in the co-signer's preferred language
+const CODE_COPY = {
+  en: {
+    text: (code, companyName) => `${code} is your ${companyName} verification code. It expires in 10 minutes.`,
+    subject: (companyName) => `Your ${companyName} verification code`,
+    intro: 'Your verification code is:',
+    outro: "It expires in 10 minutes. If you didn't request this, you can ignore this email.",
+  },
+  es: {
+    text: (code, companyName) => `${code} es su código de verificación de ${companyName}. Vence en 10 minutos.`,
+    subject: (companyName) => `Su código de verificación de ${companyName}`,
+    intro: 'Su código de verificación es:',
+    outro: 'Vence en 10 minutos. Si usted no lo solicitó, puede ignorar este correo.',
+  },
+};
+
+/**
+ * Channels the co-signer can verify with - empty if verification doesn't apply
+ * (company has it off, or it's a client-initiated intake with no contact on file)
+ */
+export function getVerificationChannels(intake, company, party = null) {
+  const mode = company.identityVerification || 'off';
+  if (mode === 'off' || intake.source !== 'AGENT') return [];
+
+  const coSigner = (party || intake).indemnitorData || {};
+  const channels = [];
+
+  if ((mode === 'sms' || mode === 'sms_or_email') && coSigner.cellPhone) {
+    channels.push('sms');
+  }
+  if ((mode === 'email' || mode === 'sms_or_email') && coSigner.email) {
+    channels.push('email');
+  }
+
+  return channels;
+}
+
+/**
+ * Where each channel's code goes, masked for display ("***-***-1234", "j***@example.com")
+ * `subject` is the intake, or the party for an additional co-signer
+ */
+export function getMaskedDestinations(subject) {
+  const coSigner = subject.indemnitorData || {};
+  const phoneDigits = (coSigner.cellPhone || '').replace(/\D/g, '');
+  const [user, domain] = (coSigner.email || '').split('@');
+
+  return {
+    sms: phoneDigits ? `***-***-${phoneDigits.slice(-4)}` : null,
+    email: domain ? `${user[0]}***@${domain}` : null,
+  };
+}
+
+/**
+ * Generate and send a new code
+ * Returns { success, error?, status? } - status is the HTTP status to reply with on failure
+ */
+export async function sendIntakeOtp(intake, company, channel, { ipAddress, userAgent, party = null } = {}) {
+  const now = new Date();
+  const subject = party || intake;
+
+  if (subject.otpLockedUntil && subject.otpLockedUntil > now) {
+    return { success: false, status: 429, error: 'Too many attempts. Please try again later.', lockedUntil: subject.otpLockedUntil };
+  }
+
+  // Claim the cooldown before sending - in one update, so requests sent in parallel
+  // can't all pass the check and each text out a code
+  const claimed = await otpModel(party).updateMany({
+    where: {
+      id: subject.id,
+      OR: [
+        { otpSentAt: null },
+        { otpSentAt: { lt: new Date(now.getTime() - RESEND_COOLDOWN_MS) } },
+      ],
+    },
+    data: { otpSentAt: now },
+  });
+
+  if (claimed.count === 0) {
+    return { success: false, status: 429, error: 'Please wait a minute before requesting another code.' };
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const coSigner = subject.indemnitorData || {};
+  const copy = CODE_COPY[getSignerLanguage(intake, party)] || CODE_COPY.en;
+  const message = copy.text(code, company.name);
+
+  const result = channel === 'email'
+    ? await sendEmail({
+      to: coSigner.email,
+      subject: copy.subject(company.name),
+      text: message,
+      html: `<p>${copy.intro}</p><p style="font-size: 28px; font-weight: bold; letter-spacing: 4px;">${code}</p><p>${copy.outro}</p>`,
+    })
+    : await sendSMS({ to: coSigner.cellPhone, body: message, intakeId: intake.id });
+
+  if (!result.success) {
+    // Nothing went out - let them try again straight away
+    await otpModel(party).updateMany({
+      where: { id: subject.id, otpSentAt: now },
+      data: { otpSentAt: subject.otpSentAt },
+    });
+    return { success: false, status: 502, error: result.error || 'Failed to send verification code' };
+  }
+
+  await otpModel(party).update({
+    where: { id: subject.id },
+    data: {
+      otpHash: hashCode(subject.id, code),
+      otpExpiresAt: new Date(now.getTime() + CODE_TTL_MS),
+      otpSentAt: now,
+      otpAttempts: 0,
+    },
+  });
+
+  await recordAudit({
+    intakeId: intake.id,
+    action: 'otp_sent',
+    details: { channel, to: getMaskedDestinations(subject)[channel], ...partyAuditDetails(party) },
+    ipAddress,
+    userAgent,
+  });
+
+  return { success: true };
+}
+
+/**
+ * Check a code the co-signer entered
+ * Returns { success, error?, status?, attemptsRemaining?, lockedUntil? }
+ */
+export async function verifyIntakeOtp(intake, code, { ipAddress, userAgent, party = null } = {}) {
+  const now = new Date();
+  const subject = party || intake;
+
+  if (subject.otpLockedUntil && subject.otpLockedUntil > now) {
+    return { success: false, status: 429, error: 'Too many attempts. Please try again later.', lockedUntil: subject.otpLockedUntil };
+  }
+
+  if (!subject.otpHash || subject.otpExpiresAt < now) {
+    return { success: false, status: 400, error: 'This code has expired. Please request a new one.' };
+  }
+
+  // Count the attempt before checking it - in one update, so guesses sent in parallel
+  // can't all see the same count and slip past the lockout
+  const claimed = await otpModel(party).updateMany({
+    where: { id: subject.id, otpHash: subject.otpHash, otpAttempts: { lt: MAX_ATTEMPTS } },
+    data: { otpAttempts: { increment: 1 } },
+  });
+
+  if (claimed.count === 0) {
+    const current = await otpModel(party).findUnique({
+      where: { id: subject.id },
+      select: { otpLockedUntil: true },
+    });
+    if (current?.otpLockedUntil > now) {
+      return { success: false, status: 429, error: 'Too many attempts. Please try again later.', lockedUntil: current.otpLockedUntil };
+    }
+    return { success: false, status: 400, error: 'This code has expired. Please request a new one.' };
+  }
+
+  const { otpAttempts: attempts } = await otpModel(party).findUnique({
+    where: { id: subject.id },
+    select: { otpAttempts: true },
+  });
+
+  const expected = Buffer.from(subject.otpHash, 'hex');
+  const actual = Buffer.from(hashCode(subject.id, String(code || '').trim()), 'hex');
+
+  if (crypto.timingSafeEqual(expected, actual)) {
+    await otpModel(party).update({
+      where: { id: subject.id },
+      data: {
+        verifiedAt: now,
+        otpHash: null,
+        otpExpiresAt: null,
+        otpAttempts: 0,
+      },
+    });
+
+    await recordAudit({ intakeId: intake.id, action: 'otp_verified', details: partyAuditDetails(party), ipAddress, userAgent });
+
+    return { success: true };
+  }
+
+  const locked = attempts >= MAX_ATTEMPTS;
+  const lockedUntil = locked ? new Date(now.getTime() + LOCKOUT_MS) : null;
+
+  if (locked) {
+    // Lock out and burn the code - a fresh one is needed after the lockout
+    await otpModel(party).updateMany({
+      where: { id: subject.id, otpHash: subject.otpHash },
+      data: { otpAttempts: 0, otpHash: null, otpExpiresAt: null, otpLockedUntil: lockedUntil },
+    });
+  }
+
+  await recordAudit({
+    intakeId: intake.id,
+    action: 'otp_failed',
+    details: { attempts, locked, ...partyAuditDetails(party) },
+    ipAddress,
+    userAgent,
+  });
+
+  if (locked) {
+    return { success: false, status: 429, error: 'Too many attempts. Please try again later.', lockedUntil };
+  }
+
+  return {
+    success: false,
+    status: 400,
+    error: 'That code is not correct.',
+    attemptsRemaining: MAX_ATTEMPTS - attempts,
+  };
+}
+
+// Salted with the intake (or party) id so equal codes on different links don't share a hash
+function hashCode(subjectId, code) {
+  return crypto.createHash('sha256').update(`${subjectId}:${code}`).digest('hex');
+}
+
+function otpModel(party) {
+  return party ? prisma.intakeParty : prisma.intake;
+}
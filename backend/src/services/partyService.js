@@ -0,0 +1,136 @@
+/**
+ * Party Service - intakes with more than one co-signer or defendant
+ *
+ * The primary co-signer and first defendant live on the Intake itself
+ * (indemnitorData / defendantData). Every other co-signer is an IntakeParty
+ * with their own link code, indemnitor section, references and signatures -
+ * they sign their own copies of every document. Extra defendants are kept in
+ * intake.additionalDefendants; each co-signer gets a copy of every document
+ * per defendant. An intake is COMPLETED only once every co-signer has signed.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { nanoid } from 'nanoid';
+import { encryptSensitiveFields, mapAdditionalDefendants } from '../utils/fieldEncryption.js';
+
+const prisma = new PrismaClient();
+
+// Co-signers per intake, including the primary
+export const MAX_CO_SIGNERS = 5;
+// Defendants per intake, including the first
+export const MAX_DEFENDANTS = 5;
+
+/**
+ * Resolve a link code to its intake, and to the party if it's an additional co-signer's link
+ * Returns { intake, party } (party is null for the primary link), or null if the code is unknown
+ */
+export async function findByLinkCode(linkCode, include = {}) {
+  const intake = await prisma.intake.findUnique({ where: { linkCode }, include });
+  if (intake) return { intake, party: null };
+
+  const party = await prisma.intakeParty.findUnique({
+    where: { linkCode },
+    include: { intake: { include } },
+  });
+  if (!party) return null;
+
+  const { intake: partyIntake, ...rest } = party;
+  return { intake: partyIntake, party: rest };
+}
+
+/**
+ * Create the additional co-signers for a new intake (positions 2, 3, ...)
+ * `coSigners` are agent-entered: [{ firstName, lastName, email, cellPhone }]
+ */
+export async function createParties(intakeId, coSigners) {
+  const parties = [];
+
+  for (const [index, coSigner] of coSigners.entries()) {
+    parties.push(await prisma.intakeParty.create({
+      data: {
+        intakeId,
+        position: index + 2,
+        linkCode: nanoid(8).toUpperCase(),
+        ...encryptSensitiveFields({
+          indemnitorData: {
+            firstName: coSigner.firstName,
+            lastName: coSigner.lastName,
+            email: coSigner.email,
+            cellPhone: coSigner.cellPhone,
+            _agentProvided: true,
+          },
+        }),
+      },
+    }));
+  }
+
+  return parties;
+}
+
+/**
+ * Agent-entered extra defendants, ready to store on the intake
+ */
+export function buildAdditionalDefendants(defendants) {
+  if (!defendants?.length) return undefined;
+
+  return mapAdditionalDefendants(defendants.map(defendant => ({
+    firstName: defendant.firstName,
+    lastName: defendant.lastName,
+    dob: defendant.dob,
+    phone: defendant.phone,
+    _agentProvided: true,
+  })), encryptSensitiveFields);
+}
+
+/**
+ * Every defendant on an intake, first one first
+ */
+export function getDefendants(intake) {
+  return [intake.defendantData || {}, ...(intake.additionalDefendants || [])];
+}
+
+/**
+ * Every co-signer on an intake, primary first (`parties` must be included)
+ * Each is { position, party, indemnitorData, referencesData, collateralData, signatures, signatureEvidence }
+ * - party is null for the primary co-signer.
+ */
+export function getSigners(intake) {
+  const primary = {
+    position: 1,
+    party: null,
+    indemnitorData: intake.indemnitorData,
+    referencesData: intake.referencesData,
+    collateralData: intake.collateralData,
+    signatures: intake.signatures,
+    signatureEvidence: intake.signatureEvidence,
+  };
+
+  const others = [...(intake.parties || [])]
+    .sort((a, b) => a.position - b.position)
+    .map(party => ({
+      position: party.position,
+      party,
+      indemnitorData: party.indemnitorData,
+      referencesData: party.referencesData,
+      collateralData: party.collateralData,
+      signatures: party.signatures,
+      signatureEvidence: party.signatureEvidence,
+    }));
+
+  return [primary, ...others];
+}
+
+/**
+ * Has every co-signer signed? (`parties` must be included)
+ */
+export function allPartiesSigned(intake) {
+  return Boolean(intake.signedAt) && (intake.parties || []).every(party => party.status === 'COMPLETED');
+}
+
+
+/**
+ * Audit details identifying an additional co-signer (nothing for the primary)
+ */
+export function partyAuditDetails(party) {
+  return party ? { party: party.position } : undefined;
+}
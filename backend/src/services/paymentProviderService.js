@@ -0,0 +1,145 @@
+/**
+ * Payment Provider Service - pluggable card processing for premium payments
+ *
+ * Providers:
+ * - stripe: PaymentIntents over the REST API (the browser tokenizes the card with Stripe.js)
+ * - fake:   approves everything except the "fake_declined" token - development and tests only
+ *
+ * Every provider exposes the same interface:
+ *   clientConfig()                 -> what the browser needs to collect card details
+ *   charge({ amountCents, currency, paymentToken, description, idempotencyKey, metadata })
+ *                                  -> Promise<{ success, providerPaymentId, error }>
+ *
+ * PAYMENT_PROVIDER selects the provider; without it card payments are off and
+ * agents can only record payments taken in person.
+ */
+
+import crypto from 'crypto';
+
+const providers = new Map();
+
+/**
+ * Get the configured payment provider (created once per process), or null if there isn't one
+ */
+export function getPaymentProvider(name = process.env.PAYMENT_PROVIDER) {
+  if (!name) return null;
+
+  if (!providers.has(name)) {
+    providers.set(name, createPaymentProvider(name));
+  }
+  return providers.get(name);
+}
+
+/**
+ * Create a payment provider by name
+ */
+export function createPaymentProvider(name, options = {}) {
+  switch (name) {
+    case 'stripe':
+      return createStripeProvider(options);
+    case 'fake':
+      return createFakeProvider(options);
+    default:
+      throw new Error(`Unknown payment provider: ${name}`);
+  }
+}
+
+// ============================================================================
+// FAKE PROVIDER
+// ============================================================================
+
+export const FAKE_DECLINED_TOKEN = 'fake_declined';
+
+export function createFakeProvider({ allowInProduction = false } = {}) {
+  if (process.env.NODE_ENV === 'production' && !allowInProduction) {
+    throw new Error('The fake payment provider cannot be used in production');
+  }
+
+  return {
+    name: 'fake',
+
+    clientConfig() {
+      return { provider: 'fake' };
+    },
+
+    async charge({ amountCents, paymentToken }) {
+      if (paymentToken === FAKE_DECLINED_TOKEN) {
+        return { success: false, error: 'Your card was declined.' };
+      }
+      if (!Number.isInteger(amountCents) || amountCents <= 0) {
+        return { success: false, error: 'Invalid amount' };
+      }
+      return { success: true, providerPaymentId: `fake_${crypto.randomBytes(12).toString('hex')}` };
+    },
+  };
+}
+
+// ============================================================================
+// STRIPE PROVIDER
+// ============================================================================
+
+export function createStripeProvider({
+  secretKey = process.env.STRIPE_SECRET_KEY,
+  publishableKey = process.env.STRIPE_PUBLISHABLE_KEY,
+} = {}) {
+  if (!secretKey || !publishableKey) {
+    throw new Error('Stripe payments require STRIPE_SECRET_KEY and STRIPE_PUBLISHABLE_KEY');
+  }
+
+  return {
+    name: 'stripe',
+
+    clientConfig() {
+      return { provider: 'stripe', publishableKey };
+    },
+
+    // `paymentToken` is a PaymentMethod id (pm_...) created by Stripe.js in the browser
+    async charge({ amountCents, currency, paymentToken, description, idempotencyKey, metadata = {} }) {
+      const form = new URLSearchParams();
+      form.append('amount', String(amountCents));
+      form.append('currency', currency);
+      form.append('payment_method', paymentToken);
+      form.append('confirm', 'true');
+      form.append('description', description);
+      // Card only - no redirect-based payment methods to come back from
+      form.append('automatic_payment_methods[enabled]', 'true');
+      form.append('automatic_payment_methods[allow_redirects]', 'never');
+      for (const [key, value] of Object.entries(metadata)) {
+        form.append(`metadata[${key}]`, String(value));
+      }
+
+      try {
+        const response = await fetch('https://api.stripe.com/v1/payment_intents', {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${secretKey}`,
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Idempotency-Key': idempotencyKey,
+          },
+          body: form.toString(),
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+          // Declines come back as 402 with the PaymentIntent on the error
+          return {
+            success: false,
+            providerPaymentId: result.error?.payment_intent?.id,
+            error: result.error?.message || 'Payment failed',
+          };
+        }
+
+        if (result.status !== 'succeeded') {
+          // e.g. requires_action (3D Secure) - not supported on this form
+          return { success: false, providerPaymentId: result.id, error: 'This card needs additional verification. Please use another card.' };
+        }
+
+        return { success: true, providerPaymentId: result.id };
+
+      } catch (error) {
+        console.error('Stripe charge error:', error);
+        return { success: false, error: 'Payment provider unavailable. Please try again.' };
+      }
+    },
+  };
+}
@@ -0,0 +1,447 @@
+/**
+ * Payment Service - premium payment plans, installments and payments
+ *
+ * The agent sets a plan when creating a request: a down payment due at
+ * signing, then equal installments (weekly, every two weeks or monthly). The
+ * co-signer accepts the plan by signing the Payment Plan Agreement. Payments -
+ * card payments through the payment provider or cash/check taken by an agent -
+ * are applied to the oldest unpaid installment first. Every successful payment
+ * gets a receipt (send_payment_receipt job).
+ *
+ * Amounts are integer cents everywhere except the agent's input (dollars).
+ */
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { nanoid } from 'nanoid';
+import { getPaymentProvider } from './paymentProviderService.js';
+import { enqueueJob } from './jobQueue.js';
+import { recordAudit } from './auditService.js';
+import { getBonds, getBondTotals, parseAmount } from '../utils/bonds.js';
+
+const prisma = new PrismaClient();
+
+export const PAYMENT_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+export const OFFLINE_PAYMENT_METHODS = ['cash', 'check', 'money_order'];
+export const MAX_INSTALLMENTS = 52;
+
+// How long a card payment being charged holds its amount against the balance
+const PENDING_HOLD_MS = 10 * 60 * 1000;
+
+/**
+ * Dollars ("1,500", "$1500.00", 1500) to cents
+ */
+export function toCents(value) {
+  return Math.round(parseAmount(value) * 100);
+}
+
+/**
+ * $1,234.50
+ */
+export function formatCents(cents) {
+  return (cents / 100).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+}
+
+/**
+ * Validate an agent-entered plan and convert it to what's stored on the intake
+ * `input` is { totalPremium?, downPayment, installmentCount, frequency, firstDueDate } in dollars -
+ * totalPremium defaults to the sum of the bonds' premiums.
+ * Returns { plan } or { error }.
+ */
+export function buildPaymentPlan(input, bondsData) {
+  const totalCents = input.totalPremium !== undefined && input.totalPremium !== ''
+    ? toCents(input.totalPremium)
+    : toCents(getBondTotals(getBonds({ bondsData })).premium);
+  const downPaymentCents = toCents(input.downPayment);
+  const installmentCount = parseInt(input.installmentCount, 10) || 0;
+
+  if (totalCents <= 0) {
+    return { error: 'The payment plan needs a premium to collect' };
+  }
+  if (downPaymentCents < 0 || downPaymentCents > totalCents) {
+    return { error: 'Down payment must be between $0 and the total premium' };
+  }
+  if (installmentCount < 0 || installmentCount > MAX_INSTALLMENTS) {
+    return { error: `A payment plan can have at most ${MAX_INSTALLMENTS} installments` };
+  }
+  if (installmentCount === 0 && downPaymentCents !== totalCents) {
+    return { error: 'Without installments the down payment must cover the whole premium' };
+  }
+  if (installmentCount > 0 && downPaymentCents === totalCents) {
+    return { error: 'The down payment already covers the whole premium - remove the installments' };
+  }
+
+  if (installmentCount === 0) {
+    return { plan: { totalCents, downPaymentCents, installmentCount: 0, frequency: null, firstDueDate: null } };
+  }
+
+  if (!PAYMENT_FREQUENCIES.includes(input.frequency)) {
+    return { error: `Installment frequency must be one of: ${PAYMENT_FREQUENCIES.join(', ')}` };
+  }
+
+  const firstDueDate = parseDate(input.firstDueDate);
+  if (!firstDueDate) {
+    return { error: 'First installment date is required' };
+  }
+  if (firstDueDate < startOfToday()) {
+    return { error: 'First installment date cannot be in the past' };
+  }
+
+  return {
+    plan: {
+      totalCents,
+      downPaymentCents,
+      installmentCount,
+      frequency: input.frequency,
+      firstDueDate: firstDueDate.toISOString().slice(0, 10),
+    },
+  };
+}
+
+/**
+ * The installments for a plan: the down payment (due at signing), then equal
+ * installments - the last one absorbs any rounding
+ */
+export function buildInstallmentSchedule(plan, startDate = new Date()) {
+  const schedule = [];
+
+  if (plan.downPaymentCents > 0) {
+    schedule.push({ sequence: 0, amountCents: plan.downPaymentCents, dueDate: startDate });
+  }
+
+  const remaining = plan.totalCents - plan.downPaymentCents;
+  const each = Math.floor(remaining / (plan.installmentCount || 1));
+
+  for (let i = 0; i < plan.installmentCount; i++) {
+    const isLast = i === plan.installmentCount - 1;
+    schedule.push({
+      sequence: i + 1,
+      amountCents: isLast ? remaining - each * (plan.installmentCount - 1) : each,
+      dueDate: addInterval(parseDate(plan.firstDueDate), plan.frequency, i),
+    });
+  }
+
+  return schedule;
+}
+
+/**
+ * Create the installment rows for a new intake's plan
+ */
+export async function createInstallments(intakeId, plan, startDate = new Date()) {
+  return prisma.installment.createMany({
+    data: buildInstallmentSchedule(plan, startDate).map(installment => ({ intakeId, ...installment })),
+  });
+}
+
+/**
+ * Totals for a set of installments: what's owed, paid, left, and due right now
+ * (overdue + due today)
+ */
+export function summarizeInstallments(installments, now = new Date()) {
+  const endOfToday = new Date(startOfToday(now).getTime() + 24 * 60 * 60 * 1000);
+  const unpaid = [...installments]
+    .sort((a, b) => a.sequence - b.sequence)
+    .filter(i => i.paidCents < i.amountCents);
+
+  const totalCents = installments.reduce((sum, i) => sum + i.amountCents, 0);
+  const paidCents = installments.reduce((sum, i) => sum + i.paidCents, 0);
+  const dueNowCents = unpaid
+    .filter(i => new Date(i.dueDate) < endOfToday)
+    .reduce((sum, i) => sum + i.amountCents - i.paidCents, 0);
+  const overdueCents = unpaid
+    .filter(i => new Date(i.dueDate) < startOfToday(now))
+    .reduce((sum, i) => sum + i.amountCents - i.paidCents, 0);
+  const next = unpaid[0];
+
+  return {
+    totalCents,
+    paidCents,
+    balanceCents: totalCents - paidCents,
+    dueNowCents,
+    overdueCents,
+    nextDue: next ? { dueDate: next.dueDate, amountCents: next.amountCents - next.paidCents } : null,
+  };
+}
+
+/**
+ * An intake's plan with its installments, payments and balance (null if it has no plan)
+ */
+export async function getPaymentSummary(intakeId) {
+  const intake = await prisma.intake.findUnique({
+    where: { id: intakeId },
+    select: {
+      paymentPlan: true,
+      installments: { orderBy: { sequence: 'asc' } },
+      payments: { orderBy: { createdAt: 'desc' } },
+    },
+  });
+
+  if (!intake?.paymentPlan) return null;
+
+  return {
+    plan: intake.paymentPlan,
+    ...summarizeInstallments(intake.installments),
+    installments: intake.installments.map(i => ({
+      sequence: i.sequence,
+      amountCents: i.amountCents,
+      paidCents: i.paidCents,
+      dueDate: i.dueDate,
+      paidAt: i.paidAt,
+    })),
+    payments: intake.payments.map(p => ({
+      receiptNumber: p.receiptNumber,
+      amountCents: p.amountCents,
+      method: p.method,
+      status: p.status,
+      failureReason: p.failureReason,
+      party: p.party,
+      note: p.note,
+      receiptSentAt: p.receiptSentAt,
+      createdAt: p.createdAt,
+    })),
+  };
+}
+
+/**
+ * Charge a co-signer's card for a premium payment
+ * `paymentToken` comes from the provider's browser library (see clientConfig).
+ * Returns { success, payment, error, status }.
+ */
+export async function collectCardPayment({ intake, party, amountCents, paymentToken, ipAddress, userAgent }) {
+  const provider = getPaymentProvider();
+  if (!provider) {
+    return { success: false, status: 503, error: 'Online payments are not available. Please contact your bail bond agent.' };
+  }
+
+  if (!paymentToken) {
+    return { success: false, status: 400, error: 'Card details are required' };
+  }
+
+  // Hold the amount before charging, so two payments at once can't both go past the balance
+  const reserved = await createPayment({
+    intakeId: intake.id,
+    amountCents,
+    method: 'card',
+    status: 'PENDING',
+    provider: provider.name,
+    party: party?.position || 1,
+  });
+  if (reserved.error) {
+    return { success: false, status: 400, error: reserved.error };
+  }
+
+  const result = await provider.charge({
+    amountCents,
+    currency: 'usd',
+    paymentToken,
+    description: `Bail bond premium - ${intake.linkCode}`,
+    // The same card token can only be charged once, even if the request is retried
+    idempotencyKey: crypto.createHash('sha256').update(`${intake.id}:${paymentToken}`).digest('hex'),
+    metadata: { intakeId: intake.id, linkCode: intake.linkCode },
+  });
+
+  // A retried request gets the provider's original answer back - don't record it twice
+  const existing = result.providerPaymentId
+    && await prisma.payment.findUnique({ where: { providerPaymentId: result.providerPaymentId } });
+  if (existing) {
+    await prisma.payment.delete({ where: { id: reserved.payment.id } });
+    return result.success
+      ? { success: true, payment: existing }
+      : { success: false, status: 402, error: result.error, payment: existing };
+  }
+
+  const payment = await settleCardPayment(reserved.payment.id, {
+    status: result.success ? 'SUCCEEDED' : 'FAILED',
+    failureReason: result.success ? null : result.error,
+    providerPaymentId: result.providerPaymentId || null,
+  });
+  await afterPayment(payment, { ipAddress, userAgent });
+
+  return result.success
+    ? { success: true, payment }
+    : { success: false, status: 402, error: result.error, payment };
+}
+
+/**
+ * Record a payment an agent took in person (cash, check, money order)
+ * Returns { success, payment } or { success: false, status, error }.
+ */
+export async function recordOfflinePayment({ intake, agent, amountCents, method, note, ipAddress, userAgent }) {
+  if (!OFFLINE_PAYMENT_METHODS.includes(method)) {
+    return { success: false, status: 400, error: `Payment method must be one of: ${OFFLINE_PAYMENT_METHODS.join(', ')}` };
+  }
+
+  const { payment, error } = await createPayment({
+    intakeId: intake.id,
+    amountCents,
+    method,
+    status: 'SUCCEEDED',
+    recordedById: agent?.id || null,
+    note: note || null,
+  });
+  if (error) {
+    return { success: false, status: 400, error };
+  }
+
+  await afterPayment(payment, { ipAddress, userAgent });
+
+  return { success: true, payment };
+}
+
+/**
+ * Lock an intake's installments until the transaction ends - payments on the same
+ * intake then go one at a time, each seeing what the one before left
+ */
+function lockInstallments(tx, intakeId) {
+  return tx.$queryRaw`SELECT id FROM "Installment" WHERE "intakeId" = ${intakeId} FOR UPDATE`;
+}
+
+/**
+ * Is this a payment the intake can take? Returns an error message, or null
+ * Card payments still being charged count against the balance (until PENDING_HOLD_MS,
+ * in case one never finished)
+ */
+async function checkPaymentAmount(tx, intakeId, amountCents) {
+  if (!Number.isInteger(amountCents) || amountCents <= 0) {
+    return 'Payment amount must be greater than $0';
+  }
+
+  const installments = await tx.installment.findMany({ where: { intakeId } });
+  if (installments.length === 0) {
+    return 'This request has no payment plan';
+  }
+
+  const pending = await tx.payment.aggregate({
+    where: { intakeId, status: 'PENDING', createdAt: { gte: new Date(Date.now() - PENDING_HOLD_MS) } },
+    _sum: { amountCents: true },
+  });
+
+  const { balanceCents } = summarizeInstallments(installments);
+  const availableCents = balanceCents - (pending._sum.amountCents || 0);
+  if (amountCents > availableCents) {
+    return `Payment is more than the remaining balance of ${formatCents(Math.max(availableCents, 0))}`;
+  }
+
+  return null;
+}
+
+/**
+ * Store a payment if the balance allows it, applying it to the installments when it
+ * has succeeded. Returns { payment } or { error }.
+ */
+async function createPayment({ intakeId, amountCents, ...data }) {
+  return prisma.$transaction(async (tx) => {
+    await lockInstallments(tx, intakeId);
+
+    const error = await checkPaymentAmount(tx, intakeId, amountCents);
+    if (error) return { error };
+
+    const payment = await tx.payment.create({
+      data: {
+        intakeId,
+        amountCents,
+        receiptNumber: `R-${nanoid(8).toUpperCase()}`,
+        ...data,
+      },
+    });
+
+    if (payment.status === 'SUCCEEDED') await applyPayment(tx, payment);
+
+    return { payment };
+  });
+}
+
+/**
+ * Record how a held card payment's charge went, applying it if it succeeded
+ */
+async function settleCardPayment(paymentId, outcome) {
+  return prisma.$transaction(async (tx) => {
+    const payment = await tx.payment.update({ where: { id: paymentId }, data: outcome });
+
+    if (payment.status === 'SUCCEEDED') {
+      await lockInstallments(tx, payment.intakeId);
+      await applyPayment(tx, payment);
+    }
+
+    return payment;
+  });
+}
+
+/**
+ * Apply a payment to the installments, oldest first (installments locked by the caller)
+ */
+async function applyPayment(tx, payment) {
+  const unpaid = await tx.installment.findMany({
+    where: { intakeId: payment.intakeId },
+    orderBy: { sequence: 'asc' },
+  });
+
+  let remaining = payment.amountCents;
+  for (const installment of unpaid) {
+    if (remaining === 0) break;
+    const owed = installment.amountCents - installment.paidCents;
+    if (owed <= 0) continue;
+
+    const applied = Math.min(owed, remaining);
+    remaining -= applied;
+
+    await tx.installment.update({
+      where: { id: installment.id },
+      data: {
+        paidCents: { increment: applied },
+        paidAt: applied === owed ? payment.createdAt : null,
+      },
+    });
+  }
+}
+
+/**
+ * Audit a payment's outcome and queue its receipt
+ */
+async function afterPayment(payment, { ipAddress, userAgent }) {
+  await recordAudit({
+    intakeId: payment.intakeId,
+    action: payment.status === 'SUCCEEDED' ? 'payment_received' : 'payment_failed',
+    details: {
+      receiptNumber: payment.receiptNumber,
+      amountCents: payment.amountCents,
+      method: payment.method,
+      provider: payment.provider,
+      party: payment.party,
+      recordedBy: payment.recordedById,
+      failureReason: payment.failureReason,
+    },
+    ipAddress,
+    userAgent,
+  });
+
+  if (payment.status === 'SUCCEEDED') {
+    await enqueueJob('send_payment_receipt', { paymentId: payment.id }, { intakeId: payment.intakeId });
+  }
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  // Plain dates ("2026-11-01") are calendar days - keep them at midnight UTC
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function startOfToday(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+function addInterval(date, frequency, count) {
+  const result = new Date(date);
+  if (frequency === 'monthly') {
+    // Clamp to the end of shorter months (Jan 31 -> Feb 28)
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + count);
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, lastDay));
+  } else {
+    result.setUTCDate(result.getUTCDate() + count * (frequency === 'weekly' ? 7 : 14));
+  }
+  return result;
+}
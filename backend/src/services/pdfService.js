@@ -1,23 +1,100 @@
+import crypto from 'crypto';
 import { PDFDocument, rgb, StandardFonts } from 'pdf-lib';
+import { getBonds, getBondTotals } from '../utils/bonds.js';
+
+/**
+ * The signed documents, keyed by the signature key prefix used by the wizard
+ * (e.g. "preApplication_coSigner"). Bump `version` whenever a form's wording
+ * changes so signature evidence records exactly which text was signed.
+ */
+export const SIGNED_DOCUMENTS = {
+  preApplication: { pdfKey: 'preApplication', title: 'Pre-Application', version: '1' },
+  referenceForm: { pdfKey: 'referenceForm', title: 'Reference Form', version: '1' },
+  immigrationWaiver: { pdfKey: 'immigrationWaiver', title: 'Immigration Waiver', version: '1' },
+  indemnitorApplication: { pdfKey: 'indemnitorApp', title: 'Bail Bond Application - Indemnitor', version: '1' },
+  immigrationBondAgreement: { pdfKey: 'bondAgreement', title: 'Immigration Bond Agreement', version: '1' },
+  paymentPlan: { pdfKey: 'paymentPlan', title: 'Premium Payment Plan Agreement', version: '1' },
+  collateralReceipt: { pdfKey: 'collateralReceipt', title: 'Collateral Receipt', version: '1' },
+};
+
+const PDF_DISPLAY_NAMES = {
+  preApplication: 'Pre-Application',
+  indemnitorApp: 'Indemnitor Application',
+  bondAgreement: 'Immigration Bond Agreement',
+  immigrationWaiver: 'Immigration Waiver',
+  referenceForm: 'Reference Form',
+  paymentPlan: 'Premium Payment Plan Agreement',
+  collateralReceipt: 'Collateral Receipt',
+  certificate: 'Certificate of Completion',
+};
+
+/**
+ * Stored document name for one defendant's / co-signer's copy of a form
+ * The first defendant's copy for the primary co-signer keeps the plain key
+ * ("preApplication"); other copies get a suffix ("preApplication-d2",
+ * "preApplication-p3", "preApplication-d2-p3").
+ */
+export function pdfDocumentName(pdfKey, { defendant = 1, party = 1 } = {}) {
+  const suffix = [defendant > 1 && `d${defendant}`, party > 1 && `p${party}`].filter(Boolean).join('-');
+  return suffix ? `${pdfKey}-${suffix}` : pdfKey;
+}
+
+/**
+ * Reverse of pdfDocumentName: "bondAgreement-d2-p3" -> { pdfKey: 'bondAgreement', defendant: 2, party: 3 }
+ */
+export function parsePdfDocumentName(name) {
+  const [, pdfKey, defendant, party] = /^(.+?)(?:-d(\d+))?(?:-p(\d+))?$/.exec(name);
+  return { pdfKey, defendant: Number(defendant || 1), party: Number(party || 1) };
+}
+
+/**
+ * Human-readable name for a stored document ("Pre-Application (Defendant 2, Co-Signer 3)")
+ */
+export function getPdfDisplayName(name) {
+  const { pdfKey, defendant, party } = parsePdfDocumentName(name);
+  const copy = [defendant > 1 && `Defendant ${defendant}`, party > 1 && `Co-Signer ${party}`].filter(Boolean).join(', ');
+  const title = PDF_DISPLAY_NAMES[pdfKey] || pdfKey;
+  return copy ? `${title} (${copy})` : title;
+}
 
 /**
  * Generate all PDFs for a completed intake
+ * (one defendant's copies for one co-signer - see pdfDocumentName)
+ * Multi-bond requests pass bondsData + sharedBondData; older intakes just bondData.
+ * `paymentPlan` ({ ...intake.paymentPlan, installments }) adds the payment plan agreement,
+ * and the co-signer's `collateral` items (see collateralService) a collateral receipt.
+ * `idImages` (see identityDocumentService) are attached to the indemnitor application.
+ * `translations` ({ [pdfKey]: html }, the company's translated templates rendered for
+ * this copy) are added after the English pages of the matching form.
  */
 export async function generateAllPdfs(data) {
-  const { company, defendantData, indemnitorData, referencesData, bondData, signatures } = data;
+  const { company, defendantData, indemnitorData, referencesData, bondData, bondsData, sharedBondData, paymentPlan, collateral, idImages, signatures, translations = {} } = data;
   
   // Normalize signatures to support both old and new formats
   const normalizedSignatures = normalizeSignatures(signatures);
+  const bonds = getBonds({ bondData, bondsData, sharedBondData });
   
   const results = {};
   
   try {
     // Generate each form
     results.preApplication = await generatePreApplication(company, defendantData, indemnitorData, normalizedSignatures);
-    results.indemnitorApp = await generateIndemnitorApplication(company, defendantData, indemnitorData, referencesData, normalizedSignatures);
-    results.bondAgreement = await generateBondAgreement(company, defendantData, indemnitorData, bondData, normalizedSignatures);
+    results.indemnitorApp = await generateIndemnitorApplication(company, defendantData, indemnitorData, referencesData, normalizedSignatures, idImages);
+    results.bondAgreement = await generateBondAgreement(company, defendantData, indemnitorData, bonds, normalizedSignatures);
     results.immigrationWaiver = await generateImmigrationWaiver(company, defendantData, indemnitorData, normalizedSignatures);
-    results.referenceForm = await generateReferenceForm(company, defendantData, indemnitorData, referencesData, bondData, normalizedSignatures);
+    results.referenceForm = await generateReferenceForm(company, defendantData, indemnitorData, referencesData, bonds, normalizedSignatures);
+    if (paymentPlan) {
+      results.paymentPlan = await generatePaymentPlanAgreement(company, defendantData, indemnitorData, paymentPlan, normalizedSignatures);
+    }
+    if (collateral?.length > 0) {
+      results.collateralReceipt = await generateCollateralReceipt(company, defendantData, indemnitorData, collateral, normalizedSignatures);
+    }
+    
+    for (const [pdfKey, html] of Object.entries(translations)) {
+      if (results[pdfKey] && html) {
+        results[pdfKey] = await appendTranslation(results[pdfKey], html, getDocumentSignature(pdfKey, signatures));
+      }
+    }
     
     console.log('Generated PDFs:', Object.keys(results));
     return results;
@@ -323,7 +400,7 @@ async function generatePreApplication(company, defendant, indemnitor, signatures
 // ============================================================================
 // INDEMNITOR APPLICATION (3 pages)
 // ============================================================================
-async function generateIndemnitorApplication(company, defendant, indemnitor, references, signatures) {
+async function generateIndemnitorApplication(company, defendant, indemnitor, references, signatures, idImages) {
   const pdfDoc = await PDFDocument.create();
   const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
   const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
@@ -539,14 +616,75 @@ async function generateIndemnitorApplication(company, defendant, indemnitor, ref
     y -= 14;
   });
   
+  await drawIdAttachmentPage(pdfDoc, idImages, font, fontBold);
+  
   const pdfBytes = await pdfDoc.save();
   return Buffer.from(pdfBytes).toString('base64');
 }
 
+/**
+ * Attachment page with the photos of the co-signer's (and defendant's) ID
+ * `idImages` is { indemnitor: { front, back }, defendant: { front, back } } - see identityDocumentService
+ * Nothing is added when there are no photos.
+ */
+async function drawIdAttachmentPage(pdfDoc, idImages, font, fontBold) {
+  const photos = [];
+  for (const [subject, label] of [['indemnitor', 'Co-Signer'], ['defendant', 'Defendant']]) {
+    for (const side of ['front', 'back']) {
+      const image = idImages?.[subject]?.[side];
+      if (image) photos.push({ ...image, caption: `${label} ID - ${side === 'front' ? 'Front' : 'Back'}` });
+    }
+  }
+  if (photos.length === 0) return;
+  
+  const page = pdfDoc.addPage([612, 792]);
+  const { width, height } = page.getSize();
+  let y = height - 50;
+  
+  page.drawText('ATTACHMENT - IDENTIFICATION', {
+    x: width / 2 - 100,
+    y: y,
+    size: 14,
+    font: fontBold,
+  });
+  y -= 20;
+  drawLine(page, y, width);
+  
+  // Two columns, two rows
+  const boxWidth = 250;
+  const boxHeight = 290;
+  const top = y - 20;
+  
+  for (const [index, photo] of photos.entries()) {
+    const x = 50 + (index % 2) * (boxWidth + 12);
+    const boxTop = top - Math.floor(index / 2) * (boxHeight + 30);
+    
+    page.drawText(photo.caption, { x: x, y: boxTop - 10, size: 9, font: fontBold, color: rgb(0.3, 0.3, 0.3) });
+    
+    try {
+      const image = photo.contentType === 'image/png'
+        ? await pdfDoc.embedPng(photo.buffer)
+        : await pdfDoc.embedJpg(photo.buffer);
+      const scale = Math.min(boxWidth / image.width, (boxHeight - 20) / image.height);
+      const drawHeight = image.height * scale;
+      
+      page.drawImage(image, {
+        x: x,
+        y: boxTop - 20 - drawHeight,
+        width: image.width * scale,
+        height: drawHeight,
+      });
+    } catch (error) {
+      console.error('Error embedding ID photo:', error.message);
+      page.drawText('(photo could not be embedded)', { x: x, y: boxTop - 30, size: 9, font: font });
+    }
+  }
+}
+
 // ============================================================================
 // IMMIGRATION BOND AGREEMENT
 // ============================================================================
-async function generateBondAgreement(company, defendant, indemnitor, bond, signatures) {
+async function generateBondAgreement(company, defendant, indemnitor, bonds, signatures) {
   const pdfDoc = await PDFDocument.create();
   const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
   const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
@@ -610,12 +748,27 @@ async function generateBondAgreement(company, defendant, indemnitor, bond, signa
   
   y = drawSectionHeader(page, 'BOND DETAILS', y, font, fontBold, width);
   
-  drawField(page, 'Bond Amount', formatCurrency(bond?.amount), col1, y, font, fontBold);
-  drawField(page, 'Premium', formatCurrency(bond?.premium), col2, y, font, fontBold, 60);
-  y -= 18;
-  
-  drawField(page, 'Power Number', safe(bond?.powerNumber), col1, y, font, fontBold);
-  y -= 40;
+  if (bonds.length > 1) {
+    // One agreement covers every bond - the bonds themselves are on the attached schedule
+    const totals = getBondTotals(bonds);
+    
+    drawField(page, 'Total Bond Amount', formatCurrency(totals.amount), col1, y, font, fontBold);
+    drawField(page, 'Total Premium', formatCurrency(totals.premium), col2, y, font, fontBold, 80);
+    y -= 18;
+    
+    drawField(page, 'Number of Bonds', `${bonds.length} (see attached Schedule of Bonds)`, col1, y, font, fontBold);
+    y -= 40;
+  } else {
+    const bond = bonds[0];
+    
+    drawField(page, 'Bond Amount', formatCurrency(bond?.amount), col1, y, font, fontBold);
+    drawField(page, 'Premium', formatCurrency(bond?.premium), col2, y, font, fontBold, 60);
+    y -= 18;
+    
+    drawField(page, 'Power Number', safe(bond?.powerNumber), col1, y, font, fontBold);
+    drawField(page, 'Case Number', truncate(bond?.caseNumber, 28), col2, y, font, fontBold, 80);
+    y -= 40;
+  }
   
   drawLine(page, y, width);
   y -= 20;
@@ -642,10 +795,72 @@ async function generateBondAgreement(company, defendant, indemnitor, bond, signa
     x: col1, y: y, size: 10, font: font,
   });
   
+  if (bonds.length > 1) {
+    drawBondSchedule(pdfDoc, bonds, defendant, font, fontBold);
+  }
+  
   const pdfBytes = await pdfDoc.save();
   return Buffer.from(pdfBytes).toString('base64');
 }
 
+/**
+ * Schedule of Bonds - one row per bond with its premium, then the totals
+ * (continues onto further pages for long lists)
+ */
+function drawBondSchedule(pdfDoc, bonds, defendant, font, fontBold) {
+  const columns = [
+    { label: '#', x: 50, value: bond => safe(bond.bondNumber) },
+    { label: 'Case Number', x: 72, value: bond => truncate(bond.caseNumber, 18) },
+    { label: 'Court', x: 170, value: bond => truncate(bond.returnCourt || bond.courtName, 22) },
+    { label: 'Charges', x: 285, value: bond => truncate(bond.charges, 28) },
+    { label: 'Bond Amount', x: 430, value: bond => formatCurrency(bond.amount) },
+    { label: 'Premium', x: 505, value: bond => formatCurrency(bond.premium) },
+  ];
+  const width = 612;
+  
+  let page;
+  let y;
+  
+  const startPage = () => {
+    page = pdfDoc.addPage([612, 792]);
+    y = 792 - 50;
+    
+    page.drawText('SCHEDULE OF BONDS', { x: width / 2 - 80, y: y, size: 16, font: fontBold });
+    y -= 15;
+    page.drawText(`Defendant/Alien: ${safe(defendant?.firstName)} ${safe(defendant?.lastName)}`, {
+      x: 50, y: y, size: 10, font: font, color: rgb(0.3, 0.3, 0.3),
+    });
+    y -= 30;
+    
+    y = drawSectionHeader(page, 'BONDS COVERED BY THIS AGREEMENT', y, font, fontBold, width);
+    columns.forEach(column => {
+      page.drawText(column.label, { x: column.x, y: y, size: 8, font: fontBold, color: rgb(0.3, 0.3, 0.3) });
+    });
+    y -= 6;
+    drawLine(page, y, width);
+    y -= 14;
+  };
+  
+  startPage();
+  
+  bonds.forEach(bond => {
+    if (y < 80) startPage();
+    
+    columns.forEach(column => {
+      page.drawText(column.value(bond), { x: column.x, y: y, size: 8, font: font });
+    });
+    y -= 16;
+  });
+  
+  const totals = getBondTotals(bonds);
+  drawLine(page, y + 8, width);
+  y -= 6;
+  
+  page.drawText(`TOTAL (${bonds.length} bonds)`, { x: 285, y: y, size: 8, font: fontBold });
+  page.drawText(formatCurrency(totals.amount), { x: 430, y: y, size: 8, font: fontBold });
+  page.drawText(formatCurrency(totals.premium), { x: 505, y: y, size: 8, font: fontBold });
+}
+
 // ============================================================================
 // IMMIGRATION WAIVER
 // ============================================================================
@@ -756,7 +971,7 @@ async function generateImmigrationWaiver(company, defendant, indemnitor, signatu
 // ============================================================================
 // REFERENCE FORM
 // ============================================================================
-async function generateReferenceForm(company, defendant, indemnitor, references, bond, signatures) {
+async function generateReferenceForm(company, defendant, indemnitor, references, bonds, signatures) {
   const pdfDoc = await PDFDocument.create();
   const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
   const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
@@ -796,7 +1011,11 @@ async function generateReferenceForm(company, defendant, indemnitor, references,
   drawField(page, 'Defendant Name', `${safe(defendant?.firstName)} ${safe(defendant?.lastName)}`, col1, y, font, fontBold);
   y -= 18;
   
-  drawField(page, 'Bond Amount', formatCurrency(bond?.amount), col1, y, font, fontBold);
+  const totals = getBondTotals(bonds);
+  drawField(page, 'Bond Amount', formatCurrency(totals.amount), col1, y, font, fontBold);
+  if (bonds.length > 1) {
+    drawField(page, 'Number of Bonds', safe(bonds.length), col2, y, font, fontBold);
+  }
   y -= 30;
   
   drawLine(page, y, width);
@@ -867,3 +1086,754 @@ async function generateReferenceForm(company, defendant, indemnitor, references,
   const pdfBytes = await pdfDoc.save();
   return Buffer.from(pdfBytes).toString('base64');
 }
+
+// ============================================================================
+// PREMIUM PAYMENT PLAN AGREEMENT
+// ============================================================================
+
+/**
+ * The co-signer's promise to pay the premium on the agent's schedule
+ * (down payment at signing, then the installments)
+ */
+async function generatePaymentPlanAgreement(company, defendant, indemnitor, plan, signatures) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  
+  let page = pdfDoc.addPage([612, 792]);
+  const { width, height } = page.getSize();
+  let y = height - 50;
+  
+  page.drawText('PREMIUM PAYMENT PLAN AGREEMENT', {
+    x: width / 2 - 130,
+    y: y,
+    size: 16,
+    font: fontBold,
+  });
+  y -= 15;
+  
+  page.drawText(safe(company?.name, 'Bail Bonds Company'), {
+    x: width / 2 - 80,
+    y: y,
+    size: 12,
+    font: font,
+    color: rgb(0.3, 0.3, 0.3),
+  });
+  y -= 30;
+  
+  drawLine(page, y, width);
+  y -= 20;
+  
+  const col1 = 50;
+  const col2 = 320;
+  const indemnitorName = `${safe(indemnitor?.firstName)} ${safe(indemnitor?.lastName)}`;
+  
+  y = drawSectionHeader(page, 'PLAN DETAILS', y, font, fontBold, width);
+  
+  drawField(page, 'Defendant', `${safe(defendant?.firstName)} ${safe(defendant?.lastName)}`, col1, y, font, fontBold);
+  drawField(page, 'Co-Signer', indemnitorName, col2, y, font, fontBold, 60);
+  y -= 18;
+  
+  drawField(page, 'Total Premium', formatCurrency(plan.totalCents / 100), col1, y, font, fontBold);
+  drawField(page, 'Down Payment', formatCurrency(plan.downPaymentCents / 100), col2, y, font, fontBold, 80);
+  y -= 18;
+  
+  if (plan.installmentCount > 0) {
+    drawField(page, 'Installments', `${plan.installmentCount}, paid ${PAYMENT_FREQUENCY_LABELS[plan.frequency] || plan.frequency}`, col1, y, font, fontBold);
+    y -= 18;
+  }
+  y -= 12;
+  
+  y = drawSectionHeader(page, 'PAYMENT SCHEDULE', y, font, fontBold, width);
+  
+  const drawScheduleHeader = () => {
+    ['Payment', 'Due Date', 'Amount'].forEach((label, i) => {
+      page.drawText(label, { x: [col1, 200, 350][i], y: y, size: 8, font: fontBold, color: rgb(0.3, 0.3, 0.3) });
+    });
+    y -= 6;
+    drawLine(page, y, width);
+    y -= 14;
+  };
+  drawScheduleHeader();
+  
+  for (const installment of plan.installments || []) {
+    if (y < 80) {
+      page = pdfDoc.addPage([612, 792]);
+      y = height - 50;
+      drawScheduleHeader();
+    }
+    
+    const label = installment.sequence === 0 ? 'Down payment' : `Installment ${installment.sequence}`;
+    page.drawText(label, { x: col1, y: y, size: 9, font: font });
+    page.drawText(installment.sequence === 0 ? 'At signing' : formatDueDate(installment.dueDate), { x: 200, y: y, size: 9, font: font });
+    page.drawText(formatCurrency(installment.amountCents / 100), { x: 350, y: y, size: 9, font: font });
+    y -= 16;
+  }
+  y -= 14;
+  
+  // Terms and signature stay together
+  if (y < 260) {
+    page = pdfDoc.addPage([612, 792]);
+    y = height - 50;
+  }
+  
+  const terms = [
+    `I, ${indemnitorName}, agree to pay the bail bond premium of ${formatCurrency(plan.totalCents / 100)} to`,
+    `${safe(company?.name, 'the Surety')} according to the schedule above.`,
+    '',
+    '   * The premium is fully earned when the bond is posted and is NON-REFUNDABLE,',
+    '     even if the defendant is released or the case is dismissed.',
+    '   * Payments are due on or before each due date. I may pay early at any time.',
+    '   * If a payment is missed, the full remaining balance may become due immediately.',
+    '   * This plan does not change my obligations under the indemnity agreement.',
+  ];
+  
+  terms.forEach(line => {
+    page.drawText(truncate(line, 100), { x: col1, y: y, size: 9, font: font });
+    y -= 14;
+  });
+  y -= 20;
+  
+  y = drawSectionHeader(page, 'CO-SIGNER SIGNATURE', y, font, fontBold, width);
+  
+  page.drawText('Signature:', { x: col1, y: y, size: 9, font: fontBold, color: rgb(0.3, 0.3, 0.3) });
+  drawLine(page, y - 5, 280);
+  await embedSignature(pdfDoc, page, signatures.paymentPlan_coSigner, col1 + 60, y - 40, 180, 40);
+  
+  page.drawText('Date: ' + formatDate(new Date()), { x: 320, y: y, size: 9, font: font });
+  y -= 60;
+  
+  page.drawText('Printed Name: ' + indemnitorName, {
+    x: col1, y: y, size: 10, font: font,
+  });
+  
+  const pdfBytes = await pdfDoc.save();
+  return Buffer.from(pdfBytes).toString('base64');
+}
+
+const PAYMENT_FREQUENCY_LABELS = {
+  weekly: 'weekly',
+  biweekly: 'every two weeks',
+  monthly: 'monthly',
+};
+
+// Due dates are calendar days stored at midnight UTC
+function formatDueDate(value) {
+  return new Date(value).toLocaleDateString('en-US', {
+    month: '2-digit',
+    day: '2-digit',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+// ============================================================================
+// COLLATERAL RECEIPT
+// ============================================================================
+
+/**
+ * What the co-signer pledged as collateral, with the identifying details and
+ * attached photos / documents for each item
+ */
+async function generateCollateralReceipt(company, defendant, indemnitor, items, signatures) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  
+  let page = pdfDoc.addPage([612, 792]);
+  const { width, height } = page.getSize();
+  let y = height - 50;
+  
+  page.drawText('COLLATERAL RECEIPT', {
+    x: width / 2 - 85,
+    y: y,
+    size: 16,
+    font: fontBold,
+  });
+  y -= 15;
+  
+  page.drawText(safe(company?.name, 'Bail Bonds Company'), {
+    x: width / 2 - 80,
+    y: y,
+    size: 12,
+    font: font,
+    color: rgb(0.3, 0.3, 0.3),
+  });
+  y -= 30;
+  
+  drawLine(page, y, width);
+  y -= 20;
+  
+  const col1 = 50;
+  const col2 = 320;
+  const indemnitorName = `${safe(indemnitor?.firstName)} ${safe(indemnitor?.lastName)}`;
+  const total = items.reduce((sum, item) => sum + (Number(item.estimatedValue) || 0), 0);
+  
+  y = drawSectionHeader(page, 'PLEDGED BY', y, font, fontBold, width);
+  
+  drawField(page, 'Co-Signer', indemnitorName, col1, y, font, fontBold);
+  drawField(page, 'Defendant', `${safe(defendant?.firstName)} ${safe(defendant?.lastName)}`, col2, y, font, fontBold, 60);
+  y -= 18;
+  
+  drawField(page, 'Items', String(items.length), col1, y, font, fontBold);
+  drawField(page, 'Total Value', formatCurrency(total), col2, y, font, fontBold, 60);
+  y -= 30;
+  
+  y = drawSectionHeader(page, 'COLLATERAL', y, font, fontBold, width);
+  
+  for (const [index, item] of items.entries()) {
+    const details = getCollateralDetails(item);
+    const files = item.documents || [];
+    
+    if (y < 100 + details.length * 14) {
+      page = pdfDoc.addPage([612, 792]);
+      y = height - 50;
+    }
+    
+    page.drawText(`${index + 1}. ${COLLATERAL_TYPE_LABELS[item.type] || 'Other'}`, { x: col1, y: y, size: 10, font: fontBold });
+    page.drawText(`Estimated value: ${formatCurrency(item.estimatedValue)}`, { x: 400, y: y, size: 9, font: font });
+    y -= 14;
+    
+    for (const line of details) {
+      page.drawText(truncate(line, 95), { x: col1 + 15, y: y, size: 9, font: font });
+      y -= 13;
+    }
+    
+    if (files.length > 0) {
+      page.drawText(truncate(`Attached: ${files.map(file => file.fileName || file.name).join(', ')}`, 95), {
+        x: col1 + 15, y: y, size: 8, font: font, color: rgb(0.4, 0.4, 0.4),
+      });
+      y -= 13;
+    }
+    y -= 8;
+  }
+  y -= 10;
+  
+  // Terms and signature stay together
+  if (y < 240) {
+    page = pdfDoc.addPage([612, 792]);
+    y = height - 50;
+  }
+  
+  const terms = [
+    `I, ${indemnitorName}, pledge the collateral listed above to ${safe(company?.name, 'the Surety')}`,
+    'as security for the bond(s) posted for the defendant named above.',
+    '',
+    '   * I own the collateral, or have the owner\'s permission to pledge it, and it is free of other liens',
+    '     unless I have told the agent otherwise.',
+    '   * Values above are my own estimates; the Surety may have the collateral appraised.',
+    '   * The collateral will be returned once the bond is exonerated and all premiums and fees are paid.',
+    '   * If the defendant fails to appear, the Surety may use the collateral to cover its losses.',
+  ];
+  
+  terms.forEach(line => {
+    page.drawText(truncate(line, 105), { x: col1, y: y, size: 9, font: font });
+    y -= 14;
+  });
+  y -= 20;
+  
+  y = drawSectionHeader(page, 'CO-SIGNER SIGNATURE', y, font, fontBold, width);
+  
+  page.drawText('Signature:', { x: col1, y: y, size: 9, font: fontBold, color: rgb(0.3, 0.3, 0.3) });
+  drawLine(page, y - 5, 280);
+  await embedSignature(pdfDoc, page, signatures.collateralReceipt_coSigner, col1 + 60, y - 40, 180, 40);
+  
+  page.drawText('Date: ' + formatDate(new Date()), { x: 320, y: y, size: 9, font: font });
+  y -= 60;
+  
+  page.drawText('Printed Name: ' + indemnitorName, {
+    x: col1, y: y, size: 10, font: font,
+  });
+  y -= 30;
+  
+  page.drawText('Received by (agent): ______________________________', {
+    x: col1, y: y, size: 10, font: font,
+  });
+  
+  const pdfBytes = await pdfDoc.save();
+  return Buffer.from(pdfBytes).toString('base64');
+}
+
+const COLLATERAL_TYPE_LABELS = {
+  vehicle: 'Vehicle',
+  real_property: 'Real Property',
+  jewelry: 'Jewelry',
+  cash: 'Cash',
+  other: 'Other',
+};
+
+/**
+ * Description lines for one collateral item (VIN / parcel number as entered)
+ */
+function getCollateralDetails(item) {
+  const lines = [];
+  const vehicle = [item.year, item.make, item.model].filter(Boolean).join(' ');
+  
+  if (vehicle) lines.push(vehicle);
+  if (item.vin) lines.push(`VIN: ${item.vin}`);
+  if (item.parcelNumber) lines.push(`Parcel number: ${item.parcelNumber}`);
+  if (item.propertyAddress) lines.push(`Property address: ${item.propertyAddress}`);
+  
+  // Descriptions can run long - wrap them onto a few lines
+  let line = '';
+  for (const word of safe(item.description).split(/\s+/).filter(Boolean)) {
+    if (line && line.length + word.length + 1 > 95) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  
+  return lines.slice(0, 8);
+}
+
+// ============================================================================
+// TRANSLATED COPIES
+// ============================================================================
+
+/**
+ * Add the translated text of a form after its English pages, signed with the same signature
+ * The translation is the company's own template (HTML) - only its text is carried over
+ */
+async function appendTranslation(base64, html, signature) {
+  const pdfDoc = await PDFDocument.load(Buffer.from(base64, 'base64'));
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const size = 10;
+  const lineHeight = 13;
+  const maxWidth = 612 - 100;
+  
+  let page = pdfDoc.addPage([612, 792]);
+  let y = 792 - 50;
+  
+  page.drawText('Translation of the form above', {
+    x: 50, y, size: 8, font: fontBold, color: rgb(0.4, 0.4, 0.4),
+  });
+  y -= 20;
+  
+  for (const paragraph of htmlToText(html)) {
+    for (const line of wrapText(paragraph, font, size, maxWidth)) {
+      if (y < 60) {
+        page = pdfDoc.addPage([612, 792]);
+        y = 792 - 50;
+      }
+      page.drawText(line, { x: 50, y, size, font, color: rgb(0, 0, 0) });
+      y -= lineHeight;
+    }
+    y -= 4;
+  }
+  
+  if (signature) {
+    if (y < 110) {
+      page = pdfDoc.addPage([612, 792]);
+      y = 792 - 50;
+    }
+    await embedSignature(pdfDoc, page, signature, 50, y - 45);
+    drawLine(page, y - 50, 400);
+    page.drawText('Signature', { x: 50, y: y - 62, size: 8, font, color: rgb(0.4, 0.4, 0.4) });
+  }
+  
+  const pdfBytes = await pdfDoc.save();
+  return Buffer.from(pdfBytes).toString('base64');
+}
+
+/**
+ * The co-signer's signature on a form ("indemnitorApp" -> signatures.indemnitorApplication_indemnitor)
+ */
+function getDocumentSignature(pdfKey, signatures = {}) {
+  const docKey = Object.keys(SIGNED_DOCUMENTS).find(key => SIGNED_DOCUMENTS[key].pdfKey === pdfKey);
+  const entry = Object.entries(signatures || {}).find(([key]) => key.startsWith(`${docKey}_`));
+  return entry?.[1];
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Paragraphs of text in a rendered template (tags, styles and scripts dropped)
+ */
+function htmlToText(html) {
+  const body = /<body[^>]*>([\s\S]*?)<\/body>/i.exec(html)?.[1] ?? html;
+  
+  return body
+    .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr|table|section)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '  ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return code >= 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+      }
+      return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+    })
+    .split('\n')
+    .map(line => toWinAnsi(line.trim()))
+    .filter(Boolean);
+}
+
+// Standard fonts only cover WinAnsi - straighten quotes / dashes and swap anything else for "?"
+function toWinAnsi(text) {
+  return text
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201C\u201D]/g, '"')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/\u2026/g, '...')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+/**
+ * Break a paragraph into lines that fit `maxWidth`
+ */
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  let line = '';
+  
+  for (const word of text.split(' ')) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+  
+  return lines;
+}
+
+// ============================================================================
+// CERTIFICATE OF COMPLETION
+// ============================================================================
+
+/**
+ * Certificate of Completion - who signed what, when, from where, and the
+ * SHA-256 of each final document (see signatureEvidenceService)
+ */
+export async function generateCertificateOfCompletion({ company, intake, evidence }) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const mono = await pdfDoc.embedFont(StandardFonts.Courier);
+  
+  let page = pdfDoc.addPage([612, 792]);
+  const { width, height } = page.getSize();
+  let y = height - 50;
+  const col1 = 50;
+  const labelWidth = 130;
+  
+  // Start a new page when the next block won't fit
+  const ensureSpace = (needed) => {
+    if (y - needed < 50) {
+      page = pdfDoc.addPage([612, 792]);
+      y = height - 50;
+    }
+  };
+  
+  const field = (label, value) => {
+    ensureSpace(16);
+    drawField(page, label, truncate(value, 80), col1, y, font, fontBold, labelWidth);
+    y -= 16;
+  };
+  
+  page.drawText('CERTIFICATE OF COMPLETION', {
+    x: width / 2 - 110,
+    y: y,
+    size: 16,
+    font: fontBold,
+  });
+  y -= 15;
+  
+  page.drawText(safe(company?.name, 'Bail Bonds Company'), {
+    x: width / 2 - 80,
+    y: y,
+    size: 12,
+    font: font,
+    color: rgb(0.3, 0.3, 0.3),
+  });
+  y -= 20;
+  
+  drawLine(page, y, width);
+  y -= 25;
+  
+  y = drawSectionHeader(page, 'ENVELOPE', y, font, fontBold, width);
+  field('Reference Code', intake.linkCode);
+  field('Intake ID', intake.id);
+  if (evidence.party > 1) {
+    field('Co-Signer', `${evidence.party} of ${1 + (intake.parties?.length || 0)}`);
+  }
+  field('Completed', formatTimestamp(evidence.receivedAt));
+  field('Documents', evidence.signatures.length ? `${new Set(evidence.signatures.map(s => s.document)).size} signed` : 'None');
+  y -= 10;
+  
+  y = drawSectionHeader(page, 'SIGNER', y, font, fontBold, width);
+  field('Name', evidence.signer.name);
+  field('Email', evidence.signer.email);
+  field('Phone', formatPhone(evidence.signer.phone));
+  field('IP Address', evidence.ipAddress);
+  field('User Agent', evidence.userAgent);
+  y -= 10;
+  
+  y = drawSectionHeader(page, 'CONSENT & IDENTITY', y, font, fontBold, width);
+  field('Electronic Records', `Consent accepted ${formatTimestamp(evidence.consent.acceptedAt) || '(time not reported)'}`);
+  field('Disclosure Version', evidence.consent.language
+    ? `${evidence.consent.disclosureVersion} (${evidence.consent.language})`
+    : evidence.consent.disclosureVersion);
+  
+  const verification = evidence.identityVerification;
+  field('Identity Verification', verification
+    ? `One-time passcode via ${verification.channel === 'email' ? 'email' : 'text message'}${verification.destination ? ` to ${verification.destination}` : ''}`
+    : 'Not required');
+  if (verification) {
+    field('Verified', formatTimestamp(verification.verifiedAt));
+  }
+  y -= 10;
+  
+  y = drawSectionHeader(page, 'SIGNATURES', y, font, fontBold, width);
+  
+  for (const signature of evidence.signatures) {
+    ensureSpace(110);
+    
+    page.drawText(`${safe(signature.documentTitle, signature.key)}${signature.role ? ` - ${signature.role}` : ''}`, {
+      x: col1,
+      y: y,
+      size: 10,
+      font: fontBold,
+    });
+    y -= 16;
+    
+    field('Document Version', signature.documentVersion);
+    field('Document Read', formatTimestamp(signature.readConfirmedAt));
+    field('Signing Started', formatTimestamp(signature.strokeStartedAt));
+    field('Signature Captured', formatTimestamp(signature.capturedAt));
+    
+    page.drawText('Signature SHA-256:', { x: col1, y: y, size: 9, font: fontBold, color: rgb(0.3, 0.3, 0.3) });
+    page.drawText(safe(signature.imageSha256), { x: col1 + labelWidth, y: y, size: 7, font: mono });
+    y -= 14;
+    
+    // One copy per defendant (earlier certificates stored a single documentSha256)
+    const copies = signature.documents?.length ? signature.documents : [{ sha256: signature.documentSha256 }];
+    for (const copy of copies) {
+      ensureSpace(14);
+      const label = copies.length > 1 ? `Defendant ${parsePdfDocumentName(copy.name).defendant} SHA-256:` : 'Document SHA-256:';
+      page.drawText(label, { x: col1, y: y, size: 9, font: fontBold, color: rgb(0.3, 0.3, 0.3) });
+      page.drawText(safe(copy.sha256, 'Not available'), { x: col1 + labelWidth, y: y, size: 7, font: mono });
+      y -= 14;
+    }
+    y -= 6;
+  }
+  
+  ensureSpace(60);
+  drawLine(page, y, width);
+  y -= 18;
+  
+  const notes = [
+    'Read, start and capture times are reported by the signer\'s device; completion time is recorded by the server.',
+    'Document SHA-256 values are of the final PDFs delivered with this certificate. Recompute them to confirm',
+    'a copy has not been altered since signing.',
+  ];
+  notes.forEach(line => {
+    page.drawText(line, { x: col1, y: y, size: 8, font: font, color: rgb(0.4, 0.4, 0.4) });
+    y -= 12;
+  });
+  
+  const pdfBytes = await pdfDoc.save();
+  return Buffer.from(pdfBytes).toString('base64');
+}
+
+// ============================================================================
+// AUDIT TRAIL
+// ============================================================================
+
+/**
+ * Printable audit trail for one intake (see auditService.buildAuditExport)
+ */
+export async function generateAuditTrailPdf(auditExport) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const mono = await pdfDoc.embedFont(StandardFonts.Courier);
+  
+  let page = pdfDoc.addPage([612, 792]);
+  const { width, height } = page.getSize();
+  let y = height - 50;
+  const col1 = 50;
+  
+  const ensureSpace = (needed) => {
+    if (y - needed < 50) {
+      page = pdfDoc.addPage([612, 792]);
+      y = height - 50;
+    }
+  };
+  
+  page.drawText('AUDIT TRAIL', {
+    x: width / 2 - 45,
+    y: y,
+    size: 16,
+    font: fontBold,
+  });
+  y -= 15;
+  
+  page.drawText(safe(auditExport.companyName, 'Bail Bonds Company'), {
+    x: width / 2 - 80,
+    y: y,
+    size: 12,
+    font: font,
+    color: rgb(0.3, 0.3, 0.3),
+  });
+  y -= 20;
+  
+  drawLine(page, y, width);
+  y -= 25;
+  
+  const { verification } = auditExport;
+  
+  y = drawSectionHeader(page, 'SUMMARY', y, font, fontBold, width);
+  drawField(page, 'Reference Code', auditExport.linkCode, col1, y, font, fontBold, 130);
+  y -= 16;
+  drawField(page, 'Intake ID', auditExport.intakeId, col1, y, font, fontBold, 130);
+  y -= 16;
+  drawField(page, 'Status', auditExport.status, col1, y, font, fontBold, 130);
+  y -= 16;
+  drawField(page, 'Exported', formatTimestamp(auditExport.exportedAt), col1, y, font, fontBold, 130);
+  y -= 16;
+  drawField(page, 'Entries', verification.entryCount, col1, y, font, fontBold, 130);
+  y -= 16;
+  drawField(page, 'Chain Integrity', verification.valid ? 'Verified - no gaps or edits detected' : `${verification.issues.length} problem(s) found`, col1, y, font, fontBold, 130);
+  y -= 16;
+  page.drawText('Head Hash:', { x: col1, y: y, size: 9, font: fontBold, color: rgb(0.3, 0.3, 0.3) });
+  page.drawText(safe(verification.headHash, 'None'), { x: col1 + 130, y: y, size: 7, font: mono });
+  y -= 20;
+  
+  if (!verification.valid) {
+    y = drawSectionHeader(page, 'INTEGRITY PROBLEMS', y, font, fontBold, width);
+    for (const issue of verification.issues) {
+      ensureSpace(14);
+      const where = issue.missing
+        ? `entries ${issue.missing.from}-${issue.missing.to} missing`
+        : `entry ${issue.sequence ?? issue.id}${issue.action ? ` (${issue.action})` : ''}`;
+      page.drawText(`${issue.problem.replace('_', ' ')}: ${where}`, { x: col1, y: y, size: 9, font: font, color: rgb(0.7, 0, 0) });
+      y -= 14;
+    }
+    y -= 10;
+  }
+  
+  y = drawSectionHeader(page, 'ENTRIES', y, font, fontBold, width);
+  
+  for (const entry of auditExport.entries) {
+    ensureSpace(50);
+    
+    page.drawText(`#${entry.sequence ?? '-'}  ${entry.action}`, { x: col1, y: y, size: 10, font: fontBold });
+    page.drawText(formatTimestamp(entry.createdAt), { x: width - 180, y: y, size: 9, font: font });
+    y -= 13;
+    
+    const source = [entry.ipAddress, entry.userAgent].filter(Boolean).join('  ');
+    if (source) {
+      page.drawText(truncate(source, 110), { x: col1 + 10, y: y, size: 8, font: font, color: rgb(0.4, 0.4, 0.4) });
+      y -= 11;
+    }
+    
+    if (entry.details) {
+      page.drawText(truncate(JSON.stringify(entry.details), 110), { x: col1 + 10, y: y, size: 8, font: font });
+      y -= 11;
+    }
+    
+    page.drawText(`hash ${safe(entry.hash, '(unchained)')}`, { x: col1 + 10, y: y, size: 6, font: mono, color: rgb(0.4, 0.4, 0.4) });
+    y -= 16;
+  }
+  
+  const pdfBytes = await pdfDoc.save();
+  return Buffer.from(pdfBytes).toString('base64');
+}
+
+// ============================================================================
+// SEALING
+// ============================================================================
+
+/**
+ * Seal a generated PDF so later edits can be detected
+ *
+ * The seal id is the SHA-256 of the PDF as generated; it's written into the
+ * document metadata (keywords) and a footer on every page. The SHA-256 of the
+ * sealed file is what gets stored as the document checksum - a copy is genuine
+ * only if its hash matches that exactly. The seal id still identifies which
+ * document an altered copy claims to be.
+ *
+ * Returns { base64, sealId }
+ */
+export async function sealPdf(base64, { intakeId, linkCode, name, sealedAt = new Date() }) {
+  const bytes = Buffer.from(base64, 'base64');
+  const sealId = crypto.createHash('sha256').update(bytes).digest('hex');
+  
+  const pdfDoc = await PDFDocument.load(bytes);
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const pages = pdfDoc.getPages();
+  const verifyUrl = process.env.BASE_URL ? `${process.env.BASE_URL}/api/pdf/${linkCode}/${name}/verify` : null;
+  
+  pages.forEach((page, index) => {
+    const footer = [
+      `Sealed ${formatTimestamp(sealedAt)}`,
+      `Seal ${sealId.slice(0, 16)}`,
+      `Page ${index + 1} of ${pages.length}`,
+      verifyUrl && `Verify: ${verifyUrl}`,
+    ].filter(Boolean).join('  |  ');
+    
+    page.drawText(footer, {
+      x: 40,
+      y: 14,
+      size: 6,
+      font: font,
+      color: rgb(0.5, 0.5, 0.5),
+    });
+  });
+  
+  pdfDoc.setKeywords([`seal:${sealId}`, `intake:${intakeId}`, `document:${name}`]);
+  pdfDoc.setProducer('BondProspects');
+  pdfDoc.setModificationDate(sealedAt);
+  
+  const sealed = await pdfDoc.save();
+  return { base64: Buffer.from(sealed).toString('base64'), sealId };
+}
+
+/**
+ * Read the seal from a PDF's metadata
+ * Returns { sealId, intakeId, document } or null if the file isn't a sealed PDF
+ */
+export async function readPdfSeal(buffer) {
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(buffer, { updateMetadata: false });
+  } catch {
+    return null;
+  }
+  
+  const entries = Object.fromEntries(
+    (pdfDoc.getKeywords() || '')
+      .split(/\s+/)
+      .map(keyword => keyword.split(':'))
+      .filter(parts => parts.length === 2)
+  );
+  
+  if (!entries.seal) return null;
+  return { sealId: entries.seal, intakeId: entries.intake || null, document: entries.document || null };
+}
+
+/**
+ * Format an ISO timestamp for the certificate (UTC, to the second)
+ */
+function formatTimestamp(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return '';
+  return date.toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, ' UTC');
+}
+
+// Standard fonts only cover WinAnsi - swap anything else (emoji, CJK...) for "?"
+function truncate(value, length) {
+  const text = safe(value).replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+  return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
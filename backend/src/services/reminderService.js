@@ -0,0 +1,223 @@
+/**
+ * Reminder Service - automatic reminders for unfinished agent-initiated requests
+ *
+ * Each company can turn reminders on and configure its own rules:
+ *   { id, when: "unopened",      hours }  - N hours after sending, link never opened
+ *   { id, when: "in_progress",   hours }  - N hours after sending, started but not submitted
+ *   { id, when: "before_expiry", hours }  - N hours before the link expires
+ * with an optional channel ("sms" / "email", defaults to the request's delivery method).
+ *
+ * Each rule fires at most once per intake and every delivered reminder is recorded
+ * as a "reminder_sent" audit entry, which is also how the per-intake cap is counted.
+ * A send that fails is logged as "reminder_failed" and tried again on later sweeps.
+ * Reminders stop once the intake is submitted, cancelled or expired, or the
+ * co-signer has opted out of texts.
+ *
+ * Only the primary co-signer is reminded. Once they've signed the intake drops out
+ * of the sweep, even while additional co-signers (IntakeParty) still have to sign -
+ * agents resend those links themselves (POST /api/agent/resend/:linkCode with `party`).
+ *
+ * REMINDER_CRON sets how often the sweep runs (default every 15 minutes).
+ * Set it to "off" on replicas so reminders aren't sent twice.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { scheduleCronTask } from './scheduler.js';
+import { sendESignReminder, isSmsOptedOut } from './messagingService.js';
+import { recordAudit } from './auditService.js';
+
+const prisma = new PrismaClient();
+
+const DEFAULT_REMINDER_CRON = '*/15 * * * *';
+
+// A reminder whose send fails is tried again on later sweeps, up to this many times
+const MAX_SEND_ATTEMPTS = 3;
+
+export const REMINDER_TRIGGERS = ['unopened', 'in_progress', 'before_expiry'];
+
+// Used when a company enables reminders without customizing the rules
+export const DEFAULT_REMINDER_RULES = [
+  { id: 'unopened-2h', when: 'unopened', hours: 2 },
+  { id: 'in-progress-24h', when: 'in_progress', hours: 24 },
+  { id: 'final-notice', when: 'before_expiry', hours: 12 },
+];
+
+let stopTask = null;
+
+/**
+ * Check a company's reminder rules
+ * Returns an error message, or null if they're valid
+ */
+export function validateReminderRules(rules) {
+  if (!Array.isArray(rules)) {
+    return 'Reminder rules must be a list';
+  }
+
+  const ids = new Set();
+  for (const rule of rules) {
+    if (!REMINDER_TRIGGERS.includes(rule?.when)) {
+      return `Reminder "when" must be one of: ${REMINDER_TRIGGERS.join(', ')}`;
+    }
+    if (typeof rule.hours !== 'number' || !(rule.hours > 0)) {
+      return 'Reminder hours must be a positive number';
+    }
+    if (rule.channel && !['sms', 'email'].includes(rule.channel)) {
+      return 'Reminder channel must be "sms" or "email"';
+    }
+
+    const id = ruleId(rule);
+    if (ids.has(id)) {
+      return `Duplicate reminder rule "${id}"`;
+    }
+    ids.add(id);
+  }
+
+  return null;
+}
+
+/**
+ * Start the scheduled reminder sweep
+ */
+export function startReminderScheduler({ cron = process.env.REMINDER_CRON || DEFAULT_REMINDER_CRON } = {}) {
+  if (cron === 'off') {
+    console.log('Reminder scheduler disabled');
+    return;
+  }
+
+  stopTask = scheduleCronTask('Reminder sweep', cron, async () => {
+    const { sent } = await sendDueReminders();
+    if (sent > 0) {
+      console.log(`Reminder sweep sent ${sent} reminder(s)`);
+    }
+  });
+}
+
+/**
+ * Stop the scheduler
+ */
+export function stopReminderScheduler() {
+  if (stopTask) {
+    stopTask();
+    stopTask = null;
+  }
+}
+
+/**
+ * Send every reminder that's due - at most one per intake per sweep
+ */
+export async function sendDueReminders(now = new Date()) {
+  const intakes = await prisma.intake.findMany({
+    where: {
+      source: 'AGENT',
+      status: { in: ['PENDING', 'IN_PROGRESS'] },
+      signedAt: null, // the primary co-signer hasn't signed - additional co-signers aren't reminded
+      requestSentAt: { not: null },
+      expiresAt: { gt: now },
+      company: { remindersEnabled: true, isActive: true },
+    },
+    include: { company: true },
+  });
+
+  if (intakes.length === 0) {
+    return { checked: 0, sent: 0 };
+  }
+
+  const reminderLogs = await prisma.auditLog.findMany({
+    where: {
+      intakeId: { in: intakes.map(i => i.id) },
+      action: { in: ['reminder_sent', 'reminder_failed'] },
+    },
+    select: { intakeId: true, action: true, details: true },
+  });
+
+  let sent = 0;
+
+  for (const intake of intakes) {
+    const logs = reminderLogs.filter(log => log.intakeId === intake.id);
+    const previous = logs.filter(log => log.action === 'reminder_sent');
+
+    if (previous.length >= intake.company.maxRemindersPerIntake) continue;
+
+    const firedRuleIds = new Set(previous.map(log => log.details?.rule));
+    const failures = (id) => logs.filter(log => log.action === 'reminder_failed' && log.details?.rule === id).length;
+    const rules = intake.company.reminderRules || DEFAULT_REMINDER_RULES;
+    const rule = rules.find(r => !firedRuleIds.has(ruleId(r))
+      && failures(ruleId(r)) < MAX_SEND_ATTEMPTS
+      && isRuleDue(r, intake, now));
+
+    if (!rule) continue;
+
+    try {
+      if (await sendReminder(intake, rule)) {
+        sent++;
+      }
+    } catch (error) {
+      console.error(`Failed to send reminder for intake ${intake.id}:`, error);
+    }
+  }
+
+  return { checked: intakes.length, sent };
+}
+
+async function sendReminder(intake, rule) {
+  const { company } = intake;
+  const coSigner = intake.indemnitorData || {};
+  const defendant = intake.defendantData || {};
+  const method = rule.channel || intake.deliveryMethod;
+
+  if (method === 'email' && !coSigner.email) return false;
+  if (method === 'sms' && !coSigner.cellPhone) return false;
+
+  // Opted out - the rule stays unfired in case they text START again
+  if (method === 'sms' && await isSmsOptedOut(coSigner.cellPhone)) return false;
+
+  const baseUrl = process.env.BASE_URL || 'https://www.bondprospects.com';
+
+  const sendResult = await sendESignReminder({
+    deliveryMethod: method,
+    recipientEmail: coSigner.email,
+    recipientPhone: coSigner.cellPhone,
+    recipientName: `${coSigner.firstName} ${coSigner.lastName}`,
+    defendantName: `${defendant.firstName} ${defendant.lastName}`,
+    companyName: company.name,
+    intakeUrl: `${baseUrl}/${company.slug}/${intake.linkCode}`,
+    intakeId: intake.id,
+    expiresAt: intake.expiresAt,
+    isFinal: rule.when === 'before_expiry',
+    language: intake.preferredLanguage,
+  });
+
+  // Only a delivered reminder uses up its rule - a failed one is retried (MAX_SEND_ATTEMPTS)
+  await recordAudit({
+    intakeId: intake.id,
+    action: sendResult.success ? 'reminder_sent' : 'reminder_failed',
+    details: {
+      rule: ruleId(rule),
+      when: rule.when,
+      deliveryMethod: method,
+      ...(sendResult.success ? {} : { sendError: sendResult.error }),
+    },
+  });
+
+  return sendResult.success;
+}
+
+function isRuleDue(rule, intake, now) {
+  const hoursMs = rule.hours * 60 * 60 * 1000;
+  const sentFor = now - intake.requestSentAt;
+
+  switch (rule.when) {
+    case 'unopened':
+      return !intake.requestOpenedAt && sentFor >= hoursMs;
+    case 'in_progress':
+      return intake.status === 'IN_PROGRESS' && sentFor >= hoursMs;
+    case 'before_expiry':
+      return intake.expiresAt - now <= hoursMs;
+    default:
+      return false;
+  }
+}
+
+function ruleId(rule) {
+  return rule.id || `${rule.when}-${rule.hours}h`;
+}
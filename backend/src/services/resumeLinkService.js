@@ -0,0 +1,143 @@
+/**
+ * Resume Link Service - "send me a link to finish later" for client-initiated intakes
+ *
+ * A visitor who started an application on the company page can have its link
+ * texted or emailed to the phone / email they typed on the Basic Info step, and
+ * finish it from any device (the link opens like an agent's request does).
+ *
+ * The link only goes to contact details saved on the intake, and sends are
+ * limited per intake and per destination so the form can't be used to spam
+ * someone else's phone. Each request is an audit entry ("resume_link_requested"),
+ * written before anything is sent - the destination is kept masked plus as a hash,
+ * and the limits count these entries, so requests racing each other (on one intake
+ * or across several) can't all slip under them.
+ */
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { sendResumeLink, normalizePhone } from './messagingService.js';
+import { recordAudit } from './auditService.js';
+import { getMaskedDestinations } from './otpService.js';
+
+const prisma = new PrismaClient();
+
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_PER_INTAKE_PER_DAY = 5;
+const MAX_PER_DESTINATION_PER_HOUR = 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const OPEN_STATUSES = ['PENDING', 'IN_PROGRESS'];
+
+/**
+ * Channels the link can go out on - from the co-signer's saved phone / email
+ */
+export function getResumeChannels(intake) {
+  const coSigner = intake.indemnitorData || {};
+  const channels = [];
+
+  if ((coSigner.cellPhone || '').replace(/\D/g, '').length >= 10) channels.push('sms');
+  if (EMAIL_PATTERN.test(coSigner.email || '')) channels.push('email');
+
+  return channels;
+}
+
+/**
+ * Text / email the intake's link to the co-signer
+ * Returns { success, error?, status?, to? } - status is the HTTP status to reply with on
+ * failure, `to` the masked destination
+ */
+export async function sendIntakeResumeLink(intake, company, channel, { ipAddress, userAgent } = {}) {
+  const now = new Date();
+
+  if (!getResumeChannels(intake).includes(channel)) {
+    return {
+      success: false,
+      status: 400,
+      error: channel === 'email' ? 'Please enter your email address first' : 'Please enter your phone number first',
+    };
+  }
+
+  if (!OPEN_STATUSES.includes(intake.status) || now > intake.expiresAt) {
+    return { success: false, status: 410, error: 'Form link expired' };
+  }
+
+  // Claim the cooldown before sending - in one update, so parallel requests can't all pass it
+  const claimed = await prisma.intake.updateMany({
+    where: {
+      id: intake.id,
+      status: { in: OPEN_STATUSES },
+      OR: [
+        { resumeLinkSentAt: null },
+        { resumeLinkSentAt: { lt: new Date(now - RESEND_COOLDOWN_MS) } },
+      ],
+    },
+    data: { resumeLinkSentAt: now },
+  });
+
+  if (claimed.count === 0) {
+    return { success: false, status: 429, error: 'Please wait a minute before sending another link.' };
+  }
+
+  const coSigner = intake.indemnitorData;
+  const destination = channel === 'email' ? coSigner.email.trim().toLowerCase() : normalizePhone(coSigner.cellPhone);
+  const destinationHash = crypto.createHash('sha256').update(destination).digest('hex');
+  const to = getMaskedDestinations(intake)[channel];
+
+  // Record the request first, then count it with everyone else's - two racing requests
+  // each see the other's entry at worst, so the limits can only over-count
+  await recordAudit({
+    intakeId: intake.id,
+    action: 'resume_link_requested',
+    details: { channel, to, destinationHash },
+    ipAddress,
+    userAgent,
+  });
+
+  const [sentForIntake, sentToDestination] = await Promise.all([
+    prisma.auditLog.count({
+      where: { intakeId: intake.id, action: 'resume_link_requested', createdAt: { gte: new Date(now - DAY_MS) } },
+    }),
+    prisma.auditLog.count({
+      where: {
+        action: 'resume_link_requested',
+        createdAt: { gte: new Date(now - HOUR_MS) },
+        details: { path: ['destinationHash'], equals: destinationHash },
+      },
+    }),
+  ]);
+
+  if (sentForIntake > MAX_PER_INTAKE_PER_DAY || sentToDestination > MAX_PER_DESTINATION_PER_HOUR) {
+    return { success: false, status: 429, error: 'Too many links sent. Please try again later.' };
+  }
+
+  const baseUrl = process.env.BASE_URL || 'https://www.bondprospects.com';
+
+  const result = await sendResumeLink({
+    deliveryMethod: channel,
+    recipientEmail: destination,
+    recipientPhone: destination,
+    companyName: company.name,
+    intakeUrl: `${baseUrl}/${company.slug}/${intake.linkCode}`,
+    intakeId: intake.id,
+    expiresAt: intake.expiresAt,
+    language: intake.preferredLanguage,
+  });
+
+  if (!result.success) {
+    return { success: false, status: 502, error: result.error || 'Failed to send the link' };
+  }
+
+  await recordAudit({
+    intakeId: intake.id,
+    action: 'resume_link_sent',
+    details: { channel, to, destinationHash },
+    ipAddress,
+    userAgent,
+  });
+
+  return { success: true, to };
+}
@@ -0,0 +1,54 @@
+/**
+ * Scheduler - runs a task on a cron schedule in this process
+ *
+ * Checks the schedule once a minute. A run that's still going when the next
+ * one is due is skipped rather than overlapped.
+ */
+
+import { parseCron, cronMatches } from '../utils/cron.js';
+
+/**
+ * Start a scheduled task
+ * Returns a function that stops it
+ */
+export function scheduleCronTask(name, cron, run) {
+  const schedule = parseCron(cron);
+  let timer = null;
+  let running = false;
+
+  const runTask = async () => {
+    if (running) {
+      console.warn(`${name} still running, skipping scheduled run`);
+      return;
+    }
+
+    running = true;
+    try {
+      await run();
+    } catch (error) {
+      console.error(`Scheduled ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const tick = () => {
+    timer = setTimeout(tick, msUntilNextMinute());
+
+    if (cronMatches(schedule, new Date())) {
+      runTask();
+    }
+  };
+
+  console.log(`${name} scheduled: "${cron}"`);
+  timer = setTimeout(tick, msUntilNextMinute());
+
+  return () => {
+    clearTimeout(timer);
+  };
+}
+
+function msUntilNextMinute() {
+  const now = new Date();
+  return 60 * 1000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+}
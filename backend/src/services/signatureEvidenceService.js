@@ -0,0 +1,140 @@
+/**
+ * Signature Evidence Service - the record behind each electronic signature
+ *
+ * At submission we capture, per signature: which document (and version of its
+ * wording) it was applied to, a hash of the signature image, and the device
+ * timestamps of the read confirmation and the stroke capture - along with the
+ * signer's consent to electronic records, IP / user agent and identity
+ * verification. Once the PDFs exist, each signature is tied to the SHA-256 of
+ * the final document and a Certificate of Completion is generated from it all.
+ */
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { SIGNED_DOCUMENTS, parsePdfDocumentName } from './pdfService.js';
+import { normalizeLanguage } from '../utils/i18n.js';
+
+const prisma = new PrismaClient();
+
+// Bump when the consent wording in the wizard (frontend i18n/ "signatures.consent*") changes
+export const ESIGN_DISCLOSURE_VERSION = '2026-10-01';
+
+/**
+ * Has the signer accepted the consent to electronic records and signatures?
+ */
+export function hasESignConsent(esignConsent) {
+  return esignConsent?.accepted === true;
+}
+
+/**
+ * Build the evidence record stored on the intake (or party) at submission
+ * `clientEvidence` is keyed like `signatures` ({ preApplication_coSigner: { strokeStartedAt, capturedAt, readConfirmedAt } })
+ * - those are device times; `receivedAt` is ours. `party` is set for an additional co-signer.
+ */
+export async function buildSignatureEvidence({
+  intake,
+  party = null,
+  indemnitorData,
+  signatures,
+  clientEvidence,
+  esignConsent,
+  ipAddress,
+  userAgent,
+  receivedAt,
+}) {
+  const signer = indemnitorData || {};
+
+  return {
+    party: party?.position || 1,
+    signer: {
+      name: `${signer.firstName || ''} ${signer.lastName || ''}`.trim(),
+      email: signer.email || null,
+      phone: signer.cellPhone || null,
+    },
+    ipAddress,
+    userAgent,
+    receivedAt: receivedAt.toISOString(),
+    consent: {
+      accepted: true,
+      acceptedAt: toIsoOrNull(esignConsent.acceptedAt),
+      disclosureVersion: esignConsent.disclosureVersion || ESIGN_DISCLOSURE_VERSION,
+      language: normalizeLanguage(esignConsent.language), // the disclosure was shown in this language
+    },
+    identityVerification: await getIdentityVerification(intake, party),
+    signatures: Object.entries(signatures || {})
+      .filter(([, image]) => typeof image === 'string' && image.startsWith('data:image'))
+      .map(([key, image]) => {
+        const [documentId, role] = key.split('_');
+        const document = SIGNED_DOCUMENTS[documentId];
+        const timings = clientEvidence?.[key] || {};
+
+        return {
+          key,
+          role: role || null,
+          document: document ? documentId : null,
+          documentTitle: document?.title || null,
+          documentVersion: document?.version || null,
+          documents: [], // [{ name, sha256 }] of each copy, filled in once the PDFs are generated
+          imageSha256: crypto.createHash('sha256').update(image).digest('hex'),
+          readConfirmedAt: toIsoOrNull(timings.readConfirmedAt),
+          strokeStartedAt: toIsoOrNull(timings.strokeStartedAt),
+          capturedAt: toIsoOrNull(timings.capturedAt),
+        };
+      }),
+  };
+}
+
+/**
+ * Tie each signature to the SHA-256 of the final PDFs it was embedded in -
+ * the signer's copy for each defendant
+ * `documents` are the stored Document rows (checksum is SHA-256 of the bytes)
+ */
+export function attachDocumentHashes(evidence, documents) {
+  const signerDocuments = documents
+    .map(doc => ({ ...parsePdfDocumentName(doc.name), name: doc.name, sha256: doc.checksum }))
+    .filter(doc => doc.party === (evidence.party || 1));
+
+  return {
+    ...evidence,
+    signatures: evidence.signatures.map(signature => {
+      const pdfKey = SIGNED_DOCUMENTS[signature.document]?.pdfKey;
+      const { documentSha256, ...rest } = signature; // stored by earlier versions
+      return {
+        ...rest,
+        documents: signerDocuments
+          .filter(doc => doc.pdfKey === pdfKey)
+          .map(({ name, sha256 }) => ({ name, sha256 })),
+      };
+    }),
+  };
+}
+
+/**
+ * How (and when) the co-signer proved their identity, if they had to
+ */
+async function getIdentityVerification(intake, party) {
+  const { verifiedAt } = party || intake;
+  if (!verifiedAt) return null;
+
+  // The channel is on the code that was sent, not on the verification -
+  // and other co-signers on the intake may have been sent codes too
+  const sent = await prisma.auditLog.findMany({
+    where: { intakeId: intake.id, action: 'otp_sent', createdAt: { lte: verifiedAt } },
+    orderBy: { createdAt: 'desc' },
+    take: 20,
+  });
+  const lastSent = sent.find(entry => (entry.details?.party || 1) === (party?.position || 1));
+
+  return {
+    method: 'one_time_passcode',
+    channel: lastSent?.details?.channel || null,
+    destination: lastSent?.details?.to || null,
+    verifiedAt: verifiedAt.toISOString(),
+  };
+}
+
+function toIsoOrNull(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
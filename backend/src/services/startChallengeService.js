@@ -0,0 +1,78 @@
+/**
+ * Start Challenge Service - bot check for applications started on a company page
+ *
+ * Opening the page doesn't create an intake; the visitor's first save does, and it
+ * has to bring a solved challenge. The challenge is a signed token, and solving it
+ * means finding a number whose SHA-256 with the token ("<token>:<number>") starts
+ * with `difficulty` zero bits - about a second of work in the visitor's browser,
+ * while it adds up for anything creating intakes in bulk. No captcha service is
+ * involved. Each challenge starts one intake (Intake.startChallenge is unique).
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'bondprospects-secret-change-in-production';
+
+// Leading zero bits - each extra bit doubles the work
+const CHALLENGE_DIFFICULTY = Number(process.env.START_CHALLENGE_DIFFICULTY) || 16;
+const CHALLENGE_EXPIRES_IN = '30m';
+const SOLUTION = /^\d{1,15}$/;
+
+/**
+ * A challenge for starting an application with this company
+ */
+export function createStartChallenge(company) {
+  const token = jwt.sign(
+    {
+      scope: 'intake-start',
+      companyId: company.id,
+      nonce: crypto.randomBytes(16).toString('hex'),
+      difficulty: CHALLENGE_DIFFICULTY,
+    },
+    JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+  );
+
+  return { token, difficulty: CHALLENGE_DIFFICULTY };
+}
+
+/**
+ * Check a solved challenge - returns { success, error?, nonce? }, the nonce being
+ * what the new intake keeps so the challenge can't start another
+ */
+export function verifyStartChallenge(company, { token, solution } = {}) {
+  if (typeof token !== 'string' || typeof solution !== 'string' || !SOLUTION.test(solution)) {
+    return { success: false, error: 'Missing or invalid challenge' };
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return { success: false, error: 'Challenge expired - please try again' };
+  }
+
+  if (decoded.scope !== 'intake-start' || decoded.companyId !== company.id) {
+    return { success: false, error: 'Missing or invalid challenge' };
+  }
+
+  const hash = crypto.createHash('sha256').update(`${token}:${solution}`).digest();
+  if (leadingZeroBits(hash) < decoded.difficulty) {
+    return { success: false, error: 'Missing or invalid challenge' };
+  }
+
+  return { success: true, nonce: decoded.nonce };
+}
+
+function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
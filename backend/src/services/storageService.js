@@ -0,0 +1,214 @@
+/**
+ * Storage Service - pluggable object storage for generated documents and uploads
+ *
+ * Drivers:
+ * - local: files on disk under STORAGE_LOCAL_DIR (default ./storage)
+ * - s3:    any S3-compatible API (AWS S3, Cloudflare R2, MinIO) over signed fetch requests
+ *
+ * Every driver exposes the same interface:
+ *   put(key, buffer, contentType) -> Promise<void>
+ *   getStream(key)                -> Promise<Readable>
+ *   delete(key)                   -> Promise<void>
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+
+const drivers = new Map();
+
+/**
+ * Get a storage driver (created once per process)
+ * Defaults to the configured STORAGE_DRIVER; pass a name to read objects
+ * written by a previously configured driver.
+ */
+export function getStorageDriver(name = process.env.STORAGE_DRIVER || 'local') {
+  if (!drivers.has(name)) {
+    drivers.set(name, createStorageDriver(name));
+  }
+  return drivers.get(name);
+}
+
+/**
+ * Create a storage driver by name
+ */
+export function createStorageDriver(name, options = {}) {
+  switch (name) {
+    case 'local':
+      return createLocalDriver(options);
+    case 's3':
+      return createS3Driver(options);
+    default:
+      throw new Error(`Unknown storage driver: ${name}`);
+  }
+}
+
+// ============================================================================
+// LOCAL FILESYSTEM DRIVER
+// ============================================================================
+
+export function createLocalDriver({ rootDir = process.env.STORAGE_LOCAL_DIR || './storage' } = {}) {
+  const root = path.resolve(rootDir);
+
+  // Keys are relative paths - never let one escape the storage root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      await fsp.writeFile(filePath, buffer);
+    },
+
+    async getStream(key) {
+      const filePath = resolveKey(key);
+      await fsp.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async delete(key) {
+      await fsp.rm(resolveKey(key), { force: true });
+    },
+  };
+}
+
+// ============================================================================
+// S3-COMPATIBLE DRIVER
+// ============================================================================
+
+export function createS3Driver({
+  endpoint = process.env.S3_ENDPOINT || 'https://s3.amazonaws.com',
+  region = process.env.S3_REGION || 'us-east-1',
+  bucket = process.env.S3_BUCKET,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+} = {}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const base = new URL(endpoint);
+
+  // MinIO and most self-hosted stand-ins need path-style URLs (http://host:9000/bucket/key)
+  const objectUrl = (key) => {
+    const encodedKey = key.split('/').map(encodeKeySegment).join('/');
+    if (forcePathStyle) {
+      return new URL(`${base.origin}/${bucket}/${encodedKey}`);
+    }
+    return new URL(`${base.protocol}//${bucket}.${base.host}/${encodedKey}`);
+  };
+
+  const request = async (method, key, { body, contentType } = {}) => {
+    const url = objectUrl(key);
+    const headers = signRequest({
+      method,
+      url,
+      region,
+      accessKeyId,
+      secretAccessKey,
+      body,
+      contentType,
+    });
+
+    const response = await fetch(url, { method, headers, body });
+
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+      const error = new Error(`S3 ${method} ${key} failed: ${response.status} ${await response.text()}`);
+      error.statusCode = response.status === 404 ? 404 : 502;
+      throw error;
+    }
+
+    return response;
+  };
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType = 'application/octet-stream') {
+      await request('PUT', key, { body: buffer, contentType });
+    },
+
+    async getStream(key) {
+      const response = await request('GET', key);
+      return Readable.fromWeb(response.body);
+    },
+
+    async delete(key) {
+      await request('DELETE', key);
+    },
+  };
+}
+
+/**
+ * AWS Signature Version 4 headers for a single S3 request
+ */
+function signRequest({ method, url, region, accessKeyId, secretAccessKey, body, contentType }) {
+  const now = new Date();
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(body || '');
+
+  const headers = {
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+  if (contentType) {
+    headers['content-type'] = contentType;
+  }
+
+  const signedHeaderNames = Object.keys(headers).sort();
+  const canonicalHeaders = signedHeaderNames.map(name => `${name}:${headers[name]}\n`).join('');
+  const signedHeaders = signedHeaderNames.join(';');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '', // no query string
+    canonicalHeaders,
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const { host, ...requestHeaders } = headers;
+  return {
+    ...requestHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+/**
+ * URI-encode part of a key the way SigV4 canonicalizes it - everything but RFC 3986
+ * unreserved characters, so ! ' ( ) * too (encodeURIComponent leaves those alone)
+ */
+function encodeKeySegment(segment) {
+  return encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
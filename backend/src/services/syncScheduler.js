@@ -0,0 +1,41 @@
+/**
+ * Sync Scheduler - runs syncAllCompanies() on a cron schedule
+ *
+ * BAILBOOKS_SYNC_CRON sets the schedule per environment (default nightly at 3am
+ * server time). Set it to "off" on replicas or environments that shouldn't sync.
+ */
+
+import { scheduleCronTask } from './scheduler.js';
+import { syncAllCompanies } from './bailbooksSyncService.js';
+
+const DEFAULT_SYNC_CRON = '0 3 * * *';
+
+let stopTask = null;
+
+/**
+ * Start the scheduled sync
+ */
+export function startSyncScheduler({ cron = process.env.BAILBOOKS_SYNC_CRON || DEFAULT_SYNC_CRON } = {}) {
+  if (cron === 'off') {
+    console.log('Bailbooks sync scheduler disabled');
+    return;
+  }
+
+  stopTask = scheduleCronTask('Bailbooks sync', cron, runScheduledSync);
+}
+
+/**
+ * Stop the scheduler
+ */
+export function stopSyncScheduler() {
+  if (stopTask) {
+    stopTask();
+    stopTask = null;
+  }
+}
+
+async function runScheduledSync() {
+  const results = await syncAllCompanies({ trigger: 'scheduled' });
+  const failed = results.filter(r => !r.success).length;
+  console.log(`Bailbooks sync finished: ${results.length - failed} succeeded, ${failed} failed`);
+}
@@ -0,0 +1,358 @@
+/**
+ * Template Designer Service - what the admin template editor works with
+ *
+ * The placeholder list the editor autocompletes from, sample intake data for
+ * the live preview, and the checks run on a template before it's saved.
+ * Templates are rendered with formTemplateLoader's renderTemplate, the same
+ * function used for real intakes, so the preview matches the printed form.
+ */
+
+import { renderTemplate, MAX_TEMPLATE_REFERENCES } from './formTemplateLoader.js';
+
+/**
+ * Known fields, grouped the way renderTemplate looks them up ({{defendant.firstName}}, ...)
+ * References are listed once and expand to {{reference0.x}} ... {{reference4.x}}.
+ */
+export const TEMPLATE_FIELDS = {
+  defendant: {
+    firstName: 'First name',
+    middleName: 'Middle name',
+    lastName: 'Last name',
+    aka: 'Also known as',
+    dob: 'Date of birth',
+    ssn: 'SSN',
+    driversLicense: "Driver's license",
+    dlState: "Driver's license state",
+    alienNumber: 'Alien number',
+    address: 'Address',
+    city: 'City',
+    state: 'State',
+    zip: 'ZIP code',
+    county: 'County',
+    timeAtAddress: 'Time at address',
+    homePhone: 'Home phone',
+    cellPhone: 'Cell phone',
+    workPhone: 'Work phone',
+    email: 'Email',
+    employer: 'Employer',
+    occupation: 'Occupation',
+    employmentLength: 'Time at job',
+    employerAddress: 'Employer address',
+    employerCity: 'Employer city',
+    employerState: 'Employer state',
+    employerZip: 'Employer ZIP code',
+    monthlyIncome: 'Monthly income',
+    vehicleMake: 'Vehicle make',
+    vehicleModel: 'Vehicle model',
+    vehicleInsurance: 'Vehicle insurance',
+    arrestDate: 'Arrest date',
+    arrestLocation: 'Arrest location',
+    arrestingAgency: 'Arresting agency',
+    bookingNumber: 'Booking number',
+    jailLocation: 'Jail location',
+    coDefendants: 'Co-defendants',
+    onProbation: 'On probation',
+    onParole: 'On parole',
+    probationOfficer: 'Probation officer',
+    probationOfficerPhone: 'Probation officer phone'
+  },
+  indemnitor: {
+    firstName: 'First name',
+    lastName: 'Last name',
+    nickname: 'Nickname',
+    relationshipToDefendant: 'Relationship to defendant',
+    dob: 'Date of birth',
+    birthPlace: 'Place of birth',
+    gender: 'Gender',
+    ssn: 'SSN',
+    driversLicense: "Driver's license",
+    dlState: "Driver's license state",
+    usCitizen: 'US citizen',
+    alienNumber: 'Alien number',
+    timeInUS: 'Time in US',
+    address: 'Address',
+    city: 'City',
+    state: 'State',
+    zip: 'ZIP code',
+    timeAtAddress: 'Time at address',
+    ownsHome: 'Owns home',
+    landlordName: 'Landlord name',
+    landlordPhone: 'Landlord phone',
+    addressFrom: 'At address from',
+    addressTo: 'At address to',
+    formerAddress: 'Former address',
+    homePhone: 'Home phone',
+    cellPhone: 'Cell phone',
+    cellCarrier: 'Cell carrier',
+    workPhone: 'Work phone',
+    email: 'Email',
+    employer: 'Employer',
+    occupation: 'Occupation',
+    employmentLength: 'Time at job',
+    employerAddress: 'Employer address',
+    employerCity: 'Employer city',
+    employerState: 'Employer state',
+    employerZip: 'Employer ZIP code',
+    employerPhone: 'Employer phone',
+    supervisorName: 'Supervisor name',
+    monthlyIncome: 'Monthly income',
+    union: 'Union',
+    unionLocal: 'Union local',
+    vehicleMake: 'Vehicle make',
+    vehicleModel: 'Vehicle model',
+    vehicleInsurance: 'Vehicle insurance',
+    militaryActive: 'Active military',
+    militaryBranch: 'Military branch',
+    dischargeDate: 'Discharge date',
+    facebook: 'Facebook',
+    twitter: 'Twitter',
+    linkedin: 'LinkedIn',
+    otherSocial: 'Other social network',
+    otherUsername: 'Other social username',
+    notes: 'Notes'
+  },
+  bond: {
+    amount: 'Bond amount',
+    premium: 'Premium',
+    bondNumber: 'Bond number',
+    powerNumber: 'Power number',
+    caseNumber: 'Case number',
+    charges: 'Charges',
+    courtName: 'Court',
+    returnCourt: 'Return court',
+    courtDate: 'Court date',
+    agentName: 'Agent name'
+  },
+  company: {
+    name: 'Company name',
+    address: 'Address',
+    city: 'City',
+    state: 'State',
+    zip: 'ZIP code',
+    phone: 'Phone',
+    license: 'License number'
+  },
+  reference: {
+    name: 'Name',
+    relationship: 'Relationship',
+    phone: 'Phone',
+    address: 'Address',
+    city: 'City',
+    state: 'State',
+    zip: 'ZIP code'
+  }
+};
+
+// Signatures an intake collects - rendered as an image by {{signature.<key>}}
+export const TEMPLATE_SIGNATURES = {
+  preApplication_coSigner: 'Pre-Application - Co-Signer',
+  referenceForm_applicant: 'Reference Form - Applicant',
+  immigrationWaiver_coSigner: 'Immigration Waiver - Co-Signer',
+  indemnitorApplication_indemnitor: 'Indemnitor Application - Indemnitor',
+  immigrationBondAgreement_indemnitor: 'Immigration Bond Agreement - Indemnitor',
+  paymentPlan_coSigner: 'Payment Plan - Co-Signer',
+  collateralReceipt_coSigner: 'Collateral Receipt - Co-Signer'
+};
+
+const PLACEHOLDER_PATTERN = /\{\{([\w.]+)\}\}/g;
+
+/**
+ * Every placeholder an admin can use, for the editor's autocomplete
+ * Returns [{ placeholder: "defendant.firstName", label: "Defendant - First name", group }]
+ */
+export function listTemplatePlaceholders() {
+  const placeholders = [];
+
+  for (const [group, fields] of Object.entries(TEMPLATE_FIELDS)) {
+    const title = group.charAt(0).toUpperCase() + group.slice(1);
+
+    for (const [key, label] of Object.entries(fields)) {
+      if (group === 'reference') {
+        for (let i = 0; i < MAX_TEMPLATE_REFERENCES; i++) {
+          placeholders.push({ placeholder: `reference${i}.${key}`, label: `Reference ${i + 1} - ${label}`, group });
+        }
+      } else {
+        placeholders.push({ placeholder: `${group}.${key}`, label: `${title} - ${label}`, group });
+      }
+    }
+  }
+
+  placeholders.push({ placeholder: 'currentDate', label: "Today's date", group: 'other' });
+
+  for (const [key, label] of Object.entries(TEMPLATE_SIGNATURES)) {
+    placeholders.push({ placeholder: `signature.${key}`, label: `Signature - ${label}`, group: 'signature' });
+  }
+
+  return placeholders;
+}
+
+/**
+ * Placeholders in a template that nothing fills in (typos, renamed fields...)
+ */
+export function findUnknownPlaceholders(htmlTemplate) {
+  const known = new Set(listTemplatePlaceholders().map(p => p.placeholder));
+  const unknown = new Set();
+
+  for (const [, placeholder] of String(htmlTemplate || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!known.has(placeholder)) unknown.add(placeholder);
+  }
+
+  return [...unknown];
+}
+
+/**
+ * Strip anything executable from template HTML
+ * Templates are served as HTML (forms preview / print), so scripts, embedded
+ * frames, inline event handlers and javascript: URLs are removed.
+ */
+export function sanitizeTemplateHtml(html) {
+  return String(html || '')
+    .replace(/<(script|iframe|object|embed)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<\/?(script|iframe|object|embed|base)\b[^>]*>/gi, '')
+    .replace(/<[a-z][^>]*>/gi, tag => tag
+      .replace(/\s+on[a-z]+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '')
+      .replace(/\b(href|src|action|formaction)\s*=\s*(["']?)\s*javascript:/gi, '$1=$2#'));
+}
+
+// ============================================================================
+// PREVIEW
+// ============================================================================
+
+// A handwritten-looking signature image so signature placeholders show up in the preview
+const SAMPLE_SIGNATURE = `data:image/svg+xml;base64,${Buffer.from(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="240" height="60">' +
+  '<text x="10" y="42" font-family="Brush Script MT, cursive" font-size="34" font-style="italic" fill="#1e3a8a">Maria Lopez</text>' +
+  '</svg>'
+).toString('base64')}`;
+
+const SAMPLE_TEMPLATE_DATA = {
+  defendant: {
+    firstName: 'John',
+    middleName: 'Michael',
+    lastName: 'Sample',
+    aka: 'Johnny',
+    dob: '04/12/1990',
+    ssn: '***-**-1234',
+    driversLicense: '12345678',
+    dlState: 'TX',
+    alienNumber: 'A123456789',
+    address: '123 Main St',
+    city: 'Houston',
+    state: 'TX',
+    zip: '77002',
+    county: 'Harris',
+    timeAtAddress: '3 years',
+    homePhone: '(713) 555-0101',
+    cellPhone: '(713) 555-0102',
+    workPhone: '(713) 555-0103',
+    email: 'john.sample@example.com',
+    employer: 'Sample Construction LLC',
+    occupation: 'Carpenter',
+    employmentLength: '2 years',
+    employerAddress: '500 Industrial Blvd',
+    employerCity: 'Houston',
+    employerState: 'TX',
+    employerZip: '77015',
+    monthlyIncome: '$3,200',
+    vehicleMake: 'Ford',
+    vehicleModel: 'F-150',
+    vehicleInsurance: 'State Farm',
+    arrestDate: '10/01/2026',
+    arrestLocation: 'Houston, TX',
+    arrestingAgency: 'Houston Police Department',
+    bookingNumber: 'B2026-004512',
+    jailLocation: 'Harris County Jail',
+    coDefendants: 'None',
+    probationOfficer: '',
+    probationOfficerPhone: ''
+  },
+  indemnitor: {
+    firstName: 'Maria',
+    lastName: 'Lopez',
+    nickname: '',
+    relationshipToDefendant: 'Sister',
+    dob: '08/23/1985',
+    birthPlace: 'San Antonio, TX',
+    gender: 'Female',
+    ssn: '***-**-5678',
+    driversLicense: '87654321',
+    dlState: 'TX',
+    usCitizen: 'Yes',
+    alienNumber: '',
+    timeInUS: '',
+    address: '456 Oak Ave',
+    city: 'Houston',
+    state: 'TX',
+    zip: '77008',
+    timeAtAddress: '6 years',
+    ownsHome: 'Yes',
+    landlordName: '',
+    landlordPhone: '',
+    formerAddress: '789 Pine St, Houston, TX 77009',
+    homePhone: '(713) 555-0201',
+    cellPhone: '(713) 555-0202',
+    cellCarrier: 'T-Mobile',
+    workPhone: '(713) 555-0203',
+    email: 'maria.lopez@example.com',
+    employer: 'Houston Medical Center',
+    occupation: 'Nurse',
+    employmentLength: '8 years',
+    employerAddress: '6565 Fannin St',
+    employerCity: 'Houston',
+    employerState: 'TX',
+    employerZip: '77030',
+    employerPhone: '(713) 555-0300',
+    supervisorName: 'Dana Reed',
+    monthlyIncome: '$5,400',
+    vehicleMake: 'Toyota',
+    vehicleModel: 'Camry',
+    vehicleInsurance: 'GEICO',
+    militaryBranch: '',
+    facebook: 'maria.lopez',
+    twitter: '',
+    linkedin: ''
+  },
+  references: [
+    { name: 'Carlos Lopez', relationship: 'Father', phone: '(713) 555-0401', address: '12 Elm St', city: 'Houston', state: 'TX', zip: '77003' },
+    { name: 'Ana Torres', relationship: 'Friend', phone: '(713) 555-0402', address: '34 Cedar Ln', city: 'Pasadena', state: 'TX', zip: '77502' },
+    { name: 'Luis Garcia', relationship: 'Coworker', phone: '(713) 555-0403', address: '56 Birch Rd', city: 'Houston', state: 'TX', zip: '77004' }
+  ],
+  bond: {
+    amount: '5,000.00',
+    premium: '500.00',
+    bondNumber: 'BB-100245',
+    powerNumber: 'P-778812',
+    caseNumber: '2026-CR-01234',
+    charges: 'Driving while intoxicated',
+    courtName: 'Harris County Criminal Court #4',
+    returnCourt: 'Harris County Criminal Court #4',
+    courtDate: '11/15/2026',
+    agentName: 'Sam Agent'
+  }
+};
+
+/**
+ * Render a template with the sample intake and the company's own details
+ * Returns { html, unknownPlaceholders }
+ */
+export function renderTemplatePreview(htmlTemplate, company = {}) {
+  const data = {
+    ...SAMPLE_TEMPLATE_DATA,
+    company: {
+      name: company.name || 'Sample Bail Bonds',
+      address: company.address || '',
+      city: company.city || '',
+      state: company.state || '',
+      zip: company.zip || '',
+      phone: company.phone || '',
+      license: company.license || ''
+    }
+  };
+
+  const signatures = Object.fromEntries(Object.keys(TEMPLATE_SIGNATURES).map(key => [key, SAMPLE_SIGNATURE]));
+
+  return {
+    html: renderTemplate(sanitizeTemplateHtml(htmlTemplate), data, signatures),
+    unknownPlaceholders: findUnknownPlaceholders(htmlTemplate)
+  };
+}
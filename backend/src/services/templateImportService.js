@@ -0,0 +1,437 @@
+/**
+ * Template Import Service - turns an uploaded template file into FormTemplate records
+ *
+ * Accepts:
+ * - a template module like formTemplates.js (export function generatePreApplication(data, signatures) { return `...` })
+ * - JSON: { templates: [{ formType, name, htmlTemplate }] } or the array on its own
+ * - a single .html file (the form type comes from the request)
+ *
+ * Template modules are never run. The source is scanned for each generator's
+ * returned template literal, and every ${...} in it is converted to the
+ * matching {{placeholder}} when it's a plain field lookup (defendant.firstName,
+ * formatPhone(indemnitor.cellPhone) || '', signatures.coSigner ? `<img ...>` : '').
+ * Anything else is dropped and reported as a warning for the admin to fix up
+ * in the editor.
+ */
+
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { TEMPLATE_FORM_TYPES, MAX_TEMPLATE_REFERENCES } from './formTemplateLoader.js';
+import { TEMPLATE_SIGNATURES, sanitizeTemplateHtml } from './templateDesignerService.js';
+
+export const MAX_TEMPLATE_FILE_LENGTH = 2 * 1024 * 1024;
+
+const FIELD_GROUPS = ['defendant', 'indemnitor', 'bond', 'company'];
+
+// Formatting helpers template modules wrap fields in - the placeholder keeps the raw value
+const VALUE_HELPERS = ['formatDate', 'formatPhone', 'formatAmount', 'formatCurrency', 'escapeHtml', 'String'];
+
+/**
+ * Parse an uploaded template file
+ * Returns { templates: [{ formType, name, htmlTemplate, requiredSignatures }], warnings: [string] }
+ * or { error } when nothing usable was found
+ */
+export function parseTemplateFile({ content, fileName = '', formType = null }) {
+  const source = String(content || '');
+
+  if (!source.trim()) {
+    return { error: 'The template file is empty' };
+  }
+  if (source.length > MAX_TEMPLATE_FILE_LENGTH) {
+    return { error: 'The template file is too large (2 MB max)' };
+  }
+
+  const extension = (fileName.match(/\.(\w+)$/)?.[1] || '').toLowerCase();
+  const trimmed = source.trimStart();
+  let result;
+
+  if (extension === 'json' || (!extension && /^[[{]/.test(trimmed))) {
+    result = parseJsonTemplates(source);
+  } else if (['html', 'htm'].includes(extension) || (!extension && trimmed.startsWith('<'))) {
+    result = parseHtmlTemplate(source, formType);
+  } else {
+    result = parseTemplateModule(source);
+  }
+
+  if (result.error) return result;
+  if (result.templates.length === 0) {
+    return { error: 'No form templates were found in the file', warnings: result.warnings };
+  }
+
+  return {
+    templates: result.templates.map(template => finishTemplate(template, result.warnings)),
+    warnings: result.warnings
+  };
+}
+
+/**
+ * The built-in template for a form type (formTemplates.js) as placeholder HTML,
+ * for admins starting a custom template from the default
+ * Returns { template, warnings } or null for an unknown form type
+ */
+export async function loadDefaultTemplate(formType) {
+  if (!isFormType(formType)) return null;
+
+  const source = await fs.readFile(fileURLToPath(new URL('./formTemplates.js', import.meta.url)), 'utf8');
+  const { templates = [], warnings = [] } = parseTemplateFile({ content: source, fileName: 'formTemplates.js' });
+
+  return {
+    template: templates.find(template => template.formType === formType) || null,
+    warnings: warnings.filter(warning => warning.startsWith(`${formType}:`))
+  };
+}
+
+/**
+ * Clean the HTML and work out the signatures it collects
+ */
+function finishTemplate(template, warnings) {
+  const htmlTemplate = sanitizeTemplateHtml(template.htmlTemplate);
+  if (htmlTemplate !== template.htmlTemplate) {
+    warnings.push(`${template.formType}: removed scripts / event handlers from the HTML`);
+  }
+
+  const signatureKeys = [...new Set([...htmlTemplate.matchAll(/\{\{signature\.(\w+)\}\}/g)].map(m => m[1]))];
+
+  return {
+    formType: template.formType,
+    name: template.name || getFormTypeName(template.formType),
+    htmlTemplate,
+    requiredSignatures: signatureKeys.map(id => ({ id, label: TEMPLATE_SIGNATURES[id] || id, required: true }))
+  };
+}
+
+function getFormTypeName(formType) {
+  return TEMPLATE_FORM_TYPES.find(type => type.formType === formType)?.name || formType;
+}
+
+function isFormType(formType) {
+  return TEMPLATE_FORM_TYPES.some(type => type.formType === formType);
+}
+
+// ============================================================================
+// JSON / HTML
+// ============================================================================
+
+function parseJsonTemplates(source) {
+  let parsed;
+  try {
+    parsed = JSON.parse(source);
+  } catch (error) {
+    return { error: `Invalid JSON: ${error.message}` };
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed?.templates;
+  if (!Array.isArray(list)) {
+    return { error: 'JSON templates must be an array or { templates: [...] }' };
+  }
+
+  const templates = [];
+  const warnings = [];
+
+  for (const [index, entry] of list.entries()) {
+    if (!isFormType(entry?.formType)) {
+      warnings.push(`Template #${index + 1}: unknown form type "${entry?.formType}" - skipped`);
+      continue;
+    }
+    if (typeof entry.htmlTemplate !== 'string' || !entry.htmlTemplate.trim()) {
+      warnings.push(`${entry.formType}: no htmlTemplate - skipped`);
+      continue;
+    }
+    templates.push({
+      formType: entry.formType,
+      name: typeof entry.name === 'string' ? entry.name.slice(0, 200) : null,
+      htmlTemplate: entry.htmlTemplate
+    });
+  }
+
+  return { templates, warnings };
+}
+
+function parseHtmlTemplate(source, formType) {
+  if (!isFormType(formType)) {
+    return { error: 'Choose which form this HTML file is for' };
+  }
+  return { templates: [{ formType, htmlTemplate: source }], warnings: [] };
+}
+
+// ============================================================================
+// TEMPLATE MODULES (.js)
+// ============================================================================
+
+function parseTemplateModule(source) {
+  const constants = readConstants(source);
+  const templates = [];
+  const warnings = [];
+  const pattern = /export\s+(?:async\s+)?function\s+(generate\w+)\s*\(|export\s+const\s+(generate\w+)\s*=\s*(?:async\s*)?(?:function\s*)?\(/g;
+
+  for (const match of source.matchAll(pattern)) {
+    const functionName = match[1] || match[2];
+    const formType = functionName.charAt(8).toLowerCase() + functionName.slice(9);
+
+    if (!isFormType(formType)) {
+      if (functionName !== 'generateAllForms') {
+        warnings.push(`${functionName}: not a form type that can be customized - skipped`);
+      }
+      continue;
+    }
+
+    const literal = findReturnedTemplate(source, match.index + match[0].length - 1);
+    if (!literal) {
+      warnings.push(`${functionName}: couldn't find the returned HTML template - skipped`);
+      continue;
+    }
+
+    const html = literal.parts.map(part => {
+      if (part.text !== undefined) return part.text;
+
+      const converted = convertExpression(part.expression, formType, constants);
+      if (converted === null) {
+        warnings.push(`${formType}: dropped \${${truncate(part.expression.replace(/\s+/g, ' ').trim(), 80)}}`);
+        return '';
+      }
+      return converted;
+    }).join('');
+
+    templates.push({ formType, htmlTemplate: html });
+  }
+
+  return { templates, warnings };
+}
+
+/**
+ * The first `return \`...\`` directly in the function body that starts at
+ * the parameter list's "(" at `start`
+ */
+function findReturnedTemplate(source, start) {
+  let i = skipBalanced(source, start, '(', ')');
+  if (i < 0) return null;
+
+  // Arrow functions: skip "=>"
+  const arrow = /^\s*=>\s*/.exec(source.slice(i, i + 20));
+  if (arrow) i += arrow[0].length;
+  while (/\s/.test(source[i])) i++;
+
+  // Concise arrow body returning a template literal
+  if (source[i] === '`') return readTemplateLiteral(source, i);
+  if (source[i] !== '{') return null;
+
+  let depth = 0;
+  while (i < source.length) {
+    const next = skipNonCode(source, i);
+    if (next < 0) return null;
+    if (next !== i) {
+      i = next;
+      continue;
+    }
+
+    const char = source[i];
+    if (char === '{') depth++;
+    if (char === '}' && --depth === 0) return null;
+
+    if (depth === 1 && source.startsWith('return', i) && !/[\w$]/.test(source[i - 1] || '')) {
+      const ret = /^return\s*\(?\s*`/.exec(source.slice(i, i + 40));
+      if (ret) return readTemplateLiteral(source, i + ret[0].length - 1);
+    }
+    i++;
+  }
+
+  return null;
+}
+
+/**
+ * Read a template literal at `start` (the backtick)
+ * Returns { parts: [{ text } | { expression }], end }
+ */
+function readTemplateLiteral(source, start) {
+  const parts = [];
+  let text = '';
+  let i = start + 1;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === '\\') {
+      text += unescapeChar(source[i + 1]);
+      i += 2;
+    } else if (char === '`') {
+      if (text) parts.push({ text });
+      return { parts, end: i + 1 };
+    } else if (char === '$' && source[i + 1] === '{') {
+      if (text) parts.push({ text });
+      text = '';
+      const end = skipBalanced(source, i + 1, '{', '}');
+      if (end < 0) return null;
+      parts.push({ expression: source.slice(i + 2, end - 1) });
+      i = end;
+    } else {
+      text += char;
+      i++;
+    }
+  }
+
+  return null;
+}
+
+function unescapeChar(char) {
+  return { n: '\n', t: '\t', r: '\r' }[char] ?? char ?? '';
+}
+
+/**
+ * Index just past the `close` matching the `open` at `start`, skipping strings,
+ * template literals and comments; -1 if it's never closed
+ */
+function skipBalanced(source, start, open, close) {
+  let depth = 0;
+  let i = start;
+
+  while (i < source.length) {
+    const next = skipNonCode(source, i);
+    if (next < 0) return -1;
+    if (next !== i) {
+      i = next;
+      continue;
+    }
+
+    if (source[i] === open) depth++;
+    if (source[i] === close && --depth === 0) return i + 1;
+    i++;
+  }
+
+  return -1;
+}
+
+/**
+ * If a string, template literal or comment starts at `i`, the index after it; otherwise `i`
+ */
+function skipNonCode(source, i) {
+  const char = source[i];
+
+  if (char === '/' && source[i + 1] === '/') {
+    const end = source.indexOf('\n', i);
+    return end < 0 ? source.length : end + 1;
+  }
+  if (char === '/' && source[i + 1] === '*') {
+    const end = source.indexOf('*/', i + 2);
+    return end < 0 ? -1 : end + 2;
+  }
+  if (char === '`') {
+    return readTemplateLiteral(source, i)?.end ?? -1;
+  }
+  if (char === '"' || char === "'") {
+    for (let j = i + 1; j < source.length; j++) {
+      if (source[j] === '\\') j++;
+      else if (source[j] === char) return j + 1;
+      else if (source[j] === '\n') return -1;
+    }
+    return -1;
+  }
+
+  return i;
+}
+
+/**
+ * Top-level string constants (const commonStyles = `...`) and flat objects of
+ * strings (const COMPANY_INFO = { name: '...' }) that templates interpolate
+ */
+function readConstants(source) {
+  const constants = new Map();
+
+  for (const match of source.matchAll(/^(?:export\s+)?const\s+(\w+)\s*=\s*/gm)) {
+    const start = match.index + match[0].length;
+    const char = source[start];
+
+    if (char === '`') {
+      const literal = readTemplateLiteral(source, start);
+      if (!literal) continue;
+
+      const parts = literal.parts.map(part => part.text ?? resolveConstant(part.expression.trim(), constants));
+      if (parts.every(part => typeof part === 'string')) {
+        constants.set(match[1], parts.join(''));
+      }
+    } else if (char === '"' || char === "'") {
+      const end = skipNonCode(source, start);
+      if (end > start) constants.set(match[1], source.slice(start + 1, end - 1));
+    } else if (char === '{') {
+      const end = skipBalanced(source, start, '{', '}');
+      if (end < 0) continue;
+
+      const object = {};
+      for (const entry of source.slice(start + 1, end - 1).matchAll(/(\w+)\s*:\s*(['"])((?:\\.|(?!\2).)*)\2/g)) {
+        object[entry[1]] = entry[3].replace(/\\(.)/g, '$1');
+      }
+      constants.set(match[1], object);
+    }
+  }
+
+  return constants;
+}
+
+function resolveConstant(expression, constants) {
+  const [name, key, extra] = expression.split('.');
+  const value = constants.get(name);
+
+  if (extra === undefined && key === undefined && typeof value === 'string') return value;
+  if (extra === undefined && key !== undefined && value && typeof value === 'object' && typeof value[key] === 'string') {
+    return escapeText(value[key]);
+  }
+  return null;
+}
+
+/**
+ * The placeholder for one ${...} expression, or null if it isn't a field lookup
+ */
+function convertExpression(expression, formType, constants) {
+  let code = expression.trim();
+
+  // signatures.coSigner ? `<img src="${signatures.coSigner}" ... />` : ''
+  const signature = /^(?:data\.)?signatures\??\.(\w+)\s*\?/.exec(code);
+  if (signature) return `{{signature.${getSignatureKey(formType, signature[1])}}}`;
+
+  // Drop a trailing `|| 'fallback'` and unwrap formatting helpers
+  for (;;) {
+    const fallback = /^([\s\S]+?)\s*(?:\|\||\?\?)\s*(?:'[^']*'|"[^"]*"|`[^`$]*`)$/.exec(code);
+    const helper = /^(\w+)\(([\s\S]*)\)$/.exec(code);
+
+    if (fallback) code = fallback[1].trim();
+    else if (helper && VALUE_HELPERS.includes(helper[1])) code = helper[2].trim();
+    else break;
+  }
+
+  if (/^new Date\(\)$/.test(code)) return '{{currentDate}}';
+
+  const path = code.replace(/\?\.\[/g, '[').replace(/\?\./g, '.').replace(/^data\./, '');
+
+  const field = /^(\w+)\.(\w+)$/.exec(path);
+  if (field && FIELD_GROUPS.includes(field[1])) return `{{${field[1]}.${field[2]}}}`;
+
+  const reference = /^references\[(\d+)\]\.(\w+)$/.exec(path);
+  if (reference && Number(reference[1]) < MAX_TEMPLATE_REFERENCES) {
+    return `{{reference${reference[1]}.${reference[2]}}}`;
+  }
+
+  if (/^signatures\.(\w+)$/.test(path)) {
+    return `{{signature.${getSignatureKey(formType, path.split('.')[1])}}}`;
+  }
+
+  return resolveConstant(code, constants);
+}
+
+/**
+ * Template modules name signatures by role (signatures.coSigner); intakes store
+ * them per form (preApplication_coSigner). Extra copies of a role's signature
+ * (indemnitor2, indemnitorFinal, coSignerSpanish) use the same one.
+ */
+function getSignatureKey(formType, role) {
+  for (const candidate of [role, role.replace(/(\d+|Final|Spanish)$/, '')]) {
+    if (TEMPLATE_SIGNATURES[`${formType}_${candidate}`]) return `${formType}_${candidate}`;
+  }
+  return role;
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
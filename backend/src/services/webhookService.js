@@ -0,0 +1,202 @@
+/**
+ * Webhook Service - outbound webhooks for intake lifecycle events
+ *
+ * Each event is recorded as a WebhookDelivery per subscribed endpoint and sent
+ * by a "webhook_delivery" job, so failed deliveries retry with backoff.
+ *
+ * Requests are signed so receivers can verify them:
+ *   X-BondProspects-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * using the endpoint's secret as the HMAC key.
+ */
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { enqueueJob } from './jobQueue.js';
+
+const prisma = new PrismaClient();
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+export const WEBHOOK_EVENTS = [
+  'intake.created',
+  'intake.opened',
+  'intake.saved',
+  'intake.submitted',
+  'intake.expired',
+  'intake.cancelled',
+];
+
+/**
+ * Generate a signing secret for a new endpoint
+ */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Sign a raw request body
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Queue an intake lifecycle event for every subscribed endpoint of the intake's company
+ * Never throws - webhooks must not break the request that triggered them
+ */
+export async function emitIntakeEvent(event, intake) {
+  try {
+    const endpoints = await prisma.webhookEndpoint.findMany({
+      where: { companyId: intake.companyId, isActive: true },
+    });
+
+    const subscribed = endpoints.filter(e => e.events.length === 0 || e.events.includes(event));
+    if (subscribed.length === 0) return;
+
+    const payload = buildEventPayload(event, { intake: serializeIntake(intake) });
+
+    for (const endpoint of subscribed) {
+      const delivery = await prisma.webhookDelivery.create({
+        data: {
+          endpointId: endpoint.id,
+          event,
+          intakeId: intake.id,
+          payload,
+        },
+      });
+      await enqueueJob('webhook_delivery', { deliveryId: delivery.id }, { intakeId: intake.id });
+    }
+  } catch (error) {
+    console.error(`Failed to queue webhook ${event} for intake ${intake.id}:`, error);
+  }
+}
+
+/**
+ * Send a "webhook.test" event to one endpoint right away (no retries)
+ * Returns the delivery with the endpoint's response
+ */
+export async function sendTestEvent(endpoint) {
+  const delivery = await prisma.webhookDelivery.create({
+    data: {
+      endpointId: endpoint.id,
+      event: 'webhook.test',
+      payload: buildEventPayload('webhook.test', {
+        message: 'Test event from BondProspects',
+        endpointId: endpoint.id,
+      }),
+    },
+  });
+
+  try {
+    await deliverWebhook(delivery.id);
+  } catch {
+    // Response/error is recorded on the delivery - tests are not retried
+    await markWebhookDeliveryFailed(delivery.id);
+  }
+
+  return prisma.webhookDelivery.findUnique({ where: { id: delivery.id } });
+}
+
+/**
+ * Attempt one delivery - throws if the endpoint did not answer 2xx
+ * (called by the "webhook_delivery" job handler)
+ */
+export async function deliverWebhook(deliveryId) {
+  const delivery = await prisma.webhookDelivery.findUnique({
+    where: { id: deliveryId },
+    include: { endpoint: true },
+  });
+
+  // Endpoint was deleted (deliveries cascade) or already delivered
+  if (!delivery || delivery.status === 'SUCCEEDED') return;
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = signWebhookPayload(delivery.endpoint.secret, timestamp, body);
+  const startedAt = Date.now();
+
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    const response = await fetch(delivery.endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'BondProspects-Webhooks/1.0',
+        'X-BondProspects-Event': delivery.event,
+        'X-BondProspects-Delivery': delivery.id,
+        'X-BondProspects-Signature': `t=${timestamp},v1=${signature}`,
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+
+    responseStatus = response.status;
+    responseBody = (await response.text()).slice(0, 1000);
+
+    if (!response.ok) {
+      error = `Endpoint responded ${response.status}`;
+    }
+  } catch (fetchError) {
+    error = fetchError.name === 'TimeoutError'
+      ? `No response within ${DELIVERY_TIMEOUT_MS / 1000}s`
+      : fetchError.message;
+  }
+
+  await prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      attempts: { increment: 1 },
+      responseStatus,
+      responseBody,
+      error,
+      durationMs: Date.now() - startedAt,
+      ...(!error && { status: 'SUCCEEDED', deliveredAt: new Date() }),
+    },
+  });
+
+  if (error) {
+    throw new Error(error);
+  }
+}
+
+/**
+ * Mark a delivery as permanently failed (job ran out of retries)
+ */
+export async function markWebhookDeliveryFailed(deliveryId) {
+  await prisma.webhookDelivery.updateMany({
+    where: { id: deliveryId },
+    data: { status: 'FAILED' },
+  });
+}
+
+function buildEventPayload(event, data) {
+  return {
+    id: `evt_${crypto.randomUUID()}`,
+    event,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+}
+
+/**
+ * Intake fields included in event payloads (no signatures or full form data)
+ */
+function serializeIntake(intake) {
+  return {
+    id: intake.id,
+    linkCode: intake.linkCode,
+    companyId: intake.companyId,
+    agentId: intake.agentId,
+    status: intake.status,
+    source: intake.source,
+    defendantName: [intake.defendantData?.firstName, intake.defendantData?.lastName].filter(Boolean).join(' ') || null,
+    indemnitorName: [intake.indemnitorData?.firstName, intake.indemnitorData?.lastName].filter(Boolean).join(' ') || null,
+    createdAt: intake.createdAt,
+    requestOpenedAt: intake.requestOpenedAt,
+    submittedAt: intake.submittedAt,
+    expiresAt: intake.expiresAt,
+  };
+}
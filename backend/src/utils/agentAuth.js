@@ -0,0 +1,72 @@
+import jwt from 'jsonwebtoken';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const JWT_SECRET = process.env.JWT_SECRET || 'bondprospects-secret-change-in-production';
+
+/**
+ * Sign a JWT for an agent
+ */
+export function signAgentToken(agent) {
+  return jwt.sign(
+    { agentId: agent.id, companyId: agent.companyId, email: agent.email },
+    JWT_SECRET,
+    { expiresIn: '12h' }
+  );
+}
+
+/**
+ * Resolve the agent for a Bearer token, or null if the token is not valid.
+ * Tokens issued before the agent's last logout are rejected.
+ */
+async function getAgentFromToken(token) {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  if (!decoded.agentId) {
+    return null;
+  }
+
+  const agent = await prisma.agent.findUnique({
+    where: { id: decoded.agentId },
+    include: { company: true }
+  });
+
+  if (!agent || !agent.isActive || !agent.company?.isActive) {
+    return null;
+  }
+
+  if (agent.lastLogoutAt && decoded.iat * 1000 < agent.lastLogoutAt.getTime()) {
+    return null;
+  }
+
+  return agent;
+}
+
+/**
+ * Middleware: Verify agent JWT token
+ * Sets req.agent and req.company (the agent's company)
+ */
+export async function authenticateAgent(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    const agent = await getAgentFromToken(authHeader.split(' ')[1]);
+
+    if (!agent) {
+      return res.status(401).json({ error: 'Invalid or inactive agent' });
+    }
+
+    const { company, ...agentFields } = agent;
+    req.agent = agentFields;
+    req.company = company;
+    next();
+  } catch (error) {
+    console.error('Agent auth error:', error);
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+}
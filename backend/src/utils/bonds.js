@@ -0,0 +1,42 @@
+/**
+ * Bond helpers shared by the PDF and HTML form generators
+ *
+ * Agent-created requests store one entry per bond in bondsData
+ * ([{ bondNumber, amount, premium, returnCourt, charges, caseNumber }]) and
+ * what the bonds have in common in sharedBondData ({ bondDate, postingFacility,
+ * agentName }). Client-started intakes only have the single legacy bondData.
+ */
+
+/**
+ * Every bond on an intake, each merged with the shared bond info
+ * Falls back to the legacy bondData as a single bond
+ */
+export function getBonds({ bondData, bondsData, sharedBondData } = {}) {
+  if (Array.isArray(bondsData) && bondsData.length > 0) {
+    return bondsData.map((bond, index) => ({
+      ...(sharedBondData || {}),
+      ...bond,
+      bondNumber: bond.bondNumber || index + 1,
+    }));
+  }
+
+  return bondData ? [bondData] : [];
+}
+
+/**
+ * Total bond amount and premium across bonds
+ */
+export function getBondTotals(bonds) {
+  return bonds.reduce((totals, bond) => ({
+    amount: totals.amount + parseAmount(bond.amount),
+    premium: totals.premium + parseAmount(bond.premium),
+  }), { amount: 0, premium: 0 });
+}
+
+/**
+ * "5,000" / "$5000.00" / 5000 -> 5000
+ */
+export function parseAmount(value) {
+  if (typeof value === 'number') return value;
+  return parseFloat(String(value ?? '').replace(/[$,\s]/g, '')) || 0;
+}
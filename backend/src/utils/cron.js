@@ -0,0 +1,94 @@
+/**
+ * Minimal 5-field cron expressions: minute hour day-of-month month day-of-week
+ * Supports *, numbers, lists (1,15), ranges (1-5) and steps (*\/15, 0-30/10).
+ * Day-of-week 0 and 7 are both Sunday. Evaluated in server local time.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+/**
+ * Parse a cron expression into sets of allowed values
+ * Throws on invalid expressions so misconfiguration fails at startup
+ */
+export function parseCron(expression) {
+  const parts = expression.trim().split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) =>
+    parseField(part, FIELDS[i], expression)
+  );
+
+  // Sunday can be written as 0 or 7
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    expression,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: when both day fields are restricted, either may match
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*',
+  };
+}
+
+/**
+ * Does the schedule fire during the minute containing `date`?
+ */
+export function cronMatches(schedule, date) {
+  if (!schedule.minutes.has(date.getMinutes())) return false;
+  if (!schedule.hours.has(date.getHours())) return false;
+  if (!schedule.months.has(date.getMonth() + 1)) return false;
+
+  const dayOfMonthMatches = schedule.daysOfMonth.has(date.getDate());
+  const dayOfWeekMatches = schedule.daysOfWeek.has(date.getDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return dayOfMonthMatches || dayOfWeekMatches;
+  }
+  return dayOfMonthMatches && dayOfWeekMatches;
+}
+
+function parseField(field, { name, min, max }, expression) {
+  const values = new Set();
+
+  for (const item of field.split(',')) {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let start;
+    let end;
+
+    if (range === '*') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(Number);
+    } else {
+      start = Number(range);
+      end = stepText === undefined ? start : max; // "5/15" = from 5 every 15
+    }
+
+    if (![start, end, step].every(Number.isInteger) || start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron expression "${expression}": bad ${name} "${item}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
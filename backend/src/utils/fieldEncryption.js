@@ -0,0 +1,266 @@
+/**
+ * Field-level encryption for sensitive intake data (SSNs, license numbers, DOBs)
+ *
+ * Envelope encryption: every value gets its own random data key (AES-256-GCM),
+ * and that data key is wrapped with a master key from the environment. Values
+ * are stored in place in the JSON column as:
+ *   { $enc: 1, kid, key, iv, tag, data, masked }
+ * `masked` is the display form (e.g. "***-**-1234"), so API responses never
+ * need to decrypt - only PDF generation (and the Bailbooks push) does.
+ *
+ * FIELD_ENCRYPTION_KEYS - comma-separated "keyId:base64 32-byte key" pairs.
+ *   The first key encrypts new values, the others can still decrypt. To rotate,
+ *   put a new key first and run `npm run db:encrypt-fields` to re-wrap old values.
+ * SENSITIVE_FIELDS - comma-separated paths to encrypt (defaults below).
+ */
+
+import crypto from 'crypto';
+import { maskSSN } from './validation.js';
+
+const DEFAULT_SENSITIVE_FIELDS = [
+  'defendantData.ssn',
+  'defendantData.driversLicense',
+  'defendantData.dob',
+  'indemnitorData.ssn',
+  'indemnitorData.driversLicense',
+  'indemnitorData.dob',
+];
+
+const ALGORITHM = 'aes-256-gcm';
+
+let warnedNoKeys = false;
+
+/**
+ * Paths (relative to the intake record) that hold sensitive values
+ */
+export function getSensitiveFieldPaths() {
+  return process.env.SENSITIVE_FIELDS
+    ? process.env.SENSITIVE_FIELDS.split(',').map(p => p.trim()).filter(Boolean)
+    : DEFAULT_SENSITIVE_FIELDS;
+}
+
+export function isEncryptedValue(value) {
+  return Boolean(value && typeof value === 'object' && value.$enc === 1);
+}
+
+/**
+ * Masked values (as returned by the API) contain "*" - clients send them back
+ * unchanged when the user didn't edit the field
+ */
+export function isMaskedValue(value) {
+  return typeof value === 'string' && value.includes('*');
+}
+
+/**
+ * Encrypt the sensitive fields in `data` (any of defendantData / indemnitorData / ...)
+ * Already-encrypted values are re-wrapped if they use an old key.
+ * Without FIELD_ENCRYPTION_KEYS values are left in plaintext (development only).
+ */
+export function encryptSensitiveFields(data) {
+  const keys = getKeys();
+
+  if (!keys) {
+    if (!warnedNoKeys) {
+      console.warn('FIELD_ENCRYPTION_KEYS is not set - sensitive fields are stored unencrypted');
+      warnedNoKeys = true;
+    }
+    return data;
+  }
+
+  return mapSensitiveFields(data, (value, field) => {
+    if (isEncryptedValue(value)) {
+      return value.kid === keys.activeKid ? value : rewrapValue(value, keys);
+    }
+    if (value === undefined || value === null || value === '') {
+      return value;
+    }
+    return encryptValue(String(value), field, keys);
+  });
+}
+
+/**
+ * Decrypt the sensitive fields in `data` back to plaintext
+ * Only call this where the real values are needed (PDF generation)
+ */
+export function decryptSensitiveFields(data) {
+  const keys = getKeys();
+
+  return mapSensitiveFields(data, (value) => {
+    if (!isEncryptedValue(value)) return value;
+    if (!keys) {
+      throw new Error('FIELD_ENCRYPTION_KEYS is not set - cannot decrypt sensitive fields');
+    }
+    return decryptValue(value, keys);
+  });
+}
+
+/**
+ * Replace the sensitive fields in `data` with their masked display form
+ */
+export function maskSensitiveFields(data) {
+  return mapSensitiveFields(data, (value, field) => {
+    if (isEncryptedValue(value)) return value.masked;
+    if (value === undefined || value === null || value === '') return value;
+    return maskValue(field, String(value));
+  });
+}
+
+/**
+ * Keep the stored value for any sensitive field the client sent back masked
+ */
+export function preserveMaskedFields(incoming, existing) {
+  return mapSensitiveFields(incoming, (value, field, path) => {
+    return isMaskedValue(value) ? getPath(existing, path) : value;
+  });
+}
+
+/**
+ * Prepare client-submitted data for storage: masked values keep what's stored,
+ * everything else sensitive is encrypted
+ */
+export function protectSensitiveFields(incoming, existing) {
+  return encryptSensitiveFields(preserveMaskedFields(incoming, existing));
+}
+
+/**
+ * Run one of the functions above over each of an intake's additionalDefendants
+ * (they hold the same sensitive fields as defendantData)
+ */
+export function mapAdditionalDefendants(defendants, fn) {
+  if (!Array.isArray(defendants)) return defendants;
+  return defendants.map(defendantData => fn({ defendantData }).defendantData);
+}
+
+/**
+ * Walk the configured sensitive paths that exist in `data`, returning a copy
+ * with each value replaced by fn(value, fieldName, path)
+ */
+function mapSensitiveFields(data, fn) {
+  if (!data) return data;
+
+  let result = data;
+
+  for (const path of getSensitiveFieldPaths()) {
+    const parts = path.split('.');
+    const field = parts[parts.length - 1];
+    const parent = getPath(result, parts.slice(0, -1).join('.'));
+
+    if (!parent || typeof parent !== 'object' || !(field in parent)) continue;
+
+    const next = fn(parent[field], field, path);
+    if (next !== parent[field]) {
+      result = setPath(result, parts, next);
+    }
+  }
+
+  return result;
+}
+
+function getPath(obj, path) {
+  if (!path) return obj;
+  return path.split('.').reduce((current, key) => current?.[key], obj);
+}
+
+// Immutable set - copies each object along the path
+function setPath(obj, [key, ...rest], value) {
+  return {
+    ...obj,
+    [key]: rest.length === 0 ? value : setPath(obj[key], rest, value),
+  };
+}
+
+function maskValue(field, value) {
+  if (field === 'ssn') {
+    return maskSSN(value);
+  }
+
+  if (field === 'dob') {
+    const year = value.match(/\b(\d{4})\b/)?.[1];
+    return `**/**/${year || '****'}`;
+  }
+
+  // License numbers and anything else configured: last 4 only
+  if (value.length <= 4) {
+    return '*'.repeat(value.length);
+  }
+  return `${'*'.repeat(Math.min(value.length - 4, 8))}${value.slice(-4)}`;
+}
+
+function encryptValue(plaintext, field, keys) {
+  const dataKey = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    $enc: 1,
+    kid: keys.activeKid,
+    key: wrapKey(dataKey, keys.byId.get(keys.activeKid)),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+    masked: maskValue(field, plaintext),
+  };
+}
+
+function decryptValue(value, keys) {
+  const dataKey = unwrapKey(value, keys);
+  const decipher = crypto.createDecipheriv(ALGORITHM, dataKey, Buffer.from(value.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(value.tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(value.data, 'base64')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+// Rotation only re-wraps the data key - the value itself is not re-encrypted
+function rewrapValue(value, keys) {
+  const dataKey = unwrapKey(value, keys);
+  return {
+    ...value,
+    kid: keys.activeKid,
+    key: wrapKey(dataKey, keys.byId.get(keys.activeKid)),
+  };
+}
+
+function wrapKey(dataKey, masterKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, masterKey, iv);
+  const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString('base64');
+}
+
+function unwrapKey(value, keys) {
+  const masterKey = keys.byId.get(value.kid);
+  if (!masterKey) {
+    throw new Error(`Field encryption key "${value.kid}" is not configured`);
+  }
+
+  const raw = Buffer.from(value.key, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, masterKey, raw.subarray(0, 12));
+  decipher.setAuthTag(raw.subarray(12, 28));
+  return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]);
+}
+
+/**
+ * Parse FIELD_ENCRYPTION_KEYS (read on every call - dotenv loads after imports)
+ */
+function getKeys() {
+  const config = process.env.FIELD_ENCRYPTION_KEYS;
+  if (!config) return null;
+
+  const byId = new Map();
+  for (const entry of config.split(',').map(e => e.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const kid = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || key.length !== 32) {
+      throw new Error('FIELD_ENCRYPTION_KEYS entries must be "keyId:<base64 32-byte key>"');
+    }
+    byId.set(kid, key);
+  }
+
+  return { activeKid: byId.keys().next().value, byId };
+}
@@ -0,0 +1,43 @@
+/**
+ * Languages co-signers can use
+ *
+ * An intake's preferredLanguage (set by the agent, changed by the co-signer in
+ * the wizard) picks the language of the texts / emails they get and, where the
+ * company has supplied translated form templates, the translated copy added to
+ * their documents. Add a language here, to the frontend's i18n/ dictionaries and
+ * to the message copy in messagingService / otpService.
+ */
+
+export const SUPPORTED_LANGUAGES = {
+  en: { name: 'English', locale: 'en-US' },
+  es: { name: 'Español', locale: 'es-US' },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export function isSupportedLanguage(language) {
+  return Object.prototype.hasOwnProperty.call(SUPPORTED_LANGUAGES, language);
+}
+
+/**
+ * A supported language code, falling back to English ("es-MX" -> "es")
+ */
+export function normalizeLanguage(language) {
+  const code = String(language || '').toLowerCase().split(/[-_]/)[0];
+  return isSupportedLanguage(code) ? code : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Locale for dates / numbers in a language ("es" -> "es-US")
+ */
+export function getLocale(language) {
+  return SUPPORTED_LANGUAGES[normalizeLanguage(language)].locale;
+}
+
+/**
+ * The language a co-signer gets messages in - their own choice on an
+ * additional co-signer's link, otherwise the intake's
+ */
+export function getSignerLanguage(intake, party = null) {
+  return normalizeLanguage(party?.preferredLanguage || intake?.preferredLanguage);
+}
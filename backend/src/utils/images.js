@@ -0,0 +1,125 @@
+/**
+ * Image helpers for uploaded photos (no native image library needed)
+ *
+ * inspectImage reads the format and pixel size from the file itself, so a
+ * renamed or truncated file is caught no matter what Content-Type was sent.
+ * stripImageMetadata drops EXIF / XMP / text chunks - phone photos carry the
+ * GPS location they were taken at.
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// JPEG start-of-frame markers (SOF0-SOF15 minus DHT, JPG and DAC) carry the dimensions
+const JPEG_SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+// APP1 (EXIF / XMP), APP13 (Photoshop IPTC) and comments
+const JPEG_METADATA_MARKERS = new Set([0xe1, 0xed, 0xfe]);
+
+// Ancillary PNG chunks that hold text or EXIF
+const PNG_METADATA_CHUNKS = new Set(['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME']);
+
+/**
+ * Format and dimensions of a JPEG or PNG
+ * Returns { format: "jpeg" | "png", contentType, width, height }, or null if it isn't a readable image
+ */
+export function inspectImage(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 24) return null;
+
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    if (buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+    return {
+      format: 'png',
+      contentType: 'image/png',
+      width: buffer.readUInt32BE(16),
+      height: buffer.readUInt32BE(20),
+    };
+  }
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    for (const segment of jpegSegments(buffer)) {
+      if (JPEG_SOF_MARKERS.has(segment.marker) && segment.end - segment.start >= 9) {
+        return {
+          format: 'jpeg',
+          contentType: 'image/jpeg',
+          height: buffer.readUInt16BE(segment.start + 5),
+          width: buffer.readUInt16BE(segment.start + 7),
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Copy of a JPEG / PNG without its metadata (other formats are returned as is)
+ */
+export function stripImageMetadata(buffer) {
+  const image = inspectImage(buffer);
+  if (image?.format === 'jpeg') return stripJpegMetadata(buffer);
+  if (image?.format === 'png') return stripPngMetadata(buffer);
+  return buffer;
+}
+
+/**
+ * The marker segments before the image data: { marker, start, end } (start is the 0xFF)
+ * Stops at start-of-scan - everything after it is compressed image data.
+ */
+function* jpegSegments(buffer) {
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return;
+
+    const marker = buffer[offset + 1];
+    // Fill bytes
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+    if (length < 2 || end > buffer.length) return;
+
+    yield { marker, start: offset, end };
+
+    if (marker === 0xda) return;
+    offset = end;
+  }
+}
+
+function stripJpegMetadata(buffer) {
+  const parts = [buffer.subarray(0, 2)];
+  let offset = 2;
+
+  for (const segment of jpegSegments(buffer)) {
+    if (!JPEG_METADATA_MARKERS.has(segment.marker)) {
+      parts.push(buffer.subarray(segment.start, segment.end));
+    }
+    offset = segment.end;
+  }
+
+  parts.push(buffer.subarray(offset));
+  return Buffer.concat(parts);
+}
+
+function stripPngMetadata(buffer) {
+  const parts = [PNG_SIGNATURE];
+  let offset = 8;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) break;
+
+    if (!PNG_METADATA_CHUNKS.has(type)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+    if (type === 'IEND') break;
+  }
+
+  return Buffer.concat(parts);
+}
@@ -0,0 +1,33 @@
+import jwt from 'jsonwebtoken';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'bondprospects-secret-change-in-production';
+
+/**
+ * Sign an access token for a co-signer who passed identity verification
+ * (pass `party` for an additional co-signer - their token only opens their own link)
+ */
+export function signIntakeAccessToken(intake, party = null) {
+  return jwt.sign(
+    { intakeId: intake.id, partyId: party?.id || null, scope: 'intake' },
+    JWT_SECRET,
+    { expiresIn: '12h' }
+  );
+}
+
+/**
+ * Does this request carry a valid access token for the intake?
+ * Sent as the X-Intake-Token header, or ?access= for plain links (PDF downloads)
+ */
+export function hasIntakeAccess(req, intake, party = null) {
+  const token = req.get('x-intake-token') || req.query.access;
+  if (!token) return false;
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.scope === 'intake'
+      && decoded.intakeId === intake.id
+      && (decoded.partyId || null) === (party?.id || null);
+  } catch {
+    return false;
+  }
+}
@@ -109,10 +109,8 @@ export function validatePartialData(data) {
 export function maskSSN(ssn) {
   if (!ssn) return '';
   const cleaned = ssn.replace(/\D/g, '');
-  if (cleaned.length === 9) {
-    return `XXX-XX-${cleaned.slice(-4)}`;
-  }
-  return ssn;
+  // Never echo a partial / malformed number back
+  return `***-**-${cleaned.length === 9 ? cleaned.slice(-4) : '****'}`;
 }
 
 /**
@@ -0,0 +1,171 @@
+/**
+ * Storage drivers against local stand-ins - a temp directory for the local driver, and
+ * for the S3 driver an HTTP server that checks each request's SigV4 signature the way
+ * S3 / MinIO do (from the path as received) and keeps objects in memory.
+ *
+ * Run with `npm test` in backend/.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createS3Driver, createLocalDriver } from '../src/services/storageService.js';
+
+const CREDENTIALS = {
+  region: 'us-east-1',
+  bucket: 'documents',
+  accessKeyId: 'test-access-key',
+  secretAccessKey: 'test-secret-key',
+};
+
+let server;
+let endpoint;
+const objects = new Map();
+const requests = [];
+
+// Segments are URI-encoded once, RFC 3986 unreserved characters only
+function encodeSegment(segment) {
+  return encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * The signature S3 expects for this request, or null if it can't be checked
+ */
+function expectedSignature(req, body) {
+  const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+    .exec(req.headers.authorization || '');
+  if (!match) return null;
+
+  const [, accessKeyId, dateStamp, region, signedHeaders] = match;
+  if (accessKeyId !== CREDENTIALS.accessKeyId) return null;
+
+  const payloadHash = req.headers['x-amz-content-sha256'];
+  if (payloadHash !== sha256Hex(body)) return null;
+
+  const canonicalUri = req.url.split('?')[0].split('/').map(s => encodeSegment(decodeURIComponent(s))).join('/');
+  const canonicalHeaders = signedHeaders.split(';').map(name => `${name}:${req.headers[name].trim()}\n`).join('');
+  const canonicalRequest = [req.method, canonicalUri, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', req.headers['x-amz-date'], scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${CREDENTIALS.secretAccessKey}`, dateStamp), region)
+  );
+  return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+}
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+    requests.push({ method: req.method, url: req.url, host: req.headers.host });
+
+    const signature = /Signature=([0-9a-f]+)$/.exec(req.headers.authorization || '')?.[1];
+    if (!signature || signature !== expectedSignature(req, body)) {
+      res.writeHead(403).end('SignatureDoesNotMatch');
+      return;
+    }
+
+    const key = decodeURIComponent(req.url.split('?')[0]);
+
+    if (req.method === 'PUT') {
+      objects.set(key, { body, contentType: req.headers['content-type'] });
+      res.writeHead(200).end();
+    } else if (req.method === 'GET' && objects.has(key)) {
+      const object = objects.get(key);
+      res.writeHead(200, { 'Content-Type': object.contentType }).end(object.body);
+    } else if (req.method === 'DELETE' && objects.has(key)) {
+      objects.delete(key);
+      res.writeHead(204).end();
+    } else {
+      res.writeHead(404).end('NoSuchKey');
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+test('s3 driver stores, streams and deletes an object path-style', async () => {
+  const driver = createS3Driver({ ...CREDENTIALS, endpoint, forcePathStyle: true });
+  const contents = crypto.randomBytes(64 * 1024);
+
+  await driver.put('intakes/abc123/defendant.pdf', contents, 'application/pdf');
+  assert.equal(requests.at(-1).url, '/documents/intakes/abc123/defendant.pdf');
+  assert.equal(objects.get('/documents/intakes/abc123/defendant.pdf').contentType, 'application/pdf');
+
+  assert.deepEqual(await readAll(await driver.getStream('intakes/abc123/defendant.pdf')), contents);
+
+  await driver.delete('intakes/abc123/defendant.pdf');
+  assert.equal(objects.has('/documents/intakes/abc123/defendant.pdf'), false);
+});
+
+test('s3 driver signs keys that need escaping', async () => {
+  const driver = createS3Driver({ ...CREDENTIALS, endpoint, forcePathStyle: true });
+  const key = "collateral/abc123/2-Car title (front) O'Neil's & co!*.jpg";
+
+  await driver.put(key, Buffer.from('photo'), 'image/jpeg');
+  assert.deepEqual(await readAll(await driver.getStream(key)), Buffer.from('photo'));
+  assert.equal(objects.has(`/documents/${key}`), true);
+});
+
+test('s3 driver addresses the bucket as a subdomain unless path-style is forced', async (t) => {
+  const driver = createS3Driver({ ...CREDENTIALS, endpoint: 'https://s3.example.com' });
+  const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 404 }));
+
+  await assert.rejects(driver.getStream('intakes/a b.pdf'), { statusCode: 404 });
+  assert.equal(String(fetchMock.mock.calls[0].arguments[0]), 'https://documents.s3.example.com/intakes/a%20b.pdf');
+});
+
+test('s3 driver reports a missing object as 404 and ignores deleting one', async () => {
+  const driver = createS3Driver({ ...CREDENTIALS, endpoint, forcePathStyle: true });
+
+  await assert.rejects(driver.getStream('intakes/none.pdf'), { statusCode: 404 });
+  await driver.delete('intakes/none.pdf');
+});
+
+test('s3 driver fails with 502 when the signature is rejected', async () => {
+  const driver = createS3Driver({ ...CREDENTIALS, secretAccessKey: 'wrong', endpoint, forcePathStyle: true });
+
+  await assert.rejects(driver.put('intakes/x.pdf', Buffer.from('x')), { statusCode: 502 });
+});
+
+test('local driver keeps keys inside its root', async () => {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+  try {
+    const driver = createLocalDriver({ rootDir });
+
+    await driver.put('intakes/abc123/defendant.pdf', Buffer.from('pdf'));
+    assert.deepEqual(await readAll(await driver.getStream('intakes/abc123/defendant.pdf')), Buffer.from('pdf'));
+
+    await assert.rejects(driver.put('../escaped.pdf', Buffer.from('x')), /Invalid storage key/);
+    await assert.rejects(driver.getStream('intakes/../../escaped.pdf'), /Invalid storage key/);
+
+    await driver.delete('intakes/abc123/defendant.pdf');
+    await assert.rejects(driver.getStream('intakes/abc123/defendant.pdf'), { code: 'ENOENT' });
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
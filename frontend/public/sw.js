@@ -0,0 +1,64 @@
+// Service worker - keeps the app shell cached so a wizard that was opened once can be
+// reopened without a connection. The answers themselves live in IndexedDB (see
+// src/utils/draftStore.js); API calls always go to the network.
+
+const CACHE = 'app-shell-v1'
+const SHELL = ['/', '/index.html']
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+const putInCache = (key, response) => {
+  if (response.ok) {
+    const copy = response.clone()
+    caches.open(CACHE).then((cache) => cache.put(key, copy))
+  }
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return
+  }
+
+  // Pages: the latest index.html when online, the cached one when not (every route is
+  // the same single-page app)
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => putInCache('/index.html', response))
+        .catch(() => caches.match('/index.html'))
+    )
+    return
+  }
+
+  // Built assets have hashed names, so a cached copy is never stale
+  if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(
+      caches.match(request).then((cached) => cached || fetch(request).then((response) => putInCache(request, response)))
+    )
+    return
+  }
+
+  event.respondWith(
+    fetch(request)
+      .then((response) => putInCache(request, response))
+      .catch(() => caches.match(request))
+  )
+})
@@ -7,7 +7,11 @@ import ExpiredLink from './pages/ExpiredLink'
 import AdminLogin from './pages/admin/AdminLogin'
 import AdminDashboard from './pages/admin/AdminDashboard'
 import AdminCompanyEdit from './pages/admin/AdminCompanyEdit'
+import AdminTemplateEditor from './pages/admin/AdminTemplateEditor'
 import AgentWizard from './pages/agent/AgentWizard'
+import AgentLogin from './pages/agent/AgentLogin'
+import AgentDashboard from './pages/agent/AgentDashboard'
+import AgentPayments from './pages/agent/AgentPayments'
 import LinkCodeIntake from './pages/LinkCodeIntake'
 
 function App() {
@@ -19,10 +23,15 @@ function App() {
         <Route path="/admin/dashboard" element={<AdminDashboard />} />
         <Route path="/admin/companies/new" element={<AdminCompanyEdit />} />
         <Route path="/admin/companies/:id" element={<AdminCompanyEdit />} />
+        <Route path="/admin/companies/:id/templates" element={<AdminTemplateEditor />} />
         <Route path="/admin" element={<AdminLogin />} />
         
         {/* Agent routes - for Bailbooks agents to send e-sign requests */}
+        <Route path="/agent/login" element={<AgentLogin />} />
+        <Route path="/agent/dashboard" element={<AgentDashboard />} />
         <Route path="/agent/create" element={<AgentWizard />} />
+        <Route path="/agent/requests/:linkCode/payments" element={<AgentPayments />} />
+        <Route path="/agent" element={<AgentLogin />} />
         
         {/* Link code intake - handles both agent-initiated and client-initiated */}
         <Route path="/:companySlug/:linkCode" element={<LinkCodeIntake />} />
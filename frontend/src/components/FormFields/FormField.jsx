@@ -2,6 +2,7 @@ import { forwardRef, useCallback } from 'react'
 import { useFormContext } from 'react-hook-form'
 import clsx from 'clsx'
 import { useIsFieldRequired } from '../../contexts/RequiredFieldsContext'
+import { useTranslation } from '../../contexts/LanguageContext'
 
 // Get nested error from errors object using dot notation path
 const getNestedError = (errors, path) => {
@@ -15,6 +16,9 @@ const getNestedError = (errors, path) => {
   return current
 }
 
+// Fields the server returns masked (see backend utils/fieldEncryption.js)
+const MASKED_FIELDS = ['ssn', 'driversLicense', 'dob']
+
 // Format phone number as user types
 const formatPhoneNumber = (input) => {
   const numbers = (input || '').replace(/\D/g, '')
@@ -34,6 +38,7 @@ const FormField = forwardRef(function FormField(
   ref
 ) {
   // Get errors from form context if not explicitly provided
+  const { t } = useTranslation()
   const formContext = useFormContext()
   const contextError = formContext ? getNestedError(formContext.formState.errors, name) : null
   const error = propError || contextError
@@ -44,6 +49,12 @@ const FormField = forwardRef(function FormField(
 
   const isPhone = type === 'tel'
   
+  // SSNs, license numbers and DOBs come back from the server masked ("***-**-1234").
+  // Leaving one untouched keeps the stored value; a date input can't show it, so use text.
+  const value = MASKED_FIELDS.includes(name?.split('.').pop()) ? formContext?.watch(name) : undefined
+  const isMasked = typeof value === 'string' && value.includes('*')
+  const inputType = isMasked && type === 'date' ? 'text' : type
+  
   const handleChange = useCallback((e) => {
     if (isPhone) {
       const formatted = formatPhoneNumber(e.target.value)
@@ -107,7 +118,7 @@ const FormField = forwardRef(function FormField(
           ref={ref}
           id={name}
           name={name}
-          type={type}
+          type={inputType}
           className={clsx('input', error && 'input-error', isPartial && 'border-yellow-400')}
           onChange={handleChange}
           onKeyDown={handleKeyDown}
@@ -128,6 +139,10 @@ const FormField = forwardRef(function FormField(
         <p className="text-xs text-gray-500 mt-1">{hint}</p>
       )}
       
+      {isMasked && !hint && !error && (
+        <p className="text-xs text-gray-500 mt-1">{t('common.savedSecurely')}</p>
+      )}
+      
       {error && (
         <p className="error-text">{error.message}</p>
       )}
@@ -2,6 +2,7 @@ import { forwardRef } from 'react'
 import { useFormContext } from 'react-hook-form'
 import clsx from 'clsx'
 import { useIsFieldRequired } from '../../contexts/RequiredFieldsContext'
+import { useTranslation } from '../../contexts/LanguageContext'
 
 // Get nested error from errors object using dot notation path
 const getNestedError = (errors, path) => {
@@ -16,10 +17,11 @@ const getNestedError = (errors, path) => {
 }
 
 const SelectField = forwardRef(function SelectField(
-  { label, name, options, required: requiredProp, error: propError, placeholder = 'Select...', className, ...props },
+  { label, name, options, required: requiredProp, error: propError, placeholder, className, ...props },
   ref
 ) {
   // Get errors from form context if not explicitly provided
+  const { t } = useTranslation()
   const formContext = useFormContext()
   const contextError = formContext ? getNestedError(formContext.formState.errors, name) : null
   const error = propError || contextError
@@ -44,7 +46,7 @@ const SelectField = forwardRef(function SelectField(
         className={clsx('input', error && 'input-error')}
         {...props}
       >
-        <option value="">{placeholder}</option>
+        <option value="">{placeholder ?? t('common.select')}</option>
         {options.map((option) => {
           const value = typeof option === 'string' ? option : option.value
           const label = typeof option === 'string' ? option : option.label
@@ -0,0 +1,285 @@
+import { useState } from 'react'
+import { useParams } from 'react-router-dom'
+import { useFormContext, useFieldArray } from 'react-hook-form'
+import axios from 'axios'
+import { Plus, Trash2, Paperclip, Upload, Shield } from 'lucide-react'
+import FormField from '../FormFields/FormField'
+import SelectField from '../FormFields/SelectField'
+import { getIntakeHeaders } from '../../utils/intakeAccess'
+import {
+  COLLATERAL_TYPES,
+  COLLATERAL_UPLOAD_ACCEPT,
+  MAX_COLLATERAL_ITEMS,
+  MAX_COLLATERAL_UPLOAD_BYTES,
+  createCollateralItem,
+  formatCollateralValue,
+  getCollateralTotal,
+} from '../../utils/collateral'
+
+// Optional - anything pledged here is listed on a Collateral Receipt the co-signer signs
+export default function StepCollateral() {
+  const { control, watch } = useFormContext()
+  const { fields, append, remove } = useFieldArray({ control, name: 'collateral', keyName: 'fieldId' })
+  const collateral = watch('collateral')
+
+  return (
+    <div className="space-y-6">
+      <section className="form-section">
+        <h2 className="section-title flex items-center gap-2">
+          <Shield className="w-5 h-5" />
+          Collateral
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          If you are pledging collateral for this bond (a vehicle, property, jewelry, cash...), list each item
+          below and add photos or documents such as a title or deed. Skip this step if you are not pledging collateral.
+        </p>
+
+        {fields.map((field, index) => (
+          <CollateralCard key={field.fieldId} index={index} onRemove={() => remove(index)} />
+        ))}
+
+        {fields.length === 0 && (
+          <div className="border border-dashed rounded-lg p-6 text-center text-sm text-gray-500 mb-4">
+            No collateral added.
+          </div>
+        )}
+
+        {fields.length < MAX_COLLATERAL_ITEMS && (
+          <button
+            type="button"
+            onClick={() => append(createCollateralItem())}
+            className="btn-secondary w-full"
+          >
+            <Plus className="w-4 h-4 mr-2" />
+            Add Collateral Item
+          </button>
+        )}
+
+        {fields.length > 0 && (
+          <p className="text-sm text-gray-700 mt-4">
+            Total estimated value: <strong>{formatCollateralValue(getCollateralTotal(collateral))}</strong>
+          </p>
+        )}
+      </section>
+    </div>
+  )
+}
+
+function CollateralCard({ index, onRemove }) {
+  const { linkCode } = useParams()
+  const { register, watch, setValue, getValues, formState: { errors } } = useFormContext()
+  const [uploading, setUploading] = useState(false)
+  const [uploadError, setUploadError] = useState(null)
+
+  const type = watch(`collateral.${index}.type`)
+  const documents = watch(`collateral.${index}.documents`) || []
+  const itemErrors = errors.collateral?.[index]
+
+  const setDocuments = (next) => {
+    setValue(`collateral.${index}.documents`, next, { shouldDirty: true })
+  }
+
+  const handleFiles = async (event) => {
+    const files = Array.from(event.target.files || [])
+    event.target.value = ''
+    setUploadError(null)
+
+    for (const file of files) {
+      if (file.size > MAX_COLLATERAL_UPLOAD_BYTES) {
+        setUploadError(`${file.name} is larger than 10 MB`)
+        continue
+      }
+
+      setUploading(true)
+      try {
+        const response = await axios.post(`/api/intake/${linkCode}/collateral`, file, {
+          headers: {
+            ...getIntakeHeaders(linkCode),
+            'Content-Type': file.type || 'application/octet-stream',
+            'X-File-Name': encodeURIComponent(file.name),
+          },
+        })
+        setDocuments([...(getValues(`collateral.${index}.documents`) || []), response.data.document])
+      } catch (err) {
+        setUploadError(err.response?.data?.error || `Failed to upload ${file.name}`)
+      } finally {
+        setUploading(false)
+      }
+    }
+  }
+
+  const viewDocument = async (document) => {
+    try {
+      const response = await axios.get(`/api/intake/${linkCode}/collateral/${document.name}`, {
+        headers: getIntakeHeaders(linkCode),
+        responseType: 'blob',
+      })
+      window.open(URL.createObjectURL(response.data), '_blank')
+    } catch (err) {
+      setUploadError('Failed to open file')
+    }
+  }
+
+  const removeDocument = async (document) => {
+    try {
+      await axios.delete(`/api/intake/${linkCode}/collateral/${document.name}`, {
+        headers: getIntakeHeaders(linkCode),
+      })
+    } catch (err) {
+      // Already gone - still detach it from the item
+      if (err.response?.status !== 404) {
+        setUploadError(err.response?.data?.error || 'Failed to remove file')
+        return
+      }
+    }
+    setDocuments(documents.filter(doc => doc.name !== document.name))
+  }
+
+  return (
+    <div className="border rounded-lg p-4 mb-4 bg-gray-50">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-medium text-gray-900">Item #{index + 1}</h3>
+        <button
+          type="button"
+          onClick={onRemove}
+          className="text-red-500 hover:text-red-700 p-1"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <SelectField
+          label="Type"
+          name={`collateral.${index}.type`}
+          options={COLLATERAL_TYPES}
+          required
+          error={itemErrors?.type}
+          {...register(`collateral.${index}.type`)}
+        />
+
+        <FormField
+          label="Estimated Value ($)"
+          name={`collateral.${index}.estimatedValue`}
+          inputMode="decimal"
+          placeholder="5,000"
+          required
+          error={itemErrors?.estimatedValue}
+          {...register(`collateral.${index}.estimatedValue`)}
+        />
+      </div>
+
+      {type === 'vehicle' && (
+        <>
+          <div className="grid grid-cols-3 gap-4 mt-4">
+            <FormField
+              label="Year"
+              name={`collateral.${index}.year`}
+              inputMode="numeric"
+              maxLength={4}
+              error={itemErrors?.year}
+              {...register(`collateral.${index}.year`)}
+            />
+            <FormField
+              label="Make"
+              name={`collateral.${index}.make`}
+              {...register(`collateral.${index}.make`)}
+            />
+            <FormField
+              label="Model"
+              name={`collateral.${index}.model`}
+              {...register(`collateral.${index}.model`)}
+            />
+          </div>
+          <FormField
+            label="VIN"
+            name={`collateral.${index}.vin`}
+            className="mt-4"
+            maxLength={17}
+            hint="17 characters - on the dashboard by the windshield or on the title"
+            error={itemErrors?.vin}
+            {...register(`collateral.${index}.vin`)}
+          />
+        </>
+      )}
+
+      {type === 'real_property' && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+          <FormField
+            label="Property Address"
+            name={`collateral.${index}.propertyAddress`}
+            {...register(`collateral.${index}.propertyAddress`)}
+          />
+          <FormField
+            label="Parcel / APN Number"
+            name={`collateral.${index}.parcelNumber`}
+            hint="On the deed or property tax bill"
+            {...register(`collateral.${index}.parcelNumber`)}
+          />
+        </div>
+      )}
+
+      <div className="mt-4">
+        <label htmlFor={`collateral.${index}.description`} className="label">
+          Description<span className="text-red-500 ml-1">*</span>
+        </label>
+        <textarea
+          id={`collateral.${index}.description`}
+          rows={2}
+          className="input"
+          placeholder={type === 'jewelry' ? 'e.g. 14k gold necklace with diamond pendant' : 'Describe the item and its condition'}
+          {...register(`collateral.${index}.description`)}
+        />
+        {itemErrors?.description && (
+          <p className="text-red-500 text-sm mt-1">{itemErrors.description.message}</p>
+        )}
+      </div>
+
+      <div className="mt-4">
+        <p className="label">Photos &amp; Documents</p>
+
+        {documents.length > 0 && (
+          <ul className="space-y-1 mb-2">
+            {documents.map((document) => (
+              <li key={document.name} className="flex items-center justify-between text-sm bg-white border rounded px-3 py-2">
+                <button
+                  type="button"
+                  onClick={() => viewDocument(document)}
+                  className="flex items-center gap-2 text-blue-600 hover:text-blue-800 truncate"
+                >
+                  <Paperclip className="w-4 h-4 flex-shrink-0" />
+                  <span className="truncate">{document.fileName}</span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => removeDocument(document)}
+                  className="text-red-500 hover:text-red-700 p-1"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <label className="btn-secondary inline-flex items-center cursor-pointer">
+          <Upload className="w-4 h-4 mr-2" />
+          {uploading ? 'Uploading...' : 'Add Photos or Documents'}
+          <input
+            type="file"
+            accept={COLLATERAL_UPLOAD_ACCEPT}
+            multiple
+            disabled={uploading}
+            onChange={handleFiles}
+            className="hidden"
+          />
+        </label>
+        <p className="text-xs text-gray-500 mt-1">JPEG, PNG, HEIC or PDF, up to 10 MB each</p>
+
+        {uploadError && (
+          <p className="text-red-500 text-sm mt-1">{uploadError}</p>
+        )}
+      </div>
+    </div>
+  )
+}
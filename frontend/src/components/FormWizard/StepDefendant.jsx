@@ -3,8 +3,10 @@ import FormField from '../FormFields/FormField'
 import SelectField from '../FormFields/SelectField'
 import AddressAutocomplete from '../AddressAutocomplete'
 import { US_STATES } from '../../utils/constants'
+import { useTranslation } from '../../contexts/LanguageContext'
 
 export default function StepDefendant() {
+  const { t } = useTranslation()
   const { register, formState: { errors }, watch, setValue } = useFormContext()
   const supervisionStatus = watch('defendant.supervisionStatus')
   const address = watch('defendant.address')
@@ -29,18 +31,18 @@ export default function StepDefendant() {
     <div className="space-y-6">
       {/* Personal Information */}
       <section className="form-section">
-        <h2 className="section-title">Defendant Personal Information</h2>
+        <h2 className="section-title">{t('defendant.personalInfo')}</h2>
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           <FormField
-            label="Also Known As (AKA)"
+            label={t('fields.aka')}
             name="defendant.aka"
-            placeholder="Nicknames or aliases"
+            placeholder={t('fields.akaPlaceholder')}
             {...register('defendant.aka')}
           />
           
           <FormField
-            label="Social Security Number"
+            label={t('fields.ssn')}
             name="defendant.ssn"
             type="password"
             placeholder="XXX-XX-XXXX"
@@ -50,13 +52,13 @@ export default function StepDefendant() {
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
           <FormField
-            label="Driver's License / ID Number"
+            label={t('fields.driversLicense')}
             name="defendant.driversLicense"
             {...register('defendant.driversLicense')}
           />
           
           <SelectField
-            label="State Issued"
+            label={t('fields.dlState')}
             name="defendant.dlState"
             options={US_STATES}
             {...register('defendant.dlState')}
@@ -66,34 +68,34 @@ export default function StepDefendant() {
       
       {/* Address */}
       <section className="form-section">
-        <h2 className="section-title">Defendant Address</h2>
+        <h2 className="section-title">{t('defendant.address')}</h2>
         
         <AddressAutocomplete
-          label="Street Address"
+          label={t('fields.streetAddress')}
           value={address}
           onChange={(value) => setValue('defendant.address', value)}
           onAddressSelect={handleAddressSelect}
-          placeholder="Start typing defendant's address..."
+          placeholder={t('defendant.addressPlaceholder')}
         />
         
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
           <div className="col-span-2">
             <FormField
-              label="City"
+              label={t('fields.city')}
               name="defendant.city"
               {...register('defendant.city')}
             />
           </div>
           
           <SelectField
-            label="State"
+            label={t('fields.state')}
             name="defendant.state"
             options={US_STATES}
             {...register('defendant.state')}
           />
           
           <FormField
-            label="ZIP Code"
+            label={t('fields.zip')}
             name="defendant.zip"
             {...register('defendant.zip')}
           />
@@ -101,9 +103,9 @@ export default function StepDefendant() {
         
         <div className="mt-4">
           <FormField
-            label="How Long at This Address?"
+            label={t('fields.addressDuration')}
             name="defendant.addressDuration"
-            placeholder="e.g., 2 years"
+            placeholder={t('fields.durationPlaceholder')}
             {...register('defendant.addressDuration')}
           />
         </div>
@@ -111,17 +113,17 @@ export default function StepDefendant() {
       
       {/* Employment */}
       <section className="form-section">
-        <h2 className="section-title">Defendant Employment</h2>
+        <h2 className="section-title">{t('defendant.employment')}</h2>
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           <FormField
-            label="Employer"
+            label={t('fields.employer')}
             name="defendant.employer"
             {...register('defendant.employer')}
           />
           
           <FormField
-            label="Occupation"
+            label={t('fields.occupation')}
             name="defendant.occupation"
             {...register('defendant.occupation')}
           />
@@ -129,15 +131,15 @@ export default function StepDefendant() {
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
           <AddressAutocomplete
-            label="Employer Address"
+            label={t('fields.employerAddress')}
             value={employerAddress}
             onChange={(value) => setValue('defendant.employerAddress', value)}
             onAddressSelect={handleEmployerAddressSelect}
-            placeholder="Start typing employer's address..."
+            placeholder={t('defendant.employerAddressPlaceholder')}
           />
           
           <FormField
-            label="How Long Employed?"
+            label={t('fields.employmentDuration')}
             name="defendant.employmentDuration"
             {...register('defendant.employmentDuration')}
           />
@@ -145,7 +147,7 @@ export default function StepDefendant() {
         
         <div className="mt-4">
           <FormField
-            label="Monthly Income"
+            label={t('fields.monthlyIncome')}
             name="defendant.monthlyIncome"
             type="number"
             placeholder="$"
@@ -156,48 +158,48 @@ export default function StepDefendant() {
       
       {/* Arrest Information */}
       <section className="form-section">
-        <h2 className="section-title">Arrest Information</h2>
+        <h2 className="section-title">{t('defendant.arrest')}</h2>
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           <FormField
-            label="Date Arrested"
+            label={t('defendant.arrestDate')}
             name="defendant.arrestDate"
             type="date"
             {...register('defendant.arrestDate')}
           />
           
           <FormField
-            label="Arresting Agency"
+            label={t('defendant.arrestingAgency')}
             name="defendant.arrestingAgency"
-            placeholder="e.g., ICE, Local PD"
+            placeholder={t('defendant.arrestingAgencyPlaceholder')}
             {...register('defendant.arrestingAgency')}
           />
         </div>
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
           <FormField
-            label="Where Arrested"
+            label={t('defendant.arrestLocation')}
             name="defendant.arrestLocation"
             {...register('defendant.arrestLocation')}
           />
           
           <FormField
-            label="Co-Defendants"
+            label={t('defendant.coDefendants')}
             name="defendant.coDefendants"
-            placeholder="Names of any co-defendants"
+            placeholder={t('defendant.coDefendantsPlaceholder')}
             {...register('defendant.coDefendants')}
           />
         </div>
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
           <FormField
-            label="Jail Location"
+            label={t('defendant.jailLocation')}
             name="defendant.jailLocation"
             {...register('defendant.jailLocation')}
           />
           
           <FormField
-            label="Booking Number"
+            label={t('defendant.bookingNumber')}
             name="defendant.bookingNumber"
             {...register('defendant.bookingNumber')}
           />
@@ -205,9 +207,9 @@ export default function StepDefendant() {
         
         <div className="mt-4">
           <FormField
-            label="Alien Number (if applicable)"
+            label={t('defendant.alienNumber')}
             name="defendant.alienNumber"
-            placeholder="A-Number"
+            placeholder={t('defendant.alienNumberPlaceholder')}
             {...register('defendant.alienNumber')}
           />
         </div>
@@ -215,7 +217,7 @@ export default function StepDefendant() {
       
       {/* Supervision Status */}
       <section className="form-section">
-        <h2 className="section-title">Supervision Status</h2>
+        <h2 className="section-title">{t('defendant.supervision')}</h2>
         
         <div className="space-y-3">
           <label className="flex items-center gap-3 p-3 border rounded-lg cursor-pointer hover:bg-gray-50">
@@ -225,7 +227,7 @@ export default function StepDefendant() {
               className="w-4 h-4 text-brand-600"
               {...register('defendant.supervisionStatus')}
             />
-            <span>None</span>
+            <span>{t('defendant.supervisionNone')}</span>
           </label>
           
           <label className="flex items-center gap-3 p-3 border rounded-lg cursor-pointer hover:bg-gray-50">
@@ -235,7 +237,7 @@ export default function StepDefendant() {
               className="w-4 h-4 text-brand-600"
               {...register('defendant.supervisionStatus')}
             />
-            <span>Currently on Probation</span>
+            <span>{t('defendant.supervisionProbation')}</span>
           </label>
           
           <label className="flex items-center gap-3 p-3 border rounded-lg cursor-pointer hover:bg-gray-50">
@@ -245,20 +247,20 @@ export default function StepDefendant() {
               className="w-4 h-4 text-brand-600"
               {...register('defendant.supervisionStatus')}
             />
-            <span>Currently on Parole</span>
+            <span>{t('defendant.supervisionParole')}</span>
           </label>
         </div>
         
         {(supervisionStatus === 'Probation' || supervisionStatus === 'Parole') && (
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
             <FormField
-              label="Officer Name"
+              label={t('defendant.officerName')}
               name="defendant.supervisionOfficer"
               {...register('defendant.supervisionOfficer')}
             />
             
             <FormField
-              label="Officer Phone"
+              label={t('defendant.officerPhone')}
               name="defendant.supervisionOfficerPhone"
               type="tel"
               {...register('defendant.supervisionOfficerPhone')}
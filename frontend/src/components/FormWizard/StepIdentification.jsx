@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react'
+import { useParams } from 'react-router-dom'
+import { useFormContext } from 'react-hook-form'
+import axios from 'axios'
+import { Camera, Upload, Trash2, Contact } from 'lucide-react'
+import { getIntakeHeaders } from '../../utils/intakeAccess'
+import { normalizePhoto } from '../../utils/images'
+
+const SIDES = [
+  { id: 'front', label: 'Front' },
+  { id: 'back', label: 'Back' },
+]
+
+// Photos of the front and back of the co-signer's ID (and the defendant's, from the
+// primary co-signer). Each photo is uploaded as soon as it's taken and attached to
+// the Indemnitor Application.
+export default function StepIdentification() {
+  const { watch } = useFormContext()
+  const coSigner = watch('coSigner')
+  const defendant = watch('defendant')
+  const indemnitor = watch('indemnitor')
+
+  const defendantName = `${defendant?.firstName || ''} ${defendant?.lastName || ''}`.trim() || 'the defendant'
+
+  return (
+    <div className="space-y-6">
+      <section className="form-section">
+        <h2 className="section-title flex items-center gap-2">
+          <Contact className="w-5 h-5" />
+          Your Photo ID
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Take a photo of the front and back of your driver&apos;s license or state ID
+          {indemnitor?.dlState ? ` (${indemnitor.dlState})` : ''}. Lay it on a dark, flat surface
+          and make sure all four corners are in the photo and the text is readable.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {SIDES.map((side) => (
+            <IdPhotoCapture key={side.id} subject="indemnitor" side={side} />
+          ))}
+        </div>
+      </section>
+
+      {!(coSigner?.position > 1) && (
+        <section className="form-section">
+          <h2 className="section-title">Defendant&apos;s Photo ID (Optional)</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            If you have a copy of {defendantName}&apos;s ID, add it here.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {SIDES.map((side) => (
+              <IdPhotoCapture key={side.id} subject="defendant" side={side} />
+            ))}
+          </div>
+        </section>
+      )}
+    </div>
+  )
+}
+
+function IdPhotoCapture({ subject, side }) {
+  const { linkCode } = useParams()
+  const { watch, setValue, getValues } = useFormContext()
+  const [previewUrl, setPreviewUrl] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const url = `/api/intake/${linkCode}/id/${subject}/${side.id}`
+  const uploaded = (watch('idDocuments') || []).some((doc) => doc.subject === subject && doc.side === side.id)
+
+  const setUploaded = (document) => {
+    const others = (getValues('idDocuments') || []).filter((doc) => !(doc.subject === subject && doc.side === side.id))
+    setValue('idDocuments', document ? [...others, document] : others)
+  }
+
+  // Show photos uploaded on an earlier visit
+  useEffect(() => {
+    if (!uploaded || previewUrl) return
+    let cancelled = false
+    axios.get(url, { headers: getIntakeHeaders(linkCode), responseType: 'blob' })
+      .then((response) => {
+        if (!cancelled) setPreviewUrl(URL.createObjectURL(response.data))
+      })
+      .catch(() => {})
+    return () => { cancelled = true }
+  }, [uploaded, previewUrl, url, linkCode])
+
+  useEffect(() => () => previewUrl && URL.revokeObjectURL(previewUrl), [previewUrl])
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    setBusy(true)
+    setError(null)
+    try {
+      const photo = await normalizePhoto(file)
+      const response = await axios.put(url, photo, {
+        headers: { ...getIntakeHeaders(linkCode), 'Content-Type': photo.type },
+      })
+      setUploaded(response.data.document)
+      setPreviewUrl(URL.createObjectURL(photo))
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to upload photo')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleRemove = async () => {
+    setBusy(true)
+    setError(null)
+    try {
+      await axios.delete(url, { headers: getIntakeHeaders(linkCode) })
+    } catch (err) {
+      if (err.response?.status !== 404) {
+        setError(err.response?.data?.error || 'Failed to remove photo')
+        setBusy(false)
+        return
+      }
+    }
+    setUploaded(null)
+    setPreviewUrl(null)
+    setBusy(false)
+  }
+
+  return (
+    <div className="border rounded-lg p-4 bg-gray-50">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-medium text-gray-900">{side.label}</h3>
+        {uploaded && (
+          <button
+            type="button"
+            onClick={handleRemove}
+            disabled={busy}
+            className="text-red-500 hover:text-red-700 p-1"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      <div className="aspect-[3/2] bg-white border border-dashed rounded-lg flex items-center justify-center overflow-hidden mb-3">
+        {previewUrl ? (
+          <img src={previewUrl} alt={`${side.label} of ID`} className="max-h-full max-w-full object-contain" />
+        ) : (
+          <span className="text-sm text-gray-400">{busy ? 'Uploading...' : 'No photo yet'}</span>
+        )}
+      </div>
+
+      <div className="flex gap-2">
+        <label className="btn-primary flex-1 inline-flex items-center justify-center cursor-pointer">
+          <Camera className="w-4 h-4 mr-2" />
+          {uploaded ? 'Retake' : 'Take Photo'}
+          <input type="file" accept="image/*" capture="environment" disabled={busy} onChange={handleFile} className="hidden" />
+        </label>
+        <label className="btn-secondary flex-1 inline-flex items-center justify-center cursor-pointer">
+          <Upload className="w-4 h-4 mr-2" />
+          Upload
+          <input type="file" accept="image/*" disabled={busy} onChange={handleFile} className="hidden" />
+        </label>
+      </div>
+
+      {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+    </div>
+  )
+}
@@ -3,12 +3,17 @@ import FormField from '../FormFields/FormField'
 import SelectField from '../FormFields/SelectField'
 import AddressAutocomplete from '../AddressAutocomplete'
 import { US_STATES, MARITAL_STATUSES } from '../../utils/constants'
+import { useTranslation } from '../../contexts/LanguageContext'
 
 export default function StepIndemnitor() {
+  const { t } = useTranslation()
   const { register, formState: { errors }, watch, setValue } = useFormContext()
   const ownershipStatus = watch('indemnitor.ownershipStatus')
   const usCitizen = watch('indemnitor.usCitizen')
   const address = watch('indemnitor.address')
+  const coSigner = watch('coSigner')
+  const additionalDefendants = watch('additionalDefendants')
+  const defendant = watch('defendant')
   
   // Handle address selection from autocomplete
   const handleAddressSelect = (addressData) => {
@@ -22,30 +27,50 @@ export default function StepIndemnitor() {
   
   return (
     <div className="space-y-6">
+      {/* More than one co-signer - everyone fills in their own section */}
+      {coSigner?.total > 1 && (
+        <div className="bg-indigo-50 border border-indigo-100 rounded-lg p-4 text-sm text-indigo-800">
+          <p className="font-medium">
+            {t('indemnitor.coSignerOf', { position: coSigner.position, total: coSigner.total })}
+          </p>
+          <p>{t('indemnitor.ownSection')}</p>
+        </div>
+      )}
+      
+      {additionalDefendants?.length > 0 && (
+        <p className="text-sm text-gray-600">
+          {t('indemnitor.coSigningFor', {
+            names: [defendant, ...additionalDefendants]
+              .map((d) => `${d?.firstName || ''} ${d?.lastName || ''}`.trim())
+              .join(', '),
+          })}
+        </p>
+      )}
+      
       {/* Personal Information */}
       <section className="form-section">
-        <h2 className="section-title">Your Personal Information</h2>
+        <h2 className="section-title">{t('indemnitor.personalInfo')}</h2>
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           <FormField
-            label="Nickname (Friends/Family Know Me As)"
+            label={t('indemnitor.nickname')}
             name="indemnitor.nickname"
             {...register('indemnitor.nickname')}
           />
           
           <FormField
-            label="Date of Birth"
+            label={t('fields.dob')}
             name="indemnitor.dob"
             type="date"
             required
             error={errors.indemnitor?.dob}
-            {...register('indemnitor.dob', { required: 'Date of birth is required' })}
+            {...register('indemnitor.dob', { required: t('validation.dobRequired') })}
           />
         </div>
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
           <FormField
-            label="Social Security Number"
+            label={t('fields.ssn')}
             name="indemnitor.ssn"
             type="password"
             placeholder="XXX-XX-XXXX"
@@ -53,7 +78,7 @@ export default function StepIndemnitor() {
           />
           
           <FormField
-            label="Birth Place"
+            label={t('indemnitor.birthPlace')}
             name="indemnitor.birthPlace"
             {...register('indemnitor.birthPlace')}
           />
@@ -61,13 +86,13 @@ export default function StepIndemnitor() {
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
           <FormField
-            label="Driver's License / ID Number"
+            label={t('fields.driversLicense')}
             name="indemnitor.driversLicense"
             {...register('indemnitor.driversLicense')}
           />
           
           <SelectField
-            label="State Issued"
+            label={t('fields.dlState')}
             name="indemnitor.dlState"
             options={US_STATES}
             {...register('indemnitor.dlState')}
@@ -76,7 +101,7 @@ export default function StepIndemnitor() {
         
         {/* Gender */}
         <div className="mt-4">
-          <label className="label">Gender</label>
+          <label className="label">{t('indemnitor.gender')}</label>
           <div className="flex gap-4">
             <label className="flex items-center gap-2">
               <input
@@ -85,7 +110,7 @@ export default function StepIndemnitor() {
                 className="w-4 h-4 text-brand-600"
                 {...register('indemnitor.gender')}
               />
-              <span>Male</span>
+              <span>{t('indemnitor.male')}</span>
             </label>
             <label className="flex items-center gap-2">
               <input
@@ -94,14 +119,14 @@ export default function StepIndemnitor() {
                 className="w-4 h-4 text-brand-600"
                 {...register('indemnitor.gender')}
               />
-              <span>Female</span>
+              <span>{t('indemnitor.female')}</span>
             </label>
           </div>
         </div>
         
         {/* US Citizen */}
         <div className="mt-4">
-          <label className="label">Are you a U.S. Citizen?</label>
+          <label className="label">{t('indemnitor.usCitizen')}</label>
           <div className="flex gap-4">
             <label className="flex items-center gap-2">
               <input
@@ -110,7 +135,7 @@ export default function StepIndemnitor() {
                 className="w-4 h-4 text-brand-600"
                 {...register('indemnitor.usCitizen')}
               />
-              <span>Yes</span>
+              <span>{t('common.yes')}</span>
             </label>
             <label className="flex items-center gap-2">
               <input
@@ -119,7 +144,7 @@ export default function StepIndemnitor() {
                 className="w-4 h-4 text-brand-600"
                 {...register('indemnitor.usCitizen')}
               />
-              <span>No</span>
+              <span>{t('common.no')}</span>
             </label>
           </div>
         </div>
@@ -127,13 +152,13 @@ export default function StepIndemnitor() {
         {usCitizen === 'false' && (
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
             <FormField
-              label="Alien Number"
+              label={t('indemnitor.alienNumber')}
               name="indemnitor.alienNumber"
               {...register('indemnitor.alienNumber')}
             />
             
             <FormField
-              label="How Long in US?"
+              label={t('indemnitor.yearsInUS')}
               name="indemnitor.yearsInUS"
               {...register('indemnitor.yearsInUS')}
             />
@@ -143,46 +168,46 @@ export default function StepIndemnitor() {
       
       {/* Current Address */}
       <section className="form-section">
-        <h2 className="section-title">Your Current Address</h2>
+        <h2 className="section-title">{t('indemnitor.currentAddress')}</h2>
         
         <AddressAutocomplete
-          label="Street Address"
+          label={t('fields.streetAddress')}
           value={address}
           onChange={(value) => setValue('indemnitor.address', value)}
           onAddressSelect={handleAddressSelect}
           required
           error={errors.indemnitor?.address?.message}
-          placeholder="Start typing your address..."
+          placeholder={t('indemnitor.addressPlaceholder')}
         />
         
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
           <div className="col-span-2">
             <FormField
-              label="City"
+              label={t('fields.city')}
               name="indemnitor.city"
               required
-              {...register('indemnitor.city', { required: 'City is required' })}
+              {...register('indemnitor.city', { required: t('validation.cityRequired') })}
             />
           </div>
           
           <SelectField
-            label="State"
+            label={t('fields.state')}
             name="indemnitor.state"
             options={US_STATES}
             required
-            {...register('indemnitor.state', { required: 'State is required' })}
+            {...register('indemnitor.state', { required: t('validation.stateRequired') })}
           />
           
           <FormField
-            label="ZIP Code"
+            label={t('fields.zip')}
             name="indemnitor.zip"
             required
-            {...register('indemnitor.zip', { required: 'ZIP is required' })}
+            {...register('indemnitor.zip', { required: t('validation.zipRequired') })}
           />
         </div>
         
         <div className="mt-4">
-          <label className="label">Do you own or rent?</label>
+          <label className="label">{t('indemnitor.ownOrRent')}</label>
           <div className="flex gap-4">
             <label className="flex items-center gap-2">
               <input
@@ -191,7 +216,7 @@ export default function StepIndemnitor() {
                 className="w-4 h-4 text-brand-600"
                 {...register('indemnitor.ownershipStatus')}
               />
-              <span>Own</span>
+              <span>{t('indemnitor.own')}</span>
             </label>
             <label className="flex items-center gap-2">
               <input
@@ -200,7 +225,7 @@ export default function StepIndemnitor() {
                 className="w-4 h-4 text-brand-600"
                 {...register('indemnitor.ownershipStatus')}
               />
-              <span>Rent</span>
+              <span>{t('indemnitor.rent')}</span>
             </label>
           </div>
         </div>
@@ -208,13 +233,13 @@ export default function StepIndemnitor() {
         {ownershipStatus === 'Rent' && (
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
             <FormField
-              label="Landlord Name"
+              label={t('indemnitor.landlordName')}
               name="indemnitor.landlordName"
               {...register('indemnitor.landlordName')}
             />
             
             <FormField
-              label="Landlord Phone"
+              label={t('indemnitor.landlordPhone')}
               name="indemnitor.landlordPhone"
               type="tel"
               {...register('indemnitor.landlordPhone')}
@@ -224,16 +249,16 @@ export default function StepIndemnitor() {
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
           <FormField
-            label="How Long at This Address?"
+            label={t('fields.addressDuration')}
             name="indemnitor.addressDuration"
-            placeholder="e.g., 2 years"
+            placeholder={t('fields.durationPlaceholder')}
             {...register('indemnitor.addressDuration')}
           />
           
           <SelectField
-            label="Marital Status"
+            label={t('indemnitor.maritalStatus')}
             name="indemnitor.maritalStatus"
-            options={MARITAL_STATUSES}
+            options={MARITAL_STATUSES.map((status) => ({ value: status, label: t(`maritalStatuses.${status}`) }))}
             {...register('indemnitor.maritalStatus')}
           />
         </div>
@@ -241,17 +266,17 @@ export default function StepIndemnitor() {
       
       {/* Employment */}
       <section className="form-section">
-        <h2 className="section-title">Your Employment</h2>
+        <h2 className="section-title">{t('indemnitor.employment')}</h2>
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           <FormField
-            label="Employer"
+            label={t('fields.employer')}
             name="indemnitor.employer"
             {...register('indemnitor.employer')}
           />
           
           <FormField
-            label="Position"
+            label={t('indemnitor.position')}
             name="indemnitor.position"
             {...register('indemnitor.position')}
           />
@@ -259,13 +284,13 @@ export default function StepIndemnitor() {
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
           <FormField
-            label="Supervisor's Name"
+            label={t('indemnitor.supervisorName')}
             name="indemnitor.supervisorName"
             {...register('indemnitor.supervisorName')}
           />
           
           <FormField
-            label="Work Phone"
+            label={t('indemnitor.workPhone')}
             name="indemnitor.workPhone"
             type="tel"
             {...register('indemnitor.workPhone')}
@@ -274,13 +299,13 @@ export default function StepIndemnitor() {
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
           <FormField
-            label="How Long Employed?"
+            label={t('fields.employmentDuration')}
             name="indemnitor.employmentDuration"
             {...register('indemnitor.employmentDuration')}
           />
           
           <FormField
-            label="Monthly Income"
+            label={t('fields.monthlyIncome')}
             name="indemnitor.monthlyIncome"
             type="number"
             placeholder="$"
@@ -291,14 +316,14 @@ export default function StepIndemnitor() {
       
       {/* Financial (Optional) */}
       <section className="form-section">
-        <h2 className="section-title">Financial Information (Optional)</h2>
+        <h2 className="section-title">{t('indemnitor.financial')}</h2>
         <p className="text-sm text-gray-500 mb-4">
-          This information helps determine bond eligibility.
+          {t('indemnitor.financialHint')}
         </p>
         
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           <FormField
-            label="Cash on Hand"
+            label={t('indemnitor.cashOnHand')}
             name="indemnitor.cashOnHand"
             type="number"
             placeholder="$"
@@ -306,7 +331,7 @@ export default function StepIndemnitor() {
           />
           
           <FormField
-            label="Cash in Bank"
+            label={t('indemnitor.cashInBank')}
             name="indemnitor.cashInBank"
             type="number"
             placeholder="$"
@@ -314,7 +339,7 @@ export default function StepIndemnitor() {
           />
           
           <FormField
-            label="Monthly Salary"
+            label={t('indemnitor.monthlySalary')}
             name="indemnitor.monthlySalary"
             type="number"
             placeholder="$"
@@ -324,7 +349,7 @@ export default function StepIndemnitor() {
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
           <FormField
-            label="Real Estate Value"
+            label={t('indemnitor.realEstateValue')}
             name="indemnitor.realEstateValue"
             type="number"
             placeholder="$"
@@ -332,7 +357,7 @@ export default function StepIndemnitor() {
           />
           
           <FormField
-            label="Real Estate Mortgage Owed"
+            label={t('indemnitor.realEstateMortgage')}
             name="indemnitor.realEstateMortgage"
             type="number"
             placeholder="$"
@@ -343,29 +368,29 @@ export default function StepIndemnitor() {
       
       {/* Vehicle (Optional) */}
       <section className="form-section">
-        <h2 className="section-title">Vehicle Information (Optional)</h2>
+        <h2 className="section-title">{t('indemnitor.vehicle')}</h2>
         
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
           <FormField
-            label="Year"
+            label={t('indemnitor.vehicleYear')}
             name="indemnitor.vehicleYear"
             {...register('indemnitor.vehicleYear')}
           />
           
           <FormField
-            label="Make"
+            label={t('indemnitor.vehicleMake')}
             name="indemnitor.vehicleMake"
             {...register('indemnitor.vehicleMake')}
           />
           
           <FormField
-            label="Model"
+            label={t('indemnitor.vehicleModel')}
             name="indemnitor.vehicleModel"
             {...register('indemnitor.vehicleModel')}
           />
           
           <FormField
-            label="Color"
+            label={t('indemnitor.vehicleColor')}
             name="indemnitor.vehicleColor"
             {...register('indemnitor.vehicleColor')}
           />
@@ -373,20 +398,20 @@ export default function StepIndemnitor() {
         
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
           <FormField
-            label="License Plate"
+            label={t('indemnitor.vehiclePlate')}
             name="indemnitor.vehiclePlate"
             {...register('indemnitor.vehiclePlate')}
           />
           
           <SelectField
-            label="Plate State"
+            label={t('indemnitor.vehicleState')}
             name="indemnitor.vehicleState"
             options={US_STATES}
             {...register('indemnitor.vehicleState')}
           />
           
           <FormField
-            label="Balance Owed"
+            label={t('indemnitor.vehicleBalanceOwed')}
             name="indemnitor.vehicleBalanceOwed"
             type="number"
             placeholder="$"
@@ -1,7 +1,10 @@
 import { Check } from 'lucide-react'
 import clsx from 'clsx'
+import { useTranslation } from '../../contexts/LanguageContext'
 
 export default function StepIndicator({ steps, currentStep }) {
+  const { t } = useTranslation()
+  
   return (
     <div className="flex items-center justify-between overflow-x-auto pb-2">
       {steps.map((step, index) => (
@@ -28,7 +31,7 @@ export default function StepIndicator({ steps, currentStep }) {
                 index === currentStep ? 'text-brand-600 font-medium' : 'text-gray-400'
               )}
             >
-              {step.title}
+              {t(`steps.${step.id}`, { defaultValue: step.title })}
             </span>
           </div>
           
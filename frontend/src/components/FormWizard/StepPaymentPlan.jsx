@@ -0,0 +1,82 @@
+import { useFormContext, Controller } from 'react-hook-form'
+import { CreditCard } from 'lucide-react'
+import PaymentSchedule from '../PaymentSchedule'
+import { formatCents, getFrequencyLabel } from '../../utils/payments'
+
+// Shown when the agent set a premium payment plan - accepting it here, then
+// signing the Payment Plan Agreement, is what the co-signer commits to
+export default function StepPaymentPlan() {
+  const { control, watch, formState: { errors } } = useFormContext()
+  const paymentPlan = watch('paymentPlan')
+  
+  if (!paymentPlan) return null
+  
+  const remainingCents = paymentPlan.totalCents - paymentPlan.downPaymentCents
+  
+  return (
+    <div className="space-y-6">
+      <section className="form-section">
+        <h2 className="section-title flex items-center gap-2">
+          <CreditCard className="w-5 h-5" />
+          Premium Payment Plan
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Your bail bond agent has set up the following plan for paying the bond premium.
+          Please review it - you will sign a Payment Plan Agreement with the rest of your documents.
+        </p>
+        
+        <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm border rounded-lg p-4 mb-4">
+          <dt className="text-gray-500">Total Premium</dt>
+          <dd className="font-medium">{formatCents(paymentPlan.totalCents)}</dd>
+          
+          <dt className="text-gray-500">Down Payment</dt>
+          <dd className="font-medium">{formatCents(paymentPlan.downPaymentCents)}</dd>
+          
+          {paymentPlan.installmentCount > 0 && (
+            <>
+              <dt className="text-gray-500">Remaining</dt>
+              <dd className="font-medium">
+                {formatCents(remainingCents)} in {paymentPlan.installmentCount} {getFrequencyLabel(paymentPlan.frequency)} payment{paymentPlan.installmentCount > 1 ? 's' : ''}
+              </dd>
+            </>
+          )}
+        </dl>
+        
+        <div className="border rounded-lg p-4 mb-4">
+          <h3 className="font-medium text-gray-900 mb-2">Payment Schedule</h3>
+          <PaymentSchedule installments={paymentPlan.installments || []} />
+        </div>
+        
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-4 text-sm text-amber-800">
+          The premium is fully earned when the bond is posted and is <strong>non-refundable</strong>.
+          If a payment is missed, the full remaining balance may become due immediately.
+          {paymentPlan.downPaymentCents > 0 && ' You can pay the down payment online once you have signed.'}
+        </div>
+        
+        <Controller
+          name="paymentPlanAcceptance"
+          control={control}
+          render={({ field }) => (
+            <label className="flex items-start gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={field.value?.accepted || false}
+                onChange={(e) => field.onChange(e.target.checked
+                  ? { accepted: true, acceptedAt: new Date().toISOString() }
+                  : null
+                )}
+                className="mt-1 w-5 h-5 text-blue-600 rounded"
+              />
+              <span className="text-sm text-gray-700">
+                <strong>I accept</strong> this payment plan and agree to pay {formatCents(paymentPlan.totalCents)} on the schedule above.
+              </span>
+            </label>
+          )}
+        />
+        {errors.paymentPlanAcceptance && (
+          <p className="text-red-500 text-sm mt-1">{errors.paymentPlanAcceptance.message}</p>
+        )}
+      </section>
+    </div>
+  )
+}
@@ -1,11 +1,13 @@
 import { useFormContext } from 'react-hook-form'
 import { CheckCircle, AlertCircle } from 'lucide-react'
+import { getCollateralTypeLabel, formatCollateralValue, getCollateralTotal } from '../../utils/collateral'
 
 export default function StepReview() {
   const { watch } = useFormContext()
   const formData = watch()
   
-  const { defendant, indemnitor, references } = formData
+  const { defendant, indemnitor, references, collateral, idDocuments } = formData
+  const idSides = (idDocuments || []).filter(doc => doc.subject === 'indemnitor').map(doc => doc.side)
   
   return (
     <div className="space-y-6">
@@ -88,6 +90,17 @@ export default function StepReview() {
                 <dd className="font-medium">{indemnitor.employer}</dd>
               </>
             )}
+            
+            {idDocuments && (
+              <>
+                <dt className="text-gray-500">Photo ID</dt>
+                <dd className="font-medium">
+                  {idSides.length === 2 ? 'Front and back uploaded'
+                    : idSides.length === 1 ? `${idSides[0] === 'front' ? 'Front' : 'Back'} uploaded`
+                    : 'Not provided'}
+                </dd>
+              </>
+            )}
           </dl>
         </div>
         
@@ -108,6 +121,30 @@ export default function StepReview() {
           </div>
         </div>
         
+        {/* Collateral Summary */}
+        {collateral?.length > 0 && (
+          <div className="border rounded-lg p-4 mb-4">
+            <h3 className="font-semibold text-gray-900 mb-3 flex items-center gap-2">
+              <CheckCircle className="w-5 h-5 text-green-500" />
+              Collateral ({formatCollateralValue(getCollateralTotal(collateral))})
+            </h3>
+            <div className="space-y-3">
+              {collateral.map((item) => (
+                <div key={item.id} className="text-sm border-b pb-2 last:border-0">
+                  <span className="font-medium">{getCollateralTypeLabel(item.type)}</span>
+                  <span className="text-gray-500"> - {formatCollateralValue(item.estimatedValue)}</span>
+                  <div className="text-gray-500">{item.description}</div>
+                  {item.documents?.length > 0 && (
+                    <div className="text-xs text-gray-400">
+                      {item.documents.length} file{item.documents.length === 1 ? '' : 's'} attached
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+        
         {/* Important Notice */}
         <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
           <div className="flex items-start gap-3">
@@ -129,6 +166,7 @@ export default function StepReview() {
 
 function formatDate(dateStr) {
   if (!dateStr) return 'Not provided'
+  if (dateStr.includes('*')) return dateStr // Masked by the server
   const date = new Date(dateStr)
   return date.toLocaleDateString('en-US', {
     month: 'long',
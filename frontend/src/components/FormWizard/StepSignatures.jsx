@@ -3,6 +3,10 @@ import { useFormContext, Controller } from 'react-hook-form'
 import SignatureCanvas from 'react-signature-canvas'
 import { Trash2, Check, ChevronDown, ChevronUp, FileText, Eye, ExternalLink } from 'lucide-react'
 import clsx from 'clsx'
+import PaymentSchedule from '../PaymentSchedule'
+import { formatCents } from '../../utils/payments'
+import { getCollateralTypeLabel, formatCollateralValue, getCollateralTotal } from '../../utils/collateral'
+import { useTranslation } from '../../contexts/LanguageContext'
 
 // Form definitions with their required signatures
 const FORMS = [
@@ -49,6 +53,28 @@ const FORMS = [
   }
 ]
 
+// Only signed when the agent set a premium payment plan
+const PAYMENT_PLAN_FORM = {
+  id: 'paymentPlan',
+  name: 'Premium Payment Plan Agreement',
+  description: 'Your down payment and installment schedule',
+  signatures: [
+    { id: 'coSigner', label: 'Co-Signer Signature', required: true }
+  ]
+}
+
+const COLLATERAL_RECEIPT_FORM = {
+  id: 'collateralReceipt',
+  name: 'Collateral Receipt',
+  description: 'The collateral you are pledging for the bond',
+  signatures: [
+    { id: 'coSigner', label: 'Co-Signer Signature', required: true }
+  ]
+}
+
+// Keep in step with ESIGN_DISCLOSURE_VERSION in the backend's signatureEvidenceService
+const ESIGN_DISCLOSURE_VERSION = '2026-10-01'
+
 // API endpoint mapping for form previews
 const FORM_TYPE_MAP = {
   preApplication: 'pre-application',
@@ -59,13 +85,40 @@ const FORM_TYPE_MAP = {
 }
 
 export default function StepSignatures() {
-  const { control, watch, getValues, formState: { errors } } = useFormContext()
+  const { control, watch, getValues, setValue, formState: { errors } } = useFormContext()
+  const { language, t } = useTranslation()
+  const paymentPlan = watch('paymentPlan')
+  const collateral = watch('collateral')
+  
+  // Names, descriptions and signature labels in the wizard's language - the ids stay the same
+  const localizeForm = (form) => ({
+    ...form,
+    name: t(`signatures.forms.${form.id}.name`, { defaultValue: form.name }),
+    description: t(`signatures.forms.${form.id}.description`, { defaultValue: form.description }),
+    signatures: form.signatures.map((sig) => ({
+      ...sig,
+      label: t(`signatures.roles.${sig.id}`, { defaultValue: sig.label }),
+      hint: sig.hint && t(`signatures.hints.${sig.id}`, { defaultValue: sig.hint }),
+    })),
+  })
+  const forms = [
+    ...FORMS,
+    ...(paymentPlan ? [PAYMENT_PLAN_FORM] : []),
+    ...(collateral?.length > 0 ? [COLLATERAL_RECEIPT_FORM] : []),
+  ].map(localizeForm)
   const [expandedForm, setExpandedForm] = useState(FORMS[0].id)
   const [readConfirmations, setReadConfirmations] = useState({})
   const [, forceUpdate] = useState(0) // Force re-render trigger
   
   const defendant = watch('defendant')
   const indemnitor = watch('indemnitor')
+  const esignConsent = watch('esignConsent')
+  const coSigner = watch('coSigner')
+  const additionalDefendants = watch('additionalDefendants')
+  
+  // Additional co-signers sign their own copies - the defendant signs the primary co-signer's
+  const isAdditionalCoSigner = coSigner?.position > 1
+  const getFormSignatures = (form) => form.signatures.filter(sig => !(isAdditionalCoSigner && sig.id === 'defendant'))
   
   // Watch each required signature field individually for proper reactivity
   const sig1 = watch('signatures.preApplication_coSigner')
@@ -73,6 +126,8 @@ export default function StepSignatures() {
   const sig3 = watch('signatures.immigrationWaiver_coSigner')
   const sig4 = watch('signatures.indemnitorApplication_indemnitor')
   const sig5 = watch('signatures.immigrationBondAgreement_indemnitor')
+  const sig6 = watch('signatures.paymentPlan_coSigner')
+  const sig7 = watch('signatures.collateralReceipt_coSigner')
   
   // Build signatures object from watched values
   const watchedSignatures = {
@@ -80,7 +135,9 @@ export default function StepSignatures() {
     referenceForm_applicant: sig2,
     immigrationWaiver_coSigner: sig3,
     indemnitorApplication_indemnitor: sig4,
-    immigrationBondAgreement_indemnitor: sig5
+    immigrationBondAgreement_indemnitor: sig5,
+    paymentPlan_coSigner: sig6,
+    collateralReceipt_coSigner: sig7
   }
   
   // Check if a signature is valid
@@ -100,46 +157,54 @@ export default function StepSignatures() {
   
   // Calculate completed forms directly from watched signatures
   const completedForms = {}
-  FORMS.forEach(form => {
+  forms.forEach(form => {
     completedForms[form.id] = isFormComplete(form)
   })
   
   // Count completed forms
   const completedCount = Object.values(completedForms).filter(Boolean).length
-  const totalForms = FORMS.length
+  const totalForms = forms.length
   
   // Get signer name based on signature type
   const getSignerName = (sigId) => {
     if (sigId.includes('defendant')) {
-      return `${defendant?.firstName || ''} ${defendant?.lastName || ''}`.trim() || 'Defendant'
+      return `${defendant?.firstName || ''} ${defendant?.lastName || ''}`.trim() || t('signatures.defendantFallback')
     }
-    return `${indemnitor?.firstName || ''} ${indemnitor?.lastName || ''}`.trim() || 'Indemnitor/Co-Signer'
+    return `${indemnitor?.firstName || ''} ${indemnitor?.lastName || ''}`.trim() || t('signatures.indemnitorFallback')
   }
   
-  // Handle read confirmation toggle
+  // Handle read confirmation toggle - remembers when it was confirmed for the signature evidence
   const toggleReadConfirmation = (formId) => {
     setReadConfirmations(prev => ({
       ...prev,
-      [formId]: !prev[formId]
+      [formId]: prev[formId] ? null : new Date().toISOString()
     }))
   }
 
   return (
     <div className="space-y-6">
       <section className="form-section">
-        <h2 className="section-title">Review & Sign Your Documents</h2>
+        <h2 className="section-title">{t('signatures.title')}</h2>
         <p className="text-sm text-gray-500 mb-4">
-          Please carefully read each document below before signing. You must review and sign all required documents to complete your application.
+          {t('signatures.intro')}
         </p>
         
+        {(coSigner?.total > 1 || additionalDefendants?.length > 0) && (
+          <p className="text-sm text-gray-600 mb-4">
+            {coSigner?.total > 1 && t('signatures.ownCopy')}
+            {additionalDefendants?.length > 0 &&
+              t('signatures.perDefendant', { count: additionalDefendants.length + 1 })}
+          </p>
+        )}
+        
         {/* Progress indicator */}
         <div className="bg-blue-50 rounded-lg p-4 mb-6">
           <div className="flex items-center justify-between mb-2">
             <span className="text-sm font-medium text-blue-900">
-              Documents Signed: {completedCount} of {totalForms}
+              {t('signatures.progress', { completed: completedCount, total: totalForms })}
             </span>
             <span className="text-sm text-blue-700">
-              {Math.round((completedCount / totalForms) * 100)}% Complete
+              {t('signatures.percentComplete', { percent: Math.round((completedCount / totalForms) * 100) })}
             </span>
           </div>
           <div className="w-full bg-blue-200 rounded-full h-2">
@@ -150,26 +215,67 @@ export default function StepSignatures() {
           </div>
         </div>
         
+        {/* Consent to electronic records (ESIGN Act / UETA) */}
+        <Controller
+          name="esignConsent"
+          control={control}
+          render={({ field }) => (
+            <div className="border border-gray-200 rounded-lg p-4 mb-6">
+              <h3 className="font-medium text-gray-900 mb-2">{t('signatures.consentTitle')}</h3>
+              <div className="text-sm text-gray-600 space-y-2 mb-3">
+                <p>{t('signatures.consentIntro')}</p>
+                <ul className="list-disc pl-5 space-y-1">
+                  <li>{t('signatures.consentPaperCopies')}</li>
+                  <li>{t('signatures.consentWithdraw')}</li>
+                  <li>{t('signatures.consentRequirements')}</li>
+                  <li>{t('signatures.consentCopies')}</li>
+                </ul>
+              </div>
+              <label className="flex items-start gap-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={field.value?.accepted || false}
+                  onChange={(e) => field.onChange(e.target.checked
+                    ? { accepted: true, acceptedAt: new Date().toISOString(), disclosureVersion: ESIGN_DISCLOSURE_VERSION, language }
+                    : null
+                  )}
+                  className="mt-1 w-5 h-5 text-blue-600 rounded"
+                />
+                <span className="text-sm text-gray-700">
+                  <strong>{t('signatures.consentAgree')}</strong> {t('signatures.consentAgreeRest')}
+                </span>
+              </label>
+              {errors.esignConsent && (
+                <p className="text-red-500 text-sm mt-1">{errors.esignConsent.message}</p>
+              )}
+            </div>
+          )}
+        />
+        
         {/* Forms accordion */}
         <div className="space-y-3">
-          {FORMS.map((form, index) => (
+          {forms.map((form, index) => (
             <FormAccordionItem
               key={form.id}
-              form={form}
+              form={{ ...form, signatures: getFormSignatures(form) }}
               index={index}
               isExpanded={expandedForm === form.id}
               isComplete={completedForms[form.id]}
-              hasReadConfirmation={readConfirmations[form.id]}
+              readConfirmedAt={readConfirmations[form.id]}
+              hasConsent={esignConsent?.accepted || false}
               onToggleExpand={() => setExpandedForm(expandedForm === form.id ? null : form.id)}
               onToggleReadConfirmation={() => toggleReadConfirmation(form.id)}
-              onNextForm={() => index < FORMS.length - 1 && setExpandedForm(FORMS[index + 1].id)}
+              onNextForm={() => index < forms.length - 1 && setExpandedForm(forms[index + 1].id)}
               getSignerName={getSignerName}
               defendant={defendant}
               indemnitor={indemnitor}
+              paymentPlan={paymentPlan}
+              collateral={collateral}
               control={control}
+              setValue={setValue}
               errors={errors}
               signatures={watchedSignatures}
-              isLastForm={index === FORMS.length - 1}
+              isLastForm={index === forms.length - 1}
             />
           ))}
         </div>
@@ -180,12 +286,12 @@ export default function StepSignatures() {
           {completedCount < totalForms && (
             <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
               <p className="text-sm text-red-800">
-                <strong>⚠️ Required:</strong> You must sign ALL {totalForms} documents before submitting. 
-                You have {totalForms - completedCount} document{totalForms - completedCount > 1 ? 's' : ''} remaining.
+                <strong>{t('signatures.required')}</strong>{' '}
+                {t('signatures.mustSignAll', { total: totalForms, count: totalForms - completedCount })}
               </p>
               <ul className="mt-2 text-sm text-red-700 list-disc pl-5">
-                {FORMS.filter(form => !completedForms[form.id]).map(form => (
-                  <li key={form.id}>{form.name} - Not signed</li>
+                {forms.filter(form => !completedForms[form.id]).map(form => (
+                  <li key={form.id}>{t('signatures.notSigned', { name: form.name })}</li>
                 ))}
               </ul>
             </div>
@@ -193,8 +299,7 @@ export default function StepSignatures() {
           
           <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-4">
             <p className="text-sm text-amber-800">
-              <strong>Important:</strong> By signing these documents, you are entering into a legally binding agreement. 
-              Please ensure all information is accurate before submitting.
+              <strong>{t('signatures.important')}</strong> {t('signatures.legallyBinding')}
             </p>
           </div>
           
@@ -202,10 +307,10 @@ export default function StepSignatures() {
             name="finalAgreement"
             control={control}
             rules={{ 
-              required: 'You must agree to the terms to continue',
+              required: t('signatures.finalAgreementRequired'),
               validate: () => {
                 if (completedCount < totalForms) {
-                  return `You must sign all ${totalForms} documents before submitting`
+                  return t('signatures.signAllRequired', { total: totalForms })
                 }
                 return true
               }
@@ -223,8 +328,7 @@ export default function StepSignatures() {
                   disabled={completedCount < totalForms}
                 />
                 <span className="text-sm text-gray-700">
-                  I have read, understand, and agree to all documents above. I certify that all information provided is true and correct, 
-                  and I agree to be bound by the terms and conditions stated in each document.
+                  {t('signatures.finalAgreement')}
                 </span>
               </label>
             )}
@@ -244,19 +348,24 @@ function FormAccordionItem({
   index,
   isExpanded,
   isComplete,
-  hasReadConfirmation,
+  readConfirmedAt,
+  hasConsent,
   onToggleExpand,
   onToggleReadConfirmation,
   onNextForm,
   getSignerName,
   defendant,
   indemnitor,
+  paymentPlan,
+  collateral,
   control,
+  setValue,
   errors,
   signatures,
   isLastForm
 }) {
   const [showFullForm, setShowFullForm] = useState(false)
+  const { language, t } = useTranslation()
   
   return (
     <div 
@@ -289,7 +398,7 @@ function FormAccordionItem({
         <div className="flex items-center gap-2">
           {isComplete && (
             <span className="text-xs bg-green-100 text-green-700 px-2 py-1 rounded-full">
-              ✓ Signed
+              {t('signatures.signed')}
             </span>
           )}
           {isExpanded ? (
@@ -309,7 +418,7 @@ function FormAccordionItem({
             <div className="flex items-center justify-between mb-3">
               <div className="flex items-center gap-2 text-gray-700">
                 <FileText className="w-5 h-5" />
-                <span className="font-medium">Document to Review</span>
+                <span className="font-medium">{t('signatures.documentToReview')}</span>
               </div>
               <button
                 type="button"
@@ -317,16 +426,23 @@ function FormAccordionItem({
                 className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
               >
                 <Eye className="w-4 h-4" />
-                {showFullForm ? 'Hide Full Document' : 'View Full Document'}
+                {showFullForm ? t('signatures.hideFull') : t('signatures.viewFull')}
               </button>
             </div>
             
+            {/* The legal text is English - a company's translation is added to the signed copy */}
+            {language !== 'en' && (
+              <p className="text-xs text-gray-500 mb-2">{t('signatures.englishOnly')}</p>
+            )}
+            
             {/* Full Form Preview (iframe or embedded HTML) */}
             {showFullForm ? (
               <FormPreviewFull 
                 formId={form.id} 
                 defendant={defendant} 
                 indemnitor={indemnitor}
+                paymentPlan={paymentPlan}
+                collateral={collateral}
                 signatures={signatures}
               />
             ) : (
@@ -334,6 +450,8 @@ function FormAccordionItem({
                 formId={form.id} 
                 defendant={defendant} 
                 indemnitor={indemnitor} 
+                paymentPlan={paymentPlan}
+                collateral={collateral}
               />
             )}
           </div>
@@ -343,22 +461,22 @@ function FormAccordionItem({
             <label className="flex items-start gap-3 cursor-pointer">
               <input
                 type="checkbox"
-                checked={hasReadConfirmation || false}
+                checked={Boolean(readConfirmedAt)}
                 onChange={onToggleReadConfirmation}
                 className="mt-1 w-5 h-5 text-yellow-600 rounded border-yellow-400"
               />
               <span className="text-sm text-yellow-800">
-                <strong>I confirm</strong> that I have read and understand the terms, conditions, and obligations outlined in the "{form.name}" document above.
+                <strong>{t('signatures.confirmRead')}</strong> {t('signatures.confirmReadRest', { name: form.name })}
               </span>
             </label>
           </div>
           
-          {/* Signatures for this form - only show if read confirmation is checked */}
-          {hasReadConfirmation ? (
+          {/* Signatures for this form - only show once consent is given and read confirmation is checked */}
+          {hasConsent && readConfirmedAt ? (
             <div className="space-y-4">
               <h4 className="font-medium text-gray-700 flex items-center gap-2">
                 <span className="w-6 h-6 bg-blue-100 text-blue-600 rounded-full flex items-center justify-center text-xs">✍️</span>
-                Sign Below:
+                {t('signatures.signBelow')}
               </h4>
               
               {form.signatures.map((sig) => (
@@ -366,13 +484,17 @@ function FormAccordionItem({
                   key={`${form.id}_${sig.id}`}
                   name={`signatures.${form.id}_${sig.id}`}
                   control={control}
-                  rules={{ required: sig.required ? `${sig.label} is required` : false }}
+                  rules={{ required: sig.required ? t('signatures.signatureRequired', { label: sig.label }) : false }}
                   render={({ field }) => (
                     <SignaturePad
                       label={`${sig.label} - ${getSignerName(sig.id)}`}
                       required={sig.required}
                       value={field.value}
                       onChange={field.onChange}
+                      onCapture={(timing) => setValue(
+                        `signatureEvidence.${form.id}_${sig.id}`,
+                        timing && { ...timing, readConfirmedAt }
+                      )}
                       error={errors.signatures?.[`${form.id}_${sig.id}`]}
                       hint={sig.hint}
                     />
@@ -387,19 +509,23 @@ function FormAccordionItem({
                   onClick={onNextForm}
                   className="mt-4 w-full py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
                 >
-                  Continue to Next Document →
+                  {t('signatures.nextDocument')}
                 </button>
               )}
               
               {isLastForm && isComplete && (
                 <div className="mt-4 p-3 bg-green-100 border border-green-300 rounded-lg text-center">
-                  <p className="text-green-800 font-medium">✓ All documents signed! Scroll down to submit your application.</p>
+                  <p className="text-green-800 font-medium">{t('signatures.allSigned')}</p>
                 </div>
               )}
             </div>
           ) : (
             <div className="text-center py-6 text-gray-500">
-              <p className="text-sm">Please read the document and check the confirmation box above to sign.</p>
+              <p className="text-sm">
+                {hasConsent
+                  ? t('signatures.readToSign')
+                  : t('signatures.consentToSign')}
+              </p>
             </div>
           )}
         </div>
@@ -409,8 +535,9 @@ function FormAccordionItem({
 }
 
 // Full Form Preview - Shows the actual form content
-function FormPreviewFull({ formId, defendant, indemnitor, signatures }) {
+function FormPreviewFull({ formId, defendant, indemnitor, paymentPlan, collateral, signatures }) {
   const [loading, setLoading] = useState(true)
+  const { t } = useTranslation()
   
   // Get API base URL
   const apiBase = import.meta.env.VITE_API_URL || ''
@@ -422,17 +549,17 @@ function FormPreviewFull({ formId, defendant, indemnitor, signatures }) {
   return (
     <div className="border rounded-lg bg-white overflow-hidden">
       <div className="max-h-96 overflow-y-auto p-4 bg-gray-50">
-        <FormContentPreview formId={formId} defendant={defendant} indemnitor={indemnitor} />
+        <FormContentPreview formId={formId} defendant={defendant} indemnitor={indemnitor} paymentPlan={paymentPlan} collateral={collateral} />
       </div>
       <div className="p-2 bg-gray-100 border-t text-center">
-        <p className="text-xs text-gray-500">Scroll to read the complete document</p>
+        <p className="text-xs text-gray-500">{t('signatures.scrollToRead')}</p>
       </div>
     </div>
   )
 }
 
 // Form Content Preview - Actual form content for each form type
-function FormContentPreview({ formId, defendant, indemnitor }) {
+function FormContentPreview({ formId, defendant, indemnitor, paymentPlan, collateral }) {
   const defName = `${defendant?.firstName || ''} ${defendant?.lastName || ''}`.trim() || '[Defendant Name]'
   const indName = `${indemnitor?.firstName || ''} ${indemnitor?.lastName || ''}`.trim() || '[Indemnitor Name]'
   
@@ -583,6 +710,62 @@ function FormContentPreview({ formId, defendant, indemnitor }) {
           <p className="text-sm"><strong>ACKNOWLEDGMENT:</strong> By signing below, I acknowledge that I have read, understand, and agree to ALL terms and conditions stated above. I understand that this is a legally binding agreement.</p>
         </div>
       </div>
+    ),
+    
+    paymentPlan: paymentPlan && (
+      <div className="prose prose-sm max-w-none">
+        <h3 className="text-center font-bold">PREMIUM PAYMENT PLAN AGREEMENT</h3>
+        
+        <p><strong>Defendant:</strong> {defName}</p>
+        <p><strong>Co-Signer:</strong> {indName}</p>
+        <p><strong>Total Premium:</strong> {formatCents(paymentPlan.totalCents)}</p>
+        
+        <div className="not-prose my-4">
+          <PaymentSchedule installments={paymentPlan.installments || []} />
+        </div>
+        
+        <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded">
+          <h4 className="text-red-800 font-bold">TERMS:</h4>
+          <ul className="text-sm list-disc pl-5 space-y-1">
+            <li>I, <strong>{indName}</strong>, agree to pay the bail bond premium of {formatCents(paymentPlan.totalCents)} according to the schedule above.</li>
+            <li>The premium is fully earned when the bond is posted and is NON-REFUNDABLE, even if the defendant is released or the case is dismissed.</li>
+            <li>Payments are due on or before each due date. I may pay early at any time.</li>
+            <li>If a payment is missed, the full remaining balance may become due immediately.</li>
+            <li>This plan does not change my obligations under the indemnity agreement.</li>
+          </ul>
+        </div>
+      </div>
+    ),
+    
+    collateralReceipt: collateral?.length > 0 && (
+      <div className="prose prose-sm max-w-none">
+        <h3 className="text-center font-bold">COLLATERAL RECEIPT</h3>
+        
+        <p><strong>Co-Signer:</strong> {indName}</p>
+        <p><strong>Defendant:</strong> {defName}</p>
+        <p><strong>Total Estimated Value:</strong> {formatCollateralValue(getCollateralTotal(collateral))}</p>
+        
+        <ol className="text-sm">
+          {collateral.map((item) => (
+            <li key={item.id}>
+              <strong>{getCollateralTypeLabel(item.type)}</strong> ({formatCollateralValue(item.estimatedValue)}): {item.description}
+              {item.vin && <> - VIN {item.vin}</>}
+              {item.parcelNumber && <> - Parcel {item.parcelNumber}</>}
+            </li>
+          ))}
+        </ol>
+        
+        <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded">
+          <h4 className="text-red-800 font-bold">TERMS:</h4>
+          <ul className="text-sm list-disc pl-5 space-y-1">
+            <li>I, <strong>{indName}</strong>, pledge the collateral listed above as security for the bond(s) posted for {defName}.</li>
+            <li>I own the collateral, or have the owner&apos;s permission to pledge it, and it is free of other liens unless I have told the agent otherwise.</li>
+            <li>Values above are my own estimates; the Surety may have the collateral appraised.</li>
+            <li>The collateral will be returned once the bond is exonerated and all premiums and fees are paid.</li>
+            <li>If the defendant fails to appear, the Surety may use the collateral to cover its losses.</li>
+          </ul>
+        </div>
+      </div>
     )
   }
   
@@ -590,30 +773,49 @@ function FormContentPreview({ formId, defendant, indemnitor }) {
 }
 
 // Summary preview (collapsed view)
-function FormPreviewSummary({ formId, defendant, indemnitor }) {
+function FormPreviewSummary({ formId, defendant, indemnitor, paymentPlan, collateral }) {
+  const { t } = useTranslation()
   const defName = `${defendant?.firstName || ''} ${defendant?.lastName || ''}`.trim() || '[Defendant]'
   const indName = `${indemnitor?.firstName || ''} ${indemnitor?.lastName || ''}`.trim() || '[Indemnitor]'
   
+  const names = { indemnitor: indName, defendant: defName }
+  
   const summaries = {
-    preApplication: `Collects basic info for co-signer (${indName}) and defendant (${defName}). Includes authorization for record checks.`,
-    referenceForm: `Lists personal references for ${indName}. References may be contacted for verification.`,
-    immigrationWaiver: `IMPORTANT: States that ${defName} is a US citizen. If not, premium/collateral is NON-REFUNDABLE.`,
-    indemnitorApplication: `3-page agreement making ${indName} financially responsible if ${defName} fails to appear in court.`,
-    immigrationBondAgreement: `2-page legal agreement with payment terms, collateral requirements, and breach conditions.`
+    preApplication: t('signatures.summaries.preApplication', names),
+    referenceForm: t('signatures.summaries.referenceForm', names),
+    immigrationWaiver: t('signatures.summaries.immigrationWaiver', names),
+    indemnitorApplication: t('signatures.summaries.indemnitorApplication', names),
+    immigrationBondAgreement: t('signatures.summaries.immigrationBondAgreement', names),
+    paymentPlan: paymentPlan && (paymentPlan.installmentCount > 0
+      ? t('signatures.summaries.paymentPlanInstallments', {
+        ...names,
+        total: formatCents(paymentPlan.totalCents),
+        down: formatCents(paymentPlan.downPaymentCents),
+        count: paymentPlan.installmentCount,
+      })
+      : t('signatures.summaries.paymentPlanInFull', { ...names, total: formatCents(paymentPlan.totalCents) })),
+    collateralReceipt: collateral?.length > 0 &&
+      t('signatures.summaries.collateralReceipt', {
+        ...names,
+        count: collateral.length,
+        value: formatCollateralValue(getCollateralTotal(collateral)),
+      })
   }
   
   return (
     <div className="p-4 bg-gray-100 rounded-lg">
       <p className="text-sm text-gray-700">{summaries[formId]}</p>
-      <p className="text-xs text-blue-600 mt-2">Click "View Full Document" above to read complete terms before signing.</p>
+      <p className="text-xs text-blue-600 mt-2">{t('signatures.clickToView')}</p>
     </div>
   )
 }
 
 // Signature Pad Component
-function SignaturePad({ label, value, onChange, required, error, hint }) {
+function SignaturePad({ label, value, onChange, onCapture, required, error, hint }) {
   const sigCanvas = useRef(null)
+  const strokeStartedAt = useRef(null)
   const [hasSignature, setHasSignature] = useState(!!value)
+  const { t } = useTranslation()
   
   useEffect(() => {
     if (value) {
@@ -623,8 +825,16 @@ function SignaturePad({ label, value, onChange, required, error, hint }) {
   
   const clear = () => {
     sigCanvas.current?.clear()
+    strokeStartedAt.current = null
     setHasSignature(false)
     onChange(null)
+    onCapture?.(null)
+  }
+  
+  const handleBegin = () => {
+    if (!strokeStartedAt.current) {
+      strokeStartedAt.current = new Date().toISOString()
+    }
   }
   
   const handleEnd = () => {
@@ -632,6 +842,10 @@ function SignaturePad({ label, value, onChange, required, error, hint }) {
       const dataUrl = sigCanvas.current.getTrimmedCanvas().toDataURL('image/png')
       setHasSignature(true)
       onChange(dataUrl)
+      onCapture?.({
+        strokeStartedAt: strokeStartedAt.current,
+        capturedAt: new Date().toISOString(),
+      })
     }
   }
   
@@ -659,7 +873,7 @@ function SignaturePad({ label, value, onChange, required, error, hint }) {
                 type="button"
                 onClick={clear}
                 className="absolute top-2 right-2 p-2 bg-white rounded-full shadow-md hover:bg-gray-100"
-                title="Clear signature"
+                title={t('signatures.clear')}
               >
                 <Trash2 className="w-4 h-4 text-gray-600" />
               </button>
@@ -674,6 +888,7 @@ function SignaturePad({ label, value, onChange, required, error, hint }) {
                 className: 'w-full cursor-crosshair',
                 style: { height: 120 }
               }}
+              onBegin={handleBegin}
               onEnd={handleEnd}
               backgroundColor="white"
             />
@@ -682,7 +897,7 @@ function SignaturePad({ label, value, onChange, required, error, hint }) {
         
         {!hasSignature && (
           <p className="text-xs text-gray-400 mt-1 text-center">
-            ✍️ Sign above using your finger or mouse
+            {t('signatures.signHere')}
           </p>
         )}
       </div>
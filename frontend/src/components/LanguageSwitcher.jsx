@@ -0,0 +1,29 @@
+import { Globe } from 'lucide-react'
+import { useTranslation } from '../contexts/LanguageContext'
+
+// Language picker for the wizard header - `onChange` lets the page remember the
+// choice on the intake as well (see LinkCodeIntake)
+export default function LanguageSwitcher({ onChange, className = '' }) {
+  const { language, setLanguage, languages, t } = useTranslation()
+
+  const handleChange = (e) => {
+    setLanguage(e.target.value)
+    onChange?.(e.target.value)
+  }
+
+  return (
+    <label className={`inline-flex items-center gap-1 text-sm text-gray-600 ${className}`}>
+      <Globe className="w-4 h-4" />
+      <span className="sr-only">{t('common.language')}</span>
+      <select
+        value={language}
+        onChange={handleChange}
+        className="bg-transparent border border-gray-300 rounded-md py-1 pl-2 pr-7 text-sm"
+      >
+        {languages.map((option) => (
+          <option key={option.code} value={option.code}>{option.name}</option>
+        ))}
+      </select>
+    </label>
+  )
+}
@@ -0,0 +1,145 @@
+/**
+ * PaymentForm - co-signer card payment toward the premium
+ * The card is tokenized in the browser by the payment provider (Stripe.js);
+ * card numbers never reach our server. The fake provider (development only)
+ * takes any number - 4000 0000 0000 0002 is declined.
+ */
+import { useState, useEffect, useRef } from 'react'
+import axios from 'axios'
+import { CreditCard, Loader2 } from 'lucide-react'
+import { formatCents } from '../utils/payments'
+import { getIntakeHeaders } from '../utils/intakeAccess'
+
+const STRIPE_JS_URL = 'https://js.stripe.com/v3/'
+const FAKE_DECLINED_CARD = '4000000000000002'
+
+function loadStripe(publishableKey) {
+  if (window.Stripe) return Promise.resolve(window.Stripe(publishableKey))
+
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script')
+    script.src = STRIPE_JS_URL
+    script.onload = () => resolve(window.Stripe(publishableKey))
+    script.onerror = () => reject(new Error('Could not load the payment form'))
+    document.head.appendChild(script)
+  })
+}
+
+export default function PaymentForm({ linkCode, provider, defaultAmountCents, maxAmountCents, onPaid }) {
+  const [amount, setAmount] = useState((defaultAmountCents / 100).toFixed(2))
+  const [cardNumber, setCardNumber] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+  const [stripeReady, setStripeReady] = useState(false)
+
+  const cardRef = useRef(null)
+  const stripeRef = useRef(null)
+  const cardElementRef = useRef(null)
+
+  useEffect(() => {
+    if (provider.provider !== 'stripe') return
+
+    let cancelled = false
+    loadStripe(provider.publishableKey)
+      .then((stripe) => {
+        if (cancelled) return
+        stripeRef.current = stripe
+        cardElementRef.current = stripe.elements().create('card')
+        cardElementRef.current.mount(cardRef.current)
+        setStripeReady(true)
+      })
+      .catch((err) => setError(err.message))
+
+    return () => {
+      cancelled = true
+      cardElementRef.current?.destroy()
+    }
+  }, [provider])
+
+  const getPaymentToken = async () => {
+    if (provider.provider === 'fake') {
+      return cardNumber.replace(/\s/g, '') === FAKE_DECLINED_CARD ? 'fake_declined' : `fake_${Date.now()}`
+    }
+
+    const { paymentMethod, error: stripeError } = await stripeRef.current.createPaymentMethod({
+      type: 'card',
+      card: cardElementRef.current,
+    })
+    if (stripeError) throw new Error(stripeError.message)
+    return paymentMethod.id
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError(null)
+
+    const amountCents = Math.round(parseFloat(amount) * 100)
+    if (!amountCents || amountCents <= 0 || amountCents > maxAmountCents) {
+      setError(`Enter an amount between $0.01 and ${formatCents(maxAmountCents)}`)
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      const paymentToken = await getPaymentToken()
+      const res = await axios.post(`/api/intake/${linkCode}/payments`, { amountCents, paymentToken }, {
+        headers: getIntakeHeaders(linkCode),
+      })
+      setCardNumber('')
+      cardElementRef.current?.clear()
+      onPaid(res.data)
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Payment failed. Please try again.')
+    }
+    setSubmitting(false)
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+        <div className="relative">
+          <span className="absolute left-3 top-2 text-gray-500">$</span>
+          <input
+            type="number"
+            step="0.01"
+            min="0.01"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className="w-full pl-7 pr-3 py-2 border rounded-lg"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Card</label>
+        {provider.provider === 'stripe' ? (
+          <div ref={cardRef} className="px-3 py-3 border rounded-lg bg-white" />
+        ) : (
+          <>
+            <input
+              type="text"
+              inputMode="numeric"
+              value={cardNumber}
+              onChange={(e) => setCardNumber(e.target.value)}
+              placeholder="4242 4242 4242 4242"
+              className="w-full px-3 py-2 border rounded-lg"
+            />
+            <p className="text-xs text-amber-600 mt-1">Test payments - no card is charged.</p>
+          </>
+        )}
+      </div>
+
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+
+      <button
+        type="submit"
+        disabled={submitting || (provider.provider === 'stripe' && !stripeReady)}
+        className="w-full btn btn-primary flex items-center justify-center gap-2 disabled:opacity-50"
+      >
+        {submitting ? <Loader2 className="w-4 h-4 animate-spin" /> : <CreditCard className="w-4 h-4" />}
+        {submitting ? 'Processing...' : `Pay ${amount ? formatCents(Math.round(parseFloat(amount) * 100) || 0) : ''}`}
+      </button>
+    </form>
+  )
+}
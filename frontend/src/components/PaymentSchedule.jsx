@@ -0,0 +1,42 @@
+/**
+ * PaymentSchedule - a premium payment plan's down payment and installments
+ * (with what's been paid on each when `showPaid` is set)
+ */
+import clsx from 'clsx'
+import { formatCents, formatDueDate } from '../utils/payments'
+
+export default function PaymentSchedule({ installments, showPaid = false }) {
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-gray-500 border-b">
+          <th className="py-2 font-medium">Payment</th>
+          <th className="py-2 font-medium">Due</th>
+          <th className="py-2 font-medium text-right">Amount</th>
+          {showPaid && <th className="py-2 font-medium text-right">Paid</th>}
+        </tr>
+      </thead>
+      <tbody>
+        {installments.map((installment) => {
+          const paidInFull = installment.paidCents >= installment.amountCents
+          return (
+            <tr key={installment.sequence} className="border-b last:border-0">
+              <td className="py-2 text-gray-900">
+                {installment.sequence === 0 ? 'Down payment' : `Installment ${installment.sequence}`}
+              </td>
+              <td className="py-2 text-gray-600">
+                {installment.sequence === 0 ? 'At signing' : formatDueDate(installment.dueDate)}
+              </td>
+              <td className="py-2 text-right text-gray-900">{formatCents(installment.amountCents)}</td>
+              {showPaid && (
+                <td className={clsx('py-2 text-right', paidInFull ? 'text-green-600' : 'text-gray-600')}>
+                  {paidInFull ? 'Paid' : formatCents(installment.paidCents)}
+                </td>
+              )}
+            </tr>
+          )
+        })}
+      </tbody>
+    </table>
+  )
+}
@@ -0,0 +1,111 @@
+/**
+ * ResumeLink - "send me a link to finish later" for an application started on the
+ * company page. The link goes to the phone / email typed on the Basic Info step, so
+ * those are saved first (`flush` from useDraftSync).
+ */
+import { useState } from 'react'
+import axios from 'axios'
+import { useWatch } from 'react-hook-form'
+import { Send } from 'lucide-react'
+import { useTranslation } from '../contexts/LanguageContext'
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+export default function ResumeLink({ linkCode, flush }) {
+  const [open, setOpen] = useState(false)
+  const [channel, setChannel] = useState(null)
+  const [sending, setSending] = useState(false)
+  const [sentTo, setSentTo] = useState(null)
+  const [error, setError] = useState(null)
+  const { t } = useTranslation()
+
+  const [phone = '', email = ''] = useWatch({ name: ['indemnitor.cellPhone', 'indemnitor.email'] })
+
+  const destinations = {
+    ...(phone.replace(/\D/g, '').length >= 10 ? { sms: phone } : {}),
+    ...(EMAIL_PATTERN.test(email.trim()) ? { email: email.trim() } : {}),
+  }
+  const channels = Object.keys(destinations)
+  const selected = channels.includes(channel) ? channel : channels[0]
+
+  const handleSend = async () => {
+    setSending(true)
+    setError(null)
+    setSentTo(null)
+
+    try {
+      if (!(await flush())) {
+        setError(t('resumeLink.notSaved'))
+        return
+      }
+      const res = await axios.post(`/api/intake/${linkCode}/resume-link`, { channel: selected })
+      setSentTo(res.data.sentTo)
+    } catch (err) {
+      setError(err.response?.data?.error || t('resumeLink.failed'))
+    } finally {
+      setSending(false)
+    }
+  }
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className="flex items-center gap-1.5 mx-auto text-sm text-blue-700 hover:underline"
+      >
+        <Send className="w-4 h-4" />
+        {t('resumeLink.open')}
+      </button>
+    )
+  }
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-sm">
+      <p className="font-medium text-gray-900 mb-1">{t('resumeLink.title')}</p>
+      <p className="text-gray-600 mb-3">{t('resumeLink.intro')}</p>
+
+      {channels.length === 0 ? (
+        <p className="text-gray-700">{t('resumeLink.needContact')}</p>
+      ) : (
+        <>
+          <div className="space-y-2 mb-3">
+            {channels.map((c) => (
+              <label key={c} className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="resume-link-channel"
+                  value={c}
+                  checked={selected === c}
+                  onChange={() => setChannel(c)}
+                />
+                {t(`verify.channels.${c}`)} ({destinations[c]})
+              </label>
+            ))}
+          </div>
+
+          {sentTo && (
+            <div className="bg-green-50 border border-green-200 rounded-lg p-3 mb-3 text-green-700">
+              {t('resumeLink.sent', { destination: sentTo })}
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-3 text-red-700">
+              {error}
+            </div>
+          )}
+
+          <button
+            type="button"
+            onClick={handleSend}
+            disabled={sending}
+            className="btn-primary"
+          >
+            {sending ? t('resumeLink.sending') : t(sentTo ? 'resumeLink.sendAgain' : 'resumeLink.send')}
+          </button>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,22 @@
+import { Check, CloudOff, HardDrive, Loader2 } from 'lucide-react'
+import { useTranslation } from '../contexts/LanguageContext'
+
+const STATUS_STYLES = {
+  synced: { icon: Check, className: 'text-green-700' },
+  saving: { icon: Loader2, className: 'text-gray-500', iconClassName: 'animate-spin' },
+  local: { icon: HardDrive, className: 'text-amber-700' },
+  offline: { icon: CloudOff, className: 'text-amber-700' },
+}
+
+// Autosave indicator for the wizards - `status` comes from useDraftSync
+export default function SaveStatus({ status, className = '' }) {
+  const { t } = useTranslation()
+  const { icon: Icon, className: statusClassName, iconClassName = '' } = STATUS_STYLES[status] || STATUS_STYLES.synced
+
+  return (
+    <p role="status" className={`flex items-center gap-1.5 text-xs ${statusClassName} ${className}`}>
+      <Icon className={`w-3.5 h-3.5 shrink-0 ${iconClassName}`} />
+      {t(`drafts.${status}`)}
+    </p>
+  )
+}
@@ -0,0 +1,173 @@
+/**
+ * VerifyIdentity - one-time passcode screen shown before an agent-initiated
+ * link reveals any prefilled data (when the company requires it)
+ */
+import { useState } from 'react'
+import axios from 'axios'
+import { ShieldCheck } from 'lucide-react'
+import LanguageSwitcher from './LanguageSwitcher'
+import { useTranslation } from '../contexts/LanguageContext'
+import { getLocale } from '../i18n'
+
+export default function VerifyIdentity({ linkCode, verification, onVerified }) {
+  const { channels, destinations, company } = verification
+
+  const [channel, setChannel] = useState(channels[0])
+  const [codeSent, setCodeSent] = useState(false)
+  const [code, setCode] = useState('')
+  const [sending, setSending] = useState(false)
+  const [verifying, setVerifying] = useState(false)
+  const [error, setError] = useState(null)
+  const [notice, setNotice] = useState(null)
+  const { language, t } = useTranslation()
+
+  const describeError = (err, fallback) => {
+    const data = err.response?.data || {}
+    if (data.lockedUntil) {
+      const until = new Date(data.lockedUntil).toLocaleTimeString(getLocale(language), { hour: 'numeric', minute: '2-digit' })
+      return t('verify.locked', { time: until })
+    }
+    if (data.attemptsRemaining !== undefined) {
+      return t('verify.attemptsRemaining', { error: data.error, count: data.attemptsRemaining })
+    }
+    return data.error || fallback
+  }
+
+  const handleSend = async () => {
+    setSending(true)
+    setError(null)
+    setNotice(null)
+
+    try {
+      await axios.post(`/api/intake/${linkCode}/otp/send`, { channel })
+      setCodeSent(true)
+      setNotice(t('verify.sent', { destination: destinations[channel] }))
+    } catch (err) {
+      setError(describeError(err, t('verify.sendFailed')))
+    } finally {
+      setSending(false)
+    }
+  }
+
+  const handleVerify = async (e) => {
+    e.preventDefault()
+    setVerifying(true)
+    setError(null)
+
+    try {
+      const res = await axios.post(`/api/intake/${linkCode}/otp/verify`, { code })
+      onVerified(res.data.token)
+    } catch (err) {
+      setError(describeError(err, t('verify.verifyFailed')))
+      setCode('')
+      setVerifying(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4">
+      <div className="card max-w-md w-full">
+        <div className="flex justify-end mb-2">
+          <LanguageSwitcher />
+        </div>
+
+        {company?.logo && <img src={company.logo} alt="" className="h-10 mx-auto mb-4" />}
+
+        <div className="w-14 h-14 bg-blue-100 rounded-full flex items-center justify-center mx-auto mb-4">
+          <ShieldCheck className="w-8 h-8 text-blue-600" />
+        </div>
+
+        <h1 className="text-xl font-bold text-gray-900 text-center mb-2">
+          {t('verify.title')}
+        </h1>
+        <p className="text-gray-600 text-center text-sm mb-6">
+          {t('verify.intro', { company: company?.name || t('verify.yourAgent') })}
+        </p>
+
+        {channels.length > 1 && (
+          <div className="mb-4">
+            <p className="label">{t('verify.sendBy')}</p>
+            <div className="space-y-2">
+              {channels.map((c) => (
+                <label key={c} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="radio"
+                    name="channel"
+                    value={c}
+                    checked={channel === c}
+                    onChange={() => setChannel(c)}
+                  />
+                  {t(`verify.channels.${c}`)} ({destinations[c]})
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {channels.length === 1 && !codeSent && (
+          <p className="text-sm text-gray-700 mb-4">
+            {t('verify.willSend', {
+              channel: t(`verify.channels.${channel}`).toLowerCase(),
+              destination: destinations[channel],
+            })}
+          </p>
+        )}
+
+        {notice && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-3 mb-4 text-sm text-green-700">
+            {notice}
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 text-sm text-red-700">
+            {error}
+          </div>
+        )}
+
+        {codeSent ? (
+          <form onSubmit={handleVerify} className="space-y-4">
+            <div>
+              <label htmlFor="otp-code" className="label">{t('verify.code')}</label>
+              <input
+                id="otp-code"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                maxLength={6}
+                value={code}
+                onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                className="input text-center tracking-widest text-lg"
+                autoFocus
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={verifying || code.length !== 6}
+              className="btn-primary w-full"
+            >
+              {verifying ? t('verify.verifying') : t('verify.verify')}
+            </button>
+            <button
+              type="button"
+              onClick={handleSend}
+              disabled={sending}
+              className="btn-secondary w-full"
+            >
+              {sending ? t('verify.sending') : t('verify.sendNew')}
+            </button>
+          </form>
+        ) : (
+          <button
+            type="button"
+            onClick={handleSend}
+            disabled={sending}
+            className="btn-primary w-full"
+          >
+            {sending ? t('verify.sending') : t('verify.send')}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
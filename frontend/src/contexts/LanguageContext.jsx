@@ -0,0 +1,64 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+import { LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage, translate } from '../i18n'
+
+const STORAGE_KEY = 'language'
+
+/**
+ * Context for the language the wizard is shown in
+ * Starts from the visitor's last choice (or their browser's language); the
+ * co-signer wizard then applies the intake's preferredLanguage once it loads.
+ */
+const LanguageContext = createContext({
+  language: DEFAULT_LANGUAGE,
+  setLanguage: () => {},
+  t: (key, vars) => translate(DEFAULT_LANGUAGE, key, vars),
+})
+
+const getInitialLanguage = () => {
+  try {
+    return normalizeLanguage(localStorage.getItem(STORAGE_KEY) || navigator.language)
+  } catch {
+    return DEFAULT_LANGUAGE
+  }
+}
+
+export function LanguageProvider({ children }) {
+  const [language, setLanguageState] = useState(getInitialLanguage)
+
+  const setLanguage = useCallback((next) => {
+    const code = normalizeLanguage(next)
+    setLanguageState(code)
+    try {
+      localStorage.setItem(STORAGE_KEY, code)
+    } catch {
+      // Private browsing - the choice just isn't remembered
+    }
+  }, [])
+
+  useEffect(() => {
+    document.documentElement.lang = language
+  }, [language])
+
+  const value = useMemo(() => ({
+    language,
+    setLanguage,
+    languages: LANGUAGES,
+    t: (key, vars) => translate(language, key, vars),
+  }), [language, setLanguage])
+
+  return (
+    <LanguageContext.Provider value={value}>
+      {children}
+    </LanguageContext.Provider>
+  )
+}
+
+/**
+ * Hook for translated text
+ * @returns {{ t: Function, language: string, setLanguage: Function, languages: Object[] }}
+ */
+export function useTranslation() {
+  return useContext(LanguageContext)
+}
+
+export default LanguageContext
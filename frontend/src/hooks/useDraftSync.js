@@ -0,0 +1,210 @@
+/**
+ * useDraftSync - keeps a wizard's answers on the device and in step with the server
+ *
+ * Every change is written to the draft store (IndexedDB) once typing settles, and
+ * pushed with save() at most every PUSH_INTERVAL. Offline, or when the push fails, the draft stays queued and is
+ * replayed when the browser comes back online. If the intake was saved from another
+ * device since this copy was loaded the server answers 409 - whichever edit is newer
+ * wins: ours is sent again over it, or the page reloads the server copy.
+ *
+ * save({ values, previous, step, baseSavedAt }) sends what changed since `previous` (the
+ * values the server last had - null when unknown) and resolves to the server's new savedAt.
+ * Moving between steps is saved too, so another device can pick up on the same step.
+ *
+ * Call begin() once the form is filled in, with the server's savedAt, what to keep for
+ * reopening offline, the draft being restored (if any), the server's copy of the values
+ * when they differ from the form's (a restored draft) and the step it opens on. flush()
+ * saves right away, without waiting for the next push; keep() replaces what's kept for
+ * reopening offline.
+ */
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { putDraft, deleteDraft } from '../utils/draftStore'
+
+const SAVE_DELAY = 1500
+// Between pushes to the server - every save is a request (and a revision) against the API rate limit
+const PUSH_INTERVAL = 10000
+
+const isOnline = () => navigator.onLine !== false
+
+export default function useDraftSync({ draftKey, methods, step, enabled, save, onServerNewer }) {
+  const [status, setStatus] = useState(isOnline() ? 'synced' : 'offline')
+
+  const baseSavedAt = useRef(null)
+  const editedAt = useRef(null)
+  const pending = useRef(false)
+  const pushing = useRef(null)
+  const lastPush = useRef(0)
+  const snapshot = useRef(null)
+  const synced = useRef(null)
+  const stepRef = useRef(step)
+  const syncedStep = useRef(step)
+  const callbacks = useRef({ save, onServerNewer })
+  callbacks.current = { save, onServerNewer }
+
+  const { getValues, watch } = methods
+
+  const writeDraft = useCallback(() => putDraft({
+    key: draftKey,
+    data: getValues(),
+    step: stepRef.current,
+    editedAt: editedAt.current,
+    baseSavedAt: baseSavedAt.current,
+    pending: pending.current,
+    snapshot: snapshot.current,
+  }), [draftKey, getValues])
+
+  const sync = useCallback(async () => {
+    if (!pending.current) return
+    if (!isOnline()) {
+      setStatus('offline')
+      return
+    }
+
+    lastPush.current = Date.now()
+    setStatus('saving')
+
+    try {
+      // Edits made while a save is in flight go out in the next round
+      while (pending.current) {
+        const sentEditedAt = editedAt.current
+        const values = structuredClone(getValues())
+        const sentStep = stepRef.current
+        try {
+          baseSavedAt.current = await callbacks.current.save({
+            values,
+            previous: synced.current,
+            step: sentStep,
+            baseSavedAt: baseSavedAt.current,
+          })
+          synced.current = values
+          syncedStep.current = sentStep
+          if (editedAt.current === sentEditedAt) pending.current = false
+        } catch (err) {
+          const data = err.response?.data
+          if (!data?.conflict) throw err
+
+          if (new Date(sentEditedAt) > new Date(data.savedAt)) {
+            baseSavedAt.current = data.savedAt
+          } else {
+            pending.current = false
+            await writeDraft()
+            setStatus('synced')
+            callbacks.current.onServerNewer()
+            return
+          }
+        }
+      }
+
+      await writeDraft()
+      setStatus('synced')
+    } catch (err) {
+      console.error('Draft sync failed:', err)
+      setStatus(isOnline() ? 'local' : 'offline')
+    }
+  }, [getValues, writeDraft])
+
+  // One push at a time - callers share the one in flight
+  const push = useCallback(() => {
+    if (!pushing.current) {
+      pushing.current = sync().finally(() => {
+        pushing.current = null
+      })
+    }
+    return pushing.current
+  }, [sync])
+
+  const begin = useCallback(({ savedAt, keep, draft, serverValues, step: openStep = 0 }) => {
+    snapshot.current = keep
+    baseSavedAt.current = draft ? draft.baseSavedAt : savedAt
+    editedAt.current = draft ? draft.editedAt : savedAt
+    pending.current = Boolean(draft)
+    synced.current = serverValues || (draft ? null : structuredClone(getValues()))
+    stepRef.current = openStep
+    syncedStep.current = openStep
+
+    writeDraft()
+    if (draft) {
+      setStatus(isOnline() ? 'local' : 'offline')
+      push()
+    }
+  }, [getValues, writeDraft, push])
+
+  const timer = useRef(null)
+  const pushTimer = useRef(null)
+
+  const queueSave = useCallback(() => {
+    editedAt.current = new Date().toISOString()
+    pending.current = true
+    clearTimeout(timer.current)
+    timer.current = setTimeout(async () => {
+      await writeDraft()
+      setStatus(isOnline() ? 'local' : 'offline')
+      if (pushTimer.current) return
+      pushTimer.current = setTimeout(() => {
+        pushTimer.current = null
+        push()
+      }, Math.max(lastPush.current + PUSH_INTERVAL - Date.now(), 0))
+    }, SAVE_DELAY)
+  }, [writeDraft, push])
+
+  // Queue every change
+  useEffect(() => {
+    if (!enabled) return
+
+    const subscription = watch(queueSave)
+    return () => {
+      subscription.unsubscribe()
+      clearTimeout(timer.current)
+      clearTimeout(pushTimer.current)
+      pushTimer.current = null
+    }
+  }, [enabled, watch, queueSave])
+
+  // ...and every step taken, to reopen on the same one
+  useEffect(() => {
+    stepRef.current = step
+    if (enabled && step !== syncedStep.current) queueSave()
+  }, [enabled, step, queueSave])
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setStatus(pending.current ? 'local' : 'synced')
+      push()
+    }
+    const handleOffline = () => setStatus('offline')
+
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+    }
+  }, [push])
+
+  const keep = useCallback((next) => {
+    snapshot.current = next
+    return writeDraft()
+  }, [writeDraft])
+
+  // Push now, e.g. before asking the server to do something with the saved answers -
+  // resolves to whether the server has everything
+  const flush = useCallback(async () => {
+    clearTimeout(timer.current)
+    clearTimeout(pushTimer.current)
+    pushTimer.current = null
+    if (pending.current) {
+      await writeDraft()
+      await push()
+    }
+    return !pending.current
+  }, [writeDraft, push])
+
+  const discard = useCallback(() => {
+    clearTimeout(timer.current)
+    clearTimeout(pushTimer.current)
+    pending.current = false
+    return deleteDraft(draftKey)
+  }, [draftKey])
+
+  return { status, begin, keep, flush, discard }
+}
@@ -0,0 +1,315 @@
+// English - the reference dictionary every other language is translated from
+export default {
+  common: {
+    language: 'Language',
+    back: 'Back',
+    continue: 'Continue',
+    submit: 'Submit Application',
+    submitting: 'Submitting...',
+    select: 'Select...',
+    yes: 'Yes',
+    no: 'No',
+    error: 'Error',
+    savedSecurely: 'Saved securely - clear the field to enter a new value',
+    dismiss: 'Dismiss',
+  },
+
+  steps: {
+    basic: 'Basic Info',
+    defendant: 'Defendant',
+    indemnitor: 'Indemnitor',
+    identification: 'Photo ID',
+    references: 'References',
+    collateral: 'Collateral',
+    review: 'Review',
+    paymentPlan: 'Payment Plan',
+    signatures: 'Sign',
+  },
+
+  intake: {
+    prefilledTitle: '✓ Some information has been pre-filled',
+    prefilledBody: 'by your bail bond agent. Please review and complete the remaining fields.',
+    coSignerOf: 'You are co-signer {position} of {total}.',
+    coSignerOfBody: 'Each co-signer fills in their own information and signs their own copy of the documents.',
+    defendantsCovered: 'This application covers {count} defendants:',
+    multipleBonds: '📋 This request includes {count} bonds totaling ${total}',
+    invalidLink: 'This link is invalid or has expired.',
+    loadFailed: 'Failed to load form. Please try again.',
+    submitFailed: 'Failed to submit. Please try again.',
+    unableToLoad: 'Unable to Load Form',
+    stepOf: 'Step {step} of {total}: {title}',
+    questions: 'Questions? Call {phone}',
+  },
+
+  drafts: {
+    synced: 'All changes saved',
+    saving: 'Saving...',
+    local: 'Saved on this device - will sync shortly',
+    offline: 'You’re offline - changes are saved on this device and will sync when you reconnect',
+    openedOffline: 'You’re offline - showing the copy saved on this device.',
+    replaced: 'This form was updated on another device, so we loaded the newer version.',
+  },
+
+  resumeLink: {
+    open: 'Send me a link to finish later',
+    title: 'Finish on another device',
+    intro: 'We’ll send a link to this application. Your answers so far are saved - open the link to pick up where you left off.',
+    needContact: 'Enter your phone number or email on the Basic Info step first, then send yourself the link.',
+    send: 'Send link',
+    sendAgain: 'Send again',
+    sending: 'Sending...',
+    sent: 'Link sent to {destination}.',
+    notSaved: 'Your answers haven’t been saved yet - check your connection and try again.',
+    failed: 'Couldn’t send the link. Please try again.',
+  },
+
+  verify: {
+    title: 'Verify your identity',
+    intro: '{company} has started an application for you. To protect your information, we need to confirm it’s you before continuing.',
+    yourAgent: 'Your bail bond agent',
+    sendBy: 'Send my code by',
+    willSend: 'We’ll send a 6-digit code by {channel} to {destination}.',
+    sent: 'We sent a 6-digit code to {destination}.',
+    code: 'Verification code',
+    verify: 'Verify',
+    verifying: 'Verifying...',
+    send: 'Send code',
+    sendNew: 'Send a new code',
+    sending: 'Sending...',
+    locked: 'Too many incorrect attempts. You can try again after {time}.',
+    attemptsRemaining: '{error} {count} attempts remaining.',
+    attemptsRemaining_one: '{error} {count} attempt remaining.',
+    sendFailed: 'Failed to send code. Please try again.',
+    verifyFailed: 'Verification failed. Please try again.',
+    channels: {
+      sms: 'Text message',
+      email: 'Email',
+    },
+  },
+
+  fields: {
+    aka: 'Also Known As (AKA)',
+    akaPlaceholder: 'Nicknames or aliases',
+    ssn: 'Social Security Number',
+    driversLicense: 'Driver’s License / ID Number',
+    dlState: 'State Issued',
+    streetAddress: 'Street Address',
+    city: 'City',
+    state: 'State',
+    zip: 'ZIP Code',
+    addressDuration: 'How Long at This Address?',
+    durationPlaceholder: 'e.g., 2 years',
+    employer: 'Employer',
+    occupation: 'Occupation',
+    employerAddress: 'Employer Address',
+    employmentDuration: 'How Long Employed?',
+    monthlyIncome: 'Monthly Income',
+    dob: 'Date of Birth',
+  },
+
+  defendant: {
+    personalInfo: 'Defendant Personal Information',
+    address: 'Defendant Address',
+    addressPlaceholder: 'Start typing defendant’s address...',
+    employment: 'Defendant Employment',
+    employerAddressPlaceholder: 'Start typing employer’s address...',
+    arrest: 'Arrest Information',
+    arrestDate: 'Date Arrested',
+    arrestingAgency: 'Arresting Agency',
+    arrestingAgencyPlaceholder: 'e.g., ICE, Local PD',
+    arrestLocation: 'Where Arrested',
+    coDefendants: 'Co-Defendants',
+    coDefendantsPlaceholder: 'Names of any co-defendants',
+    jailLocation: 'Jail Location',
+    bookingNumber: 'Booking Number',
+    alienNumber: 'Alien Number (if applicable)',
+    alienNumberPlaceholder: 'A-Number',
+    supervision: 'Supervision Status',
+    supervisionNone: 'None',
+    supervisionProbation: 'Currently on Probation',
+    supervisionParole: 'Currently on Parole',
+    officerName: 'Officer Name',
+    officerPhone: 'Officer Phone',
+  },
+
+  indemnitor: {
+    coSignerOf: 'Co-signer {position} of {total}',
+    ownSection: 'Enter your own information below. The other co-signers have their own links and fill in their own section.',
+    coSigningFor: 'You are co-signing for {names}. Your relationship below should describe each of them (e.g. "Mother").',
+    personalInfo: 'Your Personal Information',
+    nickname: 'Nickname (Friends/Family Know Me As)',
+    birthPlace: 'Birth Place',
+    gender: 'Gender',
+    male: 'Male',
+    female: 'Female',
+    usCitizen: 'Are you a U.S. Citizen?',
+    alienNumber: 'Alien Number',
+    yearsInUS: 'How Long in US?',
+    currentAddress: 'Your Current Address',
+    addressPlaceholder: 'Start typing your address...',
+    ownOrRent: 'Do you own or rent?',
+    own: 'Own',
+    rent: 'Rent',
+    landlordName: 'Landlord Name',
+    landlordPhone: 'Landlord Phone',
+    maritalStatus: 'Marital Status',
+    employment: 'Your Employment',
+    position: 'Position',
+    supervisorName: 'Supervisor’s Name',
+    workPhone: 'Work Phone',
+    financial: 'Financial Information (Optional)',
+    financialHint: 'This information helps determine bond eligibility.',
+    cashOnHand: 'Cash on Hand',
+    cashInBank: 'Cash in Bank',
+    monthlySalary: 'Monthly Salary',
+    realEstateValue: 'Real Estate Value',
+    realEstateMortgage: 'Real Estate Mortgage Owed',
+    vehicle: 'Vehicle Information (Optional)',
+    vehicleYear: 'Year',
+    vehicleMake: 'Make',
+    vehicleModel: 'Model',
+    vehicleColor: 'Color',
+    vehiclePlate: 'License Plate',
+    vehicleState: 'Plate State',
+    vehicleBalanceOwed: 'Balance Owed',
+  },
+
+  // Option labels - the stored values stay in English
+  maritalStatuses: {
+    Single: 'Single',
+    Married: 'Married',
+    Cohabitating: 'Cohabitating',
+    Separated: 'Separated',
+    Divorced: 'Divorced',
+    Widowed: 'Widowed',
+  },
+
+  signatures: {
+    title: 'Review & Sign Your Documents',
+    intro: 'Please carefully read each document below before signing. You must review and sign all required documents to complete your application.',
+    ownCopy: 'You are signing your own copy of each document. ',
+    perDefendant: 'Each signature is applied to a separate copy for each of the {count} defendants.',
+    progress: 'Documents Signed: {completed} of {total}',
+    percentComplete: '{percent}% Complete',
+    consentTitle: 'Consent to Electronic Records and Signatures',
+    consentIntro: 'To sign these documents online, you must agree to receive them electronically and to sign them with an electronic signature, which has the same legal effect as signing on paper.',
+    consentPaperCopies: 'You may ask the bail bond company for paper copies of any document at no charge.',
+    consentWithdraw: 'You may withdraw this consent at any time before submitting by contacting the bail bond company and signing on paper instead.',
+    consentRequirements: 'You need a device with an up-to-date web browser and a PDF viewer to view, download and keep copies of your signed documents.',
+    consentCopies: 'Copies of your signed documents will be available to download once you submit.',
+    consentAgree: 'I agree',
+    consentAgreeRest: 'to use electronic records and signatures for these documents.',
+    required: '⚠️ Required:',
+    mustSignAll: 'You must sign ALL {total} documents before submitting. You have {count} documents remaining.',
+    mustSignAll_one: 'You must sign ALL {total} documents before submitting. You have {count} document remaining.',
+    notSigned: '{name} - Not signed',
+    important: 'Important:',
+    legallyBinding: 'By signing these documents, you are entering into a legally binding agreement. Please ensure all information is accurate before submitting.',
+    finalAgreement: 'I have read, understand, and agree to all documents above. I certify that all information provided is true and correct, and I agree to be bound by the terms and conditions stated in each document.',
+    finalAgreementRequired: 'You must agree to the terms to continue',
+    signAllRequired: 'You must sign all {total} documents before submitting',
+    signed: '✓ Signed',
+    documentToReview: 'Document to Review',
+    viewFull: 'View Full Document',
+    hideFull: 'Hide Full Document',
+    englishOnly: 'Documents are shown in English. Where the company provides a translation, it is added to your signed copy.',
+    confirmRead: 'I confirm',
+    confirmReadRest: 'that I have read and understand the terms, conditions, and obligations outlined in the "{name}" document above.',
+    signBelow: 'Sign Below:',
+    signatureRequired: '{label} is required',
+    nextDocument: 'Continue to Next Document →',
+    allSigned: '✓ All documents signed! Scroll down to submit your application.',
+    readToSign: 'Please read the document and check the confirmation box above to sign.',
+    consentToSign: 'Please agree to use electronic records and signatures at the top of this page to sign.',
+    scrollToRead: 'Scroll to read the complete document',
+    clickToView: 'Click "View Full Document" above to read complete terms before signing.',
+    signHere: '✍️ Sign above using your finger or mouse',
+    clear: 'Clear signature',
+    defendantFallback: 'Defendant',
+    indemnitorFallback: 'Indemnitor/Co-Signer',
+    hints: {
+      defendant: 'Optional if defendant is in custody',
+    },
+    roles: {
+      coSigner: 'Co-Signer Signature',
+      defendant: 'Defendant Signature',
+      applicant: 'Applicant Signature',
+      indemnitor: 'Indemnitor Signature',
+    },
+    forms: {
+      preApplication: {
+        name: 'Pre-Application',
+        description: 'Basic information about the co-signer and defendant',
+      },
+      referenceForm: {
+        name: 'Reference Form',
+        description: 'List of personal references',
+      },
+      immigrationWaiver: {
+        name: 'Immigration Waiver',
+        description: 'Waiver regarding citizenship status',
+      },
+      indemnitorApplication: {
+        name: 'Bail Bond Application - Indemnitor',
+        description: 'Detailed indemnitor information and agreement (3 pages)',
+      },
+      immigrationBondAgreement: {
+        name: 'Immigration Bond Agreement',
+        description: 'Terms and conditions of the immigration bond (2 pages)',
+      },
+      paymentPlan: {
+        name: 'Premium Payment Plan Agreement',
+        description: 'Your down payment and installment schedule',
+      },
+      collateralReceipt: {
+        name: 'Collateral Receipt',
+        description: 'The collateral you are pledging for the bond',
+      },
+    },
+    summaries: {
+      preApplication: 'Collects basic info for co-signer ({indemnitor}) and defendant ({defendant}). Includes authorization for record checks.',
+      referenceForm: 'Lists personal references for {indemnitor}. References may be contacted for verification.',
+      immigrationWaiver: 'IMPORTANT: States that {defendant} is a US citizen. If not, premium/collateral is NON-REFUNDABLE.',
+      indemnitorApplication: '3-page agreement making {indemnitor} financially responsible if {defendant} fails to appear in court.',
+      immigrationBondAgreement: '2-page legal agreement with payment terms, collateral requirements, and breach conditions.',
+      paymentPlanInstallments: '{indemnitor} agrees to pay the {total} premium: {down} down, then {count} installments. Non-refundable.',
+      paymentPlanInstallments_one: '{indemnitor} agrees to pay the {total} premium: {down} down, then {count} installment. Non-refundable.',
+      paymentPlanInFull: '{indemnitor} agrees to pay the {total} premium in full at signing. Non-refundable.',
+      collateralReceipt: '{indemnitor} pledges {count} collateral items worth an estimated {value}, returned once the bond is exonerated and all premiums and fees are paid.',
+      collateralReceipt_one: '{indemnitor} pledges {count} collateral item worth an estimated {value}, returned once the bond is exonerated and all premiums and fees are paid.',
+    },
+  },
+
+  validation: {
+    firstNameRequired: 'First name is required',
+    lastNameRequired: 'Last name is required',
+    dobRequired: 'Date of birth is required',
+    ssnRequired: 'SSN is required',
+    addressRequired: 'Address is required',
+    cityRequired: 'City is required',
+    stateRequired: 'State is required',
+    zipRequired: 'ZIP code is required',
+    cellPhoneRequired: 'Cell phone is required',
+    homePhoneRequired: 'Home phone is required',
+    emailRequired: 'Email is required',
+    emailInvalid: 'Valid email is required',
+    employerRequired: 'Employer is required',
+    driversLicenseRequired: 'Driver’s license is required',
+    relationshipRequired: 'Relationship is required',
+    nameRequired: 'Name is required',
+    phoneRequired: 'Phone is required',
+    preApplicationSignature: 'Pre-Application signature is required',
+    referenceFormSignature: 'Reference Form signature is required',
+    immigrationWaiverSignature: 'Immigration Waiver signature is required',
+    indemnitorApplicationSignature: 'Bail Bond Application signature is required',
+    immigrationBondAgreementSignature: 'Immigration Bond Agreement signature is required',
+    paymentPlanSignature: 'Payment Plan Agreement signature is required',
+    collateralReceiptSignature: 'Collateral Receipt signature is required',
+    esignConsent: 'You must agree to use electronic records and signatures',
+    paymentPlanAcceptance: 'You must accept the payment plan to continue',
+    collateralType: 'Type is required',
+    collateralDescription: 'Please describe the item',
+    collateralValue: 'Estimated value is required',
+    vin: 'A VIN is 17 letters and numbers',
+  },
+}
@@ -0,0 +1,314 @@
+// Spanish - keys mirror en.js; anything missing falls back to English
+export default {
+  common: {
+    language: 'Idioma',
+    back: 'Atrás',
+    continue: 'Continuar',
+    submit: 'Enviar solicitud',
+    submitting: 'Enviando...',
+    select: 'Seleccione...',
+    yes: 'Sí',
+    no: 'No',
+    error: 'Error',
+    savedSecurely: 'Guardado de forma segura - borre el campo para ingresar un nuevo valor',
+    dismiss: 'Cerrar',
+  },
+
+  steps: {
+    basic: 'Datos básicos',
+    defendant: 'Acusado',
+    indemnitor: 'Fiador',
+    identification: 'Identificación',
+    references: 'Referencias',
+    collateral: 'Garantía',
+    review: 'Revisión',
+    paymentPlan: 'Plan de pago',
+    signatures: 'Firmar',
+  },
+
+  intake: {
+    prefilledTitle: '✓ Parte de la información ya fue completada',
+    prefilledBody: 'por su agente de fianzas. Revísela y complete los campos restantes.',
+    coSignerOf: 'Usted es el fiador {position} de {total}.',
+    coSignerOfBody: 'Cada fiador completa su propia información y firma su propia copia de los documentos.',
+    defendantsCovered: 'Esta solicitud cubre a {count} acusados:',
+    multipleBonds: '📋 Esta solicitud incluye {count} fianzas por un total de ${total}',
+    invalidLink: 'Este enlace no es válido o ha vencido.',
+    loadFailed: 'No se pudo cargar el formulario. Inténtelo de nuevo.',
+    submitFailed: 'No se pudo enviar. Inténtelo de nuevo.',
+    unableToLoad: 'No se pudo cargar el formulario',
+    stepOf: 'Paso {step} de {total}: {title}',
+    questions: '¿Preguntas? Llame al {phone}',
+  },
+
+  drafts: {
+    synced: 'Todos los cambios guardados',
+    saving: 'Guardando...',
+    local: 'Guardado en este dispositivo - se sincronizará en breve',
+    offline: 'No tiene conexión - los cambios se guardan en este dispositivo y se sincronizarán al reconectarse',
+    openedOffline: 'No tiene conexión - se muestra la copia guardada en este dispositivo.',
+    replaced: 'Este formulario se actualizó en otro dispositivo, así que cargamos la versión más reciente.',
+  },
+
+  resumeLink: {
+    open: 'Enviarme un enlace para terminar después',
+    title: 'Terminar en otro dispositivo',
+    intro: 'Le enviaremos un enlace a esta solicitud. Sus respuestas hasta ahora están guardadas - abra el enlace para continuar donde lo dejó.',
+    needContact: 'Primero ingrese su número de teléfono o correo electrónico en el paso de Información básica y luego envíese el enlace.',
+    send: 'Enviar enlace',
+    sendAgain: 'Enviar de nuevo',
+    sending: 'Enviando...',
+    sent: 'Enlace enviado a {destination}.',
+    notSaved: 'Sus respuestas aún no se han guardado - revise su conexión e inténtelo de nuevo.',
+    failed: 'No se pudo enviar el enlace. Inténtelo de nuevo.',
+  },
+
+  verify: {
+    title: 'Verifique su identidad',
+    intro: '{company} inició una solicitud para usted. Para proteger su información, necesitamos confirmar que es usted antes de continuar.',
+    yourAgent: 'Su agente de fianzas',
+    sendBy: 'Enviar mi código por',
+    willSend: 'Le enviaremos un código de 6 dígitos por {channel} a {destination}.',
+    sent: 'Enviamos un código de 6 dígitos a {destination}.',
+    code: 'Código de verificación',
+    verify: 'Verificar',
+    verifying: 'Verificando...',
+    send: 'Enviar código',
+    sendNew: 'Enviar un código nuevo',
+    sending: 'Enviando...',
+    locked: 'Demasiados intentos incorrectos. Puede intentarlo de nuevo después de las {time}.',
+    attemptsRemaining: '{error} Le quedan {count} intentos.',
+    attemptsRemaining_one: '{error} Le queda {count} intento.',
+    sendFailed: 'No se pudo enviar el código. Inténtelo de nuevo.',
+    verifyFailed: 'No se pudo verificar. Inténtelo de nuevo.',
+    channels: {
+      sms: 'Mensaje de texto',
+      email: 'Correo electrónico',
+    },
+  },
+
+  fields: {
+    aka: 'También conocido como (alias)',
+    akaPlaceholder: 'Apodos o alias',
+    ssn: 'Número de Seguro Social',
+    driversLicense: 'Número de licencia de conducir / identificación',
+    dlState: 'Estado que la emitió',
+    streetAddress: 'Dirección',
+    city: 'Ciudad',
+    state: 'Estado',
+    zip: 'Código postal',
+    addressDuration: '¿Cuánto tiempo en esta dirección?',
+    durationPlaceholder: 'p. ej., 2 años',
+    employer: 'Empleador',
+    occupation: 'Ocupación',
+    employerAddress: 'Dirección del empleador',
+    employmentDuration: '¿Cuánto tiempo en el empleo?',
+    monthlyIncome: 'Ingreso mensual',
+    dob: 'Fecha de nacimiento',
+  },
+
+  defendant: {
+    personalInfo: 'Información personal del acusado',
+    address: 'Dirección del acusado',
+    addressPlaceholder: 'Empiece a escribir la dirección del acusado...',
+    employment: 'Empleo del acusado',
+    employerAddressPlaceholder: 'Empiece a escribir la dirección del empleador...',
+    arrest: 'Información del arresto',
+    arrestDate: 'Fecha del arresto',
+    arrestingAgency: 'Agencia que lo arrestó',
+    arrestingAgencyPlaceholder: 'p. ej., ICE, policía local',
+    arrestLocation: 'Lugar del arresto',
+    coDefendants: 'Coacusados',
+    coDefendantsPlaceholder: 'Nombres de los coacusados',
+    jailLocation: 'Cárcel donde está detenido',
+    bookingNumber: 'Número de registro (booking)',
+    alienNumber: 'Número de extranjero (si aplica)',
+    alienNumberPlaceholder: 'Número A',
+    supervision: 'Libertad condicional o vigilada',
+    supervisionNone: 'Ninguna',
+    supervisionProbation: 'Actualmente en libertad vigilada (probation)',
+    supervisionParole: 'Actualmente en libertad condicional (parole)',
+    officerName: 'Nombre del oficial',
+    officerPhone: 'Teléfono del oficial',
+  },
+
+  indemnitor: {
+    coSignerOf: 'Fiador {position} de {total}',
+    ownSection: 'Ingrese su propia información a continuación. Los demás fiadores tienen sus propios enlaces y completan su propia sección.',
+    coSigningFor: 'Usted es fiador de {names}. Su parentesco a continuación debe describir a cada uno (p. ej., "Madre").',
+    personalInfo: 'Su información personal',
+    nickname: 'Apodo (como lo conocen amigos y familia)',
+    birthPlace: 'Lugar de nacimiento',
+    gender: 'Sexo',
+    male: 'Masculino',
+    female: 'Femenino',
+    usCitizen: '¿Es ciudadano de los EE. UU.?',
+    alienNumber: 'Número de extranjero',
+    yearsInUS: '¿Cuánto tiempo en los EE. UU.?',
+    currentAddress: 'Su dirección actual',
+    addressPlaceholder: 'Empiece a escribir su dirección...',
+    ownOrRent: '¿Es dueño o renta?',
+    own: 'Dueño',
+    rent: 'Renta',
+    landlordName: 'Nombre del arrendador',
+    landlordPhone: 'Teléfono del arrendador',
+    maritalStatus: 'Estado civil',
+    employment: 'Su empleo',
+    position: 'Puesto',
+    supervisorName: 'Nombre del supervisor',
+    workPhone: 'Teléfono del trabajo',
+    financial: 'Información financiera (opcional)',
+    financialHint: 'Esta información ayuda a determinar si califica para la fianza.',
+    cashOnHand: 'Efectivo disponible',
+    cashInBank: 'Dinero en el banco',
+    monthlySalary: 'Salario mensual',
+    realEstateValue: 'Valor de bienes raíces',
+    realEstateMortgage: 'Hipoteca pendiente',
+    vehicle: 'Información del vehículo (opcional)',
+    vehicleYear: 'Año',
+    vehicleMake: 'Marca',
+    vehicleModel: 'Modelo',
+    vehicleColor: 'Color',
+    vehiclePlate: 'Placa',
+    vehicleState: 'Estado de la placa',
+    vehicleBalanceOwed: 'Saldo pendiente',
+  },
+
+  maritalStatuses: {
+    Single: 'Soltero(a)',
+    Married: 'Casado(a)',
+    Cohabitating: 'En unión libre',
+    Separated: 'Separado(a)',
+    Divorced: 'Divorciado(a)',
+    Widowed: 'Viudo(a)',
+  },
+
+  signatures: {
+    title: 'Revise y firme sus documentos',
+    intro: 'Lea con atención cada documento antes de firmarlo. Debe revisar y firmar todos los documentos requeridos para completar su solicitud.',
+    ownCopy: 'Usted firma su propia copia de cada documento. ',
+    perDefendant: 'Cada firma se aplica a una copia separada para cada uno de los {count} acusados.',
+    progress: 'Documentos firmados: {completed} de {total}',
+    percentComplete: '{percent}% completado',
+    consentTitle: 'Consentimiento para registros y firmas electrónicas',
+    consentIntro: 'Para firmar estos documentos en línea, debe aceptar recibirlos electrónicamente y firmarlos con una firma electrónica, que tiene el mismo efecto legal que firmar en papel.',
+    consentPaperCopies: 'Puede pedir a la compañía de fianzas copias en papel de cualquier documento sin costo.',
+    consentWithdraw: 'Puede retirar este consentimiento en cualquier momento antes de enviar, comunicándose con la compañía de fianzas y firmando en papel.',
+    consentRequirements: 'Necesita un dispositivo con un navegador actualizado y un visor de PDF para ver, descargar y guardar copias de sus documentos firmados.',
+    consentCopies: 'Podrá descargar copias de sus documentos firmados una vez que los envíe.',
+    consentAgree: 'Acepto',
+    consentAgreeRest: 'usar registros y firmas electrónicas para estos documentos.',
+    required: '⚠️ Requerido:',
+    mustSignAll: 'Debe firmar LOS {total} documentos antes de enviar. Le faltan {count} documentos.',
+    mustSignAll_one: 'Debe firmar LOS {total} documentos antes de enviar. Le falta {count} documento.',
+    notSigned: '{name} - Sin firmar',
+    important: 'Importante:',
+    legallyBinding: 'Al firmar estos documentos, usted celebra un acuerdo legalmente vinculante. Asegúrese de que toda la información sea correcta antes de enviar.',
+    finalAgreement: 'He leído, entiendo y acepto todos los documentos anteriores. Certifico que toda la información proporcionada es verdadera y correcta, y acepto quedar obligado por los términos y condiciones de cada documento.',
+    finalAgreementRequired: 'Debe aceptar los términos para continuar',
+    signAllRequired: 'Debe firmar los {total} documentos antes de enviar',
+    signed: '✓ Firmado',
+    documentToReview: 'Documento a revisar',
+    viewFull: 'Ver documento completo',
+    hideFull: 'Ocultar documento completo',
+    englishOnly: 'Los documentos se muestran en inglés. Si la compañía ofrece una traducción, se agrega a su copia firmada.',
+    confirmRead: 'Confirmo',
+    confirmReadRest: 'que he leído y entiendo los términos, condiciones y obligaciones del documento "{name}" anterior.',
+    signBelow: 'Firme abajo:',
+    signatureRequired: 'Se requiere la {label}',
+    nextDocument: 'Continuar al siguiente documento →',
+    allSigned: '✓ ¡Todos los documentos están firmados! Desplácese hacia abajo para enviar su solicitud.',
+    readToSign: 'Lea el documento y marque la casilla de confirmación de arriba para firmar.',
+    consentToSign: 'Acepte el uso de registros y firmas electrónicas en la parte superior de esta página para firmar.',
+    scrollToRead: 'Desplácese para leer el documento completo',
+    clickToView: 'Haga clic en "Ver documento completo" arriba para leer todos los términos antes de firmar.',
+    signHere: '✍️ Firme arriba con el dedo o el mouse',
+    clear: 'Borrar firma',
+    defendantFallback: 'Acusado',
+    indemnitorFallback: 'Fiador',
+    hints: {
+      defendant: 'Opcional si el acusado está detenido',
+    },
+    roles: {
+      coSigner: 'Firma del fiador',
+      defendant: 'Firma del acusado',
+      applicant: 'Firma del solicitante',
+      indemnitor: 'Firma del fiador (indemnizador)',
+    },
+    forms: {
+      preApplication: {
+        name: 'Presolicitud',
+        description: 'Información básica del fiador y del acusado',
+      },
+      referenceForm: {
+        name: 'Formulario de referencias',
+        description: 'Lista de referencias personales',
+      },
+      immigrationWaiver: {
+        name: 'Renuncia de inmigración',
+        description: 'Renuncia sobre la ciudadanía',
+      },
+      indemnitorApplication: {
+        name: 'Solicitud de fianza - Fiador',
+        description: 'Información detallada del fiador y acuerdo (3 páginas)',
+      },
+      immigrationBondAgreement: {
+        name: 'Acuerdo de fianza de inmigración',
+        description: 'Términos y condiciones de la fianza de inmigración (2 páginas)',
+      },
+      paymentPlan: {
+        name: 'Acuerdo de plan de pago de la prima',
+        description: 'Su pago inicial y calendario de cuotas',
+      },
+      collateralReceipt: {
+        name: 'Recibo de garantía',
+        description: 'La garantía que ofrece para la fianza',
+      },
+    },
+    summaries: {
+      preApplication: 'Recopila datos básicos del fiador ({indemnitor}) y del acusado ({defendant}). Incluye autorización para verificar antecedentes.',
+      referenceForm: 'Lista las referencias personales de {indemnitor}. Es posible que se comuniquen con ellas para verificar.',
+      immigrationWaiver: 'IMPORTANTE: Declara que {defendant} es ciudadano de los EE. UU. Si no lo es, la prima/garantía NO ES REEMBOLSABLE.',
+      indemnitorApplication: 'Acuerdo de 3 páginas que hace a {indemnitor} responsable económicamente si {defendant} no se presenta ante el tribunal.',
+      immigrationBondAgreement: 'Acuerdo legal de 2 páginas con términos de pago, requisitos de garantía y condiciones de incumplimiento.',
+      paymentPlanInstallments: '{indemnitor} se compromete a pagar la prima de {total}: {down} de pago inicial y luego {count} cuotas. No reembolsable.',
+      paymentPlanInstallments_one: '{indemnitor} se compromete a pagar la prima de {total}: {down} de pago inicial y luego {count} cuota. No reembolsable.',
+      paymentPlanInFull: '{indemnitor} se compromete a pagar la prima de {total} completa al firmar. No reembolsable.',
+      collateralReceipt: '{indemnitor} ofrece {count} bienes en garantía con un valor estimado de {value}, que se devuelven una vez exonerada la fianza y pagadas todas las primas y cargos.',
+      collateralReceipt_one: '{indemnitor} ofrece {count} bien en garantía con un valor estimado de {value}, que se devuelve una vez exonerada la fianza y pagadas todas las primas y cargos.',
+    },
+  },
+
+  validation: {
+    firstNameRequired: 'El nombre es obligatorio',
+    lastNameRequired: 'El apellido es obligatorio',
+    dobRequired: 'La fecha de nacimiento es obligatoria',
+    ssnRequired: 'El número de Seguro Social es obligatorio',
+    addressRequired: 'La dirección es obligatoria',
+    cityRequired: 'La ciudad es obligatoria',
+    stateRequired: 'El estado es obligatorio',
+    zipRequired: 'El código postal es obligatorio',
+    cellPhoneRequired: 'El teléfono celular es obligatorio',
+    homePhoneRequired: 'El teléfono de casa es obligatorio',
+    emailRequired: 'El correo electrónico es obligatorio',
+    emailInvalid: 'Ingrese un correo electrónico válido',
+    employerRequired: 'El empleador es obligatorio',
+    driversLicenseRequired: 'La licencia de conducir es obligatoria',
+    relationshipRequired: 'El parentesco es obligatorio',
+    nameRequired: 'El nombre es obligatorio',
+    phoneRequired: 'El teléfono es obligatorio',
+    preApplicationSignature: 'La firma de la presolicitud es obligatoria',
+    referenceFormSignature: 'La firma del formulario de referencias es obligatoria',
+    immigrationWaiverSignature: 'La firma de la renuncia de inmigración es obligatoria',
+    indemnitorApplicationSignature: 'La firma de la solicitud de fianza es obligatoria',
+    immigrationBondAgreementSignature: 'La firma del acuerdo de fianza de inmigración es obligatoria',
+    paymentPlanSignature: 'La firma del acuerdo de plan de pago es obligatoria',
+    collateralReceiptSignature: 'La firma del recibo de garantía es obligatoria',
+    esignConsent: 'Debe aceptar el uso de registros y firmas electrónicas',
+    paymentPlanAcceptance: 'Debe aceptar el plan de pago para continuar',
+    collateralType: 'El tipo es obligatorio',
+    collateralDescription: 'Describa el bien',
+    collateralValue: 'El valor estimado es obligatorio',
+    vin: 'El VIN tiene 17 letras y números',
+  },
+}
@@ -0,0 +1,51 @@
+import en from './en'
+import es from './es'
+
+/**
+ * Languages the co-signer wizard can be shown in
+ * To add one: a dictionary next to en.js (same keys - anything missing falls back
+ * to English), an entry here, and the backend's utils/i18n.js + message copy.
+ */
+export const LANGUAGES = [
+  { code: 'en', name: 'English', locale: 'en-US', messages: en },
+  { code: 'es', name: 'Español', locale: 'es-US', messages: es },
+]
+
+export const DEFAULT_LANGUAGE = 'en'
+
+const byCode = Object.fromEntries(LANGUAGES.map((language) => [language.code, language]))
+
+/**
+ * A supported language code for any input ("es-MX" -> "es"), defaulting to English
+ */
+export function normalizeLanguage(language) {
+  const code = String(language || '').toLowerCase().split(/[-_]/)[0]
+  return byCode[code] ? code : DEFAULT_LANGUAGE
+}
+
+export function getLocale(language) {
+  return byCode[normalizeLanguage(language)].locale
+}
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages)
+
+/**
+ * Translate a dotted key ("defendant.personalInfo") into a language
+ * `vars` fill in {placeholders}; with `vars.count === 1` a "<key>_one" entry is preferred.
+ * Falls back to English, then to `vars.defaultValue`, then to the key itself.
+ */
+export function translate(language, key, vars = {}) {
+  const candidates = [byCode[normalizeLanguage(language)].messages, en]
+  let message
+
+  for (const messages of candidates) {
+    message = (vars.count === 1 && lookup(messages, `${key}_one`)) || lookup(messages, key)
+    if (typeof message === 'string') break
+  }
+
+  if (typeof message !== 'string') {
+    return vars.defaultValue ?? key
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match))
+}
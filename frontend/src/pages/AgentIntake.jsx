@@ -46,7 +46,7 @@ export default function AgentIntake() {
     const loadIntake = async () => {
       try {
         const companyRes = await axios.get(`/api/company/${companySlug}`)
-        setCompany(companyRes.data)
+        setCompany(companyRes.data.company)
         
         const intakeRes = await axios.get(`/api/intake/${linkCode}`)
         const data = intakeRes.data
@@ -100,7 +100,8 @@ export default function AgentIntake() {
     try {
       await axios.post(`/api/intake/${linkCode}/submit`, {
         defendantData: data.defendant, indemnitorData: data.indemnitor,
-        referencesData: data.references, bondData: data.bond, signatures: data.signatures
+        referencesData: data.references, bondData: data.bond, signatures: data.signatures,
+        signatureEvidence: data.signatureEvidence, esignConsent: data.esignConsent
       })
       sessionStorage.setItem('currentLinkCode', linkCode)
       navigate(`/${companySlug}/complete`)
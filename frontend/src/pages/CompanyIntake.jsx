@@ -1,11 +1,11 @@
-import { useState, useEffect, useMemo } from 'react'
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import { useForm, FormProvider } from 'react-hook-form'
 import { zodResolver } from '@hookform/resolvers/zod'
 import axios from 'axios'
 
 import StepIndicator from '../components/FormWizard/StepIndicator'
-import { buildDynamicSchema, getRequiredFieldPaths } from '../utils/validation'
+import { buildDynamicSchema, getRequiredFieldPaths, getSectionProgress } from '../utils/validation'
 import { RequiredFieldsProvider } from '../contexts/RequiredFieldsContext'
 import StepBasicInfo from '../components/FormWizard/StepBasicInfo'
 import StepDefendant from '../components/FormWizard/StepDefendant'
@@ -14,6 +14,13 @@ import StepReferences from '../components/FormWizard/StepReferences'
 import StepReview from '../components/FormWizard/StepReview'
 import StepSignatures from '../components/FormWizard/StepSignatures'
 import LoadingSpinner from '../components/LoadingSpinner'
+import LanguageSwitcher from '../components/LanguageSwitcher'
+import SaveStatus from '../components/SaveStatus'
+import ResumeLink from '../components/ResumeLink'
+import { useTranslation } from '../contexts/LanguageContext'
+import useDraftSync from '../hooks/useDraftSync'
+import { getDraft, isDraftNewer, mergeDraft, draftChanges } from '../utils/draftStore'
+import { solveStartChallenge } from '../utils/startChallenge'
 
 // Basic Wizard - Quick form with essential info only
 const BASIC_STEPS = [
@@ -55,9 +62,67 @@ const getStepsForWizardType = (wizardType) => {
   }
 }
 
+// What an autosave can change
+const toDraftSections = (values) => ({
+  defendantData: values.defendant,
+  indemnitorData: values.indemnitor,
+  referencesData: values.references,
+  bondData: values.bond,
+})
+
+// Anything typed yet? An application is only started once there is
+const isFilled = (value) => (value && typeof value === 'object' ? Object.values(value).some(isFilled) : Boolean(value))
+const hasAnswers = (values) => isFilled(toDraftSections(values))
+
+// Empty form - restored drafts and saved progress are laid over it
+const DEFAULT_VALUES = {
+  defendant: {
+    firstName: '',
+    lastName: '',
+    dob: '',
+    ssn: '',
+    address: '',
+    city: '',
+    state: '',
+    zip: '',
+    homePhone: '',
+    cellPhone: '',
+    email: '',
+  },
+  indemnitor: {
+    firstName: '',
+    lastName: '',
+    relationshipToDefendant: '',
+    dob: '',
+    ssn: '',
+    address: '',
+    city: '',
+    state: '',
+    zip: '',
+    homePhone: '',
+    cellPhone: '',
+    email: '',
+  },
+  references: [
+    { name: '', relationship: '', phone: '', address: '' },
+    { name: '', relationship: '', phone: '', address: '' },
+    { name: '', relationship: '', phone: '', address: '' },
+  ],
+  bond: {
+    amount: '',
+    charges: '',
+  },
+  signatures: {
+    defendant: null,
+    indemnitor: null,
+    waiver: null,
+  }
+}
+
 export default function CompanyIntake() {
   const { companySlug } = useParams()
   const navigate = useNavigate()
+  const { language, t } = useTranslation()
 
   const [currentStep, setCurrentStep] = useState(0)
   const [loading, setLoading] = useState(true)
@@ -65,13 +130,17 @@ export default function CompanyIntake() {
   const [company, setCompany] = useState(null)
   const [intake, setIntake] = useState(null)
   const [submitting, setSubmitting] = useState(false)
+  const [draftNotice, setDraftNotice] = useState(null) // i18n key
+  const [reloadKey, setReloadKey] = useState(0)
+  const startedIntake = useRef(null) // created by an autosave, before the re-render sets `intake`
+  const honeypot = useRef(null)
 
   // Build dynamic schema based on company's requiredFields configuration
   const dynamicSchema = useMemo(() => {
     const requiredFields = getRequiredFieldPaths(company)
     const wizardType = company?.wizardType?.toLowerCase() || 'medium'
-    return buildDynamicSchema(requiredFields, wizardType)
-  }, [company])
+    return buildDynamicSchema(requiredFields, wizardType, { t })
+  }, [company, t])
 
   // Get required field paths for marking fields in UI
   const requiredFieldPaths = useMemo(() => {
@@ -81,52 +150,64 @@ export default function CompanyIntake() {
   const methods = useForm({
     mode: 'onChange',
     resolver: zodResolver(dynamicSchema),
-    defaultValues: {
-      defendant: {
-        firstName: '',
-        lastName: '',
-        dob: '',
-        ssn: '',
-        address: '',
-        city: '',
-        state: '',
-        zip: '',
-        homePhone: '',
-        cellPhone: '',
-        email: '',
-      },
-      indemnitor: {
-        firstName: '',
-        lastName: '',
-        relationshipToDefendant: '',
-        dob: '',
-        ssn: '',
-        address: '',
-        city: '',
-        state: '',
-        zip: '',
-        homePhone: '',
-        cellPhone: '',
-        email: '',
-      },
-      references: [
-        { name: '', relationship: '', phone: '', address: '' },
-        { name: '', relationship: '', phone: '', address: '' },
-        { name: '', relationship: '', phone: '', address: '' },
-      ],
-      bond: {
-        amount: '',
-        charges: '',
-      },
-      signatures: {
-        defendant: null,
-        indemnitor: null,
-        waiver: null,
-      }
-    }
+    defaultValues: DEFAULT_VALUES,
   })
   
-  const { handleSubmit, trigger, getValues, clearErrors } = methods
+  const { handleSubmit, trigger, reset, clearErrors } = methods
+
+  // Visiting the page doesn't create an intake - the first save with something in it
+  // does, after solving the bot check
+  const startIntake = async () => {
+    const { data: challenge } = await axios.get(`/api/company/${companySlug}/start-challenge`)
+    const solution = await solveStartChallenge(challenge)
+    const { data } = await axios.post(`/api/company/${companySlug}/intakes`, {
+      challenge: challenge.token,
+      solution,
+      website: honeypot.current?.value || '',
+      language,
+    })
+    startedIntake.current = data.intake
+    setIntake(data.intake)
+    await keepDraft({ company, intake: data.intake })
+    return data.intake
+  }
+
+  // Only the fields that changed, plus the step and how complete each section is
+  const saveProgress = async ({ values, previous, step, baseSavedAt }) => {
+    const current = intake || startedIntake.current || (hasAnswers(values) ? await startIntake() : null)
+    if (!current) return baseSavedAt
+
+    const res = await axios.patch(`/api/intake/${current.linkCode}/draft`, {
+      changes: draftChanges(previous && toDraftSections(previous), toDraftSections(values)),
+      currentStep: getStepsForWizardType(company?.wizardType)[step]?.id,
+      progress: getSectionProgress(values, requiredFieldPaths),
+      baseSavedAt,
+    })
+    return res.data.savedAt
+  }
+
+  const handleServerNewer = useCallback(() => {
+    setDraftNotice('drafts.replaced')
+    setLoading(true)
+    setReloadKey((key) => key + 1)
+  }, [])
+
+  // This device's answers - one application in progress per company
+  const draftKey = `company:${companySlug}`
+  const {
+    status: syncStatus,
+    begin: beginSync,
+    keep: keepDraft,
+    flush: flushDraft,
+    discard: discardDraft,
+  } = useDraftSync({
+    draftKey,
+    methods,
+    step: currentStep,
+    enabled: Boolean(company) && !loading,
+    save: saveProgress,
+    onServerNewer: handleServerNewer,
+  })
 
   // Clear errors when schema changes (company loads) to re-evaluate with new schema
   useEffect(() => {
@@ -135,7 +216,7 @@ export default function CompanyIntake() {
     }
   }, [company, clearErrors])
 
-  // Load company and create intake session on mount
+  // Load company (and the application this device started, if any) on mount
   useEffect(() => {
     async function loadCompany() {
       try {
@@ -147,11 +228,50 @@ export default function CompanyIntake() {
           return
         }
         
-        const response = await axios.get(`/api/company/${companySlug}`)
-        setCompany(response.data.company)
-        setIntake(response.data.intake)
+        startedIntake.current = null
+        // Counted as a landing page view - not again when reloading a newer copy
+        const response = await axios.get(`/api/company/${companySlug}`, {
+          params: reloadKey === 0 ? { landing: 1 } : {},
+        })
+        const draft = await getDraft(draftKey)
+        const resumed = await findDraftIntake(draft)
+        
+        if (resumed) {
+          // Carry on with the application this device started
+          const restored = isDraftNewer(draft, resumed.savedAt) ? draft : null
+          const formData = mergeDraft(DEFAULT_VALUES, {
+            defendant: resumed.defendantData,
+            indemnitor: resumed.indemnitorData,
+            references: resumed.referencesData,
+            bond: resumed.bondData,
+          })
+          const savedStep = getStepsForWizardType(response.data.company?.wizardType)
+            .findIndex((step) => step.id === resumed.currentStep)
+          const step = showForm(response.data.company, draft.snapshot.intake, restored ? restored.step : savedStep)
+          reset(restored ? mergeDraft(formData, restored.data) : formData)
+          beginSync({ savedAt: resumed.savedAt, keep: draft.snapshot, draft: restored, serverValues: formData, step })
+        } else if (draft?.pending && !draft.snapshot?.intake) {
+          // Typed here before an application could be started (offline) - it starts on the next save
+          const step = showForm(response.data.company, null, draft.step)
+          reset(mergeDraft(DEFAULT_VALUES, draft.data))
+          beginSync({ savedAt: null, keep: { company: response.data.company, intake: null }, draft, step })
+        } else {
+          showForm(response.data.company, null, 0)
+          beginSync({ savedAt: null, keep: { company: response.data.company, intake: null } })
+        }
         setLoading(false)
       } catch (err) {
+        // No connection - reopen what this device has
+        const draft = !err.response && await getDraft(draftKey)
+        if (draft?.snapshot) {
+          const step = showForm(draft.snapshot.company, draft.snapshot.intake, draft.step)
+          reset(mergeDraft(DEFAULT_VALUES, draft.data))
+          beginSync({ savedAt: draft.baseSavedAt, keep: draft.snapshot, draft: draft.pending ? draft : null, step })
+          setDraftNotice('drafts.openedOffline')
+          setLoading(false)
+          return
+        }
+        
         console.error('Failed to load company:', err)
         if (err.response?.status === 404) {
           setError('Company not found. Please check the URL.')
@@ -162,31 +282,17 @@ export default function CompanyIntake() {
       }
     }
     
-    loadCompany()
-  }, [companySlug])
-  
-  // Auto-save on step change
-  useEffect(() => {
-    if (!intake || currentStep === 0) return
-    
-    const values = getValues()
-    
-    const timer = setTimeout(async () => {
-      try {
-        await axios.post(`/api/intake/${intake.linkCode}/save`, {
-          defendantData: values.defendant,
-          indemnitorData: values.indemnitor,
-          referencesData: values.references,
-          bondData: values.bond
-        })
-        console.log('Progress saved')
-      } catch (err) {
-        console.error('Failed to save progress:', err)
-      }
-    }, 1000)
+    // Returns the step it opened on
+    function showForm(companyData, intakeData, step) {
+      const openStep = Math.min(Math.max(step || 0, 0), getStepsForWizardType(companyData?.wizardType).length - 1)
+      setCompany(companyData)
+      setIntake(intakeData)
+      setCurrentStep(openStep)
+      return openStep
+    }
     
-    return () => clearTimeout(timer)
-  }, [currentStep, intake, getValues])
+    loadCompany()
+  }, [companySlug, draftKey, reloadKey, reset, beginSync])
   
   // Get steps based on company's wizard type (for early validation)
   const wizardSteps = getStepsForWizardType(company?.wizardType)
@@ -202,6 +308,12 @@ export default function CompanyIntake() {
     }
   }
   
+  const handleLanguageChange = (next) => {
+    if (!intake) return
+    axios.put(`/api/intake/${intake.linkCode}/language`, { language: next })
+      .catch((err) => console.error('Failed to save language:', err))
+  }
+  
   const handleBack = () => {
     setCurrentStep(prev => Math.max(prev - 1, 0))
     window.scrollTo(0, 0)
@@ -212,21 +324,30 @@ export default function CompanyIntake() {
     setError(null)
     
     try {
-      await axios.post(`/api/intake/${intake.linkCode}/submit`, {
+      // Starts the application first if no autosave has yet
+      await flushDraft()
+      const current = intake || startedIntake.current
+      if (!current) throw new Error('Application not started')
+      
+      await axios.post(`/api/intake/${current.linkCode}/submit`, {
         defendantData: data.defendant,
         indemnitorData: data.indemnitor,
         referencesData: data.references,
         bondData: data.bond,
-        signatures: data.signatures
+        signatures: data.signatures,
+        signatureEvidence: data.signatureEvidence,
+        esignConsent: data.esignConsent
       })
       
+      await discardDraft()
+      
       // Save linkCode for confirmation page
-      sessionStorage.setItem('currentLinkCode', intake.linkCode)
+      sessionStorage.setItem('currentLinkCode', current.linkCode)
       
       navigate(`/${companySlug}/complete`)
     } catch (err) {
       console.error('Submission failed:', err)
-      setError(err.response?.data?.error || 'Failed to submit. Please try again.')
+      setError(err.response?.data?.error || t('intake.submitFailed'))
       setSubmitting(false)
     }
   }
@@ -244,7 +365,7 @@ export default function CompanyIntake() {
       <div className="min-h-screen flex items-center justify-center p-4">
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 max-w-md text-center">
           <div className="text-red-500 text-5xl mb-4">⚠️</div>
-          <h1 className="text-xl font-bold text-gray-900 mb-2">Unable to Load Form</h1>
+          <h1 className="text-xl font-bold text-gray-900 mb-2">{t('intake.unableToLoad')}</h1>
           <p className="text-gray-600">{error}</p>
         </div>
       </div>
@@ -262,7 +383,7 @@ export default function CompanyIntake() {
   return (
     <RequiredFieldsProvider requiredFields={requiredFieldPaths}>
       <FormProvider {...methods}>
-        <div className="min-h-screen pb-24">
+        <div className="min-h-screen pb-32">
         {/* Header with company branding */}
         <header 
           className="border-b border-gray-200 sticky top-0 z-10"
@@ -289,9 +410,14 @@ export default function CompanyIntake() {
                   {company?.name || 'Bail Bond Application'}
                 </h1>
                 <p className="text-sm text-gray-500">
-                  Step {currentStep + 1} of {steps.length}: {steps[currentStep].title}
+                  {t('intake.stepOf', {
+                    step: currentStep + 1,
+                    total: steps.length,
+                    title: t(`steps.${steps[currentStep].id}`, { defaultValue: steps[currentStep].title }),
+                  })}
                 </p>
               </div>
+              <LanguageSwitcher onChange={handleLanguageChange} className="ml-auto" />
             </div>
           </div>
           
@@ -312,6 +438,21 @@ export default function CompanyIntake() {
           <StepIndicator steps={steps} currentStep={currentStep} />
         </div>
         
+        {draftNotice && (
+          <div className="max-w-2xl mx-auto px-4 mb-4">
+            <div className="bg-blue-50 border border-blue-200 text-blue-800 px-4 py-3 rounded-lg text-sm flex items-start gap-4">
+              <p>{t(draftNotice)}</p>
+              <button
+                type="button"
+                onClick={() => setDraftNotice(null)}
+                className="ml-auto font-medium hover:underline"
+              >
+                {t('common.dismiss')}
+              </button>
+            </div>
+          </div>
+        )}
+        
         {/* Error message */}
         {error && (
           <div className="max-w-2xl mx-auto px-4 mb-4">
@@ -325,11 +466,29 @@ export default function CompanyIntake() {
         <main className="max-w-2xl mx-auto px-4">
           <form onSubmit={handleSubmit(handleFinalSubmit)}>
             <CurrentStepComponent />
+            
+            {/* Left empty by people - bots that fill in every field are turned away */}
+            <input
+              ref={honeypot}
+              type="text"
+              name="website"
+              tabIndex={-1}
+              autoComplete="off"
+              aria-hidden="true"
+              className="absolute -left-[9999px] w-px h-px overflow-hidden"
+            />
           </form>
+
+          {intake && (
+            <div className="mt-6">
+              <ResumeLink linkCode={intake.linkCode} flush={flushDraft} />
+            </div>
+          )}
         </main>
         
         {/* Navigation buttons */}
         <div className="fixed bottom-0 left-0 right-0 bg-white border-t border-gray-200 p-4">
+          <SaveStatus status={syncStatus} className="max-w-2xl mx-auto justify-end mb-2" />
           <div className="max-w-2xl mx-auto flex gap-3">
             {currentStep > 0 && (
               <button
@@ -338,7 +497,7 @@ export default function CompanyIntake() {
                 className="flex-1 px-4 py-3 rounded-lg font-medium border border-gray-300 text-gray-700 hover:bg-gray-50"
                 disabled={submitting}
               >
-                Back
+                {t('common.back')}
               </button>
             )}
             
@@ -349,7 +508,7 @@ export default function CompanyIntake() {
                 className="flex-1 px-4 py-3 rounded-lg font-medium text-white"
                 style={{ backgroundColor: brandColor }}
               >
-                Continue
+                {t('common.continue')}
               </button>
             ) : (
               <button
@@ -362,10 +521,10 @@ export default function CompanyIntake() {
                 {submitting ? (
                   <>
                     <LoadingSpinner size="sm" className="mr-2" />
-                    Submitting...
+                    {t('common.submitting')}
                   </>
                 ) : (
-                  'Submit Application'
+                  t('common.submit')
                 )}
               </button>
             )}
@@ -374,8 +533,8 @@ export default function CompanyIntake() {
         
         {/* Company contact info footer */}
         {company?.phone && (
-          <div className="fixed bottom-20 left-0 right-0 text-center text-sm text-gray-500">
-            Questions? Call {company.phone}
+          <div className="fixed bottom-28 left-0 right-0 text-center text-sm text-gray-500">
+            {t('intake.questions', { phone: company.phone })}
           </div>
         )}
       </div>
@@ -384,6 +543,19 @@ export default function CompanyIntake() {
   )
 }
 
+// The intake a saved draft belongs to, if it can still be filled in
+async function findDraftIntake(draft) {
+  const linkCode = draft?.snapshot?.intake?.linkCode
+  if (!linkCode) return null
+  
+  try {
+    const { data } = await axios.get(`/api/intake/${linkCode}`)
+    return data.status !== 'COMPLETED' && new Date(data.expiresAt) > new Date() ? data : null
+  } catch {
+    return null
+  }
+}
+
 // Get fields to validate for each step by step ID
 function getStepFieldsById(stepId) {
   switch (stepId) {
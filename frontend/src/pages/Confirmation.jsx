@@ -1,7 +1,15 @@
 import { useParams, useLocation } from 'react-router-dom'
-import { useState, useEffect } from 'react'
-import { CheckCircle, FileText, Download, Loader2 } from 'lucide-react'
+import { useState, useEffect, useCallback } from 'react'
+import { CheckCircle, FileText, Download, Loader2, CreditCard } from 'lucide-react'
 import axios from 'axios'
+import PaymentForm from '../components/PaymentForm'
+import PaymentSchedule from '../components/PaymentSchedule'
+import VerifyIdentity from '../components/VerifyIdentity'
+import { formatCents, formatDueDate } from '../utils/payments'
+import { intakeTokenKey, getIntakeHeaders, withIntakeAccess } from '../utils/intakeAccess'
+
+const PDF_POLL_INTERVAL_MS = 2000
+const MAX_PDF_POLLS = 15
 
 export default function Confirmation() {
   // Handle both route patterns:
@@ -17,9 +25,56 @@ export default function Confirmation() {
   const [loading, setLoading] = useState(true)
   const [pdfs, setPdfs] = useState([])
   const [defendantName, setDefendantName] = useState('')
+  const [awaitingCoSigners, setAwaitingCoSigners] = useState(0)
   const [error, setError] = useState(null)
   
+  // Premium payment plan - balance and card payments
+  const [payments, setPayments] = useState(null)
+  const [lastReceipt, setLastReceipt] = useState(null)
+  const [paymentsKey, setPaymentsKey] = useState(0)
+  
+  // Companies that require a passcode ask for it again to see payments and documents
+  const [verification, setVerification] = useState(null)
+  const [verifying, setVerifying] = useState(false)
+  const [accessKey, setAccessKey] = useState(0)
+  
+  const handleVerificationRequired = useCallback((err) => {
+    if (!err.response?.data?.verificationRequired) return false
+    sessionStorage.removeItem(intakeTokenKey(linkCode))
+    setVerification(err.response.data)
+    return true
+  }, [linkCode])
+  
+  useEffect(() => {
+    if (!linkCode) return
+    
+    axios.get(`/api/intake/${linkCode}/payments`, { headers: getIntakeHeaders(linkCode) })
+      .then((res) => {
+        setPayments(res.data.paymentPlan ? res.data : null)
+        setVerification(null)
+      })
+      // Coming back later to pay - the passcode is needed again
+      .catch(handleVerificationRequired)
+  }, [linkCode, paymentsKey, accessKey, handleVerificationRequired])
+  
+  const handleVerified = (token) => {
+    sessionStorage.setItem(intakeTokenKey(linkCode), token)
+    setVerifying(false)
+    setVerification(null)
+    setLoading(true)
+    setError(null)
+    setAccessKey((key) => key + 1)
+  }
+  
+  const handlePaid = (result) => {
+    setLastReceipt(result)
+    setPaymentsKey((key) => key + 1)
+  }
+  
   useEffect(() => {
+    let timer
+    let attempts = 0
+    
     const fetchPdfs = async () => {
       if (!linkCode) {
         console.error('No linkCode available')
@@ -30,65 +85,54 @@ export default function Confirmation() {
       
       try {
         console.log('Fetching PDFs for:', linkCode)
-        const response = await axios.get(`/api/intake/${linkCode}/pdfs`)
+        const response = await axios.get(`/api/intake/${linkCode}/pdfs`, { headers: getIntakeHeaders(linkCode) })
         console.log('PDF response:', response.data)
+        
+        // PDFs are generated in the background - poll until they're ready
+        attempts++
+        if (response.data.pending && attempts < MAX_PDF_POLLS) {
+          timer = setTimeout(fetchPdfs, PDF_POLL_INTERVAL_MS)
+          return
+        }
+        
         setPdfs(response.data.pdfs || [])
         setDefendantName(response.data.defendantName || '')
+        // Other co-signers still have to sign before the documents are generated
+        setAwaitingCoSigners(response.data.awaitingCoSigners || 0)
       } catch (err) {
         console.error('Failed to fetch PDFs:', err)
         // Show more helpful error message
-        if (err.response?.status === 400) {
+        if (handleVerificationRequired(err)) {
+          setError('Verify your identity to see your documents.')
+        } else if (err.response?.status === 400) {
           setError('Form not yet completed')
         } else if (err.response?.status === 404) {
           setError('Form not found')
         } else {
           setError(err.response?.data?.error || 'Could not load documents. You can still contact the bail bond agent.')
         }
-      } finally {
-        setLoading(false)
       }
+      setLoading(false)
     }
     
-    // Small delay to allow server to finish generating PDFs
-    const timer = setTimeout(() => {
-      fetchPdfs()
-    }, 1000)
+    // Small delay to allow server to start generating PDFs
+    timer = setTimeout(fetchPdfs, 1000)
     
     return () => clearTimeout(timer)
-  }, [linkCode])
+  }, [linkCode, accessKey, handleVerificationRequired])
   
   const downloadPdf = (pdf) => {
-    // Create a blob from base64
-    const byteCharacters = atob(pdf.data)
-    const byteNumbers = new Array(byteCharacters.length)
-    for (let i = 0; i < byteCharacters.length; i++) {
-      byteNumbers[i] = byteCharacters.charCodeAt(i)
-    }
-    const byteArray = new Uint8Array(byteNumbers)
-    const blob = new Blob([byteArray], { type: 'application/pdf' })
-    
-    // Create download link
-    const url = window.URL.createObjectURL(blob)
+    // Server sends Content-Disposition: attachment with the filename
     const link = document.createElement('a')
-    link.href = url
+    link.href = withIntakeAccess(pdf.url, linkCode)
     link.download = `${defendantName.replace(/\s+/g, '_')}_${pdf.name.replace(/\s+/g, '_')}.pdf`
     document.body.appendChild(link)
     link.click()
     document.body.removeChild(link)
-    window.URL.revokeObjectURL(url)
   }
   
   const viewPdf = (pdf) => {
-    // Create a blob and open in new tab
-    const byteCharacters = atob(pdf.data)
-    const byteNumbers = new Array(byteCharacters.length)
-    for (let i = 0; i < byteCharacters.length; i++) {
-      byteNumbers[i] = byteCharacters.charCodeAt(i)
-    }
-    const byteArray = new Uint8Array(byteNumbers)
-    const blob = new Blob([byteArray], { type: 'application/pdf' })
-    const url = window.URL.createObjectURL(blob)
-    window.open(url, '_blank')
+    window.open(withIntakeAccess(pdf.url, linkCode, { inline: 'true' }), '_blank')
   }
   
   const downloadAll = () => {
@@ -97,6 +141,18 @@ export default function Confirmation() {
     })
   }
   
+  if (verifying && verification) {
+    return (
+      <VerifyIdentity
+        linkCode={linkCode}
+        verification={verification}
+        onVerified={handleVerified}
+      />
+    )
+  }
+  
+  const plan = payments?.paymentPlan
+  
   return (
     <div className="min-h-screen flex items-center justify-center p-4">
       <div className="card max-w-lg w-full">
@@ -120,6 +176,72 @@ export default function Confirmation() {
           <p className="font-mono font-semibold text-gray-900">{linkCode?.toUpperCase()}</p>
         </div>
         
+        {/* Premium payment plan */}
+        {plan && (
+          <div className="border-t pt-6 mb-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+              <CreditCard className="w-5 h-5" />
+              Premium Payments
+            </h2>
+            
+            <div className="grid grid-cols-3 gap-3 mb-4 text-center">
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-xs text-gray-500">Paid</p>
+                <p className="font-semibold text-gray-900">{formatCents(plan.paidCents)}</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-xs text-gray-500">Balance</p>
+                <p className="font-semibold text-gray-900">{formatCents(plan.balanceCents)}</p>
+              </div>
+              <div className={plan.dueNowCents > 0 ? 'bg-amber-50 rounded-lg p-3' : 'bg-gray-50 rounded-lg p-3'}>
+                <p className="text-xs text-gray-500">Due Now</p>
+                <p className="font-semibold text-gray-900">{formatCents(plan.dueNowCents)}</p>
+              </div>
+            </div>
+            
+            {lastReceipt && (
+              <p className="text-sm text-green-700 bg-green-50 rounded-lg p-3 mb-4">
+                ✓ Payment of {formatCents(lastReceipt.amountCents)} received. Receipt #{lastReceipt.receiptNumber} - a copy is on its way to you.
+              </p>
+            )}
+            
+            {plan.balanceCents > 0 && plan.nextDue && (
+              <p className="text-sm text-gray-600 mb-4">
+                Next payment: {formatCents(plan.nextDue.amountCents)} due {formatDueDate(plan.nextDue.dueDate)}
+              </p>
+            )}
+            
+            {plan.balanceCents > 0 && (payments.provider ? (
+              <PaymentForm
+                key={paymentsKey}
+                linkCode={linkCode}
+                provider={payments.provider}
+                defaultAmountCents={plan.dueNowCents || plan.nextDue?.amountCents || plan.balanceCents}
+                maxAmountCents={plan.balanceCents}
+                onPaid={handlePaid}
+              />
+            ) : (
+              <p className="text-sm text-gray-500">Please contact your bail bond agent to make a payment.</p>
+            ))}
+            
+            <details className="mt-4">
+              <summary className="text-sm text-primary-600 cursor-pointer">Payment schedule</summary>
+              <div className="mt-2">
+                <PaymentSchedule installments={plan.installments} showPaid />
+              </div>
+            </details>
+          </div>
+        )}
+        
+        {verification && (
+          <div className="border-t pt-6 mb-6 text-center">
+            <p className="text-sm text-gray-600 mb-3">Verify your identity to download your documents and see your payment plan.</p>
+            <button onClick={() => setVerifying(true)} className="btn btn-secondary">
+              Verify &amp; Continue
+            </button>
+          </div>
+        )}
+        
         {/* PDF Documents Section */}
         <div className="border-t pt-6 mb-6">
           <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
@@ -134,6 +256,14 @@ export default function Confirmation() {
             </div>
           ) : error ? (
             <p className="text-red-500 text-sm">{error}</p>
+          ) : awaitingCoSigners > 0 ? (
+            <div className="text-center py-4">
+              <p className="text-gray-600 mb-2">Thank you - your part is signed.</p>
+              <p className="text-sm text-gray-500">
+                We&apos;re waiting on {awaitingCoSigners === 1 ? 'one more co-signer' : `${awaitingCoSigners} more co-signers`}.
+                Your copies of the signed documents will be available from this link once everyone has signed.
+              </p>
+            </div>
           ) : pdfs.length > 0 ? (
             <>
               <div className="space-y-2 mb-4">
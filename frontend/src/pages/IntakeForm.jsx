@@ -169,7 +169,9 @@ export default function IntakeForm() {
         indemnitorData: data.indemnitor,
         referencesData: data.references,
         bondData: data.bond,
-        signatures: data.signatures
+        signatures: data.signatures,
+        signatureEvidence: data.signatureEvidence,
+        esignConsent: data.esignConsent
       })
       
       // Save linkCode for confirmation page
@@ -4,15 +4,19 @@
  *
  * For AGENT-initiated: Pre-fills defendant, co-signer, and bond info from agent's entry
  * For CLIENT-initiated: Loads any saved progress
+ * For an additional co-signer's link: only their own information, references and signatures
+ *
+ * Answers are kept on the device as well (useDraftSync), so the wizard can be
+ * reopened and carried on with offline - they sync once the connection is back.
  */
-import { useState, useEffect, useMemo } from 'react'
+import { useState, useEffect, useMemo, useCallback } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import { useForm, FormProvider } from 'react-hook-form'
 import { zodResolver } from '@hookform/resolvers/zod'
 import axios from 'axios'
 
 import StepIndicator from '../components/FormWizard/StepIndicator'
-import { buildDynamicSchema, getRequiredFieldPaths } from '../utils/validation'
+import { buildDynamicSchema, getRequiredFieldPaths, getSectionProgress } from '../utils/validation'
 import { RequiredFieldsProvider } from '../contexts/RequiredFieldsContext'
 import StepBasicInfo from '../components/FormWizard/StepBasicInfo'
 import StepDefendant from '../components/FormWizard/StepDefendant'
@@ -20,14 +24,27 @@ import StepIndemnitor from '../components/FormWizard/StepIndemnitor'
 import StepReferences from '../components/FormWizard/StepReferences'
 import StepReview from '../components/FormWizard/StepReview'
 import StepSignatures from '../components/FormWizard/StepSignatures'
+import StepPaymentPlan from '../components/FormWizard/StepPaymentPlan'
+import StepCollateral from '../components/FormWizard/StepCollateral'
+import StepIdentification from '../components/FormWizard/StepIdentification'
 import LoadingSpinner from '../components/LoadingSpinner'
+import VerifyIdentity from '../components/VerifyIdentity'
+import LanguageSwitcher from '../components/LanguageSwitcher'
+import SaveStatus from '../components/SaveStatus'
+import ResumeLink from '../components/ResumeLink'
+import { useTranslation } from '../contexts/LanguageContext'
+import useDraftSync from '../hooks/useDraftSync'
+import { intakeTokenKey, getIntakeHeaders } from '../utils/intakeAccess'
+import { getDraft, isDraftNewer, mergeDraft, draftChanges } from '../utils/draftStore'
 
 // Steps for client-initiated (full form)
 const CLIENT_STEPS = [
   { id: 'basic', title: 'Basic Info', component: StepBasicInfo },
   { id: 'defendant', title: 'Defendant', component: StepDefendant },
   { id: 'indemnitor', title: 'Indemnitor', component: StepIndemnitor },
+  { id: 'identification', title: 'Photo ID', component: StepIdentification },
   { id: 'references', title: 'References', component: StepReferences },
+  { id: 'collateral', title: 'Collateral', component: StepCollateral },
   { id: 'review', title: 'Review', component: StepReview },
   { id: 'signatures', title: 'Sign', component: StepSignatures },
 ]
@@ -36,29 +53,79 @@ const CLIENT_STEPS = [
 const AGENT_STEPS = [
   { id: 'defendant', title: 'Defendant', component: StepDefendant },
   { id: 'indemnitor', title: 'Indemnitor', component: StepIndemnitor },
+  { id: 'identification', title: 'Photo ID', component: StepIdentification },
+  { id: 'references', title: 'References', component: StepReferences },
+  { id: 'collateral', title: 'Collateral', component: StepCollateral },
+  { id: 'review', title: 'Review', component: StepReview },
+  { id: 'signatures', title: 'Sign', component: StepSignatures },
+]
+
+// Steps for an additional co-signer (the primary co-signer fills in the defendant)
+const ADDITIONAL_CO_SIGNER_STEPS = [
+  { id: 'indemnitor', title: 'Indemnitor', component: StepIndemnitor },
+  { id: 'identification', title: 'Photo ID', component: StepIdentification },
   { id: 'references', title: 'References', component: StepReferences },
+  { id: 'collateral', title: 'Collateral', component: StepCollateral },
   { id: 'review', title: 'Review', component: StepReview },
   { id: 'signatures', title: 'Sign', component: StepSignatures },
 ]
 
+// Added before signing when the agent set a premium payment plan
+const PAYMENT_PLAN_STEP = { id: 'paymentPlan', title: 'Payment Plan', component: StepPaymentPlan }
+
+const getStepsFor = ({ additionalCoSigner, agentInitiated, paymentPlan }) => {
+  const steps = additionalCoSigner
+    ? ADDITIONAL_CO_SIGNER_STEPS
+    : (agentInitiated ? AGENT_STEPS : CLIENT_STEPS)
+  if (!paymentPlan) return steps
+  return steps.flatMap((step) => step.id === 'signatures' ? [PAYMENT_PLAN_STEP, step] : [step])
+}
+
+// What an autosave can change - additional co-signers only their own section
+const DRAFT_SECTIONS = {
+  defendantData: 'defendant',
+  indemnitorData: 'indemnitor',
+  referencesData: 'references',
+  bondData: 'bond',
+  collateralData: 'collateral',
+}
+const CO_SIGNER_SECTIONS = ['indemnitorData', 'referencesData', 'collateralData']
+
+const toDraftSections = (values, additionalCoSigner) => Object.fromEntries(
+  Object.entries(DRAFT_SECTIONS)
+    .filter(([section]) => !additionalCoSigner || CO_SIGNER_SECTIONS.includes(section))
+    .map(([section, field]) => [section, values[field]])
+)
+
 export default function LinkCodeIntake() {
   const { companySlug, linkCode } = useParams()
   const navigate = useNavigate()
+  const { t, setLanguage } = useTranslation()
 
   const [currentStep, setCurrentStep] = useState(0)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [loadError, setLoadError] = useState(null) // i18n key - shown in whatever language is picked
   const [company, setCompany] = useState(null)
   const [intake, setIntake] = useState(null)
   const [submitting, setSubmitting] = useState(false)
   const [isAgentInitiated, setIsAgentInitiated] = useState(false)
+  const [isAdditionalCoSigner, setIsAdditionalCoSigner] = useState(false)
+  const [hasPaymentPlan, setHasPaymentPlan] = useState(false)
+  const [verification, setVerification] = useState(null)
+  const [reloadKey, setReloadKey] = useState(0)
+  const [draftNotice, setDraftNotice] = useState(null) // i18n key, like loadError
 
   // Build dynamic schema based on company's requiredFields configuration
   const dynamicSchema = useMemo(() => {
     const requiredFields = getRequiredFieldPaths(company)
     const wizardType = company?.wizardType?.toLowerCase() || 'medium'
-    return buildDynamicSchema(requiredFields, wizardType)
-  }, [company])
+    return buildDynamicSchema(requiredFields, wizardType, {
+      additionalCoSigner: isAdditionalCoSigner,
+      paymentPlan: hasPaymentPlan,
+      t,
+    })
+  }, [company, isAdditionalCoSigner, hasPaymentPlan, t])
 
   // Get required field paths for marking fields in UI
   const requiredFieldPaths = useMemo(() => {
@@ -73,12 +140,52 @@ export default function LinkCodeIntake() {
       indemnitor: {},
       bond: {},
       references: [{}, {}, {}],
+      collateral: [],
       signatures: {},
       finalAgreement: false,
     },
   })
 
-  const { handleSubmit, reset, formState, trigger, clearErrors } = methods
+  const { handleSubmit, reset, trigger, clearErrors } = methods
+
+  // Only the fields that changed, plus the step and how complete each section is
+  const saveProgress = useCallback(async ({ values, previous, step, baseSavedAt }) => {
+    const progress = getSectionProgress(values, requiredFieldPaths)
+    const res = await axios.patch(`/api/intake/${linkCode}/draft`, {
+      changes: draftChanges(
+        previous && toDraftSections(previous, isAdditionalCoSigner),
+        toDraftSections(values, isAdditionalCoSigner)
+      ),
+      currentStep: getStepsFor({
+        additionalCoSigner: isAdditionalCoSigner,
+        agentInitiated: isAgentInitiated,
+        paymentPlan: hasPaymentPlan,
+      })[step]?.id,
+      progress: isAdditionalCoSigner
+        ? { indemnitor: progress.indemnitor, references: progress.references }
+        : progress,
+      baseSavedAt,
+    }, {
+      headers: getIntakeHeaders(linkCode),
+    })
+    return res.data.savedAt
+  }, [linkCode, requiredFieldPaths, isAdditionalCoSigner, isAgentInitiated, hasPaymentPlan])
+
+  // Saved from another device since this copy was loaded - show theirs
+  const handleServerNewer = useCallback(() => {
+    setDraftNotice('drafts.replaced')
+    setLoading(true)
+    setReloadKey((key) => key + 1)
+  }, [])
+
+  const { status: syncStatus, begin: beginSync, flush: flushDraft, discard: discardDraft } = useDraftSync({
+    draftKey: `intake:${linkCode}`,
+    methods,
+    step: currentStep,
+    enabled: Boolean(intake) && !loading,
+    save: saveProgress,
+    onServerNewer: handleServerNewer,
+  })
 
   // Clear errors when schema changes (company loads) to re-evaluate with new schema
   useEffect(() => {
@@ -87,10 +194,15 @@ export default function LinkCodeIntake() {
     }
   }, [company, clearErrors])
 
+  const getSteps = () => getStepsFor({
+    additionalCoSigner: isAdditionalCoSigner,
+    agentInitiated: isAgentInitiated,
+    paymentPlan: hasPaymentPlan,
+  })
+
   // Get field names to validate for each step
-  const getStepFields = (stepIndex, isAgent) => {
-    const steps = isAgent ? AGENT_STEPS : CLIENT_STEPS
-    const stepId = steps[stepIndex]?.id
+  const getStepFields = (stepIndex) => {
+    const stepId = getSteps()[stepIndex]?.id
 
     switch (stepId) {
       case 'basic':
@@ -102,8 +214,12 @@ export default function LinkCodeIntake() {
         return ['indemnitor']
       case 'references':
         return ['references']
+      case 'collateral':
+        return ['collateral']
       case 'review':
         return []
+      case 'paymentPlan':
+        return ['paymentPlanAcceptance']
       case 'signatures':
         return ['signatures']
       default:
@@ -112,7 +228,7 @@ export default function LinkCodeIntake() {
   }
 
   const handleNext = async () => {
-    const stepFields = getStepFields(currentStep, isAgentInitiated)
+    const stepFields = getStepFields(currentStep)
     const isValid = await trigger(stepFields)
 
     if (isValid) {
@@ -122,14 +238,71 @@ export default function LinkCodeIntake() {
   }
 
   useEffect(() => {
+    const draftKey = `intake:${linkCode}`
+
+    // Fill in the wizard from the server copy - or from this device's draft if it has
+    // changes the server hasn't seen yet
+    const showIntake = async (companyData, data) => {
+      setCompany(companyData)
+      setIntake(data)
+      setLanguage(data.preferredLanguage)
+      setIsAgentInitiated(data.source === 'AGENT')
+      setIsAdditionalCoSigner(data.coSigner?.position > 1)
+      setHasPaymentPlan(Boolean(data.paymentPlan))
+
+      const draft = await getDraft(draftKey)
+      const restored = isDraftNewer(draft, data.savedAt) ? draft : null
+
+      // Build pre-filled form data
+      const formData = buildFormData(data)
+      reset(restored ? mergeDraft(formData, restored.data) : formData)
+
+      // Back on the step this device was on - or wherever the last save (from any device) was
+      const steps = getStepsFor({
+        additionalCoSigner: data.coSigner?.position > 1,
+        agentInitiated: data.source === 'AGENT',
+        paymentPlan: Boolean(data.paymentPlan),
+      })
+      const savedStep = steps.findIndex((step) => step.id === data.currentStep)
+      const openStep = restored ? Math.min(restored.step || 0, steps.length - 1) : Math.max(savedStep, 0)
+      setCurrentStep(openStep)
+
+      beginSync({
+        savedAt: data.savedAt,
+        keep: {
+          company: companyData,
+          intake: data,
+          verified: Boolean(sessionStorage.getItem(intakeTokenKey(linkCode))),
+        },
+        draft: restored,
+        serverValues: formData,
+        step: openStep,
+      })
+    }
+
+    // No connection - reopen the copy kept on this device (verified links only in the
+    // browser session that passed verification)
+    const showOfflineCopy = async () => {
+      const draft = await getDraft(draftKey)
+      const copy = draft?.snapshot
+      if (!copy || (copy.verified && !sessionStorage.getItem(intakeTokenKey(linkCode)))) {
+        return false
+      }
+      await showIntake(copy.company, copy.intake)
+      setDraftNotice('drafts.openedOffline')
+      return true
+    }
+
     const loadIntake = async () => {
       try {
         // Load company info
         const companyRes = await axios.get(`/api/company/${companySlug}`)
-        setCompany(companyRes.data.company || companyRes.data)
+        const companyData = companyRes.data.company || companyRes.data
         
         // Load intake data
-        const intakeRes = await axios.get(`/api/intake/${linkCode}`)
+        const intakeRes = await axios.get(`/api/intake/${linkCode}`, {
+          headers: getIntakeHeaders(linkCode),
+        })
         const data = intakeRes.data
         
         // Check status
@@ -144,12 +317,7 @@ export default function LinkCodeIntake() {
           return
         }
         
-        setIntake(data)
-        setIsAgentInitiated(data.source === 'AGENT')
-        
-        // Build pre-filled form data
-        const formData = buildFormData(data)
-        reset(formData)
+        await showIntake(companyData, data)
         
         // Mark as opened (for agent-initiated tracking)
         if (data.source === 'AGENT') {
@@ -159,18 +327,54 @@ export default function LinkCodeIntake() {
         setLoading(false)
         
       } catch (err) {
+        // Already signed from this link - show the confirmation (or who we're still waiting on)
+        if (err.response?.status === 409) {
+          sessionStorage.setItem('currentLinkCode', linkCode)
+          navigate(`/${companySlug}/complete`)
+          return
+        }
+        
+        if (err.response?.data?.verificationRequired) {
+          // Stale or missing token - ask for a passcode before showing anything
+          sessionStorage.removeItem(intakeTokenKey(linkCode))
+          setVerification(err.response.data)
+          setLanguage(err.response.data.preferredLanguage)
+          axios.post(`/api/intake/${linkCode}/opened`).catch(() => {})
+          setLoading(false)
+          return
+        }
+        
+        if (!err.response && await showOfflineCopy()) {
+          setLoading(false)
+          return
+        }
+        
         console.error('Load error:', err)
         if (err.response?.status === 404) {
-          setError('This link is invalid or has expired.')
+          setLoadError('intake.invalidLink')
         } else {
-          setError('Failed to load form. Please try again.')
+          setLoadError('intake.loadFailed')
         }
         setLoading(false)
       }
     }
     
     loadIntake()
-  }, [companySlug, linkCode, navigate, reset])
+  }, [companySlug, linkCode, navigate, reset, setLanguage, beginSync, reloadKey])
+  
+  // Remember a switch on the intake so texts, emails and documents follow it
+  const handleLanguageChange = (language) => {
+    axios.put(`/api/intake/${linkCode}/language`, { language }, {
+      headers: getIntakeHeaders(linkCode),
+    }).catch((err) => console.error('Language save failed:', err))
+  }
+  
+  const handleVerified = (token) => {
+    sessionStorage.setItem(intakeTokenKey(linkCode), token)
+    setVerification(null)
+    setLoading(true)
+    setReloadKey((key) => key + 1)
+  }
   
   /**
    * Build form data from intake record
@@ -276,8 +480,20 @@ export default function LinkCodeIntake() {
       },
       
       references: refs.length >= 3 ? refs : [{}, {}, {}],
+      // The API stores values as numbers - the inputs edit them as text
+      collateral: (data.collateralData || []).map((item) => ({
+        ...item,
+        estimatedValue: item.estimatedValue ? String(item.estimatedValue) : '',
+      })),
       signatures: data.signatures || {},
       finalAgreement: false,
+      
+      // Read-only context for the steps (not submitted)
+      coSigner: data.coSigner || { position: 1, total: 1 },
+      additionalDefendants: data.additionalDefendants || [],
+      idDocuments: data.idDocuments || [],
+      paymentPlan: data.paymentPlan || null,
+      paymentPlanAcceptance: null,
     }
   }
 
@@ -292,39 +508,25 @@ export default function LinkCodeIntake() {
         referencesData: formData.references,
         bondData: formData.bond,
         signatures: formData.signatures,
+        signatureEvidence: formData.signatureEvidence,
+        esignConsent: formData.esignConsent,
+        paymentPlanAcceptance: formData.paymentPlanAcceptance,
+        collateralData: formData.collateral,
+      }, {
+        headers: getIntakeHeaders(linkCode),
       })
       
+      await discardDraft()
       sessionStorage.setItem('currentLinkCode', linkCode)
       navigate(`/${companySlug}/complete`)
       
     } catch (err) {
       console.error('Submit error:', err)
-      setError(err.response?.data?.error || 'Failed to submit. Please try again.')
+      setError(err.response?.data?.error || t('intake.submitFailed'))
       setSubmitting(false)
     }
   }
   
-  // Auto-save progress (debounced)
-  useEffect(() => {
-    if (!intake || loading) return
-    
-    const saveTimeout = setTimeout(async () => {
-      const data = methods.getValues()
-      try {
-        await axios.post(`/api/intake/${linkCode}/save`, {
-          defendantData: data.defendant,
-          indemnitorData: data.indemnitor,
-          referencesData: data.references,
-          bondData: data.bond,
-        })
-      } catch (err) {
-        console.error('Auto-save failed:', err)
-      }
-    }, 2000)
-    
-    return () => clearTimeout(saveTimeout)
-  }, [formState.isDirty, intake, linkCode, loading, methods])
-
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -333,20 +535,32 @@ export default function LinkCodeIntake() {
     )
   }
   
-  if (error && !company) {
+  if (verification) {
+    return (
+      <VerifyIdentity
+        linkCode={linkCode}
+        verification={verification}
+        onVerified={handleVerified}
+      />
+    )
+  }
+  
+  const errorMessage = loadError ? t(loadError) : error
+  
+  if (errorMessage && !company) {
     return (
       <div className="min-h-screen flex items-center justify-center p-4">
         <div className="bg-white rounded-xl shadow p-6 max-w-md text-center">
           <div className="text-red-500 text-5xl mb-4">⚠️</div>
-          <h1 className="text-xl font-bold mb-2">Error</h1>
-          <p className="text-gray-600">{error}</p>
+          <h1 className="text-xl font-bold mb-2">{t('common.error')}</h1>
+          <p className="text-gray-600">{errorMessage}</p>
         </div>
       </div>
     )
   }
 
   // Use appropriate steps based on intake source
-  const steps = isAgentInitiated ? AGENT_STEPS : CLIENT_STEPS
+  const steps = getSteps()
   const StepComponent = steps[currentStep]?.component
   const isLastStep = currentStep === steps.length - 1
 
@@ -357,6 +571,7 @@ export default function LinkCodeIntake() {
         <div className="max-w-4xl mx-auto px-4 py-4 flex items-center gap-4">
           {company?.logo && <img src={company.logo} alt="" className="h-10" />}
           <h1 className="text-xl font-semibold">{company?.name}</h1>
+          {intake && <LanguageSwitcher onChange={handleLanguageChange} className="ml-auto" />}
         </div>
       </div>
       
@@ -365,26 +580,67 @@ export default function LinkCodeIntake() {
         <div className="bg-blue-50 border-b border-blue-100">
           <div className="max-w-4xl mx-auto px-4 py-3">
             <p className="text-blue-800 text-sm">
-              <span className="font-medium">✓ Some information has been pre-filled</span> by your bail bond agent. 
-              Please review and complete the remaining fields.
+              <span className="font-medium">{t('intake.prefilledTitle')}</span> {t('intake.prefilledBody')}
             </p>
           </div>
         </div>
       )}
       
+      {/* Multiple co-signers / defendants banner */}
+      {(intake?.coSigner?.total > 1 || intake?.additionalDefendants?.length > 0) && currentStep === 0 && (
+        <div className="bg-indigo-50 border-b border-indigo-100">
+          <div className="max-w-4xl mx-auto px-4 py-3 text-sm text-indigo-800 space-y-1">
+            {intake.coSigner.total > 1 && (
+              <p>
+                <span className="font-medium">
+                  {t('intake.coSignerOf', { position: intake.coSigner.position, total: intake.coSigner.total })}
+                </span>{' '}
+                {t('intake.coSignerOfBody')}
+              </p>
+            )}
+            {intake.additionalDefendants?.length > 0 && (
+              <p>
+                <span className="font-medium">
+                  {t('intake.defendantsCovered', { count: intake.additionalDefendants.length + 1 })}
+                </span>{' '}
+                {[intake.defendantData, ...intake.additionalDefendants]
+                  .map((d) => `${d?.firstName || ''} ${d?.lastName || ''}`.trim())
+                  .join(', ')}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+      
       {/* Multiple bonds banner */}
       {intake?.bondsData?.length > 1 && (
         <div className="bg-amber-50 border-b border-amber-100">
           <div className="max-w-4xl mx-auto px-4 py-3">
             <p className="text-amber-800 text-sm font-medium">
-              📋 This request includes {intake.bondsData.length} bonds totaling ${
-                intake.bondsData.reduce((sum, b) => sum + (parseFloat(b.amount) || 0), 0).toLocaleString()
-              }
+              {t('intake.multipleBonds', {
+                count: intake.bondsData.length,
+                total: intake.bondsData.reduce((sum, b) => sum + (parseFloat(b.amount) || 0), 0).toLocaleString(),
+              })}
             </p>
           </div>
         </div>
       )}
       
+      {draftNotice && (
+        <div className="bg-blue-50 border-b border-blue-100">
+          <div className="max-w-4xl mx-auto px-4 py-3 flex items-start gap-4">
+            <p className="text-blue-800 text-sm">{t(draftNotice)}</p>
+            <button
+              type="button"
+              onClick={() => setDraftNotice(null)}
+              className="ml-auto text-blue-700 text-sm font-medium hover:underline"
+            >
+              {t('common.dismiss')}
+            </button>
+          </div>
+        </div>
+      )}
+      
       <div className="max-w-4xl mx-auto px-4 py-6">
         <StepIndicator 
           steps={steps} 
@@ -399,12 +655,14 @@ export default function LinkCodeIntake() {
                 {StepComponent && <StepComponent />}
               </div>
 
-              {error && (
+              {errorMessage && (
                 <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 text-red-700">
-                  {error}
+                  {errorMessage}
                 </div>
               )}
 
+              <SaveStatus status={syncStatus} className="justify-end mb-3" />
+
               <div className="flex gap-4">
                 {currentStep > 0 && (
                   <button
@@ -415,7 +673,7 @@ export default function LinkCodeIntake() {
                     }}
                     className="flex-1 bg-white border border-gray-300 py-3 rounded-lg font-medium hover:bg-gray-50"
                   >
-                    Back
+                    {t('common.back')}
                   </button>
                 )}
 
@@ -425,7 +683,7 @@ export default function LinkCodeIntake() {
                     onClick={handleNext}
                     className="flex-1 bg-blue-600 text-white py-3 rounded-lg font-medium hover:bg-blue-700"
                   >
-                    Continue
+                    {t('common.continue')}
                   </button>
                 ) : (
                   <button
@@ -433,10 +691,17 @@ export default function LinkCodeIntake() {
                     disabled={submitting}
                     className="flex-1 bg-green-600 text-white py-3 rounded-lg font-medium hover:bg-green-700 disabled:opacity-50"
                   >
-                    {submitting ? 'Submitting...' : 'Submit Application'}
+                    {submitting ? t('common.submitting') : t('common.submit')}
                   </button>
                 )}
               </div>
+
+              {/* Started on the company page - no agent sent this link, so offer to */}
+              {!isAgentInitiated && !isAdditionalCoSigner && (
+                <div className="mt-6">
+                  <ResumeLink linkCode={linkCode} flush={flushDraft} />
+                </div>
+              )}
             </form>
           </FormProvider>
         </RequiredFieldsProvider>
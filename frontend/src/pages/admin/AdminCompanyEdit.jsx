@@ -15,6 +15,15 @@ export default function AdminCompanyEdit() {
   const [checkingSlug, setCheckingSlug] = useState(false)
   const [apiKey, setApiKey] = useState(null)
   const [showApiKey, setShowApiKey] = useState(false)
+  const [agents, setAgents] = useState([])
+  const [newAgent, setNewAgent] = useState({ name: '', email: '', phone: '', password: '' })
+  const [syncRuns, setSyncRuns] = useState([])
+  const [syncing, setSyncing] = useState(false)
+  const [webhooks, setWebhooks] = useState([])
+  const [webhookEvents, setWebhookEvents] = useState([])
+  const [newWebhook, setNewWebhook] = useState({ url: '', events: [] })
+  const [newWebhookSecret, setNewWebhookSecret] = useState(null)
+  const [testingWebhookId, setTestingWebhookId] = useState(null)
   
   const [company, setCompany] = useState({
     name: '',
@@ -29,6 +38,10 @@ export default function AdminCompanyEdit() {
     primaryColor: '#3b82f6',
     bailbooksCompanyId: '',
     wizardType: 'medium',
+    remindersEnabled: false,
+    reminderRules: [],
+    maxRemindersPerIntake: 3,
+    identityVerification: 'off',
     isActive: true
   })
   
@@ -43,6 +56,9 @@ export default function AdminCompanyEdit() {
     
     if (!isNew) {
       loadCompany()
+      loadAgents()
+      loadSyncRuns()
+      loadWebhooks()
     }
   }, [id, token, navigate, isNew])
   
@@ -63,6 +79,10 @@ export default function AdminCompanyEdit() {
         primaryColor: data.primaryColor || '#3b82f6',
         bailbooksCompanyId: data.bailbooksCompanyId || '',
         wizardType: data.wizardType || 'medium',
+        remindersEnabled: data.remindersEnabled,
+        reminderRules: data.reminderRules || data.defaultReminderRules,
+        maxRemindersPerIntake: data.maxRemindersPerIntake,
+        identityVerification: data.identityVerification || 'off',
         isActive: data.isActive
       })
       if (data.apiKeyMasked) {
@@ -76,6 +96,147 @@ export default function AdminCompanyEdit() {
     }
   }
   
+  const loadAgents = async () => {
+    try {
+      const response = await axios.get(`/api/admin/companies/${id}/agents`, config)
+      setAgents(response.data)
+    } catch (err) {
+      console.error('Failed to load agents:', err)
+    }
+  }
+  
+  const createAgent = async () => {
+    setError(null)
+    try {
+      await axios.post(`/api/admin/companies/${id}/agents`, newAgent, config)
+      setNewAgent({ name: '', email: '', phone: '', password: '' })
+      setSuccess('Agent login created')
+      loadAgents()
+    } catch (err) {
+      console.error('Agent create failed:', err)
+      setError(err.response?.data?.error || 'Failed to create agent')
+    }
+  }
+  
+  const updateAgent = async (agentId, changes) => {
+    setError(null)
+    try {
+      await axios.put(`/api/admin/agents/${agentId}`, changes, config)
+      loadAgents()
+    } catch (err) {
+      console.error('Agent update failed:', err)
+      setError(err.response?.data?.error || 'Failed to update agent')
+    }
+  }
+  
+  const resetAgentPassword = async (agent) => {
+    const password = prompt(`New password for ${agent.name} (minimum 8 characters):`)
+    if (!password) {
+      return
+    }
+    await updateAgent(agent.id, { password })
+    setSuccess(`Password reset for ${agent.name}`)
+  }
+  
+  const loadSyncRuns = async () => {
+    try {
+      const response = await axios.get('/api/admin/sync-runs', { ...config, params: { companyId: id, limit: 5 } })
+      setSyncRuns(response.data.syncRuns)
+    } catch (err) {
+      console.error('Failed to load sync history:', err)
+    }
+  }
+  
+  const syncNow = async () => {
+    setSyncing(true)
+    setError(null)
+    try {
+      const response = await axios.post(`/api/admin/companies/${id}/sync`, {}, config)
+      setSuccess(`Synced ${response.data.agentCount} agents, ${response.data.facilityCount} facilities, ${response.data.courtCount} courts`)
+    } catch (err) {
+      console.error('Sync failed:', err)
+      setError(err.response?.data?.error || 'Bailbooks sync failed')
+    } finally {
+      setSyncing(false)
+      loadSyncRuns()
+    }
+  }
+  
+  const loadWebhooks = async () => {
+    try {
+      const response = await axios.get(`/api/admin/companies/${id}/webhooks`, config)
+      setWebhooks(response.data.endpoints)
+      setWebhookEvents(response.data.availableEvents)
+    } catch (err) {
+      console.error('Failed to load webhooks:', err)
+    }
+  }
+  
+  const createWebhook = async () => {
+    setError(null)
+    try {
+      const response = await axios.post(`/api/admin/companies/${id}/webhooks`, newWebhook, config)
+      setNewWebhook({ url: '', events: [] })
+      setNewWebhookSecret(response.data.secret)
+      loadWebhooks()
+    } catch (err) {
+      console.error('Webhook create failed:', err)
+      setError(err.response?.data?.error || 'Failed to add webhook')
+    }
+  }
+  
+  const updateWebhook = async (webhookId, changes) => {
+    setError(null)
+    try {
+      await axios.put(`/api/admin/webhooks/${webhookId}`, changes, config)
+      loadWebhooks()
+    } catch (err) {
+      console.error('Webhook update failed:', err)
+      setError(err.response?.data?.error || 'Failed to update webhook')
+    }
+  }
+  
+  const deleteWebhook = async (webhook) => {
+    if (!confirm(`Delete the webhook for ${webhook.url}? Its delivery log will be removed too.`)) {
+      return
+    }
+    try {
+      await axios.delete(`/api/admin/webhooks/${webhook.id}`, config)
+      loadWebhooks()
+    } catch (err) {
+      console.error('Webhook delete failed:', err)
+      setError(err.response?.data?.error || 'Failed to delete webhook')
+    }
+  }
+  
+  const sendTestWebhook = async (webhookId) => {
+    setTestingWebhookId(webhookId)
+    setError(null)
+    setSuccess(null)
+    try {
+      const response = await axios.post(`/api/admin/webhooks/${webhookId}/test`, {}, config)
+      const { delivery } = response.data
+      if (response.data.success) {
+        setSuccess(`Test event delivered (HTTP ${delivery.responseStatus})`)
+      } else {
+        setError(`Test event failed: ${delivery.error}`)
+      }
+      loadWebhooks()
+    } catch (err) {
+      console.error('Webhook test failed:', err)
+      setError(err.response?.data?.error || 'Failed to send test event')
+    } finally {
+      setTestingWebhookId(null)
+    }
+  }
+  
+  const toggleNewWebhookEvent = (event) => {
+    const events = newWebhook.events.includes(event)
+      ? newWebhook.events.filter(e => e !== event)
+      : [...newWebhook.events, event]
+    setNewWebhook({ ...newWebhook, events })
+  }
+  
   const checkSlugAvailability = async (slug) => {
     if (!slug || slug.length < 3) {
       setSlugAvailable(null)
@@ -111,6 +272,22 @@ export default function AdminCompanyEdit() {
     }, 500)
   }
   
+  const updateReminderRule = (index, changes) => {
+    const reminderRules = company.reminderRules.map((rule, i) =>
+      i === index ? { ...rule, ...changes } : rule
+    )
+    setCompany({ ...company, reminderRules })
+  }
+  
+  const addReminderRule = () => {
+    const id = `rule-${Date.now()}`
+    setCompany({ ...company, reminderRules: [...company.reminderRules, { id, when: 'unopened', hours: 4 }] })
+  }
+  
+  const removeReminderRule = (index) => {
+    setCompany({ ...company, reminderRules: company.reminderRules.filter((_, i) => i !== index) })
+  }
+  
   const handleSubmit = async (e) => {
     e.preventDefault()
     setSaving(true)
@@ -436,6 +613,53 @@ export default function AdminCompanyEdit() {
                 The CompanyID from your Bailbooks database
               </p>
             </div>
+            
+            {!isNew && company.bailbooksCompanyId && (
+              <div className="mt-6 pt-4 border-t border-gray-200">
+                <div className="flex items-center justify-between mb-3">
+                  <h3 className="text-sm font-medium text-gray-700">Sync History</h3>
+                  <button
+                    type="button"
+                    onClick={syncNow}
+                    disabled={syncing}
+                    className="px-3 py-1 bg-gray-100 text-gray-700 rounded text-sm hover:bg-gray-200 disabled:opacity-50"
+                  >
+                    {syncing ? 'Syncing...' : 'Sync Now'}
+                  </button>
+                </div>
+                
+                {syncRuns.length === 0 ? (
+                  <p className="text-sm text-gray-500">No syncs yet.</p>
+                ) : (
+                  <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg text-sm">
+                    {syncRuns.map((run) => (
+                      <div key={run.id} className="px-4 py-2">
+                        <div className="flex items-center justify-between">
+                          <span className="text-gray-700">
+                            {new Date(run.startedAt).toLocaleString()}
+                            <span className="text-gray-400"> · {run.trigger}</span>
+                          </span>
+                          <span className={run.status === 'SUCCEEDED' ? 'text-green-600' : run.status === 'FAILED' ? 'text-red-600' : 'text-gray-500'}>
+                            {run.status.toLowerCase()}
+                            {run.durationMs != null && ` in ${(run.durationMs / 1000).toFixed(1)}s`}
+                          </span>
+                        </div>
+                        {run.counts && (
+                          <div className="text-xs text-gray-500">
+                            {Object.entries(run.counts).map(([type, count]) => (
+                              `${count.received} ${type} (+${count.added || 0} / ~${count.updated || 0} / -${count.deactivated || 0})`
+                            )).join(' · ')}
+                          </div>
+                        )}
+                        {run.error && (
+                          <div className="text-xs text-red-600">{run.error}</div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
           </div>
 
           {/* Wizard Type Selection */}
@@ -611,6 +835,347 @@ export default function AdminCompanyEdit() {
             </div>
           )}
           
+          {/* Agent Logins (only for existing companies) */}
+          {!isNew && (
+            <div className="bg-white rounded-xl shadow-sm p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-2">Agent Logins</h2>
+              <p className="text-sm text-gray-500 mb-4">
+                Agents sign in at <code className="bg-gray-100 px-1 rounded">{window.location.origin}/agent/login</code> to
+                send e-sign requests and track their own intakes.
+              </p>
+              
+              {agents.length > 0 && (
+                <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg mb-4">
+                  {agents.map((agent) => (
+                    <div key={agent.id} className="flex items-center justify-between px-4 py-3">
+                      <div>
+                        <div className="font-medium text-gray-900">
+                          {agent.name}
+                          {!agent.isActive && (
+                            <span className="ml-2 text-xs bg-red-100 text-red-700 px-2 py-0.5 rounded">Disabled</span>
+                          )}
+                          {agent.canRevealSensitiveData && (
+                            <span className="ml-2 text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded">Can view SSN/DOB</span>
+                          )}
+                        </div>
+                        <div className="text-sm text-gray-500">
+                          {agent.email} · {agent._count?.intakes || 0} intakes
+                          {agent.lastLoginAt && ` · Last login ${new Date(agent.lastLoginAt).toLocaleDateString()}`}
+                        </div>
+                      </div>
+                      <div className="flex gap-2">
+                        <button
+                          type="button"
+                          onClick={() => resetAgentPassword(agent)}
+                          className="px-3 py-1 bg-gray-100 text-gray-700 rounded text-sm hover:bg-gray-200"
+                        >
+                          Reset Password
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => updateAgent(agent.id, { canRevealSensitiveData: !agent.canRevealSensitiveData })}
+                          className="px-3 py-1 bg-gray-100 text-gray-700 rounded text-sm hover:bg-gray-200"
+                        >
+                          {agent.canRevealSensitiveData ? 'Revoke SSN/DOB Access' : 'Allow SSN/DOB Access'}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => updateAgent(agent.id, { isActive: !agent.isActive })}
+                          className={`px-3 py-1 rounded text-sm ${agent.isActive ? 'bg-red-100 text-red-700 hover:bg-red-200' : 'bg-green-100 text-green-700 hover:bg-green-200'}`}
+                        >
+                          {agent.isActive ? 'Disable' : 'Enable'}
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+              
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+                <input
+                  type="text"
+                  value={newAgent.name}
+                  onChange={(e) => setNewAgent({ ...newAgent, name: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  placeholder="Name"
+                />
+                <input
+                  type="email"
+                  value={newAgent.email}
+                  onChange={(e) => setNewAgent({ ...newAgent, email: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  placeholder="Email"
+                />
+                <input
+                  type="password"
+                  value={newAgent.password}
+                  onChange={(e) => setNewAgent({ ...newAgent, password: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  placeholder="Temporary password"
+                />
+                <button
+                  type="button"
+                  onClick={createAgent}
+                  disabled={!newAgent.name || !newAgent.email || !newAgent.password}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+                >
+                  + Add Agent
+                </button>
+              </div>
+            </div>
+          )}
+          
+          {/* Webhooks (only for existing companies) */}
+          {!isNew && (
+            <div className="bg-white rounded-xl shadow-sm p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-2">Webhooks</h2>
+              <p className="text-sm text-gray-500 mb-4">
+                POST intake lifecycle events to the company&apos;s systems. Requests are signed with
+                an <code className="bg-gray-100 px-1 rounded">X-BondProspects-Signature</code> header
+                (HMAC-SHA256 of <code className="bg-gray-100 px-1 rounded">timestamp.body</code>).
+              </p>
+              
+              {newWebhookSecret && (
+                <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-4">
+                  <p className="text-sm text-yellow-800 font-medium mb-2">
+                    Signing secret - copy it now, it won&apos;t be shown again:
+                  </p>
+                  <div className="flex items-center gap-2">
+                    <code className="flex-1 bg-white px-3 py-2 rounded border text-sm font-mono break-all">{newWebhookSecret}</code>
+                    <button
+                      type="button"
+                      onClick={() => copyToClipboard(newWebhookSecret)}
+                      className="px-3 py-2 bg-yellow-100 text-yellow-800 rounded text-sm hover:bg-yellow-200"
+                    >
+                      Copy
+                    </button>
+                  </div>
+                </div>
+              )}
+              
+              {webhooks.length > 0 && (
+                <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg mb-4">
+                  {webhooks.map((webhook) => (
+                    <div key={webhook.id} className="px-4 py-3">
+                      <div className="flex items-center justify-between gap-4">
+                        <div className="min-w-0">
+                          <div className="font-medium text-gray-900 truncate">
+                            {webhook.url}
+                            {!webhook.isActive && (
+                              <span className="ml-2 text-xs bg-red-100 text-red-700 px-2 py-0.5 rounded">Disabled</span>
+                            )}
+                          </div>
+                          <div className="text-xs text-gray-500">
+                            {webhook.events.length > 0 ? webhook.events.join(', ') : 'All events'} · {webhook.secretMasked}
+                          </div>
+                        </div>
+                        <div className="flex gap-2 shrink-0">
+                          <button
+                            type="button"
+                            onClick={() => sendTestWebhook(webhook.id)}
+                            disabled={testingWebhookId === webhook.id}
+                            className="px-3 py-1 bg-blue-100 text-blue-700 rounded text-sm hover:bg-blue-200 disabled:opacity-50"
+                          >
+                            {testingWebhookId === webhook.id ? 'Sending...' : 'Send Test Event'}
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => updateWebhook(webhook.id, { isActive: !webhook.isActive })}
+                            className={`px-3 py-1 rounded text-sm ${webhook.isActive ? 'bg-gray-100 text-gray-700 hover:bg-gray-200' : 'bg-green-100 text-green-700 hover:bg-green-200'}`}
+                          >
+                            {webhook.isActive ? 'Disable' : 'Enable'}
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => deleteWebhook(webhook)}
+                            className="px-3 py-1 bg-red-100 text-red-700 rounded text-sm hover:bg-red-200"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </div>
+                      
+                      {webhook.deliveries?.length > 0 && (
+                        <div className="mt-2 space-y-1">
+                          {webhook.deliveries.map((delivery) => (
+                            <div key={delivery.id} className="flex justify-between text-xs text-gray-500">
+                              <span>
+                                {new Date(delivery.createdAt).toLocaleString()} · {delivery.event}
+                              </span>
+                              <span className={delivery.status === 'SUCCEEDED' ? 'text-green-600' : delivery.status === 'FAILED' ? 'text-red-600' : 'text-yellow-600'}>
+                                {delivery.status.toLowerCase()}
+                                {delivery.responseStatus && ` · HTTP ${delivery.responseStatus}`}
+                                {delivery.attempts > 1 && ` · ${delivery.attempts} attempts`}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+              
+              <div className="space-y-3">
+                <div className="flex gap-2">
+                  <input
+                    type="url"
+                    value={newWebhook.url}
+                    onChange={(e) => setNewWebhook({ ...newWebhook, url: e.target.value })}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                    placeholder="https://example.com/webhooks/bondprospects"
+                  />
+                  <button
+                    type="button"
+                    onClick={createWebhook}
+                    disabled={!newWebhook.url}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    + Add Webhook
+                  </button>
+                </div>
+                <div className="flex flex-wrap gap-3">
+                  {webhookEvents.map((event) => (
+                    <label key={event} className="flex items-center gap-1 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={newWebhook.events.includes(event)}
+                        onChange={() => toggleNewWebhookEvent(event)}
+                      />
+                      {event}
+                    </label>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500">Leave all events unchecked to receive every event.</p>
+              </div>
+            </div>
+          )}
+          
+          {/* Identity verification (only for existing companies) */}
+          {!isNew && (
+            <div className="bg-white rounded-xl shadow-sm p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-2">Co-Signer Verification</h2>
+              <p className="text-sm text-gray-500 mb-4">
+                Require co-signers to enter a one-time code before an e-sign request shows the
+                information your agents entered. The code goes to the phone number or email on the request.
+              </p>
+              
+              <select
+                value={company.identityVerification}
+                onChange={(e) => setCompany({ ...company, identityVerification: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg"
+              >
+                <option value="off">Off</option>
+                <option value="sms">Text message code</option>
+                <option value="email">Email code</option>
+                <option value="sms_or_email">Text or email (co-signer chooses)</option>
+              </select>
+            </div>
+          )}
+          
+          {/* Reminders (only for existing companies) */}
+          {!isNew && (
+            <div className="bg-white rounded-xl shadow-sm p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-2">Automatic Reminders</h2>
+              <p className="text-sm text-gray-500 mb-4">
+                Remind co-signers about e-sign requests they haven&apos;t finished. Each rule is sent
+                at most once per request, and reminders stop when the request is submitted,
+                cancelled or expires, or the co-signer replies STOP.
+              </p>
+              
+              <label className="flex items-center gap-3 cursor-pointer mb-4">
+                <input
+                  type="checkbox"
+                  checked={company.remindersEnabled}
+                  onChange={(e) => setCompany({ ...company, remindersEnabled: e.target.checked })}
+                  className="w-5 h-5 text-blue-600 rounded focus:ring-blue-500"
+                />
+                <span className="text-gray-700">Send automatic reminders</span>
+              </label>
+              
+              {company.remindersEnabled && (
+                <div className="space-y-3">
+                  {company.reminderRules.map((rule, index) => (
+                    <div key={rule.id || index} className="flex flex-wrap items-center gap-2 text-sm">
+                      <select
+                        value={rule.when}
+                        onChange={(e) => updateReminderRule(index, { when: e.target.value })}
+                        className="px-3 py-2 border border-gray-300 rounded-lg"
+                      >
+                        <option value="unopened">Not opened</option>
+                        <option value="in_progress">Started, not submitted</option>
+                        <option value="before_expiry">Final notice</option>
+                      </select>
+                      <input
+                        type="number"
+                        min="1"
+                        value={rule.hours}
+                        onChange={(e) => updateReminderRule(index, { hours: Number(e.target.value) })}
+                        className="w-20 px-3 py-2 border border-gray-300 rounded-lg"
+                      />
+                      <span className="text-gray-600">
+                        {rule.when === 'before_expiry' ? 'hours before the link expires' : 'hours after sending'}
+                      </span>
+                      <select
+                        value={rule.channel || ''}
+                        onChange={(e) => updateReminderRule(index, { channel: e.target.value || undefined })}
+                        className="px-3 py-2 border border-gray-300 rounded-lg"
+                      >
+                        <option value="">Same as request</option>
+                        <option value="sms">Text</option>
+                        <option value="email">Email</option>
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() => removeReminderRule(index)}
+                        className="px-3 py-1 bg-red-100 text-red-700 rounded text-sm hover:bg-red-200"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                  
+                  <button
+                    type="button"
+                    onClick={addReminderRule}
+                    className="px-4 py-2 bg-blue-100 text-blue-700 rounded-lg text-sm hover:bg-blue-200"
+                  >
+                    + Add Rule
+                  </button>
+                  
+                  <div className="flex items-center gap-2 text-sm">
+                    <span className="text-gray-600">At most</span>
+                    <input
+                      type="number"
+                      min="0"
+                      value={company.maxRemindersPerIntake}
+                      onChange={(e) => setCompany({ ...company, maxRemindersPerIntake: parseInt(e.target.value) || 0 })}
+                      className="w-20 px-3 py-2 border border-gray-300 rounded-lg"
+                    />
+                    <span className="text-gray-600">reminders per request</span>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+          
+          {/* Form templates (only for existing companies) */}
+          {!isNew && (
+            <div className="bg-white rounded-xl shadow-sm p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-2">Form Templates</h2>
+              <p className="text-sm text-gray-500 mb-4">
+                Customize the printed forms for this company with the template editor, or import a template file.
+                Forms without a custom template use the built-in layout.
+              </p>
+              <Link
+                to={`/admin/companies/${id}/templates`}
+                className="inline-block px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm"
+              >
+                Open Template Editor
+              </Link>
+            </div>
+          )}
+          
           {/* Status */}
           {!isNew && (
             <div className="bg-white rounded-xl shadow-sm p-6">
@@ -9,6 +9,8 @@ export default function AdminDashboard() {
   const [companies, setCompanies] = useState([])
   const [admin, setAdmin] = useState(null)
   const [clearing, setClearing] = useState(false)
+  const [verifying, setVerifying] = useState(false)
+  const [verifyResult, setVerifyResult] = useState(null)
   
   const token = localStorage.getItem('adminToken')
   const config = { headers: { Authorization: `Bearer ${token}` } }
@@ -55,15 +57,35 @@ export default function AdminDashboard() {
     navigate('/admin/login')
   }
   
+  const verifyDocument = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    
+    setVerifying(true)
+    setVerifyResult(null)
+    try {
+      const response = await axios.post('/api/admin/pdf/verify', file, {
+        headers: { ...config.headers, 'Content-Type': 'application/pdf' }
+      })
+      setVerifyResult({ fileName: file.name, ...response.data })
+    } catch (err) {
+      console.error('Failed to verify document:', err)
+      alert(err.response?.data?.error || 'Failed to verify document')
+    } finally {
+      setVerifying(false)
+    }
+  }
+  
   const clearTestData = async () => {
-    if (!confirm('Delete all incomplete/test intakes? This cannot be undone.')) {
+    if (!confirm('Delete the empty intakes left by company page visits? This cannot be undone.')) {
       return
     }
     
     setClearing(true)
     try {
       const response = await axios.delete('/api/admin/clear-test-data', config)
-      alert(`Cleared ${response.data.deletedIntakes} test intakes`)
+      alert(`Cleared ${response.data.deletedIntakes} empty intakes`)
       loadData() // Refresh stats
     } catch (err) {
       console.error('Failed to clear test data:', err)
@@ -143,6 +165,9 @@ export default function AdminDashboard() {
             <div className="text-sm text-gray-500 mb-1">Total Prospects</div>
             <div className="text-3xl font-bold text-gray-900">{stats?.intakes.total || 0}</div>
             <div className="text-sm text-gray-500">{stats?.intakes.today || 0} today</div>
+            <div className="text-sm text-gray-500">
+              {stats?.landingPages?.views7Days || 0} page visits, {stats?.landingPages?.starts7Days || 0} started (7 days)
+            </div>
           </div>
           
           <div className="bg-white rounded-xl shadow-sm p-6">
@@ -164,6 +189,46 @@ export default function AdminDashboard() {
           </div>
         </div>
         
+        {/* Document Verification */}
+        <div className="bg-white rounded-xl shadow-sm p-6 mb-8">
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">Verify a Document</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Upload a signed PDF to check it is exactly the sealed copy we issued.
+          </p>
+          <label className="inline-block px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 cursor-pointer">
+            {verifying ? 'Checking...' : 'Choose PDF'}
+            <input
+              type="file"
+              accept="application/pdf"
+              onChange={verifyDocument}
+              disabled={verifying}
+              className="hidden"
+            />
+          </label>
+          
+          {verifyResult && (
+            <div className={`mt-4 p-4 rounded-lg text-sm ${
+              verifyResult.status === 'authentic' ? 'bg-green-50 text-green-800' :
+              verifyResult.status === 'modified' ? 'bg-red-50 text-red-800' :
+              'bg-gray-50 text-gray-700'
+            }`}>
+              <p className="font-medium mb-1">
+                {verifyResult.fileName}:{' '}
+                {verifyResult.status === 'authentic' && 'Authentic - matches the issued document'}
+                {verifyResult.status === 'modified' && 'Modified - this file has been changed since it was issued'}
+                {verifyResult.status === 'unknown' && 'Not recognized - this is not a sealed document we issued'}
+              </p>
+              {verifyResult.document && (
+                <p>
+                  Intake {verifyResult.document.linkCode} / {verifyResult.document.formType}
+                  {verifyResult.document.sealedAt && <> - sealed {new Date(verifyResult.document.sealedAt).toLocaleString()}</>}
+                </p>
+              )}
+              <p className="font-mono text-xs mt-1 break-all">SHA-256: {verifyResult.sha256}</p>
+            </div>
+          )}
+        </div>
+        
         {/* Data Management */}
         {admin?.role === 'superadmin' && (stats?.intakes.total > 0) && (
           <div className="bg-white rounded-xl shadow-sm p-6 mb-8">
@@ -184,7 +249,7 @@ export default function AdminDashboard() {
                 {clearing ? 'Clearing...' : 'Clear All Data'}
               </button>
               <span className="text-sm text-gray-500 self-center">
-                Test Data = incomplete intakes | All Data = everything
+                Test Data = empty intakes from page visits before intakes were created on first save | All Data = everything
               </span>
             </div>
           </div>
@@ -0,0 +1,575 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react'
+import { useNavigate, useParams, Link } from 'react-router-dom'
+import axios from 'axios'
+
+const MAX_SUGGESTIONS = 8
+
+/**
+ * Visual editor for a company's form templates
+ * HTML on the left with {{placeholder}} autocomplete, a live preview with
+ * sample data on the right. Forms without a custom template use the built-in one.
+ * Other languages hold translations that are added to a co-signer's signed copy.
+ */
+export default function AdminTemplateEditor() {
+  const navigate = useNavigate()
+  const { id } = useParams()
+  const editorRef = useRef(null)
+  const importRef = useRef(null)
+
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const [success, setSuccess] = useState(null)
+  const [warnings, setWarnings] = useState([])
+
+  const [companyName, setCompanyName] = useState('')
+  const [formTypes, setFormTypes] = useState([])
+  const [placeholders, setPlaceholders] = useState([])
+  const [templateInfo, setTemplateInfo] = useState([])
+  const [formType, setFormType] = useState(null)
+  const [languages, setLanguages] = useState([])
+  const [language, setLanguage] = useState('en')
+
+  const [name, setName] = useState('')
+  const [html, setHtml] = useState('')
+  const [savedHtml, setSavedHtml] = useState('')
+  const [isCustom, setIsCustom] = useState(false)
+
+  const [preview, setPreview] = useState({ html: '', unknownPlaceholders: [] })
+  const [previewing, setPreviewing] = useState(false)
+  const [suggestions, setSuggestions] = useState([])
+  const [activeSuggestion, setActiveSuggestion] = useState(0)
+  const [fieldSearch, setFieldSearch] = useState('')
+
+  const token = localStorage.getItem('adminToken')
+  const config = useMemo(() => ({ headers: { Authorization: `Bearer ${token}` } }), [token])
+  const languageConfig = useMemo(() => ({ ...config, params: { language } }), [config, language])
+  const isDirty = html !== savedHtml
+  const isTranslation = language !== 'en'
+
+  const loadEditor = useCallback(async () => {
+    try {
+      const [companyRes, fieldsRes] = await Promise.all([
+        axios.get(`/api/admin/companies/${id}`, config),
+        axios.get('/api/admin/templates/fields', config)
+      ])
+      setCompanyName(companyRes.data.name)
+      setFormTypes(fieldsRes.data.formTypes)
+      setPlaceholders(fieldsRes.data.placeholders)
+      setLanguages(fieldsRes.data.languages || [])
+      setFormType(fieldsRes.data.formTypes[0]?.formType || null)
+    } catch (err) {
+      console.error('Failed to load template editor:', err)
+      setError('Failed to load templates')
+    } finally {
+      setLoading(false)
+    }
+  }, [id, config])
+
+  // Which forms have a custom template - in the language being edited
+  const loadTemplateInfo = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/admin/companies/${id}/templates`, languageConfig)
+      setTemplateInfo(response.data)
+    } catch (err) {
+      console.error('Failed to load templates:', err)
+    }
+  }, [id, languageConfig])
+
+  const loadTemplate = useCallback(async (type) => {
+    setError(null)
+    setWarnings([])
+    setSuggestions([])
+    try {
+      const response = await axios.get(`/api/admin/companies/${id}/templates/${type}`, languageConfig)
+      setName(response.data.name || '')
+      setHtml(response.data.htmlTemplate || '')
+      setSavedHtml(response.data.htmlTemplate || '')
+      setIsCustom(true)
+    } catch (err) {
+      if (err.response?.status !== 404) {
+        console.error('Failed to load template:', err)
+        setError('Failed to load template')
+      }
+      setName(formTypes.find(t => t.formType === type)?.name || '')
+      setHtml('')
+      setSavedHtml('')
+      setIsCustom(false)
+    }
+  }, [id, languageConfig, formTypes])
+
+  useEffect(() => {
+    if (!token) {
+      navigate('/admin/login')
+      return
+    }
+    loadEditor()
+  }, [token, navigate, loadEditor])
+
+  useEffect(() => {
+    if (token) loadTemplateInfo()
+  }, [token, loadTemplateInfo])
+
+  useEffect(() => {
+    if (formType) loadTemplate(formType)
+  }, [formType, loadTemplate])
+
+  // Re-render the preview shortly after typing stops
+  useEffect(() => {
+    if (!formType) return
+
+    const timer = setTimeout(async () => {
+      setPreviewing(true)
+      try {
+        const response = await axios.post(`/api/admin/companies/${id}/templates/${formType}/preview`, { htmlTemplate: html }, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        setPreview(response.data)
+      } catch (err) {
+        console.error('Preview failed:', err)
+      } finally {
+        setPreviewing(false)
+      }
+    }, 500)
+
+    return () => clearTimeout(timer)
+  }, [html, formType, id, token])
+
+  const selectFormType = (type) => {
+    if (type === formType) return
+    if (isDirty && !window.confirm('Discard your unsaved changes to this template?')) return
+    setFormType(type)
+  }
+
+  const selectLanguage = (code) => {
+    if (code === language) return
+    if (isDirty && !window.confirm('Discard your unsaved changes to this template?')) return
+    setLanguage(code)
+  }
+
+  const startFromDefault = async () => {
+    if (html.trim() && !window.confirm('Replace the editor contents with the built-in template?')) return
+    setError(null)
+    try {
+      const response = await axios.get(`/api/admin/templates/defaults/${formType}`, config)
+      setHtml(response.data.template.htmlTemplate)
+      setWarnings(response.data.warnings)
+    } catch (err) {
+      console.error('Failed to load default template:', err)
+      setError(err.response?.data?.error || 'Failed to load the built-in template')
+    }
+  }
+
+  const saveTemplate = async () => {
+    setSaving(true)
+    setError(null)
+    setSuccess(null)
+    try {
+      const response = await axios.put(`/api/admin/companies/${id}/templates/${formType}`, {
+        name,
+        htmlTemplate: html,
+        isActive: true
+      }, languageConfig)
+      setHtml(response.data.htmlTemplate)
+      setSavedHtml(response.data.htmlTemplate)
+      setIsCustom(true)
+      setSuccess('Template saved')
+      setTimeout(() => setSuccess(null), 3000)
+      loadTemplateInfo()
+    } catch (err) {
+      console.error('Template save failed:', err)
+      setError(err.response?.data?.error || 'Failed to save template')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const revertToDefault = async () => {
+    const message = isTranslation
+      ? 'Delete this translation? Signed copies will only have the English form.'
+      : 'Delete this custom template? Forms will use the built-in template again.'
+    if (!window.confirm(message)) return
+    setError(null)
+    try {
+      await axios.delete(`/api/admin/companies/${id}/templates/${formType}`, languageConfig)
+      setSuccess(isTranslation ? 'Translation deleted' : 'Custom template deleted - using the built-in template')
+      setTimeout(() => setSuccess(null), 3000)
+      loadTemplateInfo()
+      loadTemplate(formType)
+    } catch (err) {
+      console.error('Template delete failed:', err)
+      setError(err.response?.data?.error || 'Failed to delete template')
+    }
+  }
+
+  const importFile = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    setError(null)
+    setSuccess(null)
+    setWarnings([])
+    try {
+      const response = await axios.post(`/api/admin/companies/${id}/templates/import`, {
+        templateCode: await file.text(),
+        fileName: file.name,
+        formType,
+        language
+      }, config)
+      loadTemplateInfo()
+      await loadTemplate(formType)
+      setSuccess(response.data.message)
+      setWarnings(response.data.warnings || [])
+    } catch (err) {
+      console.error('Template import failed:', err)
+      setError(err.response?.data?.error || 'Failed to import templates')
+      setWarnings(err.response?.data?.warnings || [])
+    }
+  }
+
+  // ============================================================================
+  // EDITOR
+  // ============================================================================
+
+  // Replace `length` characters before the cursor with `text`
+  const insertAtCursor = (text, length = 0) => {
+    const textarea = editorRef.current
+    const start = textarea ? textarea.selectionStart - length : html.length
+    const end = textarea ? textarea.selectionEnd : html.length
+    const next = html.slice(0, start) + text + html.slice(end)
+    setHtml(next)
+    setSuggestions([])
+
+    requestAnimationFrame(() => {
+      if (!textarea) return
+      textarea.focus()
+      textarea.selectionStart = textarea.selectionEnd = start + text.length
+    })
+  }
+
+  // Suggest placeholders while typing after "{{"
+  const updateSuggestions = (value, cursor) => {
+    const match = /\{\{([\w.]*)$/.exec(value.slice(0, cursor))
+    if (!match) {
+      setSuggestions([])
+      return
+    }
+    const query = match[1].toLowerCase()
+    setSuggestions(placeholders
+      .filter(p => p.placeholder.toLowerCase().includes(query) || p.label.toLowerCase().includes(query))
+      .slice(0, MAX_SUGGESTIONS)
+      .map(p => ({ ...p, typed: match[1].length })))
+    setActiveSuggestion(0)
+  }
+
+  const acceptSuggestion = (suggestion) => {
+    const after = html.slice(editorRef.current?.selectionEnd ?? html.length)
+    insertAtCursor(after.startsWith('}}') ? suggestion.placeholder : `${suggestion.placeholder}}}`, suggestion.typed)
+  }
+
+  const handleEditorChange = (e) => {
+    setHtml(e.target.value)
+    updateSuggestions(e.target.value, e.target.selectionStart)
+  }
+
+  const handleEditorKeyDown = (e) => {
+    if (suggestions.length === 0) return
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActiveSuggestion((activeSuggestion + 1) % suggestions.length)
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveSuggestion((activeSuggestion - 1 + suggestions.length) % suggestions.length)
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault()
+      acceptSuggestion(suggestions[activeSuggestion])
+    } else if (e.key === 'Escape') {
+      setSuggestions([])
+    }
+  }
+
+  const fieldGroups = useMemo(() => {
+    const query = fieldSearch.toLowerCase()
+    const groups = {}
+    for (const p of placeholders) {
+      if (p.group === 'signature') continue
+      if (query && !p.placeholder.toLowerCase().includes(query) && !p.label.toLowerCase().includes(query)) continue
+      if (!groups[p.group]) groups[p.group] = []
+      groups[p.group].push(p)
+    }
+    return groups
+  }, [placeholders, fieldSearch])
+
+  const signaturePlaceholders = placeholders.filter(p => p.group === 'signature')
+  const customTypes = new Set(templateInfo.filter(t => !t.isDefault).map(t => t.formType))
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex items-center justify-center">
+        <div className="animate-spin h-8 w-8 border-4 border-blue-600 border-t-transparent rounded-full"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      {/* Header */}
+      <header className="bg-white shadow-sm">
+        <div className="max-w-7xl mx-auto px-4 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-4">
+            <Link to={`/admin/companies/${id}`} className="text-gray-500 hover:text-gray-700">
+              ← Back
+            </Link>
+            <h1 className="font-bold text-gray-900">
+              Form Templates{companyName ? ` - ${companyName}` : ''}
+            </h1>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={() => importRef.current?.click()}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 text-sm"
+            >
+              Import File
+            </button>
+            <input
+              ref={importRef}
+              type="file"
+              accept=".js,.mjs,.json,.html,.htm"
+              onChange={importFile}
+              className="hidden"
+            />
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 py-6 space-y-4">
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        {success && (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+            {success}
+          </div>
+        )}
+
+        {warnings.length > 0 && (
+          <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg text-sm">
+            <p className="font-medium mb-1">Some parts of the template couldn&apos;t be converted and were left out:</p>
+            <ul className="list-disc ml-5 space-y-0.5 font-mono text-xs max-h-40 overflow-y-auto">
+              {warnings.map((warning, i) => <li key={i}>{warning}</li>)}
+            </ul>
+          </div>
+        )}
+
+        {/* Language tabs - English is the form itself, the others are translations */}
+        {languages.length > 1 && (
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-gray-500">Language:</span>
+            {languages.map((option) => (
+              <button
+                key={option.code}
+                type="button"
+                onClick={() => selectLanguage(option.code)}
+                className={`px-3 py-1 rounded-full ${
+                  option.code === language
+                    ? 'bg-gray-900 text-white'
+                    : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-200'
+                }`}
+              >
+                {option.name}
+              </button>
+            ))}
+            {isTranslation && (
+              <span className="text-gray-500">
+                Translations are added after the English form on co-signers&apos; signed copies.
+              </span>
+            )}
+          </div>
+        )}
+
+        {/* Form type tabs */}
+        <div className="flex flex-wrap gap-2">
+          {formTypes.map((type) => (
+            <button
+              key={type.formType}
+              type="button"
+              onClick={() => selectFormType(type.formType)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium ${
+                type.formType === formType
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-200'
+              }`}
+            >
+              {type.name}
+              <span className={`ml-2 text-xs ${type.formType === formType ? 'text-blue-100' : 'text-gray-400'}`}>
+                {isTranslation
+                  ? (customTypes.has(type.formType) ? 'Translated' : 'English only')
+                  : (customTypes.has(type.formType) ? 'Custom' : 'Default')}
+              </span>
+            </button>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-12 gap-4">
+          {/* Fields */}
+          <aside className="lg:col-span-3 bg-white rounded-xl shadow-sm p-4 lg:max-h-[calc(100vh-220px)] overflow-y-auto">
+            <h2 className="text-sm font-semibold text-gray-900 mb-2">Signatures</h2>
+            <div className="space-y-1 mb-4">
+              {signaturePlaceholders.map((p) => (
+                <button
+                  key={p.placeholder}
+                  type="button"
+                  onClick={() => insertAtCursor(`{{${p.placeholder}}}`)}
+                  className="w-full text-left px-2 py-1 text-xs rounded bg-blue-50 text-blue-800 hover:bg-blue-100"
+                  title={`{{${p.placeholder}}}`}
+                >
+                  ✍ {p.label.replace(/^Signature - /, '')}
+                </button>
+              ))}
+            </div>
+
+            <h2 className="text-sm font-semibold text-gray-900 mb-2">Fields</h2>
+            <input
+              type="text"
+              value={fieldSearch}
+              onChange={(e) => setFieldSearch(e.target.value)}
+              placeholder="Search fields..."
+              className="w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm mb-2"
+            />
+            {Object.entries(fieldGroups).map(([group, fields]) => (
+              <div key={group} className="mb-3">
+                <p className="text-xs font-medium text-gray-500 uppercase mb-1">{group}</p>
+                {fields.map((p) => (
+                  <button
+                    key={p.placeholder}
+                    type="button"
+                    onClick={() => insertAtCursor(`{{${p.placeholder}}}`)}
+                    className="w-full text-left px-2 py-0.5 text-xs rounded text-gray-700 hover:bg-gray-100 truncate"
+                    title={`{{${p.placeholder}}}`}
+                  >
+                    {p.label.replace(/^[^-]+ - /, '')}
+                  </button>
+                ))}
+              </div>
+            ))}
+          </aside>
+
+          {/* Editor */}
+          <section className="lg:col-span-4 bg-white rounded-xl shadow-sm p-4 flex flex-col">
+            <div className="flex items-center gap-2 mb-3">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Template name"
+                className="flex-1 px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+              />
+              <button
+                type="button"
+                onClick={startFromDefault}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 text-xs whitespace-nowrap"
+              >
+                Start from Default
+              </button>
+            </div>
+
+            <div className="relative flex-1">
+              <textarea
+                ref={editorRef}
+                value={html}
+                onChange={handleEditorChange}
+                onKeyDown={handleEditorKeyDown}
+                onClick={(e) => updateSuggestions(e.target.value, e.target.selectionStart)}
+                onBlur={() => setTimeout(() => setSuggestions([]), 150)}
+                spellCheck={false}
+                placeholder={'<div class="page">\n  <p>Defendant: {{defendant.firstName}} {{defendant.lastName}}</p>\n  {{signature.preApplication_coSigner}}\n</div>'}
+                className="w-full h-[calc(100vh-320px)] min-h-[400px] px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs leading-5 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+
+              {suggestions.length > 0 && (
+                <ul className="absolute left-2 right-2 bottom-2 bg-white border border-gray-200 rounded-lg shadow-lg text-xs overflow-hidden z-10">
+                  {suggestions.map((suggestion, i) => (
+                    <li key={suggestion.placeholder}>
+                      <button
+                        type="button"
+                        onMouseDown={(e) => {
+                          e.preventDefault()
+                          acceptSuggestion(suggestion)
+                        }}
+                        className={`w-full text-left px-3 py-1.5 flex justify-between gap-2 ${i === activeSuggestion ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                      >
+                        <span className="font-mono text-gray-900">{suggestion.placeholder}</span>
+                        <span className="text-gray-500 truncate">{suggestion.label}</span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Type <code>{'{{'}</code> for field suggestions. Scripts and event handlers are removed when the template is saved.
+            </p>
+
+            <div className="flex gap-2 mt-3">
+              <button
+                type="button"
+                onClick={saveTemplate}
+                disabled={saving || !html.trim()}
+                className="flex-1 py-2 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? 'Saving...' : 'Save Template'}
+              </button>
+              {isCustom && (
+                <button
+                  type="button"
+                  onClick={revertToDefault}
+                  className="px-4 py-2 border border-red-200 text-red-600 rounded-lg hover:bg-red-50 text-sm"
+                >
+                  {isTranslation ? 'Remove Translation' : 'Use Default'}
+                </button>
+              )}
+            </div>
+          </section>
+
+          {/* Preview */}
+          <section className="lg:col-span-5 bg-white rounded-xl shadow-sm p-4 flex flex-col">
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="text-sm font-semibold text-gray-900">Preview (sample data)</h2>
+              {previewing && <span className="text-xs text-gray-400">Updating...</span>}
+            </div>
+
+            {preview.unknownPlaceholders.length > 0 && (
+              <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-3 py-2 rounded-lg text-xs mb-3">
+                Unknown placeholders (will be blank):{' '}
+                <span className="font-mono">{preview.unknownPlaceholders.map(p => `{{${p}}}`).join(', ')}</span>
+              </div>
+            )}
+
+            {html.trim() ? (
+              <iframe
+                title="Template preview"
+                sandbox=""
+                srcDoc={preview.html}
+                className="w-full flex-1 min-h-[400px] border border-gray-200 rounded-lg bg-white"
+              />
+            ) : (
+              <div className="flex-1 min-h-[400px] border border-dashed border-gray-300 rounded-lg flex items-center justify-center text-sm text-gray-500 text-center px-6">
+                {isCustom
+                  ? 'The template is empty.'
+                  : isTranslation
+                    ? 'No translation yet - signed copies only have the English form. Start from the default and translate it, or import a file.'
+                    : 'This form uses the built-in template. Start from the default or import a file to customize it.'}
+              </div>
+            )}
+          </section>
+        </div>
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,390 @@
+/**
+ * Agent Dashboard
+ * Lists the logged-in agent's e-sign requests with status filters
+ */
+import { useState, useEffect, useCallback } from 'react'
+import { useNavigate, Link } from 'react-router-dom'
+import axios from 'axios'
+import { Plus, RefreshCw, Send, XCircle, Loader2, RotateCcw, FileText } from 'lucide-react'
+import { formatCents } from '../../utils/payments'
+
+const STATUS_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'PENDING', label: 'Pending' },
+  { value: 'IN_PROGRESS', label: 'In Progress' },
+  { value: 'COMPLETED', label: 'Completed' },
+  { value: 'EXPIRED', label: 'Expired' },
+  { value: 'CANCELLED', label: 'Cancelled' },
+]
+
+const STATUS_STYLES = {
+  PENDING: 'bg-yellow-100 text-yellow-800',
+  IN_PROGRESS: 'bg-blue-100 text-blue-800',
+  COMPLETED: 'bg-green-100 text-green-800',
+  EXPIRED: 'bg-gray-100 text-gray-600',
+  CANCELLED: 'bg-red-100 text-red-700',
+}
+
+const PAGE_SIZE = 25
+
+export default function AgentDashboard() {
+  const navigate = useNavigate()
+  const [loading, setLoading] = useState(true)
+  const [agent, setAgent] = useState(null)
+  const [requests, setRequests] = useState([])
+  const [statusCounts, setStatusCounts] = useState({})
+  const [total, setTotal] = useState(0)
+  const [status, setStatus] = useState('')
+  const [offset, setOffset] = useState(0)
+  const [busyLinkCode, setBusyLinkCode] = useState(null)
+
+  const token = localStorage.getItem('agentToken')
+
+  const logoutLocally = useCallback(() => {
+    localStorage.removeItem('agentToken')
+    localStorage.removeItem('agentUser')
+    navigate('/agent/login')
+  }, [navigate])
+
+  const loadRequests = useCallback(async () => {
+    setLoading(true)
+    try {
+      const response = await axios.get('/api/agent/requests', {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { status: status || undefined, limit: PAGE_SIZE, offset },
+      })
+      setRequests(response.data.requests)
+      setStatusCounts(response.data.statusCounts || {})
+      setTotal(response.data.pagination.total)
+    } catch (err) {
+      console.error('Failed to load requests:', err)
+      if (err.response?.status === 401) {
+        logoutLocally()
+      }
+    } finally {
+      setLoading(false)
+    }
+  }, [token, status, offset, logoutLocally])
+
+  useEffect(() => {
+    if (!token) {
+      navigate('/agent/login')
+      return
+    }
+
+    const agentUser = localStorage.getItem('agentUser')
+    if (agentUser) {
+      setAgent(JSON.parse(agentUser))
+    }
+
+    loadRequests()
+  }, [token, navigate, loadRequests])
+
+  const handleLogout = async () => {
+    try {
+      await axios.post('/api/agent/logout', {}, { headers: { Authorization: `Bearer ${token}` } })
+    } catch (err) {
+      console.error('Logout failed:', err)
+    }
+    logoutLocally()
+  }
+
+  const handleStatusChange = (value) => {
+    setStatus(value)
+    setOffset(0)
+  }
+
+  const resendRequest = async (linkCode) => {
+    setBusyLinkCode(linkCode)
+    try {
+      const response = await axios.post(`/api/agent/resend/${linkCode}`, {}, {
+        headers: { Authorization: `Bearer ${token}` },
+      })
+      alert(response.data.success ? `Request resent to ${response.data.sentTo}` : (response.data.error || 'Resend failed'))
+    } catch (err) {
+      console.error('Resend failed:', err)
+      alert(err.response?.data?.error || 'Failed to resend request')
+    } finally {
+      setBusyLinkCode(null)
+    }
+  }
+
+  const reissueRequest = async (linkCode) => {
+    if (!confirm("Reissue this request? Co-signers who haven't signed yet will be sent their link again, valid for 30 days.")) {
+      return
+    }
+
+    setBusyLinkCode(linkCode)
+    try {
+      const response = await axios.post(`/api/agent/request/${linkCode}/extend`, { reissue: true }, {
+        headers: { Authorization: `Bearer ${token}` },
+      })
+      const failed = response.data.deliveries.filter(delivery => !delivery.success)
+      if (failed.length > 0) {
+        const lines = failed.map(delivery => `Co-signer ${delivery.position} (${delivery.sentTo}): ${delivery.error}`)
+        alert(`New link created, but it could not be sent to:\n${lines.join('\n')}\n\n${response.data.intakeUrl}`)
+      }
+      loadRequests()
+    } catch (err) {
+      console.error('Reissue failed:', err)
+      alert(err.response?.data?.error || 'Failed to reissue request')
+    } finally {
+      setBusyLinkCode(null)
+    }
+  }
+
+  const downloadAuditTrail = async (linkCode) => {
+    setBusyLinkCode(linkCode)
+    try {
+      const response = await axios.get(`/api/agent/request/${linkCode}/audit?format=pdf`, {
+        headers: { Authorization: `Bearer ${token}` },
+        responseType: 'blob',
+      })
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `audit_${linkCode}.pdf`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      console.error('Audit export failed:', err)
+      alert('Failed to download audit trail')
+    } finally {
+      setBusyLinkCode(null)
+    }
+  }
+
+  const cancelRequest = async (linkCode) => {
+    if (!confirm('Cancel this e-sign request? The co-signer will no longer be able to use the link.')) {
+      return
+    }
+
+    setBusyLinkCode(linkCode)
+    try {
+      await axios.delete(`/api/agent/request/${linkCode}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      })
+      loadRequests()
+    } catch (err) {
+      console.error('Cancel failed:', err)
+      alert(err.response?.data?.error || 'Failed to cancel request')
+    } finally {
+      setBusyLinkCode(null)
+    }
+  }
+
+  const allCount = Object.values(statusCounts).reduce((sum, n) => sum + n, 0)
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      {/* Header */}
+      <header className="bg-white shadow-sm">
+        <div className="max-w-7xl mx-auto px-4 py-4 flex items-center justify-between">
+          <div>
+            <h1 className="font-bold text-gray-900">{agent?.company?.name || 'BondProspects'}</h1>
+            <p className="text-sm text-gray-500">Welcome, {agent?.name}</p>
+          </div>
+          <div className="flex items-center gap-4">
+            <Link
+              to="/agent/create"
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 flex items-center gap-1"
+            >
+              <Plus className="w-4 h-4" />
+              New E-Sign Request
+            </Link>
+            <button
+              onClick={handleLogout}
+              className="text-gray-500 hover:text-gray-700"
+            >
+              Logout
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 py-8">
+        {/* Status Filters */}
+        <div className="flex flex-wrap gap-2 mb-6">
+          {STATUS_FILTERS.map((filter) => (
+            <button
+              key={filter.value}
+              onClick={() => handleStatusChange(filter.value)}
+              className={`px-4 py-2 rounded-full text-sm font-medium ${
+                status === filter.value
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-200'
+              }`}
+            >
+              {filter.label}
+              <span className="ml-2 opacity-75">
+                {filter.value ? (statusCounts[filter.value] || 0) : allCount}
+              </span>
+            </button>
+          ))}
+          <button
+            onClick={loadRequests}
+            className="ml-auto px-3 py-2 text-gray-500 hover:text-gray-700"
+            title="Refresh"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+
+        {/* Requests List */}
+        <div className="bg-white rounded-xl shadow-sm">
+          {loading ? (
+            <div className="px-6 py-12 flex justify-center">
+              <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+            </div>
+          ) : requests.length === 0 ? (
+            <div className="px-6 py-12 text-center text-gray-500">
+              No e-sign requests{status ? ' with this status' : ' yet'}.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Defendant</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Co-Signer</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Bonds</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Activity</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {requests.map((request) => {
+                    const isOpen = request.status === 'PENDING' || request.status === 'IN_PROGRESS'
+                    return (
+                      <tr key={request.id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="font-medium text-gray-900">
+                            {request.defendant.firstName} {request.defendant.lastName}
+                            {request.defendantCount > 1 && (
+                              <span className="text-xs text-gray-500 font-normal"> +{request.defendantCount - 1} more</span>
+                            )}
+                          </div>
+                          <div className="text-xs text-gray-500 font-mono">{request.linkCode}</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {request.coSigner.firstName} {request.coSigner.lastName}
+                          {request.coSignerCount > 1 && (
+                            <div className="text-xs text-gray-500">
+                              +{request.coSignerCount - 1} more · {request.coSignersPending} still to sign
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {request.bondCount} · ${request.totalBondAmount.toLocaleString()}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          {request.payments ? (
+                            <Link to={`/agent/requests/${request.linkCode}/payments`} className="hover:underline">
+                              <div className={request.payments.balanceCents > 0 ? 'text-gray-900' : 'text-green-600'}>
+                                {request.payments.balanceCents > 0 ? formatCents(request.payments.balanceCents) : 'Paid'}
+                              </div>
+                              {request.payments.overdueCents > 0 && (
+                                <div className="text-xs text-red-600">{formatCents(request.payments.overdueCents)} overdue</div>
+                              )}
+                            </Link>
+                          ) : (
+                            <span className="text-gray-400">-</span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[request.status]}`}>
+                            {request.status.replace('_', ' ')}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-xs text-gray-500">
+                          <div>Created {new Date(request.createdAt).toLocaleString()}</div>
+                          {request.requestOpenedAt && (
+                            <div>Opened {new Date(request.requestOpenedAt).toLocaleString()}</div>
+                          )}
+                          {request.submittedAt && (
+                            <div className="text-green-600">Submitted {new Date(request.submittedAt).toLocaleString()}</div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right">
+                          {isOpen && (
+                            <div className="flex justify-end gap-3">
+                              <button
+                                onClick={() => resendRequest(request.linkCode)}
+                                disabled={busyLinkCode === request.linkCode}
+                                className="text-blue-600 hover:text-blue-800 text-sm flex items-center gap-1 disabled:opacity-50"
+                              >
+                                <Send className="w-4 h-4" />
+                                Resend
+                              </button>
+                              <button
+                                onClick={() => cancelRequest(request.linkCode)}
+                                disabled={busyLinkCode === request.linkCode}
+                                className="text-red-600 hover:text-red-800 text-sm flex items-center gap-1 disabled:opacity-50"
+                              >
+                                <XCircle className="w-4 h-4" />
+                                Cancel
+                              </button>
+                            </div>
+                          )}
+                          {request.status === 'EXPIRED' && (
+                            <div className="flex justify-end">
+                              <button
+                                onClick={() => reissueRequest(request.linkCode)}
+                                disabled={busyLinkCode === request.linkCode}
+                                className="text-blue-600 hover:text-blue-800 text-sm flex items-center gap-1 disabled:opacity-50"
+                              >
+                                <RotateCcw className="w-4 h-4" />
+                                Reissue
+                              </button>
+                            </div>
+                          )}
+                          <div className="flex justify-end mt-2">
+                            <button
+                              onClick={() => downloadAuditTrail(request.linkCode)}
+                              disabled={busyLinkCode === request.linkCode}
+                              className="text-gray-500 hover:text-gray-700 text-xs flex items-center gap-1 disabled:opacity-50"
+                            >
+                              <FileText className="w-3 h-3" />
+                              Audit trail
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Pagination */}
+          {total > PAGE_SIZE && (
+            <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between text-sm">
+              <span className="text-gray-500">
+                {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+              </span>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+                  disabled={offset === 0}
+                  className="px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setOffset(offset + PAGE_SIZE)}
+                  disabled={offset + PAGE_SIZE >= total}
+                  className="px-3 py-1 border border-gray-300 rounded-lg disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,232 @@
+/**
+ * Agent Payments
+ * A request's premium payment plan: balance, installment schedule, payment
+ * history, and recording payments taken in person (cash, check, money order)
+ */
+import { useState, useEffect, useCallback } from 'react'
+import { useNavigate, useParams, Link } from 'react-router-dom'
+import axios from 'axios'
+import { ArrowLeft, Loader2 } from 'lucide-react'
+import PaymentSchedule from '../../components/PaymentSchedule'
+import { formatCents, formatDueDate, getFrequencyLabel, PAYMENT_METHOD_LABELS } from '../../utils/payments'
+
+const OFFLINE_METHODS = ['cash', 'check', 'money_order']
+
+export default function AgentPayments() {
+  const { linkCode } = useParams()
+  const navigate = useNavigate()
+  const [loading, setLoading] = useState(true)
+  const [request, setRequest] = useState(null)
+  const [error, setError] = useState(null)
+  const [amount, setAmount] = useState('')
+  const [method, setMethod] = useState('cash')
+  const [note, setNote] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [formError, setFormError] = useState(null)
+  const [notice, setNotice] = useState(null)
+
+  const token = localStorage.getItem('agentToken')
+
+  const loadPayments = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/agent/request/${linkCode}/payments`, {
+        headers: { Authorization: `Bearer ${token}` },
+      })
+      setRequest(response.data)
+    } catch (err) {
+      console.error('Failed to load payments:', err)
+      if (err.response?.status === 401) {
+        navigate('/agent/login')
+        return
+      }
+      setError(err.response?.data?.error || 'Failed to load payments')
+    } finally {
+      setLoading(false)
+    }
+  }, [linkCode, token, navigate])
+
+  useEffect(() => {
+    if (!token) {
+      navigate('/agent/login')
+      return
+    }
+    loadPayments()
+  }, [token, navigate, loadPayments])
+
+  const recordPayment = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setFormError(null)
+    setNotice(null)
+    try {
+      const response = await axios.post(`/api/agent/request/${linkCode}/payments`, { amount, method, note }, {
+        headers: { Authorization: `Bearer ${token}` },
+      })
+      setNotice(`Payment recorded - receipt #${response.data.receiptNumber}`)
+      setAmount('')
+      setNote('')
+      setRequest((current) => ({ ...current, paymentPlan: response.data.paymentPlan }))
+    } catch (err) {
+      console.error('Record payment failed:', err)
+      setFormError(err.response?.data?.error || 'Failed to record payment')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const plan = request?.paymentPlan
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-white shadow-sm">
+        <div className="max-w-4xl mx-auto px-4 py-4 flex items-center gap-4">
+          <Link to="/agent/dashboard" className="text-gray-500 hover:text-gray-700">
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <div>
+            <h1 className="font-bold text-gray-900">Premium Payments</h1>
+            {request && (
+              <p className="text-sm text-gray-500">
+                {request.defendant.firstName} {request.defendant.lastName} · Co-signer {request.coSigner.firstName} {request.coSigner.lastName} · <span className="font-mono">{request.linkCode}</span>
+              </p>
+            )}
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto px-4 py-8 space-y-6">
+        {loading ? (
+          <div className="py-12 flex justify-center">
+            <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+          </div>
+        ) : error ? (
+          <p className="text-red-600">{error}</p>
+        ) : !plan ? (
+          <div className="bg-white rounded-xl shadow-sm p-6 text-gray-500">
+            This request has no payment plan.
+          </div>
+        ) : (
+          <>
+            {/* Balance */}
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+              {[
+                { label: 'Total Premium', value: plan.totalCents },
+                { label: 'Paid', value: plan.paidCents },
+                { label: 'Balance', value: plan.balanceCents },
+                { label: 'Overdue', value: plan.overdueCents, alert: plan.overdueCents > 0 },
+              ].map((stat) => (
+                <div key={stat.label} className="bg-white rounded-xl shadow-sm p-4">
+                  <p className="text-xs text-gray-500 uppercase tracking-wider">{stat.label}</p>
+                  <p className={`text-xl font-semibold ${stat.alert ? 'text-red-600' : 'text-gray-900'}`}>{formatCents(stat.value)}</p>
+                </div>
+              ))}
+            </div>
+
+            {/* Schedule */}
+            <div className="bg-white rounded-xl shadow-sm p-6">
+              <h2 className="font-semibold text-gray-900 mb-1">Schedule</h2>
+              <p className="text-sm text-gray-500 mb-4">
+                {formatCents(plan.plan.downPaymentCents)} down
+                {plan.plan.installmentCount > 0 && `, then ${plan.plan.installmentCount} ${getFrequencyLabel(plan.plan.frequency)} installments`}
+                {plan.nextDue && ` · next ${formatCents(plan.nextDue.amountCents)} due ${formatDueDate(plan.nextDue.dueDate)}`}
+              </p>
+              <PaymentSchedule installments={plan.installments} showPaid />
+            </div>
+
+            {/* Record a payment */}
+            {plan.balanceCents > 0 && (
+              <form onSubmit={recordPayment} className="bg-white rounded-xl shadow-sm p-6">
+                <h2 className="font-semibold text-gray-900 mb-4">Record a Payment</h2>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+                    <input
+                      type="text"
+                      placeholder="$0.00"
+                      value={amount}
+                      onChange={(e) => setAmount(e.target.value)}
+                      className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Method</label>
+                    <select
+                      value={method}
+                      onChange={(e) => setMethod(e.target.value)}
+                      className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      {OFFLINE_METHODS.map((m) => (
+                        <option key={m} value={m}>{PAYMENT_METHOD_LABELS[m]}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+                    <input
+                      type="text"
+                      placeholder="e.g. check #1042"
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                </div>
+                {formError && <p className="text-red-600 text-sm mb-3">{formError}</p>}
+                {notice && <p className="text-green-700 text-sm mb-3">{notice}</p>}
+                <button
+                  type="submit"
+                  disabled={saving || !amount}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Record Payment'}
+                </button>
+              </form>
+            )}
+
+            {/* History */}
+            <div className="bg-white rounded-xl shadow-sm">
+              <h2 className="font-semibold text-gray-900 px-6 pt-6 pb-4">Payment History</h2>
+              {plan.payments.length === 0 ? (
+                <p className="px-6 pb-6 text-sm text-gray-500">No payments yet.</p>
+              ) : (
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Receipt</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Method</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {plan.payments.map((payment) => (
+                      <tr key={payment.receiptNumber} className={payment.status === 'FAILED' ? 'text-gray-400' : ''}>
+                        <td className="px-6 py-3 text-sm">{new Date(payment.createdAt).toLocaleString()}</td>
+                        <td className="px-6 py-3 text-sm font-mono">
+                          {payment.receiptNumber}
+                          {payment.receiptSentAt && <span className="ml-2 text-xs text-green-600 font-sans">sent</span>}
+                        </td>
+                        <td className="px-6 py-3 text-sm">
+                          {PAYMENT_METHOD_LABELS[payment.method] || payment.method}
+                          {payment.party > 1 && <span className="text-xs text-gray-500"> · co-signer {payment.party}</span>}
+                          {payment.note && <div className="text-xs text-gray-500">{payment.note}</div>}
+                          {payment.status === 'FAILED' && (
+                            <div className="text-xs text-red-600">Failed: {payment.failureReason}</div>
+                          )}
+                          {payment.status === 'PENDING' && (
+                            <div className="text-xs text-amber-600">Processing</div>
+                          )}
+                        </td>
+                        <td className="px-6 py-3 text-sm text-right">{formatCents(payment.amountCents)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  )
+}
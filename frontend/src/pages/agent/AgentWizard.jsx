@@ -2,12 +2,14 @@
  * Agent E-Sign Request Wizard
  * 4-step form for Bailbooks agents to send e-sign requests to co-signers
  */
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo, Fragment } from 'react'
 import { useSearchParams, useNavigate } from 'react-router-dom'
 import { useForm, FormProvider, useFieldArray, Controller } from 'react-hook-form'
 import axios from 'axios'
 import { Plus, Trash2, CheckCircle, Send, ArrowLeft, ArrowRight, Loader2 } from 'lucide-react'
 import PhoneInput from '../../components/PhoneInput'
+import { PAYMENT_FREQUENCIES, getFrequencyLabel } from '../../utils/payments'
+import { LANGUAGES } from '../../i18n'
 
 const STEPS = [
   { id: 1, title: 'Defendant / Cosigner' },
@@ -47,7 +49,12 @@ export default function AgentWizard() {
   const [searchParams] = useSearchParams()
   const navigate = useNavigate()
   const apiKey = searchParams.get('apiKey')
-  const isDemo = searchParams.get('demo') === 'true' || !apiKey
+  // Logged-in agents authenticate with their token instead of a company API key
+  const agentToken = apiKey ? null : localStorage.getItem('agentToken')
+  const isDemo = searchParams.get('demo') === 'true' || (!apiKey && !agentToken)
+  const authConfig = useMemo(() => (agentToken
+    ? { headers: { Authorization: `Bearer ${agentToken}` } }
+    : { params: { apiKey } }), [apiKey, agentToken])
   
   const [currentStep, setCurrentStep] = useState(1)
   const [loading, setLoading] = useState(true)
@@ -74,6 +81,9 @@ export default function AgentWizard() {
         email: '',
         cellPhone: '',
       },
+      // More defendants (e.g. siblings) / co-signers on the same bond(s)
+      additionalDefendants: [],
+      additionalCoSigners: [],
       bondDate: new Date().toISOString().split('T')[0],
       postingFacility: '',
       agentName: '',
@@ -86,7 +96,16 @@ export default function AgentWizard() {
           charges: '',
         }
       ],
+      // Premium payment plan (optional) - the co-signer accepts and signs it
+      paymentPlan: {
+        enabled: false,
+        downPayment: '',
+        installmentCount: '',
+        frequency: 'monthly',
+        firstDueDate: '',
+      },
       deliveryMethod: 'sms',
+      preferredLanguage: 'en',
     },
   })
   
@@ -95,8 +114,22 @@ export default function AgentWizard() {
     control,
     name: 'bonds',
   })
+  const { fields: defendantFields, append: appendDefendant, remove: removeDefendant } = useFieldArray({
+    control,
+    name: 'additionalDefendants',
+  })
+  const { fields: coSignerFields, append: appendCoSigner, remove: removeCoSigner } = useFieldArray({
+    control,
+    name: 'additionalCoSigners',
+  })
   
   const watchCoSignerPhone = watch('coSigner.cellPhone')
+  const watchPaymentPlan = watch('paymentPlan')
+  const totalPremium = (watch('bonds') || [])
+    .reduce((sum, bond) => sum + (parseFloat(String(bond.premium).replace(/[$,\s]/g, '')) || 0), 0)
+  const planDownPayment = parseFloat(String(watchPaymentPlan?.downPayment).replace(/[$,\s]/g, '')) || 0
+  const planInstallments = parseInt(watchPaymentPlan?.installmentCount, 10) || 0
+  const planInstallmentAmount = planInstallments > 0 ? (totalPremium - planDownPayment) / planInstallments : 0
   
   // Initialize - fetch company info and dropdown data
   useEffect(() => {
@@ -111,28 +144,35 @@ export default function AgentWizard() {
         return
       }
       
-      if (!apiKey) {
+      if (!apiKey && !agentToken) {
         setError('API key is required. Please access this page from Bailbooks.')
         setLoading(false)
         return
       }
       
       try {
-        const response = await axios.get(`/api/agent/init?apiKey=${apiKey}`)
+        const response = await axios.get('/api/agent/init', authConfig)
         setCompany(response.data.company)
         setAgents(response.data.agents || [])
         setFacilities(response.data.facilities || [])
         setCourts(response.data.courts || [])
+        if (response.data.currentAgent) {
+          setValue('agentName', response.data.currentAgent.name)
+        }
         setLoading(false)
       } catch (err) {
         console.error('Init error:', err)
+        if (agentToken && err.response?.status === 401) {
+          navigate('/agent/login')
+          return
+        }
         setError(err.response?.data?.error || 'Failed to initialize. Invalid API key.')
         setLoading(false)
       }
     }
     
     init()
-  }, [apiKey, isDemo])
+  }, [apiKey, agentToken, authConfig, isDemo, navigate, setValue])
   
   const onSubmit = async (data) => {
     setSubmitting(true)
@@ -160,15 +200,24 @@ export default function AgentWizard() {
     }
     
     try {
-      const response = await axios.post(`/api/agent/create-request?apiKey=${apiKey}`, {
+      const response = await axios.post('/api/agent/create-request', {
         defendant: data.defendant,
         coSigner: data.coSigner,
+        additionalDefendants: data.additionalDefendants,
+        additionalCoSigners: data.additionalCoSigners,
         bondDate: data.bondDate,
         postingFacility: data.postingFacility,
         agentName: data.agentName,
         bonds: data.bonds,
+        paymentPlan: data.paymentPlan.enabled ? {
+          downPayment: data.paymentPlan.downPayment,
+          installmentCount: data.paymentPlan.installmentCount || 0,
+          frequency: data.paymentPlan.frequency,
+          firstDueDate: data.paymentPlan.firstDueDate,
+        } : undefined,
         deliveryMethod: data.deliveryMethod,
-      })
+        preferredLanguage: data.preferredLanguage,
+      }, authConfig)
       
       setSubmitResult(response.data)
       setCurrentStep(5) // Success step
@@ -190,6 +239,8 @@ export default function AgentWizard() {
           'coSigner.firstName',
           'coSigner.lastName',
           'coSigner.cellPhone',
+          'additionalDefendants',
+          'additionalCoSigners',
         ]
       case 2: // Bond(s) Info
         return [
@@ -197,6 +248,7 @@ export default function AgentWizard() {
           'postingFacility',
           'agentName',
           'bonds',
+          'paymentPlan',
         ]
       case 3: // Review
         return []
@@ -269,18 +321,35 @@ export default function AgentWizard() {
             <p className="font-mono font-bold text-lg">{submitResult.intake?.linkCode}</p>
             <p className="text-sm text-gray-500 mt-3 mb-1">Link URL</p>
             <p className="text-xs text-blue-600 break-all">{submitResult.intake?.url}</p>
+            {submitResult.parties?.map((party) => (
+              <div key={party.linkCode} className="mt-3">
+                <p className="text-sm text-gray-500 mb-1">
+                  Co-Signer {party.position} Link{!party.delivery?.success && ' (not sent - share it manually)'}
+                </p>
+                <p className="text-xs text-blue-600 break-all">{party.url}</p>
+              </div>
+            ))}
           </div>
           
           <p className="text-sm text-gray-500 mb-6">
             You can close this window. The co-signer will receive a text message shortly.
           </p>
           
-          <button
-            onClick={() => window.close()}
-            className="w-full bg-gray-900 text-white py-3 px-6 rounded-lg font-medium hover:bg-gray-800"
-          >
-            Close Window
-          </button>
+          {agentToken ? (
+            <button
+              onClick={() => navigate('/agent/dashboard')}
+              className="w-full bg-gray-900 text-white py-3 px-6 rounded-lg font-medium hover:bg-gray-800"
+            >
+              Back to Dashboard
+            </button>
+          ) : (
+            <button
+              onClick={() => window.close()}
+              className="w-full bg-gray-900 text-white py-3 px-6 rounded-lg font-medium hover:bg-gray-800"
+            >
+              Close Window
+            </button>
+          )}
         </div>
       </div>
     )
@@ -482,6 +551,135 @@ export default function AgentWizard() {
                     </div>
                   </div>
                 </div>
+                
+                {/* Additional Defendants */}
+                <div className="bg-white rounded-xl border p-6">
+                  <h2 className="text-lg font-semibold text-gray-900 mb-2">
+                    More Defendants on This Request
+                  </h2>
+                  <p className="text-sm text-gray-500 mb-4">
+                    Bonding out more than one person for the same co-signer (e.g. siblings)? Add them here.
+                  </p>
+                  
+                  {defendantFields.map((field, index) => (
+                    <div key={field.id} className="grid grid-cols-1 sm:grid-cols-4 gap-3 mb-3 items-start">
+                      <div>
+                        <input
+                          placeholder="First name"
+                          {...methods.register(`additionalDefendants.${index}.firstName`, { required: 'First name is required' })}
+                          className={`w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${errors.additionalDefendants?.[index]?.firstName ? 'border-red-500' : ''}`}
+                        />
+                      </div>
+                      <div>
+                        <input
+                          placeholder="Last name"
+                          {...methods.register(`additionalDefendants.${index}.lastName`, { required: 'Last name is required' })}
+                          className={`w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${errors.additionalDefendants?.[index]?.lastName ? 'border-red-500' : ''}`}
+                        />
+                      </div>
+                      <input
+                        type="date"
+                        {...methods.register(`additionalDefendants.${index}.dob`)}
+                        className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeDefendant(index)}
+                        className="flex items-center justify-center gap-1 text-sm text-red-600 hover:text-red-700 py-2"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                  
+                  {defendantFields.length < 4 && (
+                    <button
+                      type="button"
+                      onClick={() => appendDefendant({ firstName: '', lastName: '', dob: '', phone: '' })}
+                      className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700 font-medium"
+                    >
+                      <Plus className="w-4 h-4" />
+                      Add Defendant
+                    </button>
+                  )}
+                </div>
+                
+                {/* Additional Co-Signers */}
+                <div className="bg-white rounded-xl border p-6">
+                  <h2 className="text-lg font-semibold text-gray-900 mb-2">
+                    More Co-Signers
+                  </h2>
+                  <p className="text-sm text-gray-500 mb-4">
+                    Each co-signer gets their own link, fills in their own information and signs their own copy
+                    of the documents. The request is complete once everyone has signed.
+                  </p>
+                  
+                  {coSignerFields.map((field, index) => (
+                    <div key={field.id} className="border rounded-lg p-4 mb-3">
+                      <div className="flex items-center justify-between mb-3">
+                        <span className="text-sm font-medium text-gray-700">Co-Signer {index + 2}</span>
+                        <button
+                          type="button"
+                          onClick={() => removeCoSigner(index)}
+                          className="flex items-center gap-1 text-sm text-red-600 hover:text-red-700"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                          Remove
+                        </button>
+                      </div>
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        <input
+                          placeholder="First name"
+                          {...methods.register(`additionalCoSigners.${index}.firstName`, { required: 'First name is required' })}
+                          className={`w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${errors.additionalCoSigners?.[index]?.firstName ? 'border-red-500' : ''}`}
+                        />
+                        <input
+                          placeholder="Last name"
+                          {...methods.register(`additionalCoSigners.${index}.lastName`, { required: 'Last name is required' })}
+                          className={`w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${errors.additionalCoSigners?.[index]?.lastName ? 'border-red-500' : ''}`}
+                        />
+                        <input
+                          type="email"
+                          placeholder="Email (optional)"
+                          {...methods.register(`additionalCoSigners.${index}.email`)}
+                          className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                        <div>
+                          <Controller
+                            name={`additionalCoSigners.${index}.cellPhone`}
+                            control={control}
+                            rules={{
+                              required: 'Cell phone is required',
+                              validate: (value) => (value?.replace(/\D/g, '').length === 10) || 'Must be 10 digits'
+                            }}
+                            render={({ field: phoneField }) => (
+                              <PhoneInput
+                                {...phoneField}
+                                placeholder="Cell phone (text will be sent here)"
+                                className={`w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${errors.additionalCoSigners?.[index]?.cellPhone ? 'border-red-500' : ''}`}
+                              />
+                            )}
+                          />
+                          {errors.additionalCoSigners?.[index]?.cellPhone && (
+                            <p className="text-red-500 text-xs mt-1">{errors.additionalCoSigners[index].cellPhone.message}</p>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                  
+                  {coSignerFields.length < 4 && (
+                    <button
+                      type="button"
+                      onClick={() => appendCoSigner({ firstName: '', lastName: '', email: '', cellPhone: '' })}
+                      className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700 font-medium"
+                    >
+                      <Plus className="w-4 h-4" />
+                      Add Co-Signer
+                    </button>
+                  )}
+                </div>
               </div>
             )}
             
@@ -687,6 +885,115 @@ export default function AgentWizard() {
                   <Plus className="w-5 h-5" />
                   Add Another Bond
                 </button>
+                
+                {/* Premium payment plan */}
+                <div className="bg-white rounded-xl border p-6">
+                  <label className="flex items-center gap-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      {...methods.register('paymentPlan.enabled')}
+                      className="w-5 h-5 text-blue-600 rounded"
+                    />
+                    <span>
+                      <span className="text-lg font-semibold text-gray-900">Payment Plan</span>
+                      <span className="block text-sm text-gray-500">
+                        Collect the premium as a down payment plus installments - the co-signer accepts and signs the plan
+                      </span>
+                    </span>
+                  </label>
+                  
+                  {watchPaymentPlan?.enabled && (
+                    <div className="mt-4 space-y-4">
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Down Payment <span className="text-red-500">*</span>
+                          </label>
+                          <input
+                            type="text"
+                            placeholder="$0.00"
+                            {...methods.register('paymentPlan.downPayment', {
+                              validate: (value) => {
+                                if (!watch('paymentPlan.enabled')) return true
+                                const amount = parseFloat(String(value).replace(/[$,\s]/g, ''))
+                                if (isNaN(amount) || amount < 0) return 'Down payment is required'
+                                if (amount > totalPremium) return 'Down payment cannot be more than the total premium'
+                                return true
+                              },
+                            })}
+                            className={`w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${errors.paymentPlan?.downPayment ? 'border-red-500' : ''}`}
+                          />
+                          {errors.paymentPlan?.downPayment && (
+                            <p className="text-red-500 text-xs mt-1">{errors.paymentPlan.downPayment.message}</p>
+                          )}
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Number of Installments
+                          </label>
+                          <input
+                            type="number"
+                            min="0"
+                            max="52"
+                            placeholder="0"
+                            {...methods.register('paymentPlan.installmentCount', {
+                              validate: (value) => {
+                                if (!watch('paymentPlan.enabled')) return true
+                                const count = parseInt(value, 10) || 0
+                                if (count < 0 || count > 52) return 'Between 0 and 52 installments'
+                                if (count === 0 && planDownPayment < totalPremium) return 'Add installments for the rest of the premium'
+                                return true
+                              },
+                            })}
+                            className={`w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${errors.paymentPlan?.installmentCount ? 'border-red-500' : ''}`}
+                          />
+                          {errors.paymentPlan?.installmentCount && (
+                            <p className="text-red-500 text-xs mt-1">{errors.paymentPlan.installmentCount.message}</p>
+                          )}
+                        </div>
+                      </div>
+                      
+                      {planInstallments > 0 && (
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                              Frequency <span className="text-red-500">*</span>
+                            </label>
+                            <select
+                              {...methods.register('paymentPlan.frequency')}
+                              className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            >
+                              {PAYMENT_FREQUENCIES.map(f => (
+                                <option key={f.value} value={f.value}>{f.label}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                              First Installment Due <span className="text-red-500">*</span>
+                            </label>
+                            <input
+                              type="date"
+                              min={new Date().toISOString().split('T')[0]}
+                              {...methods.register('paymentPlan.firstDueDate', {
+                                validate: (value) => !watch('paymentPlan.enabled') || planInstallments === 0 || Boolean(value) || 'First due date is required',
+                              })}
+                              className={`w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${errors.paymentPlan?.firstDueDate ? 'border-red-500' : ''}`}
+                            />
+                            {errors.paymentPlan?.firstDueDate && (
+                              <p className="text-red-500 text-xs mt-1">{errors.paymentPlan.firstDueDate.message}</p>
+                            )}
+                          </div>
+                        </div>
+                      )}
+                      
+                      <p className="text-sm text-gray-600 bg-gray-50 rounded-lg p-3">
+                        Total premium ${totalPremium.toFixed(2)}: ${planDownPayment.toFixed(2)} down
+                        {planInstallments > 0 && `, then ${planInstallments} ${getFrequencyLabel(watchPaymentPlan.frequency)} payments of about $${planInstallmentAmount.toFixed(2)}`}
+                      </p>
+                    </div>
+                  )}
+                </div>
               </div>
             )}
             
@@ -744,6 +1051,30 @@ export default function AgentWizard() {
                     </div>
                   </div>
                   
+                  {/* Additional defendants / co-signers */}
+                  {(defendantFields.length > 0 || coSignerFields.length > 0) && (
+                    <div className="border rounded-lg p-4 mb-4">
+                      <h3 className="font-medium text-gray-900 flex items-center gap-2 mb-3">
+                        <CheckCircle className="w-5 h-5 text-green-500" />
+                        More Defendants / Co-Signers
+                      </h3>
+                      <div className="grid grid-cols-2 gap-y-2 text-sm">
+                        {watch('additionalDefendants')?.map((d, index) => (
+                          <Fragment key={`defendant-${index}`}>
+                            <span className="text-gray-500">Defendant {index + 2}</span>
+                            <span className="font-medium">{d.firstName} {d.lastName}{d.dob && ` (${d.dob})`}</span>
+                          </Fragment>
+                        ))}
+                        {watch('additionalCoSigners')?.map((c, index) => (
+                          <Fragment key={`cosigner-${index}`}>
+                            <span className="text-gray-500">Co-Signer {index + 2}</span>
+                            <span className="font-medium">{c.firstName} {c.lastName} - 📱 {c.cellPhone}</span>
+                          </Fragment>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                  
                   {/* Bond Info */}
                   <div className="border rounded-lg p-4">
                     <h3 className="font-medium text-gray-900 flex items-center gap-2 mb-3">
@@ -784,6 +1115,32 @@ export default function AgentWizard() {
                       </div>
                     ))}
                   </div>
+                  
+                  {/* Payment Plan */}
+                  {watchPaymentPlan?.enabled && (
+                    <div className="border rounded-lg p-4 mt-4">
+                      <h3 className="font-medium text-gray-900 flex items-center gap-2 mb-3">
+                        <CheckCircle className="w-5 h-5 text-green-500" />
+                        Payment Plan
+                      </h3>
+                      <div className="grid grid-cols-2 gap-y-2 text-sm">
+                        <span className="text-gray-500">Total Premium</span>
+                        <span className="font-medium">${totalPremium.toFixed(2)}</span>
+                        <span className="text-gray-500">Down Payment</span>
+                        <span className="font-medium">${planDownPayment.toFixed(2)}</span>
+                        {planInstallments > 0 && (
+                          <>
+                            <span className="text-gray-500">Installments</span>
+                            <span className="font-medium">
+                              {planInstallments} × ~${planInstallmentAmount.toFixed(2)}, {getFrequencyLabel(watchPaymentPlan.frequency)}
+                            </span>
+                            <span className="text-gray-500">First Due</span>
+                            <span className="font-medium">{watchPaymentPlan.firstDueDate}</span>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -832,6 +1189,23 @@ export default function AgentWizard() {
                     </p>
                   </div>
                   
+                  <div className="max-w-sm mt-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Co-signer&apos;s Language
+                    </label>
+                    <select
+                      {...methods.register('preferredLanguage')}
+                      className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      {LANGUAGES.map((language) => (
+                        <option key={language.code} value={language.code}>{language.name}</option>
+                      ))}
+                    </select>
+                    <p className="text-xs text-gray-500 mt-2">
+                      The text message and application are in this language. The co-signer can switch it in the application.
+                    </p>
+                  </div>
+                  
                   {/* Hidden field to keep deliveryMethod as sms */}
                   <input type="hidden" {...methods.register('deliveryMethod')} value="sms" />
                 </div>
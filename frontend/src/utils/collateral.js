@@ -0,0 +1,37 @@
+// Collateral pledged by the co-signer - values are in dollars (see StepCollateral)
+
+export const COLLATERAL_TYPES = [
+  { value: 'vehicle', label: 'Vehicle' },
+  { value: 'real_property', label: 'Real Property' },
+  { value: 'jewelry', label: 'Jewelry' },
+  { value: 'cash', label: 'Cash' },
+  { value: 'other', label: 'Other' },
+]
+
+// Keep in step with the backend's collateralService
+export const MAX_COLLATERAL_ITEMS = 10
+export const MAX_COLLATERAL_UPLOAD_BYTES = 10 * 1024 * 1024
+export const COLLATERAL_UPLOAD_ACCEPT = 'image/jpeg,image/png,image/webp,image/heic,application/pdf'
+
+export function getCollateralTypeLabel(type) {
+  return COLLATERAL_TYPES.find(t => t.value === type)?.label || 'Other'
+}
+
+export function formatCollateralValue(value) {
+  return (parseFloat(String(value ?? '').replace(/[$,\s]/g, '')) || 0)
+    .toLocaleString('en-US', { style: 'currency', currency: 'USD' })
+}
+
+export function getCollateralTotal(items) {
+  return (items || []).reduce((total, item) => total + (parseFloat(String(item.estimatedValue ?? '').replace(/[$,\s]/g, '')) || 0), 0)
+}
+
+export function createCollateralItem() {
+  return {
+    id: Math.random().toString(36).slice(2, 12),
+    type: 'vehicle',
+    description: '',
+    estimatedValue: '',
+    documents: [],
+  }
+}
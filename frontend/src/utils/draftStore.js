@@ -0,0 +1,152 @@
+// Wizard drafts kept on the device (IndexedDB) so a co-signer who loses signal keeps
+// their work - see useDraftSync. One draft per link code (or per company landing page).
+//
+// A draft: { key, data, step, editedAt, baseSavedAt, pending, snapshot }
+//   data        - the form values
+//   editedAt    - when they were last changed on this device
+//   baseSavedAt - the server's savedAt this copy started from (sent back as baseSavedAt)
+//   pending     - changes the server hasn't got yet
+//   snapshot    - what the wizard loaded (intake / company), to reopen it offline
+
+const DB_NAME = 'bond-drafts'
+const DB_VERSION = 1
+const STORE = 'drafts'
+
+// Typed SSNs, license numbers and dates of birth never go to disk - only the server's
+// masked copies do (the same fields the server encrypts, see fieldEncryption.js)
+const SENSITIVE_FIELDS = ['ssn', 'driversLicense', 'dob']
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'key' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch((err) => {
+      dbPromise = null
+      throw err
+    })
+  }
+  return dbPromise
+}
+
+async function run(mode, operation) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode)
+    const request = operation(tx.objectStore(STORE))
+    tx.oncomplete = () => resolve(request.result)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+const isMasked = (value) => typeof value === 'string' && value.includes('*')
+
+/**
+ * Copy of `data` with unmasked sensitive fields dropped (at any depth)
+ */
+function stripSensitive(data) {
+  if (Array.isArray(data)) return data.map(stripSensitive)
+  if (!data || Object.getPrototypeOf(data) !== Object.prototype) return data
+
+  return Object.fromEntries(Object.entries(data)
+    .filter(([field, value]) => !SENSITIVE_FIELDS.includes(field) || !value || isMasked(value))
+    .map(([field, value]) => [field, stripSensitive(value)]))
+}
+
+export async function getDraft(key) {
+  try {
+    return (await run('readonly', (store) => store.get(key))) || null
+  } catch (err) {
+    console.error('Failed to read draft:', err)
+    return null
+  }
+}
+
+export async function putDraft(draft) {
+  try {
+    await run('readwrite', (store) => store.put(stripSensitive(draft)))
+    return true
+  } catch (err) {
+    console.error('Failed to save draft:', err)
+    return false
+  }
+}
+
+export async function deleteDraft(key) {
+  try {
+    await run('readwrite', (store) => store.delete(key))
+  } catch (err) {
+    console.error('Failed to delete draft:', err)
+  }
+}
+
+/**
+ * Should a draft found on load win over the server copy? Only when it has unsynced
+ * changes made after the server's last save.
+ */
+export function isDraftNewer(draft, serverSavedAt) {
+  if (!draft?.pending) return false
+  return !serverSavedAt || new Date(draft.editedAt) > new Date(serverSavedAt)
+}
+
+/**
+ * Form values with a restored draft's answers laid over them. Only what autosave
+ * sends is restored (signatures are always made fresh), and typed SSNs / license
+ * numbers / dates of birth weren't kept on the device, so those fall back to `formData`.
+ */
+export function mergeDraft(formData, draftData = {}) {
+  return {
+    ...formData,
+    defendant: { ...formData.defendant, ...draftData.defendant },
+    indemnitor: { ...formData.indemnitor, ...draftData.indemnitor },
+    bond: { ...formData.bond, ...draftData.bond },
+    references: draftData.references || formData.references,
+    collateral: draftData.collateral || formData.collateral,
+  }
+}
+
+// Mirrors the server's limits on autosave field paths (PATCH /api/intake/:linkCode/draft)
+const MAX_PATH_DEPTH = 3
+const WHOLE_SECTIONS = ['collateralData']
+
+const isPlainObject = (value) => Boolean(value) && Object.getPrototypeOf(value) === Object.prototype
+
+/**
+ * What changed between two copies of the draft sections, as { "section.field": value }
+ * field paths. Without a `previous` copy every section is sent whole.
+ */
+export function draftChanges(previous, next) {
+  if (!previous) {
+    return Object.fromEntries(Object.entries(next).filter(([, value]) => value !== undefined))
+  }
+
+  const changes = {}
+  const compare = (before, after, path) => {
+    if (after === undefined || JSON.stringify(before) === JSON.stringify(after)) return
+
+    const depth = path.length
+    const canDescend = depth < MAX_PATH_DEPTH && !WHOLE_SECTIONS.includes(path[0]) && (
+      (isPlainObject(before) && isPlainObject(after)) ||
+      (Array.isArray(before) && Array.isArray(after) && before.length === after.length)
+    )
+
+    if (canDescend || depth === 0) {
+      for (const key of Object.keys(after)) compare(before?.[key], after[key], [...path, key])
+    } else {
+      changes[path.join('.')] = after
+    }
+  }
+
+  compare(previous, next, [])
+  return changes
+}
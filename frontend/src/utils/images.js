@@ -0,0 +1,27 @@
+// Photos taken / picked in the browser are re-encoded before upload: upright,
+// at most `maxEdge` pixels on the long side, as JPEG - and without the
+// EXIF data (location etc.) phone cameras add
+
+export async function normalizePhoto(file, { maxEdge = 1600, quality = 0.85 } = {}) {
+  let bitmap
+  try {
+    bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+  } catch {
+    throw new Error('Could not read this photo. Please take a new photo or upload a JPEG or PNG.')
+  }
+
+  const scale = Math.min(1, maxEdge / Math.max(bitmap.width, bitmap.height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(bitmap.width * scale)
+  canvas.height = Math.round(bitmap.height * scale)
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+  bitmap.close?.()
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('Could not read this photo'))),
+      'image/jpeg',
+      quality
+    )
+  })
+}
@@ -0,0 +1,15 @@
+// Access token from identity verification (see VerifyIdentity) - kept for the browser session only
+
+export const intakeTokenKey = (linkCode) => `intakeToken:${linkCode}`
+
+export function getIntakeHeaders(linkCode) {
+  const token = sessionStorage.getItem(intakeTokenKey(linkCode))
+  return token ? { 'X-Intake-Token': token } : {}
+}
+
+// Plain links (PDF downloads) can't send headers - the token goes in ?access= instead
+export function withIntakeAccess(url, linkCode, params = {}) {
+  const token = sessionStorage.getItem(intakeTokenKey(linkCode))
+  const query = new URLSearchParams({ ...params, ...(token ? { access: token } : {}) }).toString()
+  return query ? `${url}?${query}` : url
+}
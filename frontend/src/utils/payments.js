@@ -0,0 +1,27 @@
+// Premium payment plan helpers - amounts from the API are integer cents
+
+export const PAYMENT_FREQUENCIES = [
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'biweekly', label: 'Every 2 weeks' },
+  { value: 'monthly', label: 'Monthly' },
+]
+
+export const PAYMENT_METHOD_LABELS = {
+  card: 'Card',
+  cash: 'Cash',
+  check: 'Check',
+  money_order: 'Money order',
+}
+
+export function formatCents(cents) {
+  return ((cents || 0) / 100).toLocaleString('en-US', { style: 'currency', currency: 'USD' })
+}
+
+// Due dates are calendar days stored at midnight UTC
+export function formatDueDate(value) {
+  return new Date(value).toLocaleDateString('en-US', { timeZone: 'UTC' })
+}
+
+export function getFrequencyLabel(frequency) {
+  return PAYMENT_FREQUENCIES.find(f => f.value === frequency)?.label.toLowerCase() || frequency
+}
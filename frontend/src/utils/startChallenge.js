@@ -0,0 +1,21 @@
+// Bot check for starting an application on a company page: find the number whose
+// SHA-256 with the challenge token starts with `difficulty` zero bits (see
+// backend/src/services/startChallengeService.js) - about a second of work
+
+const leadingZeroBits = (bytes) => {
+  let bits = 0
+  for (const byte of bytes) {
+    if (byte !== 0) return bits + Math.clz32(byte) - 24
+    bits += 8
+  }
+  return bits
+}
+
+export async function solveStartChallenge({ token, difficulty }) {
+  const encoder = new TextEncoder()
+
+  for (let n = 0; ; n++) {
+    const hash = await crypto.subtle.digest('SHA-256', encoder.encode(`${token}:${n}`))
+    if (leadingZeroBits(new Uint8Array(hash)) >= difficulty) return String(n)
+  }
+}
@@ -1,4 +1,8 @@
 import { z } from 'zod'
+import { DEFAULT_LANGUAGE, translate } from '../i18n'
+
+// Messages default to English; pass the wizard's `t` (see LanguageContext) to localize them
+const englishT = (key, vars) => translate(DEFAULT_LANGUAGE, key, vars)
 
 // Basic schemas
 export const phoneSchema = z.string()
@@ -58,18 +62,65 @@ export const referenceSchema = z.object({
 
 // Signatures schema - requires all 5 document signatures
 // Document IDs: preApplication, referenceForm, immigrationWaiver, indemnitorApplication, immigrationBondAgreement
-export const signaturesSchema = z.object({
+export const buildSignaturesSchema = (t = englishT) => z.object({
   // Pre-Application - Co-Signer signature (required)
-  preApplication_coSigner: z.string().min(1, 'Pre-Application signature is required'),
+  preApplication_coSigner: z.string().min(1, t('validation.preApplicationSignature')),
   // Reference Form - Applicant signature (required)
-  referenceForm_applicant: z.string().min(1, 'Reference Form signature is required'),
+  referenceForm_applicant: z.string().min(1, t('validation.referenceFormSignature')),
   // Immigration Waiver - Co-Signer signature (required)
-  immigrationWaiver_coSigner: z.string().min(1, 'Immigration Waiver signature is required'),
+  immigrationWaiver_coSigner: z.string().min(1, t('validation.immigrationWaiverSignature')),
   // Indemnitor Application - Indemnitor signature (required)
-  indemnitorApplication_indemnitor: z.string().min(1, 'Bail Bond Application signature is required'),
+  indemnitorApplication_indemnitor: z.string().min(1, t('validation.indemnitorApplicationSignature')),
   // Immigration Bond Agreement - Indemnitor signature (required)
-  immigrationBondAgreement_indemnitor: z.string().min(1, 'Immigration Bond Agreement signature is required'),
+  immigrationBondAgreement_indemnitor: z.string().min(1, t('validation.immigrationBondAgreementSignature')),
 }).passthrough() // Allow optional signatures like defendant
+export const signaturesSchema = buildSignaturesSchema()
+
+// Consent to electronic records and signatures - accepted at the top of the signing step
+export const buildEsignConsentSchema = (t = englishT) => {
+  const message = t('validation.esignConsent')
+  return z.object({
+    accepted: z.literal(true, { errorMap: () => ({ message }) }),
+    acceptedAt: z.string(),
+    disclosureVersion: z.string(),
+    language: z.string().optional(),
+  }, { required_error: message, invalid_type_error: message })
+}
+export const esignConsentSchema = buildEsignConsentSchema()
+
+// Acceptance of the agent's premium payment plan (see StepPaymentPlan)
+export const buildPaymentPlanAcceptanceSchema = (t = englishT) => {
+  const message = t('validation.paymentPlanAcceptance')
+  return z.object({
+    accepted: z.literal(true, { errorMap: () => ({ message }) }),
+    acceptedAt: z.string(),
+  }, { required_error: message, invalid_type_error: message })
+}
+export const paymentPlanAcceptanceSchema = buildPaymentPlanAcceptanceSchema()
+
+// One pledged collateral item (see StepCollateral) - photos / documents are uploaded as they're picked
+export const buildCollateralItemSchema = (t = englishT) => z.object({
+  id: z.string(),
+  type: z.enum(['vehicle', 'real_property', 'jewelry', 'cash', 'other'], {
+    errorMap: () => ({ message: t('validation.collateralType') }),
+  }),
+  description: z.string().trim().min(1, t('validation.collateralDescription')),
+  estimatedValue: z.string()
+    .refine(val => parseFloat(val.replace(/[$,\s]/g, '')) > 0, { message: t('validation.collateralValue') }),
+  vin: z.string()
+    .optional()
+    .refine(val => !val || /^[A-HJ-NPR-Z0-9]{17}$/i.test(val.trim()), { message: t('validation.vin') }),
+  year: z.string().optional(),
+  make: z.string().optional(),
+  model: z.string().optional(),
+  parcelNumber: z.string().optional(),
+  propertyAddress: z.string().optional(),
+  documents: z.array(z.object({}).passthrough()).optional(),
+})
+export const collateralItemSchema = buildCollateralItemSchema()
+
+// Per-signature timing captured by the signature pads (see StepSignatures)
+export const signatureEvidenceSchema = z.record(z.object({}).passthrough().nullable()).optional()
 
 // Complete intake schema
 export const intakeSchema = z.object({
@@ -78,6 +129,8 @@ export const intakeSchema = z.object({
   references: z.array(referenceSchema).min(3, 'At least 3 references required'),
   bond: z.object({}).passthrough().optional(),
   signatures: signaturesSchema,
+  signatureEvidence: signatureEvidenceSchema,
+  esignConsent: esignConsentSchema,
 })
 
 // Get schema for specific step
@@ -111,6 +164,7 @@ export function getStepSchema(stepIndex) {
     case 5: // Signatures
       return z.object({
         signatures: signaturesSchema,
+        esignConsent: esignConsentSchema,
       }).passthrough()
     default:
       return z.object({}).passthrough()
@@ -161,9 +215,13 @@ const fieldLabels = {
  * Build a dynamic Zod schema based on company's requiredFields configuration
  * @param {string[]} requiredFields - Array of field paths like ["defendant.firstName", "indemnitor.email"]
  * @param {string} wizardType - The wizard type (basic, medium, full)
+ * @param {Object} [options]
+ * @param {boolean} [options.additionalCoSigner] - An additional co-signer's link: the defendant is filled in by the primary co-signer, so nothing there is required
+ * @param {boolean} [options.paymentPlan] - The agent set a premium payment plan: it must be accepted and its agreement signed
+ * @param {Function} [options.t] - Translates the error messages into the wizard's language
  * @returns {z.ZodObject} - A Zod schema with the specified fields marked as required
  */
-export function buildDynamicSchema(requiredFields, wizardType = 'medium') {
+export function buildDynamicSchema(requiredFields, wizardType = 'medium', { additionalCoSigner = false, paymentPlan = false, t = englishT } = {}) {
   // Default required fields by wizard type if no custom config
   const defaultRequired = {
     basic: [
@@ -266,89 +324,89 @@ export function buildDynamicSchema(requiredFields, wizardType = 'medium') {
   // Build defendant schema
   const defendantFields = {
     firstName: required.defendant.has('firstName')
-      ? z.string().min(1, 'First name is required')
+      ? z.string().min(1, t('validation.firstNameRequired'))
       : z.string().optional(),
     lastName: required.defendant.has('lastName')
-      ? z.string().min(1, 'Last name is required')
+      ? z.string().min(1, t('validation.lastNameRequired'))
       : z.string().optional(),
     dob: required.defendant.has('dob')
-      ? z.string().min(1, 'Date of birth is required')
+      ? z.string().min(1, t('validation.dobRequired'))
       : z.string().optional(),
     ssn: required.defendant.has('ssn')
-      ? z.string().min(1, 'SSN is required')
+      ? z.string().min(1, t('validation.ssnRequired'))
       : z.string().optional(),
     address: required.defendant.has('address')
-      ? z.string().min(1, 'Address is required')
+      ? z.string().min(1, t('validation.addressRequired'))
       : z.string().optional(),
     city: required.defendant.has('city')
-      ? z.string().min(1, 'City is required')
+      ? z.string().min(1, t('validation.cityRequired'))
       : z.string().optional(),
     state: required.defendant.has('state')
-      ? z.string().min(1, 'State is required')
+      ? z.string().min(1, t('validation.stateRequired'))
       : z.string().optional(),
     zip: required.defendant.has('zip')
-      ? z.string().min(1, 'ZIP code is required')
+      ? z.string().min(1, t('validation.zipRequired'))
       : z.string().optional(),
     cellPhone: required.defendant.has('cellPhone')
-      ? z.string().min(1, 'Cell phone is required')
+      ? z.string().min(1, t('validation.cellPhoneRequired'))
       : z.string().optional(),
     homePhone: required.defendant.has('homePhone')
-      ? z.string().min(1, 'Home phone is required')
+      ? z.string().min(1, t('validation.homePhoneRequired'))
       : z.string().optional(),
     email: required.defendant.has('email')
-      ? z.string().email('Valid email is required').min(1, 'Email is required')
+      ? z.string().email(t('validation.emailInvalid')).min(1, t('validation.emailRequired'))
       : z.string().optional().or(z.literal('')),
     employer: required.defendant.has('employer')
-      ? z.string().min(1, 'Employer is required')
+      ? z.string().min(1, t('validation.employerRequired'))
       : z.string().optional(),
     driversLicense: required.defendant.has('driversLicense')
-      ? z.string().min(1, 'Driver\'s license is required')
+      ? z.string().min(1, t('validation.driversLicenseRequired'))
       : z.string().optional(),
   }
 
   // Build indemnitor schema
   const indemnitorFields = {
     firstName: required.indemnitor.has('firstName')
-      ? z.string().min(1, 'First name is required')
+      ? z.string().min(1, t('validation.firstNameRequired'))
       : z.string().optional(),
     lastName: required.indemnitor.has('lastName')
-      ? z.string().min(1, 'Last name is required')
+      ? z.string().min(1, t('validation.lastNameRequired'))
       : z.string().optional(),
     relationshipToDefendant: required.indemnitor.has('relationshipToDefendant')
-      ? z.string().min(1, 'Relationship is required')
+      ? z.string().min(1, t('validation.relationshipRequired'))
       : z.string().optional(),
     dob: required.indemnitor.has('dob')
-      ? z.string().min(1, 'Date of birth is required')
+      ? z.string().min(1, t('validation.dobRequired'))
       : z.string().optional(),
     ssn: required.indemnitor.has('ssn')
-      ? z.string().min(1, 'SSN is required')
+      ? z.string().min(1, t('validation.ssnRequired'))
       : z.string().optional(),
     address: required.indemnitor.has('address')
-      ? z.string().min(1, 'Address is required')
+      ? z.string().min(1, t('validation.addressRequired'))
       : z.string().optional(),
     city: required.indemnitor.has('city')
-      ? z.string().min(1, 'City is required')
+      ? z.string().min(1, t('validation.cityRequired'))
       : z.string().optional(),
     state: required.indemnitor.has('state')
-      ? z.string().min(1, 'State is required')
+      ? z.string().min(1, t('validation.stateRequired'))
       : z.string().optional(),
     zip: required.indemnitor.has('zip')
-      ? z.string().min(1, 'ZIP code is required')
+      ? z.string().min(1, t('validation.zipRequired'))
       : z.string().optional(),
     cellPhone: required.indemnitor.has('cellPhone')
-      ? z.string().min(1, 'Cell phone is required')
+      ? z.string().min(1, t('validation.cellPhoneRequired'))
       : z.string().optional(),
     homePhone: required.indemnitor.has('homePhone')
-      ? z.string().min(1, 'Home phone is required')
+      ? z.string().min(1, t('validation.homePhoneRequired'))
       : z.string().optional(),
     email: required.indemnitor.has('email')
-      ? z.string().email('Valid email is required').min(1, 'Email is required')
+      ? z.string().email(t('validation.emailInvalid')).min(1, t('validation.emailRequired'))
       : z.string().optional().or(z.literal('')),
     employer: required.indemnitor.has('employer')
-      ? z.string().min(1, 'Employer is required')
+      ? z.string().min(1, t('validation.employerRequired'))
       : z.string().optional(),
     driversLicense: required.indemnitor.has('driversLicense')
-      ? z.string().min(1, 'Driver\'s license is required')
+      ? z.string().min(1, t('validation.driversLicenseRequired'))
       : z.string().optional(),
   }
 
@@ -356,16 +414,16 @@ export function buildDynamicSchema(requiredFields, wizardType = 'medium') {
   const buildReferenceSchema = (requiredSet) => {
     return z.object({
       name: requiredSet.has('name')
-        ? z.string().min(1, 'Name is required')
+        ? z.string().min(1, t('validation.nameRequired'))
         : z.string().optional(),
       phone: requiredSet.has('phone')
-        ? z.string().min(1, 'Phone is required')
+        ? z.string().min(1, t('validation.phoneRequired'))
         : z.string().optional(),
       relationship: requiredSet.has('relationship')
-        ? z.string().min(1, 'Relationship is required')
+        ? z.string().min(1, t('validation.relationshipRequired'))
         : z.string().optional(),
       address: requiredSet.has('address')
-        ? z.string().min(1, 'Address is required')
+        ? z.string().min(1, t('validation.addressRequired'))
         : z.string().optional(),
       workPhone: z.string().optional(),
     }).passthrough()
@@ -373,7 +431,7 @@ export function buildDynamicSchema(requiredFields, wizardType = 'medium') {
 
   // Create the dynamic schema
   return z.object({
-    defendant: z.object(defendantFields).passthrough(),
+    defendant: additionalCoSigner ? z.object({}).passthrough() : z.object(defendantFields).passthrough(),
     indemnitor: z.object(indemnitorFields).passthrough(),
     references: z.tuple([
       buildReferenceSchema(required.references[0]),
@@ -381,7 +439,24 @@ export function buildDynamicSchema(requiredFields, wizardType = 'medium') {
       buildReferenceSchema(required.references[2]),
     ]),
     bond: z.object({}).passthrough().optional(),
-    signatures: signaturesSchema,
+    signatures: paymentPlan
+      ? buildSignaturesSchema(t).extend({
+          paymentPlan_coSigner: z.string().min(1, t('validation.paymentPlanSignature')),
+        })
+      : buildSignaturesSchema(t),
+    signatureEvidence: signatureEvidenceSchema,
+    esignConsent: buildEsignConsentSchema(t),
+    paymentPlanAcceptance: paymentPlan ? buildPaymentPlanAcceptanceSchema(t) : z.any().optional(),
+    collateral: z.array(buildCollateralItemSchema(t)).optional(),
+  }).superRefine((data, ctx) => {
+    // Pledged collateral is listed on a Collateral Receipt that must be signed too
+    if (data.collateral?.length > 0 && !data.signatures?.collateralReceipt_coSigner) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['signatures', 'collateralReceipt_coSigner'],
+        message: t('validation.collateralReceiptSignature'),
+      })
+    }
   })
 }
 
@@ -472,3 +547,25 @@ export function getRequiredFieldPaths(company) {
 
   return defaults[wizardType] || defaults.medium
 }
+
+/**
+ * How much of each section's required fields is filled in, as whole percentages
+ * @param {Object} values - Form values
+ * @param {Iterable<string>} requiredFields - Required field paths (see getRequiredFieldPaths)
+ * @returns {Object} - e.g. { defendant: 80, indemnitor: 100, references: 33 }
+ */
+export function getSectionProgress(values, requiredFields) {
+  const sections = {}
+
+  for (const path of requiredFields) {
+    const section = path.split('.')[0]
+    const value = path.split('.').reduce((current, key) => current?.[key], values)
+    const totals = sections[section] || (sections[section] = { required: 0, filled: 0 })
+
+    totals.required += 1
+    if (value !== undefined && value !== null && String(value).trim() !== '') totals.filled += 1
+  }
+
+  return Object.fromEntries(Object.entries(sections)
+    .map(([section, { required, filled }]) => [section, Math.round((filled / required) * 100)]))
+}